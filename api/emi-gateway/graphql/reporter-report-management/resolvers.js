@@ -14,6 +14,7 @@ const CONTEXT_NAME = "reporter";
 
 const READ_ROLES = ["REPORT_READ"];
 const WRITE_ROLES = ["REPORT_WRITE"];
+const PLATFORM_ADMIN_ROLES = ["PLATFORM-ADMIN"];
 
 function getResponseFromBackEnd$(response) {
     return of(response)
@@ -66,6 +67,19 @@ function sendToBackEndHandler$(root, OperationArguments, context, requiredRoles,
         )
 }
 
+/**
+ * Whether the user has access to the report (or to a run, holding its report sharing), reports without owner are open to every user of the organization
+ * @param {object} report report holding its sharing: { owner, viewers, editors }
+ * @param {string} username
+ */
+function isSharedWith(report, username) {
+    const sharing = report.sharing || {};
+    return !sharing.owner
+        || sharing.owner === username
+        || (sharing.editors || []).includes(username)
+        || (sharing.viewers || []).includes(username);
+}
+
 
 module.exports = {
 
@@ -77,8 +91,50 @@ module.exports = {
         ReporterReport(root, args, context) {
             return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Report', 'ReporterReport').toPromise();
         },
+        ReporterRunReport(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Report', 'ReporterRunReport').toPromise();
+        },
+        ReporterReportRuns(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Report', 'ReporterReportRuns').toPromise();
+        },
+        ReporterReportHistory(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Report', 'ReporterReportHistory').toPromise();
+        },
+        ReporterReportFolders(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Report', 'ReporterReportFolders').toPromise();
+        },
+        ReporterWebhooks(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Webhook', 'ReporterWebhooks').toPromise();
+        },
+        ReporterWebhookDeliveries(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'Webhook', 'ReporterWebhookDeliveries').toPromise();
+        },
         VehicleStatsFleetStatistics(root, args, context) {
             return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsFleetStatistics').toPromise();
+        },
+        VehicleStatsFleetStatisticsHistory(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsFleetStatisticsHistory').toPromise();
+        },
+        VehicleStatsDeadLetterListing(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsDeadLetterListing').toPromise();
+        },
+        VehicleStatsProcessorMetrics(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsProcessorMetrics').toPromise();
+        },
+        VehicleStatsVehicleListing(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsVehicleListing').toPromise();
+        },
+        VehicleStatsClassificationRules(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsClassificationRules').toPromise();
+        },
+        VehicleStatsDeadLetter(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsDeadLetter').toPromise();
+        },
+        VehicleStatsFleetAlertRules(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'query', 'VehicleStats', 'VehicleStatsFleetAlertRules').toPromise();
+        },
+        VehicleStatsUnattributedDeadLetterListing(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, PLATFORM_ADMIN_ROLES, 'query', 'VehicleStats', 'VehicleStatsUnattributedDeadLetterListing').toPromise();
         }
     },
 
@@ -93,6 +149,75 @@ module.exports = {
         ReporterDeleteReports(root, args, context) {
             return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterDeleteReports').toPromise();
         },
+        ReporterRestoreDeletedReports(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterRestoreDeletedReports').toPromise();
+        },
+        ReporterPurgeReports(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterPurgeReports').toPromise();
+        },
+        ReporterRestoreReportVersion(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterRestoreReportVersion').toPromise();
+        },
+        ReporterShareReport(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterShareReport').toPromise();
+        },
+        ReporterSetReportsActive(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterSetReportsActive', 10000).toPromise();
+        },
+        ReporterTagReports(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterTagReports', 10000).toPromise();
+        },
+        ReporterMoveReports(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterMoveReports', 10000).toPromise();
+        },
+        ReporterDuplicateReports(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Report', 'ReporterDuplicateReports', 10000).toPromise();
+        },
+        ReporterCreateWebhook(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Webhook', 'ReporterCreateWebhook').toPromise();
+        },
+        ReporterUpdateWebhook(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Webhook', 'ReporterUpdateWebhook').toPromise();
+        },
+        ReporterDeleteWebhook(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Webhook', 'ReporterDeleteWebhook').toPromise();
+        },
+        ReporterPingWebhook(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'Webhook', 'ReporterPingWebhook').toPromise();
+        },
+        ReporterExport(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, READ_ROLES, 'mutation', 'Export', 'ReporterExport', 30000).toPromise();
+        },
+        VehicleStatsReplayDeadLetters(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsReplayDeadLetters').toPromise();
+        },
+        VehicleStatsUpdateClassificationRule(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsUpdateClassificationRule').toPromise();
+        },
+        VehicleStatsResetClassificationRule(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsResetClassificationRule').toPromise();
+        },
+        VehicleStatsRecompute(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsRecompute').toPromise();
+        },
+        VehicleStatsPurgeDeadLetters(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsPurgeDeadLetters').toPromise();
+        },
+        VehicleStatsReplayUnattributedDeadLetters(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, PLATFORM_ADMIN_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsReplayUnattributedDeadLetters').toPromise();
+        },
+        VehicleStatsPurgeUnattributedDeadLetters(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, PLATFORM_ADMIN_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsPurgeUnattributedDeadLetters').toPromise();
+        },
+        VehicleStatsCreateFleetAlertRule(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsCreateFleetAlertRule').toPromise();
+        },
+        VehicleStatsUpdateFleetAlertRule(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsUpdateFleetAlertRule').toPromise();
+        },
+        VehicleStatsDeleteFleetAlertRule(root, args, context) {
+            return sendToBackEndHandler$(root, args, context, WRITE_ROLES, 'mutation', 'VehicleStats', 'VehicleStatsDeleteFleetAlertRule').toPromise();
+        },
     },
 
     //// SUBSCRIPTIONS ///////
@@ -113,7 +238,32 @@ module.exports = {
                 },
                 (payload, variables, context, info) => {
                     return payload
-                        ? (payload.ReporterReportModified.id === variables.id) || (variables.id === "ANY")
+                        ? ((payload.ReporterReportModified.id === variables.id) || (variables.id === "ANY"))
+                        && payload.ReporterReportModified.organizationId === context.authToken.organizationId
+                        && isSharedWith(payload.ReporterReportModified, context.authToken.preferred_username)
+                        : false;
+                }
+            )
+        },
+        ReporterReportRunCompleted: {
+            subscribe: withFilter(
+                (payload, variables, context, info) => {
+                    //Checks the roles of the user, if the user does not have at least one of the required roles, an error will be thrown
+                    RoleValidator.checkAndThrowError(
+                        context.authToken.realm_access.roles,
+                        READ_ROLES,
+                        "Reporter",
+                        "ReporterReportRunCompleted",
+                        PERMISSION_DENIED_ERROR_CODE,
+                        "Permission denied"
+                    );
+                    return pubsub.asyncIterator("ReporterReportRunCompleted");
+                },
+                (payload, variables, context, info) => {
+                    return payload
+                        ? ((payload.ReporterReportRunCompleted.reportId === variables.reportId) || (variables.reportId === "ANY"))
+                        && payload.ReporterReportRunCompleted.organizationId === context.authToken.organizationId
+                        && isSharedWith(payload.ReporterReportRunCompleted, context.authToken.preferred_username)
                         : false;
                 }
             )
@@ -133,7 +283,51 @@ module.exports = {
                     return pubsub.asyncIterator("FleetStatisticsUpdated");
                 },
                 (payload, variables, context, info) => {
-                    return payload ? true : false;
+                    return payload
+                        ? payload.FleetStatisticsUpdated.organizationId === context.authToken.organizationId
+                        : false;
+                }
+            )
+        },
+        VehicleStatsRecomputeProgress: {
+            subscribe: withFilter(
+                (payload, variables, context, info) => {
+                    //Checks the roles of the user, if the user does not have at least one of the required roles, an error will be thrown
+                    RoleValidator.checkAndThrowError(
+                        context.authToken.realm_access.roles,
+                        READ_ROLES,
+                        "VehicleStats",
+                        "VehicleStatsRecomputeProgress",
+                        PERMISSION_DENIED_ERROR_CODE,
+                        "Permission denied"
+                    );
+                    return pubsub.asyncIterator("VehicleStatsRecomputeProgress");
+                },
+                (payload, variables, context, info) => {
+                    return payload
+                        ? payload.VehicleStatsRecomputeProgress.organizationId === context.authToken.organizationId
+                        : false;
+                }
+            )
+        },
+        FleetAlertTriggered: {
+            subscribe: withFilter(
+                (payload, variables, context, info) => {
+                    //Checks the roles of the user, if the user does not have at least one of the required roles, an error will be thrown
+                    RoleValidator.checkAndThrowError(
+                        context.authToken.realm_access.roles,
+                        READ_ROLES,
+                        "VehicleStats",
+                        "FleetAlertTriggered",
+                        PERMISSION_DENIED_ERROR_CODE,
+                        "Permission denied"
+                    );
+                    return pubsub.asyncIterator("FleetAlertTriggered");
+                },
+                (payload, variables, context, info) => {
+                    return payload
+                        ? payload.FleetAlertTriggered.organizationId === context.authToken.organizationId
+                        : false;
                 }
             )
         }
@@ -153,6 +347,15 @@ const eventDescriptors = [
         onEvent: (evt, descriptor) =>
             console.log(`Event of type  ${descriptor.backendEventName} arrived`) // OPTIONAL, only use if needed
     },
+    {
+        backendEventName: "ReporterReportRunCompleted",
+        gqlSubscriptionName: "ReporterReportRunCompleted",
+        dataExtractor: evt => evt.data, // OPTIONAL, only use if needed
+        onError: (error, descriptor) =>
+            console.log(`Error processing ${descriptor.backendEventName}`), // OPTIONAL, only use if needed
+        onEvent: (evt, descriptor) =>
+            console.log(`Event of type  ${descriptor.backendEventName} arrived`) // OPTIONAL, only use if needed
+    },
     {
         backendEventName: "FleetStatisticsUpdated",
         gqlSubscriptionName: "FleetStatisticsUpdated",
@@ -161,6 +364,24 @@ const eventDescriptors = [
             console.log(`Error processing ${descriptor.backendEventName}`), // OPTIONAL, only use if needed
         onEvent: (evt, descriptor) =>
             console.log(`Event of type  ${descriptor.backendEventName} arrived`) // OPTIONAL, only use if needed
+    },
+    {
+        backendEventName: "VehicleStatsRecomputeProgress",
+        gqlSubscriptionName: "VehicleStatsRecomputeProgress",
+        dataExtractor: evt => evt.data, // OPTIONAL, only use if needed
+        onError: (error, descriptor) =>
+            console.log(`Error processing ${descriptor.backendEventName}`), // OPTIONAL, only use if needed
+        onEvent: (evt, descriptor) =>
+            console.log(`Event of type  ${descriptor.backendEventName} arrived`) // OPTIONAL, only use if needed
+    },
+    {
+        backendEventName: "FleetAlertTriggered",
+        gqlSubscriptionName: "FleetAlertTriggered",
+        dataExtractor: evt => evt.data, // OPTIONAL, only use if needed
+        onError: (error, descriptor) =>
+            console.log(`Error processing ${descriptor.backendEventName}`), // OPTIONAL, only use if needed
+        onEvent: (evt, descriptor) =>
+            console.log(`Event of type  ${descriptor.backendEventName} arrived`) // OPTIONAL, only use if needed
     }
 ];
 
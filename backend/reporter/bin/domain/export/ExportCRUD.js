@@ -0,0 +1,164 @@
+"use strict";
+
+const { of, iif, throwError } = require("rxjs");
+const { mergeMap, catchError, map, toArray } = require('rxjs/operators');
+
+const { CqrsResponseHelper } = require('@nebulae/backend-node-tools').cqrs;
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { CustomError } = require("@nebulae/backend-node-tools").error;
+
+const Exporter = require("../../tools/export");
+const ExportDocuments = require("./ExportDocuments");
+const ReportDA = require("../report/data-access/ReportDA");
+const ReportRunDA = require("../report/data-access/ReportRunDA");
+const ReportRunner = require("../report/ReportRunner")();
+const ReportSharing = require("../report/ReportSharing");
+const VehicleStatsDA = require("../vehicle-stats/data-access/VehicleStatsDA");
+
+const READ_ROLES = ["REPORT_READ"];
+/**
+ * Exports are scoped to the organization carried in the JWT
+ */
+const ORGANIZATION_ATTRIBUTES = ["organizationId"];
+const INVALID_EXPORT_ERROR_CODE = 19001;
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS || '10000');
+const SOURCES = ['REPORT_RESULT', 'REPORT_RUN', 'REPORT_LISTING', 'FLEET_STATISTICS', 'FLEET_STATISTICS_HISTORY'];
+
+/**
+ * Singleton instance
+ * @type { ExportCRUD }
+ */
+let instance;
+
+class ExportCRUD {
+  constructor() {
+  }
+
+  /**     
+   * Generates and returns an object that defines the CQRS request handlers.
+   * 
+   * The map is a relationship of: AGGREGATE_TYPE VS { MESSAGE_TYPE VS  { fn: rxjsFunction, instance: invoker_instance } }
+   * 
+   * ## Example
+   *  { "CreateUser" : { "somegateway.someprotocol.mutation.CreateUser" : {fn: createUser$, instance: classInstance } } }
+   */
+  generateRequestProcessorMap() {
+    return {
+      'Export': {
+        "emigateway.graphql.mutation.ReporterExport": { fn: instance.export$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+      }
+    }
+  };
+
+  /**
+   * Renders the requested data as a downloadable file.
+   * Every source is read from the caller's organization, the organization ids of the input are ignored
+   *
+   * @param {*} args args: { input: { source, format, reportId, runId, filterInput, granularity, from, to } }
+   */
+  export$({ args }, authToken) {
+    const { input } = args;
+    return of(input).pipe(
+      mergeMap(() => instance.validateInput$(input)),
+      mergeMap(() => instance.buildDocument$(input, authToken)),
+      map(document => {
+        const { content, contentType, extension } = Exporter.render(document, input.format);
+        return {
+          fileName: `${instance.fileBaseName(document.title)}.${extension}`,
+          contentType,
+          encoding: 'base64',
+          size: content.length,
+          content: content.toString('base64'),
+        };
+      }),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Validates the export request
+   * @param {*} input export input
+   */
+  validateInput$(input) {
+    const errors = [];
+    if (!SOURCES.includes(input.source)) errors.push(`source must be one of ${SOURCES.join(', ')}`);
+    if (!Exporter.FORMATS[input.format]) errors.push(`format must be one of ${Object.keys(Exporter.FORMATS).join(', ')}`);
+    if (input.source === 'REPORT_RESULT' && !input.reportId) errors.push('reportId is required');
+    if (input.source === 'REPORT_RUN' && !input.runId) errors.push('runId is required');
+    if (input.source === 'FLEET_STATISTICS_HISTORY') {
+      const granularities = VehicleStatsDA.getHistoryGranularities();
+      if (!granularities.includes(input.granularity)) errors.push(`granularity must be one of ${granularities.join(', ')}`);
+      if (!(input.from <= input.to)) errors.push('from must be lower or equal than to');
+    }
+    if (errors.length > 0) {
+      return throwError(new CustomError('InvalidExport', 'ExportCRUD.export$', INVALID_EXPORT_ERROR_CODE, errors.join('; ')));
+    }
+    return of(input);
+  }
+
+  /**
+   * Reads the requested data and flattens it into an export document.
+   * Reports and runs are only exported to the users the report is shared with
+   * @param {*} input validated export input
+   * @param {*} authToken
+   */
+  buildDocument$(input, authToken) {
+    const { organizationId } = authToken;
+    const notFound = (what) => new CustomError('NotFound', 'ExportCRUD.export$', INVALID_EXPORT_ERROR_CODE, `${what} not found`);
+    switch (input.source) {
+      case 'REPORT_RESULT':
+        return ReportDA.getReport$(input.reportId, organizationId).pipe(
+          mergeMap(report => ReportSharing.checkAccess$(report, authToken.preferred_username, ReportSharing.ACCESS.VIEW, 'ExportCRUD.export$')),
+          mergeMap(report => report.id
+            ? ReportRunner.run$(report).pipe(map(result => ExportDocuments.fromReportResult(report, result)))
+            : throwError(notFound(`Report ${input.reportId}`))
+          )
+        );
+      case 'REPORT_RUN':
+        return ReportRunDA.getRun$(input.runId, organizationId).pipe(
+          mergeMap(run => run
+            ? ReportDA.getReport$(run.reportId, organizationId).pipe(
+              mergeMap(report => ReportSharing.checkAccess$(report, authToken.preferred_username, ReportSharing.ACCESS.VIEW, 'ExportCRUD.export$')),
+              map(() => ExportDocuments.fromReportRun(run))
+            )
+            : throwError(notFound(`Report run ${input.runId}`))
+          )
+        );
+      case 'REPORT_LISTING':
+        return ReportDA.getReportList$({ ...input.filterInput, organizationId, accessibleBy: authToken.preferred_username }, { page: 0, count: EXPORT_MAX_ROWS }, undefined, {}).pipe(
+          toArray(),
+          map(reports => ExportDocuments.fromReportListing(reports))
+        );
+      case 'FLEET_STATISTICS':
+        return VehicleStatsDA.getFleetStatistics$(organizationId).pipe(
+          map(stats => ExportDocuments.fromFleetStatistics(stats))
+        );
+      default:
+        return VehicleStatsDA.getFleetStatisticsHistory$(organizationId, input.granularity, input.from, input.to).pipe(
+          toArray(),
+          map(buckets => ExportDocuments.fromFleetStatisticsHistory(input.granularity, buckets))
+        );
+    }
+  }
+
+  /**
+   * File name of an export, based on its title and the export time
+   * @param {string} title
+   */
+  fileBaseName(title) {
+    const slug = String(title || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+    return `${slug}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  }
+}
+
+/**
+ * @returns {ExportCRUD}
+ */
+module.exports = () => {
+  if (!instance) {
+    instance = new ExportCRUD();
+    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+  }
+  return instance;
+};
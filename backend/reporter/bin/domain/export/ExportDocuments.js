@@ -0,0 +1,161 @@
+"use strict";
+
+/**
+ * Flattens the exportable data (report results, report listing, fleet statistics and their history) into
+ * export documents: { title, generatedAt, sheets: [{ name, columns, rows }] }, rendered by the tools/export writers
+ */
+
+const DIMENSIONS = [
+  { property: 'vehiclesByType', name: 'By type', key: 'type' },
+  { property: 'vehiclesByDecade', name: 'By decade', key: 'decade' },
+  { property: 'vehiclesBySpeedClass', name: 'By speed class', key: 'speedClass' },
+  { property: 'vehiclesByPowerSource', name: 'By power source', key: 'powerSource' },
+];
+const METRICS = ['hp', 'topSpeed'];
+
+const isoDate = (timestamp) => timestamp === null || timestamp === undefined ? null : new Date(timestamp).toISOString();
+const round = (value) => typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+
+/**
+ * Report definition result sheet
+ * @param {*} result { columns, rows }
+ * @param {string} name sheet name
+ */
+const resultSheet = (result, name = 'Result') => ({
+  name,
+  columns: result.columns.map(({ name }) => name),
+  rows: result.rows,
+});
+
+/**
+ * Fleet statistics sheets: summary, one sheet per dimension, stats by type and one histogram per numeric distribution
+ * @param {*} stats formatted fleet statistics
+ */
+const fleetStatisticsSheets = (stats) => [
+  {
+    name: 'Summary',
+    columns: ['metric', 'value'],
+    rows: [
+      ['totalVehicles', stats.totalVehicles],
+      ['lastUpdated', stats.lastUpdated],
+      ...['min', 'max', 'avg'].map(stat => [`hp_${stat}`, round((stats.hpStats || {})[stat])]),
+      ...METRICS.reduce((acc, metric) => {
+        const distribution = stats[`${metric}Distribution`];
+        return distribution ? [...acc, ...['p50', 'p90', 'p99'].map(percentile => [`${metric}_${percentile}`, round(distribution[percentile])])] : acc;
+      }, []),
+    ]
+  },
+  ...DIMENSIONS.map(({ property, name, key }) => ({
+    name,
+    columns: [key, 'count'],
+    rows: (stats[property] || []).map(bucket => [bucket.key, bucket.count]),
+    chart: { type: 'BAR', valueColumn: 1 },
+  })),
+  {
+    name: 'Stats by type',
+    columns: ['type', 'count', ...METRICS.reduce((acc, metric) => [...acc, ...['min', 'max', 'avg'].map(stat => `${metric}_${stat}`)], [])],
+    rows: (stats.statsByType || []).map(typeStats => [
+      typeStats.type,
+      typeStats.count,
+      ...METRICS.reduce((acc, metric) => [...acc, ...['min', 'max', 'avg'].map(stat => round((typeStats[metric] || {})[stat]))], []),
+    ]),
+  },
+  ...METRICS
+    .filter(metric => stats[`${metric}Distribution`])
+    .map(metric => ({
+      name: `${metric} histogram`,
+      columns: ['from', 'to', 'count'],
+      rows: stats[`${metric}Distribution`].histogram.map(({ from, to, count }) => [from, to, count]),
+      chart: { type: 'BAR', valueColumn: 2 },
+    })),
+];
+
+/**
+ * Document of a report definition result
+ * @param {*} report
+ * @param {*} result ReportRunner result
+ */
+const fromReportResult = (report, result) => ({
+  title: report.name,
+  generatedAt: result.generatedAt,
+  sheets: [resultSheet(result)],
+});
+
+/**
+ * Document of a stored report run: its definition result, if any, plus the fleet statistics snapshot
+ * @param {*} run stored report run
+ */
+const fromReportRun = (run) => ({
+  title: `${run.reportName || run.reportId} ${isoDate(run.startedAt)}`,
+  generatedAt: run.startedAt,
+  sheets: [
+    ...(run.result ? [resultSheet(run.result)] : []),
+    ...(run.fleetStatistics ? fleetStatisticsSheets(run.fleetStatistics) : []),
+  ],
+});
+
+/**
+ * Document of the report listing
+ * @param {Array} reports
+ */
+const fromReportListing = (reports) => ({
+  title: 'Reports',
+  generatedAt: Date.now(),
+  sheets: [{
+    name: 'Reports',
+    columns: ['id', 'name', 'description', 'active', 'tags', 'schedule', 'nextRunAt', 'lastRunAt', 'createdBy', 'createdAt', 'updatedBy', 'updatedAt'],
+    rows: reports.map(({ id, name, description, active, tags, schedule, lastRunAt, metadata = {} }) => [
+      id, name, description || null, active, (tags || []).join(', '),
+      schedule ? schedule.cron : null, isoDate(schedule && schedule.nextRunAt), isoDate(lastRunAt),
+      metadata.createdBy, isoDate(metadata.createdAt), metadata.updatedBy, isoDate(metadata.updatedAt),
+    ]),
+  }],
+});
+
+/**
+ * Document of the current fleet statistics
+ * @param {*} stats formatted fleet statistics
+ */
+const fromFleetStatistics = (stats) => ({
+  title: 'Fleet statistics',
+  generatedAt: Date.now(),
+  sheets: fleetStatisticsSheets(stats),
+});
+
+/**
+ * Document of the fleet statistics history, one row per bucket and one column per dimension bucket, eg: type_SUV
+ * @param {string} granularity
+ * @param {Array} buckets formatted history buckets ordered by bucketStart
+ */
+const fromFleetStatisticsHistory = (granularity, buckets) => {
+  const dimensionColumns = DIMENSIONS.reduce((acc, { property, key }) => {
+    const keys = [...new Set(buckets.reduce((bucketKeys, bucket) => [...bucketKeys, ...(bucket[property] || []).map(({ key }) => key)], []))].sort();
+    return [...acc, ...keys.map(bucketKey => ({ property, bucketKey, name: `${key}_${bucketKey}` }))];
+  }, []);
+  return {
+    title: `Fleet statistics history (${granularity})`,
+    generatedAt: Date.now(),
+    sheets: [{
+      name: 'History',
+      columns: ['bucketStart', 'totalVehicles', 'hp_avg', ...METRICS.map(metric => `${metric}_p50`), ...dimensionColumns.map(({ name }) => name)],
+      rows: buckets.map(bucket => [
+        isoDate(bucket.bucketStart),
+        bucket.totalVehicles,
+        round((bucket.hpStats || {}).avg),
+        ...METRICS.map(metric => bucket[`${metric}Distribution`] ? round(bucket[`${metric}Distribution`].p50) : null),
+        ...dimensionColumns.map(({ property, bucketKey }) => {
+          const match = (bucket[property] || []).find(({ key }) => key === bucketKey);
+          return match ? match.count : 0;
+        }),
+      ]),
+    }],
+  };
+};
+
+module.exports = {
+  fromReportResult,
+  fromReportRun,
+  fromReportListing,
+  fromFleetStatistics,
+  fromFleetStatisticsHistory,
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+const { empty, Observable } = require("rxjs");
+
+const ExportCRUD = require("./ExportCRUD")();
+
+/**
+ * The export domain has no own storage, it reads the data of the report and vehicle-stats domains
+ */
+module.exports = {
+  /**
+   * domain start workflow
+   */
+  start$: empty(),
+  /**
+   * start for syncing workflow
+   * @returns {Observable}
+   */
+  startForSyncing$: empty(),
+  /**
+   * start for getting ready workflow
+   * @returns {Observable}
+   */
+  startForGettingReady$: empty(),
+  /**
+   * @returns {ExportCRUD}
+   */
+  ExportCRUD: ExportCRUD,
+  /**
+   * CRUD request processors Map
+   */
+  cqrsRequestProcessorMap: ExportCRUD.generateRequestProcessorMap(),
+};
@@ -8,7 +8,9 @@ const { concat } = require("rxjs");
  */
 const domains = {
   report: require("./report"),
-  vehicleStats: require("./vehicle-stats")
+  vehicleStats: require("./vehicle-stats"),
+  export: require("./export"),
+  webhook: require("./webhook")
 };
 
 module.exports = {
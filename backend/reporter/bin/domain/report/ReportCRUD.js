@@ -2,7 +2,7 @@
 
 const uuidv4 = require("uuid/v4");
 const { of, forkJoin, from, iif, throwError } = require("rxjs");
-const { mergeMap, catchError, map, toArray, pluck } = require('rxjs/operators');
+const { mergeMap, concatMap, catchError, map, toArray, pluck, filter } = require('rxjs/operators');
 
 const Event = require("@nebulae/event-store").Event;
 const { CqrsResponseHelper } = require('@nebulae/backend-node-tools').cqrs;
@@ -13,11 +13,25 @@ const { brokerFactory } = require("@nebulae/backend-node-tools").broker;
 const broker = brokerFactory();
 const eventSourcing = require("../../tools/event-sourcing").eventSourcing;
 const ReportDA = require("./data-access/ReportDA");
+const ReportRunDA = require("./data-access/ReportRunDA");
+const { CronExpression } = require("../../tools/cron");
+const ReportDefinition = require("./ReportDefinition");
+const ReportHistory = require("./ReportHistory");
+const ReportSharing = require("./ReportSharing");
+const { ACCESS } = ReportSharing;
+const ReportRunner = require("./ReportRunner")();
+const { INVALID_REPORT_DEFINITION_ERROR_CODE } = require("./ReportRunner");
+const WebhookDispatcher = require("../webhook/WebhookDispatcher")();
 
 const READ_ROLES = ["REPORT_READ"];
 const WRITE_ROLES = ["REPORT_WRITE"];
-const REQUIRED_ATTRIBUTES = [];
+const ORGANIZATION_ATTRIBUTES = ["organizationId"];
 const MATERIALIZED_VIEW_TOPIC = "emi-gateway-materialized-view-updates";
+const INVALID_REPORT_SCHEDULE_ERROR_CODE = 18002;
+const REPORT_VERSION_NOT_FOUND_ERROR_CODE = 18003;
+const REPORT_VERSION_CONFLICT_ERROR_CODE = 18004;
+const REPORT_DELETED_ERROR_CODE = 18005;
+const REPORT_NOT_FOUND_ERROR_CODE = 18006;
 
 /**
  * Singleton instance
@@ -40,24 +54,37 @@ class ReportCRUD {
   generateRequestProcessorMap() {
     return {
       'Report': {
-        "emigateway.graphql.query.ReporterReportListing": { fn: instance.getReporterReportListing$, instance, jwtValidation: { roles: READ_ROLES, attributes: REQUIRED_ATTRIBUTES } },
-        "emigateway.graphql.query.ReporterReport": { fn: instance.getReport$, instance, jwtValidation: { roles: READ_ROLES, attributes: REQUIRED_ATTRIBUTES } },
-        "emigateway.graphql.mutation.ReporterCreateReport": { fn: instance.createReport$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: REQUIRED_ATTRIBUTES } },
-        "emigateway.graphql.mutation.ReporterUpdateReport": { fn: instance.updateReport$, jwtValidation: { roles: WRITE_ROLES, attributes: REQUIRED_ATTRIBUTES } },
-        "emigateway.graphql.mutation.ReporterDeleteReports": { fn: instance.deleteReports$, jwtValidation: { roles: WRITE_ROLES, attributes: REQUIRED_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterReportListing": { fn: instance.getReporterReportListing$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterReport": { fn: instance.getReport$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterRunReport": { fn: instance.runReport$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterReportRuns": { fn: instance.getReportRuns$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterReportHistory": { fn: instance.getReportHistory$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterReportFolders": { fn: instance.getReportFolders$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterCreateReport": { fn: instance.createReport$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterUpdateReport": { fn: instance.updateReport$, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterDeleteReports": { fn: instance.deleteReports$, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterRestoreDeletedReports": { fn: instance.restoreDeletedReports$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterPurgeReports": { fn: instance.purgeReports$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterRestoreReportVersion": { fn: instance.restoreReportVersion$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterShareReport": { fn: instance.shareReport$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterSetReportsActive": { fn: instance.setReportsActive$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterTagReports": { fn: instance.tagReports$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterMoveReports": { fn: instance.moveReports$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterDuplicateReports": { fn: instance.duplicateReports$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
       }
     }
   };
 
 
   /**  
-   * Gets the Report list
+   * Gets the Report list, limited to the reports shared with the user
    *
    * @param {*} args args
    */
   getReporterReportListing$({ args }, authToken) {
-    const { filterInput, paginationInput, sortInput } = args;
+    const { paginationInput, sortInput } = args;
     const { queryTotalResultCount = false } = paginationInput || {};
+    const filterInput = instance.buildAccessibleFilter(args.filterInput, authToken);
 
     return forkJoin(
       ReportDA.getReportList$(filterInput, paginationInput, sortInput).pipe(toArray()),
@@ -70,35 +97,125 @@ class ReportCRUD {
   }
 
   /**  
-   * Gets the get Report by id
+   * Gets the get Report by id, within the user organization
    *
    * @param {*} args args
    */
   getReport$({ args }, authToken) {
-    const { id, organizationId } = args;
-    return ReportDA.getReport$(id, organizationId).pipe(
+    const { id } = args;
+    return ReportDA.getReport$(id, authToken.organizationId).pipe(
+      mergeMap(report => ReportSharing.checkAccess$(report, authToken.preferred_username, ACCESS.VIEW, 'ReportCRUD.getReport$')),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+
+  }
+
+  /**
+   * Runs the report definition against the processed vehicles of the report's organization
+   *
+   * @param {*} args args
+   */
+  runReport$({ args }, authToken) {
+    const { id } = args;
+    return ReportDA.getReport$(id, authToken.organizationId).pipe(
+      mergeMap(report => ReportSharing.checkAccess$(report, authToken.preferred_username, ACCESS.VIEW, 'ReportCRUD.runReport$')),
+      mergeMap(report => {
+        if (!report.id) {
+          return throwError(new CustomError('ReportNotFound', 'ReportCRUD.runReport$', INVALID_REPORT_DEFINITION_ERROR_CODE, `Report ${id} not found`));
+        }
+        return ReportRunner.run$(report);
+      }),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Gets the stored runs of a report, latest first
+   *
+   * @param {*} args args
+   */
+  getReportRuns$({ args }, authToken) {
+    const { reportId, paginationInput } = args;
+    const { organizationId } = authToken;
+    const { queryTotalResultCount = false } = paginationInput || {};
+
+    return ReportDA.getReport$(reportId, organizationId).pipe(
+      mergeMap(report => ReportSharing.checkAccess$(report, authToken.preferred_username, ACCESS.VIEW, 'ReportCRUD.getReportRuns$')),
+      mergeMap(() => forkJoin(
+        ReportRunDA.getRunList$(reportId, organizationId, paginationInput).pipe(toArray()),
+        queryTotalResultCount ? ReportRunDA.getRunSize$(reportId, organizationId) : of(undefined),
+      )),
+      map(([listing, queryTotalResultCount]) => ({ listing, queryTotalResultCount })),
       mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
       catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
     );
+  }
 
+  /**
+   * Gets the versions of a report of the user organization replayed from its ReportModified events, latest first
+   *
+   * @param {*} args args
+   */
+  getReportHistory$({ args }, authToken) {
+    const { id } = args;
+    return instance.getReportVersions$(id, authToken.organizationId, authToken, ACCESS.VIEW, 'ReportCRUD.getReportHistory$').pipe(
+      map(versions => versions.reverse().map(({ state, ...version }) => version)),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
   }
 
 
   /**
-  * Create a Report
+   * Gets the folders holding the reports shared with the user, along with their ancestors
+   *
+   * @param {*} args args
+   */
+  getReportFolders$({ args }, authToken) {
+    return ReportDA.getFolders$(instance.buildAccessibleFilter({}, authToken)).pipe(
+      map(folders => [...new Set(folders.reduce((acc, folder) => {
+        const segments = folder.split('/').slice(1);
+        return acc.concat(segments.map((_, index) => `/${segments.slice(0, index + 1).join('/')}`));
+      }, []))].sort()),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Listing filter limited to the reports of the user organization shared with the user,
+   * the folder is normalized as the report folders are
+   * @param {*} filterInput
+   * @param {*} authToken
+   */
+  buildAccessibleFilter(filterInput, authToken) {
+    const accessibleFilter = { ...filterInput, organizationId: authToken.organizationId, accessibleBy: authToken.preferred_username };
+    if (accessibleFilter.folder !== undefined) {
+      accessibleFilter.folder = instance.normalizeFolder(accessibleFilter.folder);
+    }
+    return accessibleFilter;
+  }
+
+
+  /**
+  * Create a Report in the user organization, its creator becomes its owner
   */
   createReport$({ root, args, jwt }, authToken) {
     const aggregateId = uuidv4();
     const input = {
       active: false,
       ...args.input,
+      organizationId: authToken.organizationId,
     };
 
-    return ReportDA.createReport$(aggregateId, input, authToken.preferred_username).pipe(
+    return instance.validateInput$(input, 'ReportCRUD.createReport$').pipe(
+      mergeMap(validInput => ReportDA.createReport$(aggregateId, { ...validInput, sharing: ReportSharing.initialSharing(authToken.preferred_username) }, authToken.preferred_username)),
       mergeMap(aggregate => forkJoin(
         CqrsResponseHelper.buildSuccessResponse$(aggregate),
         eventSourcing.emitEvent$(instance.buildAggregateMofifiedEvent('CREATE', 'Report', aggregateId, authToken, aggregate), { autoAcknowledgeKey: process.env.MICROBACKEND_KEY }),
-        broker.send$(MATERIALIZED_VIEW_TOPIC, `ReporterReportModified`, aggregate)
+        instance.sendReportModified$(aggregate)
       )),
       map(([sucessResponse]) => sucessResponse),
       catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
@@ -106,16 +223,32 @@ class ReportCRUD {
   }
 
   /**
-   * updates an Report 
+   * updates an Report.
+   * When the expected version is given the update is rejected if the report was modified meanwhile.
+   * Only its owner and editors within the user organization modify a report, its organization and sharing are kept as they are.
+   * Reports in the trash bin are not modified until restored
    */
   updateReport$({ root, args, jwt }, authToken) {
-    const { id, input, merge } = args;
+    const { id, input, merge, expectedVersion } = args;
+    const { sharing: _, organizationId: __, ...properties } = input;
 
-    return (merge ? ReportDA.updateReport$ : ReportDA.replaceReport$)(id, input, authToken.preferred_username).pipe(
+    return ReportDA.getReportAccess$(id, authToken.organizationId).pipe(
+      mergeMap(report => ReportSharing.checkAccess$(report || {}, authToken.preferred_username, ACCESS.EDIT, 'ReportCRUD.updateReport$')),
+      mergeMap(report => report.deletedAt
+        ? throwError(new CustomError('ReportDeleted', 'ReportCRUD.updateReport$', REPORT_DELETED_ERROR_CODE, `Report ${id} is in the trash bin, restore it before modifying it`))
+        : of(report)
+      ),
+      mergeMap(() => instance.validateInput$(properties, 'ReportCRUD.updateReport$').pipe(
+        mergeMap(validInput => merge
+          ? ReportDA.updateReport$(id, validInput, authToken.preferred_username, expectedVersion)
+          : ReportDA.replaceReport$(id, validInput, authToken.preferred_username, expectedVersion)
+        )
+      )),
+      mergeMap(aggregate => aggregate ? of(aggregate) : instance.buildUpdateError$(id, expectedVersion)),
       mergeMap(aggregate => forkJoin(
         CqrsResponseHelper.buildSuccessResponse$(aggregate),
         eventSourcing.emitEvent$(instance.buildAggregateMofifiedEvent(merge ? 'UPDATE_MERGE' : 'UPDATE_REPLACE', 'Report', id, authToken, aggregate), { autoAcknowledgeKey: process.env.MICROBACKEND_KEY }),
-        broker.send$(MATERIALIZED_VIEW_TOPIC, `ReporterReportModified`, aggregate)
+        instance.sendReportModified$(aggregate)
       )),
       map(([sucessResponse]) => sucessResponse),
       catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
@@ -124,31 +257,380 @@ class ReportCRUD {
 
 
   /**
-   * deletes an Report
+   * Explains why an update did not modify the report: it does not exist or it is not on the expected version anymore
+   * @param {string} id Report ID
+   * @param {number} expectedVersion
+   * @returns {Observable} Observable with the error
+   */
+  buildUpdateError$(id, expectedVersion) {
+    return ReportDA.getReportVersion$(id).pipe(
+      mergeMap(version => throwError(version === null
+        ? new CustomError('ReportNotFound', 'ReportCRUD.updateReport$', REPORT_NOT_FOUND_ERROR_CODE, `Report ${id} not found`)
+        : new CustomError('ReportVersionConflict', 'ReportCRUD.updateReport$', REPORT_VERSION_CONFLICT_ERROR_CODE, `Report ${id} was modified by someone else meanwhile, it is on version ${version}`)
+      ))
+    );
+  }
+
+  /**
+   * Moves the reports owned by the user to the trash bin, they can be restored until purged
    */
   deleteReports$({ root, args, jwt }, authToken) {
     const { ids } = args;
-    return forkJoin(
-      ReportDA.deleteReports$(ids),
-      from(ids).pipe(
-        mergeMap(id => eventSourcing.emitEvent$(instance.buildAggregateMofifiedEvent('DELETE', 'Report', id, authToken, {}), { autoAcknowledgeKey: process.env.MICROBACKEND_KEY })),
-        toArray()
+    return instance.getOwnedReportIds$(ids, authToken).pipe(
+      mergeMap(id => ReportDA.softDeleteReport$(id, authToken.preferred_username)),
+      filter(report => report),
+      mergeMap(report => instance.notifyReportModified$('SOFT_DELETE', report, authToken)),
+      toArray(),
+      map(reports => instance.buildBulkResponse(ids, reports, "moved to the trash bin")),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Takes the reports owned by the user out of the trash bin
+   */
+  restoreDeletedReports$({ root, args, jwt }, authToken) {
+    const { ids } = args;
+    return instance.getOwnedReportIds$(ids, authToken).pipe(
+      mergeMap(id => ReportDA.restoreDeletedReport$(id, authToken.preferred_username)),
+      filter(report => report),
+      mergeMap(report => instance.notifyReportModified$('UNDELETE', report, authToken)),
+      toArray(),
+      map(reports => instance.buildBulkResponse(ids, reports, "restored from the trash bin")),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Permanently deletes the reports of the trash bin owned by the user along with their runs
+   */
+  purgeReports$({ root, args, jwt }, authToken) {
+    const { ids } = args;
+    return instance.getOwnedReportIds$(ids, authToken).pipe(
+      mergeMap(id => ReportDA.purgeReport$(id)),
+      filter(report => report),
+      mergeMap(report => ReportRunDA.deleteRuns$(report.id).pipe(
+        mergeMap(() => forkJoin(
+          eventSourcing.emitEvent$(instance.buildAggregateMofifiedEvent('DELETE', 'Report', report.id, authToken, {}), { autoAcknowledgeKey: process.env.MICROBACKEND_KEY }),
+          instance.sendReportModified$({ ...report, purged: true })
+        )),
+        map(() => report)
+      )),
+      toArray(),
+      map(reports => instance.buildBulkResponse(ids, reports, "permanently deleted")),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Activates or deactivates the reports the user edits
+   */
+  setReportsActive$({ root, args, jwt }, authToken) {
+    const { ids, active } = args;
+    return instance.applyBulkOperation$(ids, authToken, ACCESS.EDIT, 'ReportCRUD.setReportsActive$',
+      report => instance.mergeReport$(report, { active }, authToken)
+    ).pipe(
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Adds and removes tags of the reports the user edits
+   */
+  tagReports$({ root, args, jwt }, authToken) {
+    const { ids, addTags = [], removeTags = [] } = args;
+    const removedTags = (removeTags || []).map(tag => String(tag).trim());
+    return instance.applyBulkOperation$(ids, authToken, ACCESS.EDIT, 'ReportCRUD.tagReports$',
+      report => instance.validateInput$({ tags: [...(report.tags || []).filter(tag => !removedTags.includes(tag)), ...(addTags || [])] }, 'ReportCRUD.tagReports$').pipe(
+        mergeMap(validInput => instance.mergeReport$(report, validInput, authToken))
+      )
+    ).pipe(
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Moves the reports the user edits to a folder
+   */
+  moveReports$({ root, args, jwt }, authToken) {
+    const { ids, folder } = args;
+    return instance.applyBulkOperation$(ids, authToken, ACCESS.EDIT, 'ReportCRUD.moveReports$',
+      report => instance.validateInput$({ folder: folder || null }, 'ReportCRUD.moveReports$').pipe(
+        mergeMap(validInput => instance.mergeReport$(report, validInput, authToken))
       )
     ).pipe(
-      map(([ok, esResps]) => ({ code: ok ? 200 : 400, message: `Report with id:s ${JSON.stringify(ids)} ${ok ? "has been deleted" : "not found for deletion"}` })),
-      mergeMap((r) => forkJoin(
-        CqrsResponseHelper.buildSuccessResponse$(r),
-        broker.send$(MATERIALIZED_VIEW_TOPIC, `ReporterReportModified`, { id: 'deleted', name: '', active: false, description: '' })
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Copies the reports the user views into new inactive reports owned by the user, their runs and history are not copied
+   */
+  duplicateReports$({ root, args, jwt }, authToken) {
+    const { ids } = args;
+    return instance.applyBulkOperation$(ids, authToken, ACCESS.VIEW, 'ReportCRUD.duplicateReports$',
+      report => {
+        const aggregateId = uuidv4();
+        const copy = {
+          name: `${report.name} (copy)`,
+          description: report.description,
+          tags: report.tags,
+          folder: report.folder,
+          definition: report.definition,
+          schedule: report.schedule ? { cron: report.schedule.cron } : undefined,
+          organizationId: authToken.organizationId,
+        };
+        const input = Object.keys(copy)
+          .filter(property => copy[property] !== undefined && copy[property] !== null)
+          .reduce((acc, property) => ({ ...acc, [property]: copy[property] }), { active: false });
+        return instance.validateInput$(input, 'ReportCRUD.duplicateReports$').pipe(
+          mergeMap(validInput => ReportDA.createReport$(aggregateId, { ...validInput, sharing: ReportSharing.initialSharing(authToken.preferred_username) }, authToken.preferred_username)),
+          mergeMap(aggregate => instance.notifyReportModified$('CREATE', aggregate, authToken))
+        );
+      }
+    ).pipe(
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Applies an operation to every report of the user organization, one at a time.
+   * A report failing does not stop the rest, its error is listed on the result instead
+   * @param {string[]} ids Report IDs
+   * @param {*} authToken
+   * @param {number} requiredAccess ACCESS level the user needs over every report
+   * @param {string} method handler name used on the not found and permission errors
+   * @param {Function} operation$ (report) => Observable with the resulting report
+   * @returns {Observable} Observable with { succeeded, failed, results: [{ id, success, error, report }] } in the ids order
+   */
+  applyBulkOperation$(ids, authToken, requiredAccess, method, operation$) {
+    return from([...new Set(ids)]).pipe(
+      concatMap(id => ReportDA.getReport$(id, authToken.organizationId).pipe(
+        mergeMap(report => report.id
+          ? ReportSharing.checkAccess$(report, authToken.preferred_username, requiredAccess, method)
+          : throwError(new CustomError('ReportNotFound', method, REPORT_NOT_FOUND_ERROR_CODE, `Report ${id} not found`))
+        ),
+        mergeMap(report => operation$(report)),
+        map(report => ({ id, success: true, error: null, report })),
+        catchError(err => err.name === 'MongoTimeoutError'
+          ? throwError(err)
+          : of({ id, success: false, error: err.message || err.name, report: null })
+        )
       )),
-      map(([cqrsResponse, brokerRes]) => cqrsResponse),
+      toArray(),
+      map(results => ({
+        succeeded: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success).length,
+        results
+      }))
+    );
+  }
+
+  /**
+   * Merges properties into a report as long as it is still on the version it was read on, then notifies the modification
+   * @param {*} report report as read
+   * @param {*} properties validated properties to merge
+   * @param {*} authToken
+   * @returns {Observable} Observable with the modified report, version conflict error if it was modified meanwhile
+   */
+  mergeReport$(report, properties, authToken) {
+    const expectedVersion = report.version || 0;
+    return ReportDA.updateReport$(report.id, properties, authToken.preferred_username, expectedVersion).pipe(
+      mergeMap(aggregate => aggregate ? of(aggregate) : instance.buildUpdateError$(report.id, expectedVersion)),
+      mergeMap(aggregate => instance.notifyReportModified$('UPDATE_MERGE', aggregate, authToken))
+    );
+  }
+
+  /**
+   * Keeps the ids of the reports of the user organization owned by the user, deleted or not
+   * @param {string[]} ids Report IDs
+   * @param {*} authToken
+   * @returns {Observable} Observable emitting every owned id
+   */
+  getOwnedReportIds$(ids, authToken) {
+    return from(ids).pipe(
+      mergeMap(id => ReportDA.getReportAccess$(id, authToken.organizationId)),
+      filter(report => report && ReportSharing.accessOf(report, authToken.preferred_username) === ACCESS.OWN),
+      map(report => report.id)
+    );
+  }
+
+  /**
+   * Notifies the new state of a report to the gateway and to the webhooks subscribed to ReporterReportModified
+   * @param {*} report modified report
+   * @returns {Observable}
+   */
+  sendReportModified$(report) {
+    return forkJoin(
+      broker.send$(MATERIALIZED_VIEW_TOPIC, `ReporterReportModified`, report),
+      WebhookDispatcher.publish$('ReporterReportModified', report.organizationId, report)
+    );
+  }
+
+  /**
+   * Emits the ReportModified event of a report and notifies its new state to the gateway
+   * @param {string} modType
+   * @param {*} report modified report
+   * @param {*} authToken
+   * @returns {Observable} Observable with the report
+   */
+  notifyReportModified$(modType, report, authToken) {
+    return forkJoin(
+      eventSourcing.emitEvent$(instance.buildAggregateMofifiedEvent(modType, 'Report', report.id, authToken, report), { autoAcknowledgeKey: process.env.MICROBACKEND_KEY }),
+      instance.sendReportModified$(report)
+    ).pipe(
+      map(() => report)
+    );
+  }
+
+  /**
+   * CommandResponse of an operation applied to several reports
+   * @param {string[]} ids requested ids
+   * @param {*[]} reports reports the operation was applied to
+   * @param {string} action what happened to the reports
+   */
+  buildBulkResponse(ids, reports, action) {
+    const appliedIds = reports.map(report => report.id);
+    const skippedIds = ids.filter(id => !appliedIds.includes(id));
+    return {
+      code: appliedIds.length > 0 ? 200 : 400,
+      message: `Report with id:s ${JSON.stringify(appliedIds)} ${appliedIds.length > 0 ? `has been ${action}` : "not found or not owned"}`
+        + (skippedIds.length > 0 && appliedIds.length > 0 ? `, ${JSON.stringify(skippedIds)} not found or not owned` : "")
+    };
+  }
+
+  /**
+   * Restores the name, description, active flag, tags, folder, definition and schedule of a previous version of a report of the user organization
+   */
+  restoreReportVersion$({ root, args, jwt }, authToken) {
+    const { id, version } = args;
+
+    return instance.getReportVersions$(id, authToken.organizationId, authToken, ACCESS.EDIT, 'ReportCRUD.restoreReportVersion$').pipe(
+      mergeMap(versions => {
+        const restoredVersion = versions.find(v => v.version === version);
+        if (!restoredVersion || !restoredVersion.state) {
+          return throwError(new CustomError('ReportVersionNotFound', 'ReportCRUD.restoreReportVersion$', REPORT_VERSION_NOT_FOUND_ERROR_CODE, `Version ${version} of report ${id} not found`));
+        }
+        const { organizationId: _, ...properties } = restoredVersion.state;
+        return instance.validateInput$(properties, 'ReportCRUD.restoreReportVersion$');
+      }),
+      mergeMap(validInput => ReportDA.restoreReport$(id, authToken.organizationId, validInput, ReportHistory.RESTORABLE_PROPERTIES, authToken.preferred_username)),
+      mergeMap(aggregate => aggregate
+        ? of(aggregate)
+        : throwError(new CustomError('ReportNotFound', 'ReportCRUD.restoreReportVersion$', REPORT_NOT_FOUND_ERROR_CODE, `Report ${id} not found`))
+      ),
+      mergeMap(aggregate => forkJoin(
+        CqrsResponseHelper.buildSuccessResponse$(aggregate),
+        eventSourcing.emitEvent$(instance.buildAggregateMofifiedEvent('RESTORE', 'Report', id, authToken, { ...aggregate, restoredVersion: version }), { autoAcknowledgeKey: process.env.MICROBACKEND_KEY }),
+        instance.sendReportModified$(aggregate)
+      )),
+      map(([sucessResponse]) => sucessResponse),
       catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
     );
   }
 
 
+  /**
+   * Shares a report of the user organization with viewers and editors or transfers its ownership, only its owner shares it
+   */
+  shareReport$({ root, args, jwt }, authToken) {
+    const { id, sharing } = args;
+
+    return ReportDA.getReport$(id, authToken.organizationId).pipe(
+      mergeMap(report => report.id
+        ? ReportSharing.checkAccess$(report, authToken.preferred_username, ACCESS.OWN, 'ReportCRUD.shareReport$')
+        : throwError(new CustomError('ReportNotFound', 'ReportCRUD.shareReport$', REPORT_NOT_FOUND_ERROR_CODE, `Report ${id} not found`))
+      ),
+      mergeMap(report => ReportDA.shareReport$(
+        id,
+        authToken.organizationId,
+        ReportSharing.normalize(sharing, (report.sharing && report.sharing.owner) || authToken.preferred_username),
+        authToken.preferred_username
+      )),
+      mergeMap(aggregate => instance.notifyReportModified$('SHARE', aggregate, authToken)),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+
+  /**
+   * Reads the event store of a report of the given organization and replays its versions
+   * @param {string} id Report ID
+   * @param {string} organizationId
+   * @param {*} authToken
+   * @param {number} requiredAccess ACCESS level the user needs over the report
+   * @param {string} method handler name used on the not found and permission errors
+   * @returns {Observable} Observable with the report versions, oldest first
+   */
+  getReportVersions$(id, organizationId, authToken, requiredAccess, method) {
+    return ReportDA.getReport$(id, organizationId).pipe(
+      mergeMap(report => ReportSharing.checkAccess$(report, authToken.preferred_username, requiredAccess, method)),
+      mergeMap(report => report.id
+        ? eventSourcing.retrieveEvents$('Report', id).pipe(toArray())
+        : throwError(new CustomError('ReportNotFound', method, REPORT_NOT_FOUND_ERROR_CODE, `Report ${id} not found`))
+      ),
+      map(events => ReportHistory.buildVersions(events.filter(event => event.et === 'ReportModified')))
+    );
+  }
+
+  /**
+   * Normalizes and validates the tags, folder, definition and schedule of a report input, absent properties are left as they are.
+   * The schedule next run time is calculated here so the scheduler only looks for due reports
+   * @param {*} input report input
+   * @param {string} method handler name used on the validation error
+   * @returns {Observable} Observable with the input holding the normalized definition and schedule
+   */
+  validateInput$(input, method) {
+    const validInput = { ...input };
+    if (input.tags) {
+      validInput.tags = [...new Set(input.tags.map(tag => String(tag).trim()).filter(tag => tag.length > 0))];
+    }
+    if (input.folder !== undefined) {
+      validInput.folder = instance.normalizeFolder(input.folder);
+    }
+    if (input.definition) {
+      const definition = ReportDefinition.normalize(input.definition);
+      const errors = ReportDefinition.validate(definition);
+      if (errors.length > 0) {
+        return throwError(new CustomError('InvalidReportDefinition', method, INVALID_REPORT_DEFINITION_ERROR_CODE, errors.join('; ')));
+      }
+      validInput.definition = definition;
+    }
+    if (input.schedule) {
+      const errors = CronExpression.validate(input.schedule.cron);
+      const nextRunAt = errors.length === 0 ? CronExpression.next(input.schedule.cron) : null;
+      if (errors.length === 0 && nextRunAt === null) {
+        errors.push('cron expression never matches');
+      }
+      if (errors.length > 0) {
+        return throwError(new CustomError('InvalidReportSchedule', method, INVALID_REPORT_SCHEDULE_ERROR_CODE, errors.join('; ')));
+      }
+      validInput.schedule = { cron: input.schedule.cron.trim(), nextRunAt };
+    }
+    return of(validInput);
+  }
+
+  /**
+   * Normalizes a folder path as /segment/segment, blank segments are dropped
+   * @param {string} folder eg: 'Sales / Europe/'
+   * @returns {string} eg: '/Sales/Europe', null for the root folder
+   */
+  normalizeFolder(folder) {
+    const segments = String(folder || '').split('/').map(segment => segment.trim()).filter(segment => segment.length > 0);
+    return segments.length > 0 ? `/${segments.join('/')}` : null;
+  }
+
   /**
    * Generate an Modified event 
-   * @param {string} modType 'CREATE' | 'UPDATE' | 'DELETE'
+   * @param {string} modType 'CREATE' | 'UPDATE_MERGE' | 'UPDATE_REPLACE' | 'RESTORE' | 'SHARE' | 'SOFT_DELETE' | 'UNDELETE' | 'DELETE'
    * @param {*} aggregateType 
    * @param {*} aggregateId 
    * @param {*} authToken 
@@ -0,0 +1,239 @@
+'use strict'
+
+/**
+ * Describes what a report computes over the processed vehicles of its organization:
+ *  - dimensions: vehicle attributes or processing time buckets the rows are grouped by
+ *  - metrics: aggregations computed per row, eg: { field: 'hp', aggregation: 'AVG' }
+ *  - filters: conditions every vehicle must meet, eg: { field: 'type', operator: 'IN', values: ['SUV', 'Van'] }
+ *  - timeRange: processing time window, absolute ({ from, to }) or relative to the run time ({ lastMinutes })
+ * A definition is validated before being stored and translated into a Mongo aggregation pipeline when the report runs
+ */
+
+const STRING = 'STRING';
+const NUMBER = 'NUMBER';
+
+/**
+ * Vehicle fields available to reports, mapped to the processed vehicles ledger
+ */
+const FIELDS = {
+  type: { path: 'attributes.type', kind: STRING },
+  powerSource: { path: 'attributes.powerSource', kind: STRING },
+  decade: { path: 'attributes.decade', kind: STRING },
+  speedClass: { path: 'attributes.speedClass', kind: STRING },
+  hp: { path: 'attributes.hp', kind: NUMBER },
+  topSpeed: { path: 'attributes.topSpeed', kind: NUMBER },
+  year: { path: 'attributes.year', kind: NUMBER },
+};
+
+/**
+ * Processing time dimensions, rows are grouped by the bucket start timestamp
+ */
+const TIME_DIMENSIONS = {
+  processedMinute: 60 * 1000,
+  processedHour: 60 * 60 * 1000,
+  processedDay: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Pseudo field counted by the COUNT aggregation, the number of vehicles of the row
+ */
+const VEHICLES = 'vehicles';
+
+const AGGREGATIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+const OPERATORS = ['EQ', 'NE', 'GT', 'GTE', 'LT', 'LTE', 'IN', 'NIN'];
+const SINGLE_VALUE_OPERATORS = ['EQ', 'NE', 'GT', 'GTE', 'LT', 'LTE'];
+const COLUMN_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = parseInt(process.env.REPORT_MAX_ROWS || '10000');
+
+const DIMENSIONS = [...Object.keys(FIELDS), ...Object.keys(TIME_DIMENSIONS)];
+const METRIC_FIELDS = [VEHICLES, ...Object.keys(FIELDS).filter(field => FIELDS[field].kind === NUMBER)];
+
+/**
+ * Name of the column of a metric
+ * @param {Object} metric { name, field, aggregation }
+ * @returns {string} given name or <aggregation>_<field>, eg: avg_hp
+ */
+const metricColumnName = ({ name, field, aggregation }) => name || `${String(aggregation).toLowerCase()}_${field}`;
+
+/**
+ * Normalizes a definition as received from the API, dropping unknown properties
+ * @param {Object} definition
+ * @returns {Object} { dimensions, metrics, filters, timeRange, sortBy, sortAsc, limit }
+ */
+const normalize = (definition = {}) => {
+  const { dimensions, metrics, filters, timeRange, sortBy, sortAsc, limit } = definition || {};
+  return {
+    dimensions: dimensions || [],
+    metrics: (metrics || []).map(({ name, field, aggregation }) => ({ name: name || null, field, aggregation })),
+    filters: (filters || []).map(({ field, operator, values }) => ({ field, operator, values: values || [] })),
+    timeRange: timeRange
+      ? { from: timeRange.from || null, to: timeRange.to || null, lastMinutes: timeRange.lastMinutes || null }
+      : null,
+    sortBy: sortBy || null,
+    sortAsc: sortAsc !== false,
+    limit: limit || DEFAULT_LIMIT,
+  };
+};
+
+/**
+ * Validates a normalized definition
+ * @param {Object} definition
+ * @returns {string[]} validation errors, empty if the definition is valid
+ */
+const validate = ({ dimensions, metrics, filters, timeRange, sortBy, limit }) => {
+  const errors = [];
+  if (metrics.length === 0) errors.push('at least one metric is required');
+  dimensions.forEach(dimension => {
+    if (!DIMENSIONS.includes(dimension)) errors.push(`dimension ${dimension} must be one of ${DIMENSIONS.join(', ')}`);
+  });
+  if (new Set(dimensions).size !== dimensions.length) errors.push('dimensions must be unique');
+  metrics.forEach((metric, index) => {
+    if (!METRIC_FIELDS.includes(metric.field)) errors.push(`metric #${index + 1} field must be one of ${METRIC_FIELDS.join(', ')}`);
+    if (!AGGREGATIONS.includes(metric.aggregation)) errors.push(`metric #${index + 1} aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+    if (metric.field === VEHICLES && metric.aggregation !== 'COUNT') errors.push(`metric #${index + 1} ${VEHICLES} can only be counted`);
+    if (metric.name && !COLUMN_NAME_REGEX.test(metric.name)) errors.push(`metric #${index + 1} name must start with a letter and contain only letters, digits or _`);
+  });
+  const columns = [...dimensions, ...metrics.map(metricColumnName)];
+  if (new Set(columns).size !== columns.length) errors.push('column names must be unique');
+  filters.forEach((filter, index) => {
+    const field = FIELDS[filter.field];
+    if (!field) errors.push(`filter #${index + 1} field must be one of ${Object.keys(FIELDS).join(', ')}`);
+    if (!OPERATORS.includes(filter.operator)) errors.push(`filter #${index + 1} operator must be one of ${OPERATORS.join(', ')}`);
+    if (filter.values.length === 0) errors.push(`filter #${index + 1} requires at least one value`);
+    if (SINGLE_VALUE_OPERATORS.includes(filter.operator) && filter.values.length > 1) errors.push(`filter #${index + 1} operator ${filter.operator} takes a single value`);
+    if (field && field.kind === NUMBER && filter.values.some(value => isNaN(Number(value)))) errors.push(`filter #${index + 1} values must be numbers`);
+  });
+  if (timeRange) {
+    if (timeRange.lastMinutes && (timeRange.from || timeRange.to)) errors.push('time range is either absolute (from, to) or relative (lastMinutes)');
+    if (timeRange.lastMinutes !== null && !(timeRange.lastMinutes > 0)) errors.push('time range lastMinutes must be greater than zero');
+    if (timeRange.from && timeRange.to && timeRange.from > timeRange.to) errors.push('time range from must be lower or equal than to');
+  }
+  if (sortBy && !columns.includes(sortBy)) errors.push(`sortBy must be one of the report columns: ${columns.join(', ')}`);
+  if (!(limit > 0 && limit <= MAX_LIMIT)) errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  return errors;
+};
+
+/**
+ * Report columns, dimensions first
+ * @param {Object} definition normalized definition
+ * @returns {Array} [{ name, kind, role }]
+ */
+const columns = ({ dimensions, metrics }) => [
+  ...dimensions.map(dimension => ({ name: dimension, kind: TIME_DIMENSIONS[dimension] ? NUMBER : FIELDS[dimension].kind, role: 'DIMENSION' })),
+  ...metrics.map(metric => ({ name: metricColumnName(metric), kind: NUMBER, role: 'METRIC' })),
+];
+
+/**
+ * Resolves the processing time window of a run
+ * @param {Object} timeRange { from, to, lastMinutes }
+ * @param {number} now run timestamp
+ * @returns {Object} { from, to }, null boundaries are open
+ */
+const resolveTimeRange = (timeRange, now) => {
+  if (!timeRange) return { from: null, to: null };
+  if (timeRange.lastMinutes) return { from: now - timeRange.lastMinutes * 60 * 1000, to: now };
+  return { from: timeRange.from, to: timeRange.to };
+};
+
+/**
+ * Mongo condition of a filter
+ * @param {Object} filter { field, operator, values }
+ */
+const filterCondition = ({ field, operator, values }) => {
+  const typedValues = FIELDS[field].kind === NUMBER ? values.map(Number) : values;
+  switch (operator) {
+    case 'IN': return { $in: typedValues };
+    case 'NIN': return { $nin: typedValues };
+    case 'EQ': return { $eq: typedValues[0] };
+    default: return { [`$${operator.toLowerCase()}`]: typedValues[0] };
+  }
+};
+
+/**
+ * Aggregation expression of a dimension
+ * @param {string} dimension
+ */
+const dimensionExpression = (dimension) => {
+  const bucketSize = TIME_DIMENSIONS[dimension];
+  return bucketSize
+    ? { $subtract: ['$processedAt', { $mod: ['$processedAt', bucketSize] }] }
+    : `$${FIELDS[dimension].path}`;
+};
+
+/**
+ * Aggregation accumulator of a metric
+ * @param {Object} metric { field, aggregation }
+ */
+const metricAccumulator = ({ field, aggregation }) => {
+  if (field === VEHICLES) return { $sum: 1 };
+  const path = `$${FIELDS[field].path}`;
+  if (aggregation === 'COUNT') return { $sum: { $cond: [{ $eq: [{ $ifNull: [path, null] }, null] }, 0, 1] } };
+  return { [`$${aggregation.toLowerCase()}`]: path };
+};
+
+/**
+ * Builds the aggregation pipeline of a run over the processed vehicles ledger.
+ * One extra row is requested to detect when the result was truncated by the limit
+ * @param {Object} definition normalized and valid definition
+ * @param {string} organizationId report's organization, the only one whose vehicles are read
+ * @param {number} now run timestamp
+ * @returns {Array} aggregation pipeline
+ */
+const buildPipeline = (definition, organizationId, now) => {
+  const { dimensions, metrics, filters, timeRange, sortBy, sortAsc, limit } = definition;
+  const match = { organizationId, status: 'APPLIED', attributes: { $exists: true } };
+  const { from, to } = resolveTimeRange(timeRange, now);
+  if (from || to) {
+    match.processedAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  }
+  filters.forEach(filter => {
+    const path = FIELDS[filter.field].path;
+    match[path] = { ...(match[path] || {}), ...filterCondition(filter) };
+  });
+
+  const group = {
+    _id: dimensions.reduce((acc, dimension) => ({ ...acc, [dimension]: dimensionExpression(dimension) }), {}),
+    ...metrics.reduce((acc, metric) => ({ ...acc, [metricColumnName(metric)]: metricAccumulator(metric) }), {}),
+  };
+  if (dimensions.length === 0) group._id = null;
+
+  const sort = sortBy
+    ? { [dimensions.includes(sortBy) ? `_id.${sortBy}` : sortBy]: sortAsc ? 1 : -1 }
+    : dimensions.reduce((acc, dimension) => ({ ...acc, [`_id.${dimension}`]: 1 }), {});
+
+  return [
+    { $match: match },
+    { $group: group },
+    ...(Object.keys(sort).length > 0 ? [{ $sort: sort }] : []),
+    { $limit: limit + 1 },
+  ];
+};
+
+/**
+ * Maps the aggregation output to the tabular report result
+ * @param {Object} definition normalized definition
+ * @param {Array} groups aggregation output
+ * @returns {Object} { columns, rows, truncated }, every row holds one value per column
+ */
+const formatResult = (definition, groups) => {
+  const reportColumns = columns(definition);
+  const rows = groups.slice(0, definition.limit).map(group => reportColumns.map(({ name, role }) => {
+    const value = role === 'DIMENSION' ? (group._id || {})[name] : group[name];
+    return value === undefined ? null : value;
+  }));
+  return { columns: reportColumns, rows, truncated: groups.length > definition.limit };
+};
+
+module.exports = {
+  DIMENSIONS,
+  METRIC_FIELDS,
+  AGGREGATIONS,
+  OPERATORS,
+  normalize,
+  validate,
+  columns,
+  resolveTimeRange,
+  buildPipeline,
+  formatResult,
+};
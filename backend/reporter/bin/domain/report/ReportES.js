@@ -40,7 +40,7 @@ class ReportES {
     handleReportModified$({ etv, aid, av, data, user, timestamp }) {
         const aggregateDataMapper = [
             /*etv=0 mapper*/ () => { throw new Error('etv 0 is not an option') },
-            /*etv=1 mapper*/ (eventData) => { return { ...eventData, modType: undefined }; }
+            /*etv=1 mapper*/ (eventData) => { return { ...eventData, modType: undefined, restoredVersion: undefined }; }
         ];
         delete aggregateDataMapper.modType;
         const aggregateData = aggregateDataMapper[etv](data);
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * Report properties restored from a previous version, any other property is bookkeeping
+ */
+const RESTORABLE_PROPERTIES = ['name', 'description', 'active', 'tags', 'folder', 'definition', 'schedule'];
+
+/**
+ * Paths left out of the changes, they change on every modification or are recalculated
+ */
+const IGNORED_PATHS = ['schedule.nextRunAt'];
+
+/**
+ * Report state after a ReportModified event.
+ * UPDATE_MERGE events carry the modified properties, any other event carries the whole report
+ * @param {Object} previous state before the event, null if there is none
+ * @param {Object} event ReportModified event
+ * @returns {Object} state holding the restorable properties plus the organizationId, null once deleted
+ */
+const applyEvent = (previous, { data = {} }) => {
+  if (data.modType === 'DELETE') return null;
+  const source = data.modType === 'UPDATE_MERGE' ? { ...(previous || {}), ...data } : data;
+  return [...RESTORABLE_PROPERTIES, 'organizationId'].reduce((state, property) => {
+    if (source[property] !== undefined && source[property] !== null) state[property] = source[property];
+    return state;
+  }, {});
+};
+
+/**
+ * Flattens an state into path VS JSON value, arrays are compared as a whole
+ * @param {Object} state
+ * @param {string} prefix
+ * @returns {Object}
+ */
+const flatten = (state, prefix = '') => Object.keys(state || {}).reduce((acc, key) => {
+  const path = `${prefix}${key}`;
+  const value = state[key];
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    Object.assign(acc, flatten(value, `${path}.`));
+  } else if (value !== undefined && value !== null && !IGNORED_PATHS.includes(path)) {
+    acc[path] = JSON.stringify(value);
+  }
+  return acc;
+}, {});
+
+/**
+ * Differences between two report states
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array} [{ path, before, after }] with JSON values, null when the path is absent
+ */
+const diff = (before, after) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  return [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])]
+    .sort()
+    .filter(path => flatBefore[path] !== flatAfter[path])
+    .map(path => ({ path, before: flatBefore[path] || null, after: flatAfter[path] || null }));
+};
+
+/**
+ * Replays the ReportModified events of a report into its versions
+ * @param {Array} events ReportModified events of the aggregate
+ * @returns {Array} [{ version, modType, user, timestamp, restoredVersion, state, changes }] oldest first
+ */
+const buildVersions = (events) => {
+  let state = null;
+  return [...events]
+    .sort((a, b) => a.av - b.av)
+    .map(event => {
+      const previous = state;
+      state = applyEvent(previous, event);
+      return {
+        version: event.av,
+        modType: event.data.modType,
+        user: event.user,
+        timestamp: event.timestamp,
+        restoredVersion: event.data.restoredVersion || null,
+        state,
+        changes: diff(previous, state),
+      };
+    });
+};
+
+module.exports = {
+  RESTORABLE_PROPERTIES,
+  applyEvent,
+  diff,
+  buildVersions,
+};
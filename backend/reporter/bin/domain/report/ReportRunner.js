@@ -0,0 +1,69 @@
+"use strict";
+
+const { of, throwError } = require("rxjs");
+const { map, mergeMap } = require('rxjs/operators');
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { CustomError } = require("@nebulae/backend-node-tools").error;
+
+const ReportDefinition = require("./ReportDefinition");
+const ReportSourceDA = require("./data-access/ReportSourceDA");
+
+const INVALID_REPORT_DEFINITION_ERROR_CODE = 18001;
+
+/**
+ * Singleton instance
+ * @type { ReportRunner }
+ */
+let instance;
+
+/**
+ * Executes report definitions against the processed vehicles of the report's organization
+ */
+class ReportRunner {
+  constructor() {
+  }
+
+  /**
+   * Runs a report
+   * @param {*} report stored report, its definition and organizationId are used
+   * @param {number} now run timestamp, relative time ranges are resolved against it
+   * @returns {Observable} Observable with { reportId, organizationId, columns, rows, truncated, from, to, generatedAt, durationMs }
+   */
+  run$(report, now = Date.now()) {
+    if (!report.definition) {
+      return throwError(new CustomError('ReportWithoutDefinition', 'ReportRunner.run$', INVALID_REPORT_DEFINITION_ERROR_CODE, `Report ${report.id} has no definition`));
+    }
+    const definition = ReportDefinition.normalize(report.definition);
+    const errors = ReportDefinition.validate(definition);
+    if (errors.length > 0) {
+      return throwError(new CustomError('InvalidReportDefinition', 'ReportRunner.run$', INVALID_REPORT_DEFINITION_ERROR_CODE, errors.join('; ')));
+    }
+    const pipeline = ReportDefinition.buildPipeline(definition, report.organizationId, now);
+    const { from, to } = ReportDefinition.resolveTimeRange(definition.timeRange, now);
+    const startedAt = Date.now();
+    return of(pipeline).pipe(
+      mergeMap(() => ReportSourceDA.aggregateVehicles$(pipeline)),
+      map(groups => ({
+        reportId: report.id,
+        organizationId: report.organizationId,
+        ...ReportDefinition.formatResult(definition, groups),
+        from,
+        to,
+        generatedAt: now,
+        durationMs: Date.now() - startedAt,
+      }))
+    );
+  }
+}
+
+/**
+ * @returns {ReportRunner}
+ */
+module.exports = () => {
+  if (!instance) {
+    instance = new ReportRunner();
+    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+  }
+  return instance;
+};
+module.exports.INVALID_REPORT_DEFINITION_ERROR_CODE = INVALID_REPORT_DEFINITION_ERROR_CODE;
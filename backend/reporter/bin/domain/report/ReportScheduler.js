@@ -0,0 +1,150 @@
+"use strict";
+
+const uuidv4 = require("uuid/v4");
+const { of, empty, forkJoin, interval, defer, Observable } = require("rxjs");
+const { map, mergeMap, concatMap, exhaustMap, catchError, toArray } = require('rxjs/operators');
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { brokerFactory } = require("@nebulae/backend-node-tools").broker;
+
+const { CronExpression } = require("../../tools/cron");
+const ReportDA = require("./data-access/ReportDA");
+const ReportRunDA = require("./data-access/ReportRunDA");
+const VehicleStatsDA = require("../vehicle-stats/data-access/VehicleStatsDA");
+const ReportRunner = require("./ReportRunner")();
+
+const MATERIALIZED_VIEW_TOPIC = "emi-gateway-materialized-view-updates";
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS || '60000');
+const SCHEDULER_BATCH_SIZE = parseInt(process.env.REPORT_SCHEDULER_BATCH_SIZE || '50');
+
+/**
+ * Singleton instance
+ * @type { ReportScheduler }
+ */
+let instance;
+
+/**
+ * Runs the scheduled reports when due, storing an immutable snapshot of the organization fleet statistics
+ * (plus the report definition result, if any) in the report runs collection
+ */
+class ReportScheduler {
+  constructor() {
+    this.broker = brokerFactory();
+  }
+
+  /**
+   * Starts checking the due reports every REPORT_SCHEDULER_INTERVAL_MS
+   * @returns {Observable}
+   */
+  start$() {
+    return Observable.create(observer => {
+      this.subscription = interval(SCHEDULER_INTERVAL_MS).pipe(
+        exhaustMap(() => this.runDueReports$().pipe(
+          catchError(error => {
+            ConsoleLogger.e('ReportScheduler: Error running the due reports', error);
+            return empty();
+          })
+        ))
+      ).subscribe(
+        runs => runs.length > 0 && ConsoleLogger.i(`ReportScheduler: ${runs.length} scheduled reports ran`),
+        error => ConsoleLogger.e('ReportScheduler: scheduler stopped', error)
+      );
+      observer.next(`ReportScheduler started, checking due reports every ${SCHEDULER_INTERVAL_MS}ms`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Stops checking the due reports
+   * @returns {Observable}
+   */
+  stop$() {
+    return Observable.create(observer => {
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+      }
+      observer.next('ReportScheduler stopped');
+      observer.complete();
+    });
+  }
+
+  /**
+   * Runs every report due at the given time, one at a time
+   * @param {number} now timestamp (epoch millis)
+   * @returns {Observable} Observable with the array of stored runs
+   */
+  runDueReports$(now = Date.now()) {
+    return ReportDA.getDueReports$(now, SCHEDULER_BATCH_SIZE).pipe(
+      concatMap(report => this.runScheduledReport$(report, now).pipe(
+        catchError(error => {
+          ConsoleLogger.e(`ReportScheduler: Error running scheduled report ${report.id}`, error);
+          return empty();
+        })
+      )),
+      toArray()
+    );
+  }
+
+  /**
+   * Claims the due run of a report and executes it, a run already claimed by other instance is skipped
+   * @param {*} report due report
+   * @param {number} now timestamp (epoch millis)
+   */
+  runScheduledReport$(report, now) {
+    const scheduledAt = report.schedule.nextRunAt;
+    return defer(() => of(CronExpression.next(report.schedule.cron, now))).pipe(
+      catchError(error => {
+        // an invalid expression stored before the validation existed disables the schedule
+        ConsoleLogger.e(`ReportScheduler: Invalid schedule of report ${report.id}: ${error.message}`);
+        return of(null);
+      }),
+      mergeMap(nextRunAt => ReportDA.claimScheduledRun$(report.id, scheduledAt, nextRunAt)),
+      mergeMap(claimedReport => claimedReport
+        ? this.executeRun$(claimedReport, { trigger: 'SCHEDULE', scheduledAt })
+        : empty()
+      )
+    );
+  }
+
+  /**
+   * Captures the report snapshot, stores it and notifies the completed run.
+   * A failed capture is stored as a FAILED run
+   * @param {*} report
+   * @param {{ trigger: string, scheduledAt: number }} ops what triggered the run
+   * @returns {Observable} Observable with the stored run
+   */
+  executeRun$(report, { trigger, scheduledAt = null }) {
+    const startedAt = Date.now();
+    const run = {
+      _id: uuidv4(),
+      reportId: report.id,
+      organizationId: report.organizationId,
+      reportName: report.name,
+      trigger,
+      scheduledAt,
+      startedAt,
+    };
+    return forkJoin(
+      VehicleStatsDA.getFleetStatistics$(report.organizationId),
+      report.definition ? ReportRunner.run$(report, startedAt) : of(null)
+    ).pipe(
+      map(([fleetStatistics, result]) => ({ ...run, status: 'COMPLETED', fleetStatistics, result, error: null, completedAt: Date.now() })),
+      catchError(error => of({ ...run, status: 'FAILED', fleetStatistics: null, result: null, error: error.message, completedAt: Date.now() })),
+      mergeMap(completedRun => ReportRunDA.insertRun$(completedRun)),
+      // the report sharing travels along so the gateway only notifies the users the report is shared with
+      mergeMap(storedRun => this.broker.send$(MATERIALIZED_VIEW_TOPIC, 'ReporterReportRunCompleted', { ...storedRun, sharing: report.sharing || null }).pipe(
+        map(() => storedRun)
+      ))
+    );
+  }
+}
+
+/**
+ * @returns {ReportScheduler}
+ */
+module.exports = () => {
+  if (!instance) {
+    instance = new ReportScheduler();
+    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+  }
+  return instance;
+};
@@ -0,0 +1,100 @@
+"use strict";
+
+const { of, throwError } = require("rxjs");
+const { CustomError, PERMISSION_DENIED } = require("@nebulae/backend-node-tools").error;
+
+/**
+ * Access levels of a user over a report, on top of the REPORT_READ/REPORT_WRITE roles
+ */
+const ACCESS = {
+  NONE: 0,
+  // reads the report, its results, runs and history
+  VIEW: 1,
+  // modifies the report content
+  EDIT: 2,
+  // shares, deletes, restores and purges the report
+  OWN: 3,
+};
+
+/**
+ * What every access level allows, used on the permission errors
+ */
+const ACTIONS = {
+  [ACCESS.VIEW]: 'view',
+  [ACCESS.EDIT]: 'edit',
+  [ACCESS.OWN]: 'share, delete or purge',
+};
+
+/**
+ * Sharing of a new report, only its creator has access
+ * @param {string} owner creator username
+ */
+const initialSharing = (owner) => ({ owner, viewers: [], editors: [] });
+
+/**
+ * Access of a user over a report.
+ * Reports created before the sharing existed get their creator as owner when getting ready,
+ * the ones left without owner stay editable by every user of the organization but nobody shares, deletes or purges them
+ * @param {*} report report holding its sharing: { owner, viewers, editors }
+ * @param {string} username
+ * @returns {number} ACCESS level
+ */
+const accessOf = (report, username) => {
+  const sharing = report.sharing || {};
+  if (!sharing.owner) return ACCESS.EDIT;
+  if (sharing.owner === username) return ACCESS.OWN;
+  if ((sharing.editors || []).includes(username)) return ACCESS.EDIT;
+  if ((sharing.viewers || []).includes(username)) return ACCESS.VIEW;
+  return ACCESS.NONE;
+};
+
+/**
+ * Lets the report through when the user has the required access over it.
+ * Not found reports ({}) are let through so every handler keeps answering them as it used to
+ * @param {*} report
+ * @param {string} username
+ * @param {number} required ACCESS level
+ * @param {string} method handler name used on the error
+ * @returns {Observable} Observable with the report, PermissionDenied error otherwise
+ */
+const checkAccess$ = (report, username, required, method) => accessOf(report, username) >= required
+  ? of(report)
+  : throwError(new CustomError('PermissionDenied', method, PERMISSION_DENIED, `the user ${username} is not allowed to ${ACTIONS[required]} the report ${report.id}`));
+
+/**
+ * Mongo query of the reports a user has access to
+ * @param {string} username
+ */
+const accessibleQuery = (username) => ({
+  $or: [
+    { "sharing.owner": null },
+    { "sharing.owner": username },
+    { "sharing.editors": username },
+    { "sharing.viewers": username },
+  ]
+});
+
+/**
+ * Normalizes a sharing input: trimmed unique usernames, an editor is not listed again as viewer
+ * @param {{ owner, viewers, editors }} sharing
+ * @param {string} currentOwner owner kept when the input does not transfer the ownership
+ */
+const normalize = ({ owner, viewers, editors }, currentOwner) => {
+  const usernames = (list) => [...new Set((list || []).map(username => String(username).trim()).filter(username => username.length > 0))];
+  const newOwner = owner && owner.trim() ? owner.trim() : currentOwner;
+  const normalizedEditors = usernames(editors).filter(username => username !== newOwner);
+  return {
+    owner: newOwner,
+    editors: normalizedEditors,
+    viewers: usernames(viewers).filter(username => username !== newOwner && !normalizedEditors.includes(username)),
+  };
+};
+
+module.exports = {
+  ACCESS,
+  initialSharing,
+  accessOf,
+  checkAccess$,
+  accessibleQuery,
+  normalize,
+};
@@ -1,13 +1,25 @@
 "use strict";
 
 let mongoDB = undefined;
-const { map, mapTo } = require("rxjs/operators");
+const { map, mergeMap } = require("rxjs/operators");
 const { of, Observable, defer } = require("rxjs");
 
 const { CustomError } = require("@nebulae/backend-node-tools").error;
+const ReportSharing = require("../ReportSharing");
 
 const CollectionName = 'Report';
 
+/**
+ * Query of the given report version, reports created before the versioning have no version and count as version 0
+ * @param {number} version
+ */
+const versionQuery = (version) => version === 0 ? { $in: [0, null] } : version;
+
+/**
+ * Report properties a replacement does not overwrite, they are not part of the report input
+ */
+const KEPT_ON_REPLACE = ['organizationId', 'metadata', 'lastRunAt', 'deletedAt', 'deletedBy', 'sharing'];
+
 class ReportDA {
   static start$(mongoDbInstance) {
     return Observable.create(observer => {
@@ -30,7 +42,7 @@ class ReportDA {
     const collection = mongoDB.db.collection(CollectionName);
 
     const query = {
-      _id: id, organizationId
+      _id: id, organizationId, deletedAt: null
     };
     return defer(() => collection.findOne(query)).pipe(
       map((res) => {
@@ -41,26 +53,70 @@ class ReportDA {
     );
   }
 
+  /**
+   * Mongo query of an epoch millis range, null if the range is empty
+   * @param {{ from: number, to: number }} range
+   */
+  static generateRangeQuery(range) {
+    if (!range || (range.from === undefined || range.from === null) && (range.to === undefined || range.to === null)) {
+      return null;
+    }
+    const query = {};
+    if (range.from !== undefined && range.from !== null) query["$gte"] = range.from;
+    if (range.to !== undefined && range.to !== null) query["$lte"] = range.to;
+    return query;
+  }
+
   static generateListingQuery(filter) {
     const query = {};
     if (filter.name) {
       query["name"] = { $regex: filter.name, $options: "i" };
     }
+    if (filter.text) {
+      // uses the name/description text index
+      query["$text"] = { $search: filter.text };
+    }
+    if (filter.tags && filter.tags.length > 0) {
+      query["tags"] = { $all: filter.tags };
+    }
+    if (filter.createdBy) {
+      query["metadata.createdBy"] = filter.createdBy;
+    }
+    if (filter.updatedBy) {
+      query["metadata.updatedBy"] = filter.updatedBy;
+    }
+    const createdAtQuery = this.generateRangeQuery(filter.createdAt);
+    if (createdAtQuery) {
+      query["metadata.createdAt"] = createdAtQuery;
+    }
+    const updatedAtQuery = this.generateRangeQuery(filter.updatedAt);
+    if (updatedAtQuery) {
+      query["metadata.updatedAt"] = updatedAtQuery;
+    }
+    if (filter.folder) {
+      query["folder"] = filter.includeSubfolders
+        ? { $regex: `^${filter.folder.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(/|$)` }
+        : filter.folder;
+    }
+    if (filter.accessibleBy) {
+      Object.assign(query, ReportSharing.accessibleQuery(filter.accessibleBy));
+    }
     if (filter.organizationId) {
       query["organizationId"] = filter.organizationId;
     }
     if (filter.active !== undefined) {
       query["active"] = filter.active;
     }
+    // the trash bin lists the soft deleted reports only, any other listing leaves them out
+    query["deletedAt"] = filter.deleted ? { $ne: null } : null;
     return query;
   }
 
-  static getReportList$(filter = {}, pagination = {}, sortInput) {
+  static getReportList$(filter = {}, pagination = {}, sortInput, projection = { name: 1, description: 1, active: 1, tags: 1, folder: 1, sharing: 1, metadata: 1, deletedAt: 1, deletedBy: 1 }) {
     const collection = mongoDB.db.collection(CollectionName);
     const { page = 0, count = 10 } = pagination;
 
     const query = this.generateListingQuery(filter);    
-    const projection = { name: 1, active: 1 };
 
     let cursor = collection
       .find(query, { projection })
@@ -87,6 +143,76 @@ class ReportDA {
     return defer(() => collection.countDocuments(query));
   }
 
+  /**
+   * Gets the folders holding the reports of the listing filter
+   * @param {*} filter listing filter
+   * @returns {Observable} Observable with the folder paths
+   */
+  static getFolders$(filter = {}) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const query = this.generateListingQuery(filter);
+    return defer(() => collection.distinct("folder", query)).pipe(
+      map(folders => folders.filter(folder => folder))
+    );
+  }
+
+  /**
+   * Makes the creator the owner of the reports created before the sharing existed
+   * @returns {Observable} Observable with the backfill result message
+   */
+  static backfillSharingOwners$() {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.find(
+      { "sharing.owner": null, "metadata.createdBy": { $ne: null } },
+      { projection: { "metadata.createdBy": 1 } }
+    ).toArray()).pipe(
+      mergeMap(reports => reports.length === 0
+        ? of(0)
+        : defer(() => collection.bulkWrite(reports.map(({ _id, metadata }) => ({
+          updateOne: {
+            filter: { _id, "sharing.owner": null },
+            update: { $set: { sharing: ReportSharing.initialSharing(metadata.createdBy) } }
+          }
+        })), { ordered: false })).pipe(map(result => result.modifiedCount))
+      ),
+      map(modifiedCount => `${this.name}: sharing owner backfilled on ${modifiedCount} reports`)
+    );
+  }
+
+  /**
+   * Gets what decides the access to a report of an organization, whatever its deletion state
+   * @param {String} _id Report ID
+   * @param {string} organizationId
+   * @returns {Observable} Observable with { id, organizationId, sharing, deletedAt }, null if not found
+   */
+  static getReportAccess$(_id, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOne({ _id, organizationId }, { projection: { organizationId: 1, sharing: 1, deletedAt: 1 } })).pipe(
+      map(report => report ? { ...report, id: report._id } : null)
+    );
+  }
+
+  /**
+   * Replaces the sharing of a report
+   * @param {String} _id Report ID
+   * @param {string} organizationId
+   * @param {{ owner, viewers, editors }} sharing
+   * @param {string} updatedBy
+   * @returns {Observable} Observable with the shared report, undefined if not found
+   */
+  static shareReport$(_id, organizationId, sharing, updatedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() =>
+      collection.findOneAndUpdate(
+        { _id, organizationId, deletedAt: null },
+        { $set: { sharing, "metadata.updatedBy": updatedBy, "metadata.updatedAt": Date.now() }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      )
+    ).pipe(
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : undefined)
+    );
+  }
+
   /**
   * creates a new Report 
   * @param {*} id Report ID
@@ -99,9 +225,10 @@ class ReportDA {
     return defer(() => collection.insertOne({
       _id,
       ...properties,
+      version: 1,
       metadata,
     })).pipe(
-      map(({ insertedId }) => ({ id: insertedId, ...properties, metadata }))
+      map(({ insertedId }) => ({ id: insertedId, ...properties, version: 1, metadata }))
     );
   }
 
@@ -109,17 +236,25 @@ class ReportDA {
   * modifies the Report properties
   * @param {String} id  Report ID
   * @param {*} Report properties to update
+  * @param {string} updatedBy
+  * @param {number} expectedVersion version the modification was made on, undefined to skip the check
+  * @returns {Observable} Observable with the updated report, undefined if not found or on a version conflict
   */
-  static updateReport$(_id, properties, updatedBy) {
+  static updateReport$(_id, properties, updatedBy, expectedVersion) {
     const collection = mongoDB.db.collection(CollectionName);
+    const query = { _id };
+    if (expectedVersion !== undefined && expectedVersion !== null) {
+      query.version = versionQuery(expectedVersion);
+    }
     return defer(() =>
       collection.findOneAndUpdate(
-        { _id },
+        query,
         {
           $set: {
             ...properties,
             "metadata.updatedBy": updatedBy, "metadata.updatedAt": Date.now()
-          }
+          },
+          $inc: { version: 1 }
         },
         {
           returnOriginal: false,
@@ -154,19 +289,164 @@ class ReportDA {
   }
 
   /**
-  * modifies the Report properties
+  * replaces the Report properties, its organization, metadata, last run, deletion and sharing are kept
   * @param {String} id  Report ID
-  * @param {*} Report properties to update
+  * @param {*} Report properties to replace
+  * @param {string} updatedBy
+  * @param {number} expectedVersion version the modification was made on, undefined to replace the current one
+  * @returns {Observable} Observable with the replaced report, undefined if not found or on a version conflict
   */
-  static replaceReport$(_id, properties) {
+  static replaceReport$(_id, properties, updatedBy, expectedVersion) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOne({ _id })).pipe(
+      mergeMap(stored => {
+        if (!stored) {
+          return of(undefined);
+        }
+        const version = expectedVersion !== undefined && expectedVersion !== null ? expectedVersion : stored.version || 0;
+        const kept = KEPT_ON_REPLACE
+          .filter(property => stored[property] !== undefined)
+          .reduce((acc, property) => ({ ...acc, [property]: stored[property] }), {});
+        const replacement = {
+          ...properties,
+          ...kept,
+          metadata: { ...(stored.metadata || {}), updatedBy, updatedAt: Date.now() },
+          version: version + 1
+        };
+        return defer(() =>
+          collection.findOneAndReplace({ _id, version: versionQuery(version) }, replacement, { returnOriginal: false })
+        ).pipe(
+          map(result => result && result.value ? { ...result.value, id: result.value._id } : undefined)
+        );
+      })
+    );
+  }
+
+  /**
+   * Gets the current version of a report
+   * @param {String} _id Report ID
+   * @returns {Observable} Observable with the version, null if the report does not exist
+   */
+  static getReportVersion$(_id) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOne({ _id }, { projection: { version: 1 } })).pipe(
+      map(report => report ? report.version || 0 : null)
+    );
+  }
+
+  /**
+   * Restores the given properties of a previous version, the restorable properties absent on it are removed.
+   * Reports of other organizations or in the trash bin are not restored
+   * @param {String} _id Report ID
+   * @param {string} organizationId
+   * @param {*} properties properties of the restored version
+   * @param {string[]} restorableProperties every property a version may hold
+   * @param {string} updatedBy
+   * @returns {Observable} Observable with the restored report, undefined if not found
+   */
+  static restoreReport$(_id, organizationId, properties, restorableProperties, updatedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const update = {
+      $set: { ...properties, "metadata.updatedBy": updatedBy, "metadata.updatedAt": Date.now() },
+      $inc: { version: 1 }
+    };
+    const absentProperties = restorableProperties.filter(property => properties[property] === undefined);
+    if (absentProperties.length > 0) {
+      update.$unset = absentProperties.reduce((acc, property) => ({ ...acc, [property]: "" }), {});
+    }
+    return defer(() =>
+      collection.findOneAndUpdate({ _id, organizationId, deletedAt: null }, update, { returnOriginal: false })
+    ).pipe(
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : undefined)
+    );
+  }
+
+  /**
+   * Gets the active reports whose scheduled run is due
+   * @param {number} now timestamp (epoch millis)
+   * @param {number} limit max number of reports
+   */
+  static getDueReports$(now, limit) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const cursor = collection
+      .find({ active: true, deletedAt: null, "schedule.nextRunAt": { $lte: now } })
+      .sort({ "schedule.nextRunAt": 1 })
+      .limit(limit);
+    return mongoDB.extractAllFromMongoCursor$(cursor).pipe(
+      map(res => ({ ...res, id: res._id }))
+    );
+  }
+
+  /**
+   * Claims a due scheduled run moving the report to its next run time.
+   * Only the instance that finds the report still due at the given time claims it
+   * @param {string} _id Report ID
+   * @param {number} scheduledAt run time being claimed
+   * @param {number} nextRunAt following run time, null if the schedule never matches again
+   * @returns {Observable} Observable with the claimed report, null if it was already claimed or rescheduled
+   */
+  static claimScheduledRun$(_id, scheduledAt, nextRunAt) {
     const collection = mongoDB.db.collection(CollectionName);
     return defer(() =>
-      collection.replaceOne(
-        { _id },
-        properties,
+      collection.findOneAndUpdate(
+        { _id, "schedule.nextRunAt": scheduledAt },
+        { $set: { "schedule.nextRunAt": nextRunAt, lastRunAt: scheduledAt } },
+        { returnOriginal: false }
       )
     ).pipe(
-      mapTo({ id: _id, ...properties })
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : null)
+    );
+  }
+
+  /**
+   * Moves a report to the trash bin
+   * @param {String} _id Report ID
+   * @param {string} deletedBy
+   * @returns {Observable} Observable with the deleted report, null if not found or already deleted
+   */
+  static softDeleteReport$(_id, deletedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() =>
+      collection.findOneAndUpdate(
+        { _id, deletedAt: null },
+        { $set: { deletedAt: Date.now(), deletedBy }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      )
+    ).pipe(
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : null)
+    );
+  }
+
+  /**
+   * Takes a report out of the trash bin
+   * @param {String} _id Report ID
+   * @param {string} updatedBy
+   * @returns {Observable} Observable with the restored report, null if not found in the trash bin
+   */
+  static restoreDeletedReport$(_id, updatedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() =>
+      collection.findOneAndUpdate(
+        { _id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null, "metadata.updatedBy": updatedBy, "metadata.updatedAt": Date.now() }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      )
+    ).pipe(
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : null)
+    );
+  }
+
+  /**
+   * Permanently deletes a report of the trash bin
+   * @param {String} _id Report ID
+   * @returns {Observable} Observable with the purged report, null if not found in the trash bin
+   */
+  static purgeReport$(_id) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() =>
+      collection.findOneAndDelete({ _id, deletedAt: { $ne: null } })
+    ).pipe(
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : null)
     );
   }
 
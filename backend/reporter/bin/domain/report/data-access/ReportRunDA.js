@@ -0,0 +1,96 @@
+"use strict";
+
+let mongoDB = undefined;
+const { map, mapTo } = require("rxjs/operators");
+const { Observable, defer } = require("rxjs");
+
+/**
+ * Report runs are immutable snapshots, they are only inserted and read until the report is permanently deleted
+ */
+const CollectionName = 'report_runs';
+
+class ReportRunDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Stores a report run
+   * @param {*} run { _id, reportId, organizationId, trigger, status, startedAt, completedAt, fleetStatistics, result, error, ... }
+   * @returns {Observable} Observable with the stored run
+   */
+  static insertRun$(run) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.insertOne(run)).pipe(
+      mapTo({ ...run, id: run._id })
+    );
+  }
+
+  /**
+   * Gets a report run
+   * @param {string} id run ID
+   * @param {string} organizationId
+   * @returns {Observable} Observable with the run, null if not found
+   */
+  static getRun$(id, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOne({ _id: id, organizationId })).pipe(
+      map(run => run ? { ...run, id: run._id } : null)
+    );
+  }
+
+  /**
+   * Gets the runs of a report, latest first
+   * @param {string} reportId
+   * @param {string} organizationId
+   * @param {*} pagination { page, count }
+   */
+  static getRunList$(reportId, organizationId, pagination = {}) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const { page = 0, count = 10 } = pagination;
+    const cursor = collection
+      .find({ reportId, organizationId })
+      .sort({ startedAt: -1 })
+      .skip(count * page)
+      .limit(count);
+    return mongoDB.extractAllFromMongoCursor$(cursor).pipe(
+      map(run => ({ ...run, id: run._id }))
+    );
+  }
+
+  /**
+   * Counts the runs of a report
+   * @param {string} reportId
+   * @param {string} organizationId
+   */
+  static getRunSize$(reportId, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.countDocuments({ reportId, organizationId }));
+  }
+
+  /**
+   * Deletes the runs of a permanently deleted report
+   * @param {string} reportId
+   * @returns {Observable} Observable with the number of deleted runs
+   */
+  static deleteRuns$(reportId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.deleteMany({ reportId })).pipe(
+      map(({ deletedCount }) => deletedCount)
+    );
+  }
+}
+/**
+ * @returns {ReportRunDA}
+ */
+module.exports = ReportRunDA;
@@ -0,0 +1,39 @@
+"use strict";
+
+let mongoDB = undefined;
+const { Observable, defer } = require("rxjs");
+
+/**
+ * Processed vehicles ledger maintained by the vehicle-stats domain, read only here
+ */
+const ProcessedVehiclesCollection = 'processed_vehicles';
+
+class ReportSourceDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Runs a report aggregation pipeline over the processed vehicles
+   * @param {Array} pipeline aggregation pipeline, must be scoped to the report's organization
+   * @returns {Observable} Observable with the array of aggregated groups
+   */
+  static aggregateVehicles$(pipeline) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    return defer(() => collection.aggregate(pipeline, { allowDiskUse: true }).toArray());
+  }
+}
+/**
+ * @returns {ReportSourceDA}
+ */
+module.exports = ReportSourceDA;
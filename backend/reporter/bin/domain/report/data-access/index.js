@@ -3,14 +3,24 @@
 const Rx = require('rxjs');
 
 const ReportDA = require("./ReportDA");
+const ReportSourceDA = require("./ReportSourceDA");
+const ReportRunDA = require("./ReportRunDA");
 
 module.exports = {
   /**
    * Data-Access start workflow
    */
-  start$: Rx.concat(ReportDA.start$()),
+  start$: Rx.concat(ReportDA.start$(), ReportSourceDA.start$(), ReportRunDA.start$()),
   /**
    * @returns {ReportDA}
    */
   ReportDA: ReportDA,
+  /**
+   * @returns {ReportSourceDA}
+   */
+  ReportSourceDA: ReportSourceDA,
+  /**
+   * @returns {ReportRunDA}
+   */
+  ReportRunDA: ReportRunDA,
 };
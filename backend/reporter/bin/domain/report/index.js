@@ -1,16 +1,20 @@
 "use strict";
 
-const { empty, Observable } = require("rxjs");
+const { concat, defer, Observable } = require("rxjs");
 
 const ReportCRUD = require("./ReportCRUD")();
 const ReportES = require("./ReportES")();
+const ReportScheduler = require("./ReportScheduler")();
 const DataAcess = require("./data-access/");
 
 module.exports = {
   /**
    * domain start workflow
    */
-  start$: DataAcess.start$,
+  start$: concat(
+    DataAcess.start$,
+    defer(() => ReportScheduler.start$())
+  ),
   /**
    * start for syncing workflow
    * @returns {Observable}
@@ -20,12 +24,15 @@ module.exports = {
    * start for getting ready workflow
    * @returns {Observable}
    */
-  startForGettingReady$: empty(),
+  startForGettingReady$: concat(
+    DataAcess.ReportDA.start$(),
+    defer(() => DataAcess.ReportDA.backfillSharingOwners$())
+  ),
   /**
    * Stop workflow
    * @returns {Observable}
    */
-  stop$: DataAcess.stop$,
+  stop$: defer(() => ReportScheduler.stop$()),
   /**
    * @returns {ReportCRUD}
    */
@@ -42,4 +49,8 @@ module.exports = {
    * EventSoircing event processors Map
    */
   eventSourcingProcessorMap: ReportES.generateEventProcessorMap(),
+  /**
+   * @returns {ReportScheduler}
+   */
+  ReportScheduler,
 };
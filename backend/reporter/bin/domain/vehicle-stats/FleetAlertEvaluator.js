@@ -0,0 +1,154 @@
+"use strict";
+
+const { from, empty, interval, Observable } = require("rxjs");
+const { map, mergeMap, concatMap, exhaustMap, catchError, filter, toArray } = require('rxjs/operators');
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { brokerFactory } = require("@nebulae/backend-node-tools").broker;
+
+const FleetAlertRules = require("./FleetAlertRules");
+const FleetAlertRulesDA = require("./data-access/FleetAlertRulesDA");
+const VehicleStatsDA = require("./data-access/VehicleStatsDA");
+
+const MATERIALIZED_VIEW_TOPIC = "emi-gateway-materialized-view-updates";
+const CHECK_INTERVAL_MS = parseInt(process.env.FLEET_ALERTS_CHECK_INTERVAL_MS || '60000');
+
+/**
+ * Singleton instance
+ * @type { FleetAlertEvaluator }
+ */
+let instance;
+
+/**
+ * Evaluates the organization alert rules every time its fleet statistics are updated, plus periodically the rules
+ * whose metric changes with the time passing by (eg: minutes without vehicles).
+ * Every rule transition (OK => TRIGGERED, TRIGGERED => OK) is persisted and notified as FleetAlertTriggered
+ */
+class FleetAlertEvaluator {
+  constructor() {
+    this.broker = brokerFactory();
+  }
+
+  /**
+   * Starts checking the time based rules every FLEET_ALERTS_CHECK_INTERVAL_MS
+   * @returns {Observable}
+   */
+  start$() {
+    return Observable.create(observer => {
+      this.subscription = interval(CHECK_INTERVAL_MS).pipe(
+        exhaustMap(() => this.evaluateTimeBasedRules$().pipe(
+          catchError(error => {
+            ConsoleLogger.e('FleetAlertEvaluator: Error evaluating the time based rules', error);
+            return empty();
+          })
+        ))
+      ).subscribe(
+        alerts => alerts.length > 0 && ConsoleLogger.i(`FleetAlertEvaluator: ${alerts.length} time based alerts changed state`),
+        error => ConsoleLogger.e('FleetAlertEvaluator: evaluator stopped', error)
+      );
+      observer.next(`FleetAlertEvaluator started, checking time based rules every ${CHECK_INTERVAL_MS}ms`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Stops checking the time based rules
+   * @returns {Observable}
+   */
+  stop$() {
+    return Observable.create(observer => {
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+      }
+      observer.next('FleetAlertEvaluator stopped');
+      observer.complete();
+    });
+  }
+
+  /**
+   * Evaluates the active rules of the organization of the updated statistics
+   * @param {Object} stats - formatted fleet statistics
+   * @param {number} now - epoch millis
+   * @returns {Observable} Observable with the array of notified alerts
+   */
+  evaluate$(stats, now = Date.now()) {
+    return FleetAlertRulesDA.getRules$(stats.organizationId, true).pipe(
+      mergeMap(rules => this.evaluateRules$(rules, stats, now))
+    );
+  }
+
+  /**
+   * Evaluates the active time based rules of every organization against its current statistics
+   * @param {number} now - epoch millis
+   * @returns {Observable} Observable with the array of notified alerts
+   */
+  evaluateTimeBasedRules$(now = Date.now()) {
+    return FleetAlertRulesDA.getActiveRulesByMetric$(FleetAlertRules.TIME_BASED_METRICS).pipe(
+      mergeMap(rules => from([...new Set(rules.map(rule => rule.organizationId))]).pipe(
+        concatMap(organizationId => VehicleStatsDA.getFleetStatistics$(organizationId).pipe(
+          mergeMap(stats => this.evaluateRules$(rules.filter(rule => rule.organizationId === organizationId), stats, now))
+        )),
+        toArray(),
+        map(alertsByOrganization => [].concat(...alertsByOrganization))
+      ))
+    );
+  }
+
+  /**
+   * Evaluates the rules, persisting and notifying the ones changing state.
+   * A rule failing is logged and does not stop the rest
+   * @param {Array} rules
+   * @param {Object} stats - formatted fleet statistics of the rules organization
+   * @param {number} now - epoch millis
+   * @returns {Observable} Observable with the array of notified alerts
+   */
+  evaluateRules$(rules, stats, now) {
+    return from(rules).pipe(
+      concatMap(rule => {
+        const { value, state } = FleetAlertRules.evaluate(rule, stats, now);
+        const currentState = rule.state || FleetAlertRules.OK;
+        if (state === currentState) {
+          return empty();
+        }
+        return FleetAlertRulesDA.transitionState$(rule._id, currentState, state, value, now).pipe(
+          filter(transitionedRule => transitionedRule),
+          map(transitionedRule => this.buildAlert(transitionedRule, now)),
+          mergeMap(alert => this.broker.send$(MATERIALIZED_VIEW_TOPIC, 'FleetAlertTriggered', alert).pipe(map(() => alert))),
+          catchError(error => {
+            ConsoleLogger.e(`FleetAlertEvaluator: Error evaluating rule ${rule._id}`, error);
+            return empty();
+          })
+        );
+      }),
+      toArray()
+    );
+  }
+
+  /**
+   * FleetAlert notified on a rule transition
+   * @param {Object} rule - rule on its new state
+   * @param {number} timestamp - transition time (epoch millis)
+   */
+  buildAlert(rule, timestamp) {
+    return {
+      ruleId: rule._id,
+      organizationId: rule.organizationId,
+      name: rule.name,
+      condition: FleetAlertRules.describe(rule),
+      state: rule.state,
+      value: rule.lastValue,
+      threshold: rule.threshold,
+      timestamp,
+    };
+  }
+}
+
+/**
+ * @returns {FleetAlertEvaluator}
+ */
+module.exports = () => {
+  if (!instance) {
+    instance = new FleetAlertEvaluator();
+    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+  }
+  return instance;
+};
@@ -0,0 +1,113 @@
+'use strict'
+
+/**
+ * Threshold alert rules over the fleet statistics of an organization.
+ * A rule measures a metric of the statistics and compares it against a threshold, eg:
+ *  - { metric: 'BUCKET_SHARE', dimension: 'speedClass', bucket: 'Rapido', operator: 'GT', threshold: 30 }: Rapido share > 30%
+ *  - { metric: 'AVG_HP', operator: 'LT', threshold: 150 }: average horsepower drops below 150
+ *  - { metric: 'MINUTES_WITHOUT_VEHICLES', operator: 'GTE', threshold: 5 }: no vehicles received for 5 minutes
+ * A rule is TRIGGERED while its condition holds and OK otherwise
+ */
+
+const OK = 'OK';
+const TRIGGERED = 'TRIGGERED';
+
+/**
+ * Measurable metrics vs the function reading them from the formatted fleet statistics.
+ * A metric that can not be measured (eg: the average of no vehicles) reads null and never triggers
+ */
+const METRICS = {
+    TOTAL_VEHICLES: (stats) => stats.totalVehicles || 0,
+    BUCKET_COUNT: (stats, rule) => bucketCount(stats, rule),
+    BUCKET_SHARE: (stats, rule) => stats.totalVehicles > 0 ? 100 * bucketCount(stats, rule) / stats.totalVehicles : null,
+    AVG_HP: (stats) => stats.hpDistribution && stats.hpDistribution.count > 0 ? stats.hpDistribution.avg : null,
+    P90_HP: (stats) => stats.hpDistribution && stats.hpDistribution.count > 0 ? stats.hpDistribution.p90 : null,
+    AVG_TOP_SPEED: (stats) => stats.topSpeedDistribution && stats.topSpeedDistribution.count > 0 ? stats.topSpeedDistribution.avg : null,
+    P90_TOP_SPEED: (stats) => stats.topSpeedDistribution && stats.topSpeedDistribution.count > 0 ? stats.topSpeedDistribution.p90 : null,
+    MINUTES_WITHOUT_VEHICLES: (stats, rule, now) => stats.lastUpdated ? Math.max(0, (now - new Date(stats.lastUpdated).getTime()) / 60000) : null,
+};
+
+/**
+ * Metrics that change with the time passing by, besides with the statistics, so they are checked periodically too
+ */
+const TIME_BASED_METRICS = ['MINUTES_WITHOUT_VEHICLES'];
+
+/**
+ * Metrics measured over a bucket of a dimension vs the statistics field holding the dimension buckets
+ */
+const BUCKET_METRICS = ['BUCKET_COUNT', 'BUCKET_SHARE'];
+const DIMENSIONS = {
+    type: 'vehiclesByType',
+    decade: 'vehiclesByDecade',
+    speedClass: 'vehiclesBySpeedClass',
+    powerSource: 'vehiclesByPowerSource',
+};
+
+const OPERATORS = {
+    GT: (value, threshold) => value > threshold,
+    GTE: (value, threshold) => value >= threshold,
+    LT: (value, threshold) => value < threshold,
+    LTE: (value, threshold) => value <= threshold,
+};
+const OPERATOR_SYMBOLS = { GT: '>', GTE: '>=', LT: '<', LTE: '<=' };
+
+/**
+ * Vehicles counted in the bucket of the rule
+ * @param {Object} stats - formatted fleet statistics, buckets as [{ key, count }]
+ * @param {Object} rule - { dimension, bucket }
+ */
+const bucketCount = (stats, { dimension, bucket }) => {
+    const found = (stats[DIMENSIONS[dimension]] || []).find(({ key }) => key === bucket);
+    return found ? found.count : 0;
+};
+
+/**
+ * Validates a rule definition
+ * @param {Object} rule - { name, metric, dimension, bucket, operator, threshold }
+ * @returns {string[]} validation errors, empty if the rule is valid
+ */
+const validateRule = ({ name, metric, dimension, bucket, operator, threshold } = {}) => {
+    const errors = [];
+    if (!name || !name.trim()) errors.push('name is required');
+    if (!METRICS[metric]) errors.push(`metric must be one of ${Object.keys(METRICS).join(', ')}`);
+    if (BUCKET_METRICS.includes(metric)) {
+        if (!DIMENSIONS[dimension]) errors.push(`dimension must be one of ${Object.keys(DIMENSIONS).join(', ')}`);
+        if (!bucket) errors.push('bucket is required, eg: Rapido');
+    }
+    if (!OPERATORS[operator]) errors.push(`operator must be one of ${Object.keys(OPERATORS).join(', ')}`);
+    if (typeof threshold !== 'number' || !isFinite(threshold)) errors.push('threshold must be a number');
+    if (metric === 'BUCKET_SHARE' && (threshold < 0 || threshold > 100)) errors.push('threshold of a share must be a percentage between 0 and 100');
+    return errors;
+};
+
+/**
+ * Measures the rule metric and checks its condition
+ * @param {Object} rule - { metric, dimension, bucket, operator, threshold }
+ * @param {Object} stats - formatted fleet statistics of the rule organization
+ * @param {number} now - epoch millis
+ * @returns {{ value: number, state: string }} value is null if the metric can not be measured
+ */
+const evaluate = (rule, stats, now = Date.now()) => {
+    const value = METRICS[rule.metric](stats, rule, now);
+    const triggered = value !== null && OPERATORS[rule.operator](value, rule.threshold);
+    return { value, state: triggered ? TRIGGERED : OK };
+};
+
+/**
+ * Human readable condition of a rule, eg: speedClass Rapido BUCKET_SHARE > 30
+ * @param {Object} rule
+ */
+const describe = ({ metric, dimension, bucket, operator, threshold }) =>
+    `${BUCKET_METRICS.includes(metric) ? `${dimension} ${bucket} ` : ''}${metric} ${OPERATOR_SYMBOLS[operator]} ${threshold}`;
+
+module.exports = {
+    OK,
+    TRIGGERED,
+    METRICS: Object.keys(METRICS),
+    TIME_BASED_METRICS,
+    DIMENSIONS: Object.keys(DIMENSIONS),
+    OPERATORS: Object.keys(OPERATORS),
+    validateRule,
+    evaluate,
+    describe,
+};
@@ -0,0 +1,154 @@
+'use strict'
+
+/**
+ * Derives the vehicle attributes aggregated in the fleet statistics.
+ * Every dimension (decade, speedClass) is classified by a rule, customizable by organization, that reads a numeric
+ * vehicle field and produces a bucket name:
+ *  - RANGES: the first bucket whose boundaries (gt, gte, lt, lte) contain the value
+ *  - INTERVAL: fixed size intervals, labeled by their lower boundary, eg: size 10 => 1994 => '1990s'
+ * Every rule is available as a plain function, used while processing batches, and as a Mongo
+ * aggregation expression, used to recompute the statistics from the processed vehicles ledger
+ */
+
+const RANGES = 'RANGES';
+const INTERVAL = 'INTERVAL';
+const MODES = [RANGES, INTERVAL];
+const BOUNDARIES = ['gt', 'gte', 'lt', 'lte'];
+const FIELD_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Rules applied when the organization has not customized them
+ */
+const DEFAULT_RULES = {
+    decade: { dimension: 'decade', field: 'year', mode: INTERVAL, interval: { size: 10, prefix: '', suffix: 's' }, buckets: [] },
+    speedClass: {
+        dimension: 'speedClass', field: 'topSpeed', mode: RANGES, buckets: [
+            { name: 'Lento', lt: 140 },
+            { name: 'Normal', gte: 140, lte: 240 },
+            { name: 'Rapido', gt: 240 },
+        ]
+    },
+};
+const DIMENSIONS = Object.keys(DEFAULT_RULES);
+
+/**
+ * Completes the organization's stored rules with the default rules
+ * @param {Array} storedRules - rules customized by the organization
+ * @returns {Array} one rule per dimension
+ */
+const resolveRules = (storedRules = []) => DIMENSIONS.map(dimension =>
+    storedRules.find(rule => rule.dimension === dimension) || { ...DEFAULT_RULES[dimension], isDefault: true }
+);
+
+/**
+ * Validates a rule definition
+ * @param {string} dimension
+ * @param {Object} rule - { field, mode, buckets, interval }
+ * @returns {string[]} validation errors, empty if the rule is valid
+ */
+const validateRule = (dimension, { field, mode, buckets = [], interval } = {}) => {
+    const errors = [];
+    if (!DIMENSIONS.includes(dimension)) errors.push(`dimension must be one of ${DIMENSIONS.join(', ')}`);
+    if (!FIELD_NAME_REGEX.test(field || '')) errors.push('field must be a vehicle attribute name, eg: topSpeed');
+    if (!MODES.includes(mode)) errors.push(`mode must be one of ${MODES.join(', ')}`);
+    if (mode === INTERVAL && !(interval && interval.size > 0)) errors.push('interval size must be greater than zero');
+    if (mode === RANGES) {
+        if (buckets.length === 0) errors.push('at least one bucket is required');
+        buckets.forEach((bucket, index) => {
+            if (!bucket.name) errors.push(`bucket #${index + 1} requires a name`);
+            if (!BOUNDARIES.some(boundary => typeof bucket[boundary] === 'number')) errors.push(`bucket #${index + 1} requires at least one boundary`);
+        });
+        const names = buckets.map(({ name }) => name);
+        if (new Set(names).size !== names.length) errors.push('bucket names must be unique');
+    }
+    return errors;
+};
+
+/**
+ * Classifies a value with a rule
+ * @param {number} value - missing, zero or non numeric values are not classified
+ * @param {Object} rule
+ * @returns {string} bucket name or null if the value is not classified
+ */
+const classify = (value, rule) => {
+    if (!value || typeof value !== 'number') return null;
+    if (rule.mode === INTERVAL) {
+        const { size, prefix = '', suffix = '' } = rule.interval;
+        return `${prefix}${Math.floor(value / size) * size}${suffix}`;
+    }
+    const bucket = rule.buckets.find(({ gt, gte, lt, lte }) =>
+        (typeof gt !== 'number' || value > gt)
+        && (typeof gte !== 'number' || value >= gte)
+        && (typeof lt !== 'number' || value < lt)
+        && (typeof lte !== 'number' || value <= lte)
+    );
+    return bucket ? bucket.name : null;
+};
+
+/**
+ * Extracts the raw and derived attributes of a vehicle
+ * @param {Object} vehicleData - vehicle data as generated, eg: { type, powerSource, hp, year, topSpeed }
+ * @param {Array} rules - resolved rules of the vehicle's organization
+ * @returns {Object} vehicle raw attributes plus one derived attribute per rule dimension
+ */
+const deriveAttributes = (vehicleData, rules = resolveRules()) => {
+    const data = vehicleData || {};
+    const attributes = Object.keys(data)
+        .filter(key => data[key] === null || typeof data[key] !== 'object')
+        .reduce((acc, key) => ({ ...acc, [key]: data[key] }), {});
+    attributes.type = data.type || null;
+    attributes.powerSource = data.powerSource || null;
+    attributes.hp = data.hp && typeof data.hp === 'number' ? data.hp : null;
+    rules.forEach(rule => { attributes[rule.dimension] = classify(data[rule.field], rule); });
+    return attributes;
+};
+
+/**
+ * Aggregation expression equivalent to classify
+ * @param {Object} rule
+ * @returns {Object} expression evaluated over the ledger document attributes
+ */
+const classifyExpression = (rule) => {
+    const path = `$attributes.${rule.field}`;
+    const classifiable = {
+        $and: [
+            { $in: [{ $type: path }, ['double', 'int', 'long', 'decimal']] },
+            { $ne: [path, 0] }
+        ]
+    };
+    if (rule.mode === INTERVAL) {
+        const { size, prefix = '', suffix = '' } = rule.interval;
+        return {
+            $cond: [
+                classifiable,
+                { $concat: [prefix, { $toString: { $multiply: [{ $floor: { $divide: [path, size] } }, size] } }, suffix] },
+                null
+            ]
+        };
+    }
+    const operators = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+    const branches = rule.buckets.map(bucket => ({
+        case: { $and: BOUNDARIES.filter(boundary => typeof bucket[boundary] === 'number').map(boundary => ({ [operators[boundary]]: [path, bucket[boundary]] })) },
+        then: bucket.name
+    }));
+    return { $cond: [classifiable, { $switch: { branches, default: null } }, null] };
+};
+
+/**
+ * Aggregation stage that re-derives the dimensions of the ledger documents from their raw attributes
+ * @param {Array} rules - resolved rules of the organization
+ * @returns {Object} $addFields stage
+ */
+const derivedAttributesStage = (rules = resolveRules()) => ({
+    $addFields: rules.reduce((acc, rule) => ({ ...acc, [`attributes.${rule.dimension}`]: classifyExpression(rule) }), {})
+});
+
+module.exports = {
+    DIMENSIONS,
+    MODES,
+    resolveRules,
+    validateRule,
+    classify,
+    deriveAttributes,
+    derivedAttributesStage,
+};
@@ -1,12 +1,89 @@
 'use strict'
 
-const { Subject, from } = require('rxjs');
-const { bufferTime, filter, mergeMap, tap, catchError } = require('rxjs/operators');
-const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { Subject, of, from, defer, interval, throwError } = require('rxjs');
+const { bufferTime, filter, map, concatMap, exhaustMap, tap, catchError } = require('rxjs/operators');
 const { brokerFactory } = require('@nebulae/backend-node-tools').broker;
 const crypto = require('crypto');
+const uuidv4 = require('uuid/v4');
 
+const VehicleClassifier = require('./VehicleClassifier');
 const VehicleStatsDA = require('./data-access/VehicleStatsDA');
+const VehicleEventsDeadLetterDA = require('./data-access/VehicleEventsDeadLetterDA');
+const VehicleClassificationRulesDA = require('./data-access/VehicleClassificationRulesDA');
+const FleetAlertEvaluator = require('./FleetAlertEvaluator')();
+const WebhookDispatcher = require('../webhook/WebhookDispatcher')();
+const { metricsRegistry } = require('../../tools/metrics');
+const { healthChecker, UP, DOWN, STARTING } = require('../../tools/health');
+const logger = require('../../tools/logger').loggerFactory('VehicleEventsProcessor');
+
+const VEHICLES_GENERATED_TOPIC = process.env.MQTT_TOPIC_GENERATED || 'fleet/vehicles/generated';
+/**
+ * Mapeo opcional de tópico vs organizationId, atribuye los vehículos cuyo envelope no trae organización.
+ * Cada tópico mapeado también se suscribe. Ej: {"fleet/acme/vehicles/generated":"acme-org-id"}. Se interpreta en start$
+ */
+const TOPIC_ORGANIZATION_MAPPING_ENV = 'VEHICLE_STATS_TOPIC_ORGANIZATION_MAPPING';
+const DEFAULT_ORGANIZATION_ID = process.env.VEHICLE_STATS_DEFAULT_ORGANIZATION_ID;
+/**
+ * Ventana (millis) y máximo de eventos por lote. Un lote se emite al alcanzar cualquiera de los dos,
+ * los lotes se encolan y se procesan uno tras otro para no descartar ningún evento
+ */
+const BATCH_WINDOW_MS = parseInt(process.env.VEHICLE_EVENTS_BATCH_WINDOW_MS || '1000');
+const BATCH_MAX_SIZE = parseInt(process.env.VEHICLE_EVENTS_BATCH_MAX_SIZE || '500');
+/**
+ * Los lotes cuyos vehículos llevan reclamados sin aplicarse más de RECOVERY_STALE_MS (ej: el proceso se detuvo)
+ * se re-aplican cada RECOVERY_INTERVAL_MS, tras MAX_RECOVERY_ATTEMPTS se envían a la dead-letter queue
+ */
+const RECOVERY_INTERVAL_MS = parseInt(process.env.VEHICLE_EVENTS_RECOVERY_INTERVAL_MS || '60000');
+const RECOVERY_STALE_MS = parseInt(process.env.VEHICLE_EVENTS_RECOVERY_STALE_MS || '60000');
+const MAX_RECOVERY_ATTEMPTS = parseInt(process.env.VEHICLE_EVENTS_MAX_RECOVERY_ATTEMPTS || '3');
+/**
+ * Espera máxima del lote encolado más antiguo antes de reportar el pipeline como DOWN
+ */
+const MAX_LAG_MS = parseInt(process.env.VEHICLE_EVENTS_MAX_LAG_MS || '60000');
+/**
+ * Fracción de los logs por evento que se escriben (0 a 1), los logs por lote no se muestrean
+ */
+const EVENT_LOG_SAMPLE_RATE = parseFloat(process.env.VEHICLE_EVENTS_LOG_SAMPLE_RATE || '0.01');
+
+/**
+ * Métricas Prometheus del pipeline, expuestas en /metrics
+ */
+const receivedEventsCounter = metricsRegistry.counter({
+    name: 'reporter_vehicle_events_received_total',
+    help: 'Vehicle events received from the MQTT topics'
+});
+const invalidEventsCounter = metricsRegistry.counter({
+    name: 'reporter_vehicle_events_invalid_total',
+    help: 'Vehicle events rejected on ingestion or batching, by reason',
+    labelNames: ['reason']
+});
+const duplicateEventsCounter = metricsRegistry.counter({
+    name: 'reporter_vehicle_events_duplicate_total',
+    help: 'Vehicle events discarded because their vehicle was already counted'
+});
+const processedEventsCounter = metricsRegistry.counter({
+    name: 'reporter_vehicle_events_processed_total',
+    help: 'Vehicle events applied to the fleet statistics'
+});
+const failedEventsCounter = metricsRegistry.counter({
+    name: 'reporter_vehicle_events_failed_total',
+    help: 'Vehicle events sent to the dead-letter queue because their batch failed'
+});
+const batchDurationHistogram = metricsRegistry.histogram({
+    name: 'reporter_vehicle_events_batch_duration_seconds',
+    help: 'Time it takes to process a batch of vehicle events',
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+metricsRegistry.gauge({
+    name: 'reporter_vehicle_events_pending',
+    help: 'Vehicle events received and not yet processed (buffered or queued)',
+    collect: gauge => gauge.set({}, instance ? instance.metrics.pendingEvents : 0)
+});
+
+/**
+ * Estado del pipeline para las sondas /health
+ */
+healthChecker.register('vehicleEventsProcessor', () => of(instance ? instance.getHealth() : { status: STARTING }));
 
 /**
  * Singleton instance
@@ -18,11 +95,68 @@ class VehicleEventsProcessor {
     constructor() {
         this.events$ = new Subject();
         this.broker = brokerFactory();
-        this.isProcessing = false;
+        this.topicOrganizationMapping = {};
+        this.metrics = {
+            pendingEvents: 0,
+            queuedBatches: [],
+            processedBatches: 0,
+            processedEvents: 0,
+            lastBatchSize: 0,
+            lastBatchLagMs: 0,
+            lastBatchDurationMs: 0,
+            lastBatchProcessedAt: null
+        };
+    }
+
+    /**
+     * Métricas del pipeline por lotes de esta instancia
+     * @returns {Object} profundidad de la cola (eventos y lotes) y retraso del lote encolado más antiguo
+     */
+    getMetrics() {
+        const { queuedBatches, ...metrics } = this.metrics;
+        const oldestBatch = queuedBatches[0];
+        return {
+            ...metrics,
+            queuedBatches: queuedBatches.length,
+            lagMs: oldestBatch ? Date.now() - oldestBatch.bufferedAt : 0,
+            batchWindowMs: BATCH_WINDOW_MS,
+            batchMaxSize: BATCH_MAX_SIZE
+        };
+    }
+
+    /**
+     * Salud del pipeline por lotes de esta instancia: sus tópicos MQTT deben estar suscritos
+     * y su lote encolado más antiguo debe haber esperado menos de VEHICLE_EVENTS_MAX_LAG_MS
+     * @returns {Object} estado de la suscripción, retraso y profundidad de la cola
+     */
+    getHealth() {
+        const { lagMs, pendingEvents, queuedBatches, lastBatchProcessedAt } = this.getMetrics();
+        const status = this.subscriptionError ? DOWN
+            : !this.subscribedTopics ? STARTING
+                : lagMs > MAX_LAG_MS ? DOWN : UP;
+        return {
+            status,
+            subscribedTopics: this.subscribedTopics || [],
+            subscriptionError: this.subscriptionError,
+            lagMs,
+            maxLagMs: MAX_LAG_MS,
+            pendingEvents,
+            queuedBatches,
+            lastBatchProcessedAt
+        };
     }
 
     /**
-     * Generates a deterministic aid from vehicle data when missing
+     * Encola un evento en el pipeline de procesamiento por lotes
+     * @param {Object} event - evento de vehículo
+     */
+    enqueueEvent(event) {
+        this.metrics.pendingEvents++;
+        this.events$.next(event);
+    }
+
+    /**
+     * Genera un aid determinístico a partir de los datos del vehículo cuando no viene en el evento
      * @param {Object} vehicleData
      * @returns {string}
      */
@@ -40,84 +174,132 @@ class VehicleEventsProcessor {
         return crypto.createHash('sha256').update(payload).digest('hex');
     }
 
+    /**
+     * Resuelve la organización dueña del vehículo: la que trae el envelope,
+     * luego la mapeada al tópico y finalmente la organización por defecto
+     * @param {Object} envelope - envelope del evento de vehículo
+     * @param {string} topic - tópico MQTT por el que llegó el envelope
+     * @returns {string} organizationId o undefined si no se pudo resolver
+     */
+    resolveOrganizationId(envelope, topic) {
+        return envelope.organizationId
+            || envelope.data.organizationId
+            || this.topicOrganizationMapping[topic]
+            || DEFAULT_ORGANIZATION_ID;
+    }
+
+    /**
+     * Interpreta el mapeo de tópico vs organizationId
+     * @param {string} value - objeto JSON, ej: {"fleet/acme/vehicles/generated":"acme-org-id"}
+     * @returns {Object} tópico vs organizationId
+     * @throws {Error} si el valor no es un objeto JSON de strings
+     */
+    parseTopicOrganizationMapping(value) {
+        if (!value) {
+            return {};
+        }
+        let mapping;
+        try {
+            mapping = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`${TOPIC_ORGANIZATION_MAPPING_ENV} is not valid JSON: ${error.message}`);
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+            || Object.values(mapping).some(organizationId => typeof organizationId !== 'string' || !organizationId)) {
+            throw new Error(`${TOPIC_ORGANIZATION_MAPPING_ENV} must be a JSON object of topic vs organizationId, eg: {"fleet/acme/vehicles/generated":"acme-org-id"}`);
+        }
+        return mapping;
+    }
+
+    /**
+     * Agrupa los eventos por la organización a la que pertenecen
+     * @param {Array} events - eventos a agrupar
+     * @returns {Object} organizationId vs eventos
+     */
+    groupEventsByOrganization(events) {
+        return events.reduce((acc, event) => {
+            (acc[event.organizationId] = acc[event.organizationId] || []).push(event);
+            return acc;
+        }, {});
+    }
+
     /**
      * Inicia el procesamiento de eventos de vehículos
      */
     start$() {
-        ConsoleLogger.i('VehicleEventsProcessor: Starting vehicle events processing...');
-        
+        logger.i('Starting vehicle events processing');
+
+        // Validar la configuración antes de suscribirse, un mapeo inválido detiene el arranque
+        try {
+            this.topicOrganizationMapping = this.parseTopicOrganizationMapping(process.env[TOPIC_ORGANIZATION_MAPPING_ENV]);
+        } catch (error) {
+            return throwError(error);
+        }
+
         // Configurar suscripción MQTT
-        this.broker.configMessageListener$([process.env.MQTT_TOPIC_GENERATED || 'fleet/vehicles/generated'])
+        const topics = [...new Set([VEHICLES_GENERATED_TOPIC, ...Object.keys(this.topicOrganizationMapping)])];
+        this.broker.configMessageListener$(topics)
             .pipe(
-                tap(topics => ConsoleLogger.i(`VehicleEventsProcessor: Subscribed to topics: ${JSON.stringify(topics)}`)),
+                tap(topics => logger.i('Subscribed to MQTT topics', { topics })),
+                tap(subscribedTopics => { this.subscribedTopics = subscribedTopics; }),
                 catchError(error => {
-                    ConsoleLogger.e('VehicleEventsProcessor: Error subscribing to MQTT topics', error);
+                    logger.e('Error subscribing to MQTT topics', error, { topics });
+                    this.subscriptionError = error.message;
                     return from([]);
                 })
             )
             .subscribe(
-                topics => ConsoleLogger.i(`VehicleEventsProcessor: Successfully subscribed to ${topics.length} topics`),
-                error => ConsoleLogger.e('VehicleEventsProcessor: Error in MQTT subscription', error),
-                () => ConsoleLogger.i('VehicleEventsProcessor: MQTT subscription completed')
+                () => { },
+                error => logger.e('Error in MQTT subscription', error),
+                () => logger.d('MQTT subscription completed')
             );
 
         // Suscribirse a mensajes entrantes
         this.broker.incomingMessages$
             .pipe(
-                filter(message => message && message.topic === (process.env.MQTT_TOPIC_GENERATED || 'fleet/vehicles/generated')),
-                tap(event => ConsoleLogger.i(`VehicleEventsProcessor: Received event: ${JSON.stringify(event)}`)),
+                filter(message => message && topics.includes(message.topic)),
                 catchError(error => {
-                    ConsoleLogger.e('VehicleEventsProcessor: Error receiving MQTT events', error);
+                    logger.e('Error receiving MQTT events', error);
                     return from([]);
                 })
             )
             .subscribe(
                 event => {
-                    // El evento MQTT tiene esta estructura:
-                    // { id, type: "VehicleGenerated", data: { at, et, aid, timestamp, data: {...} } }
-                    const envelope = event && event.data ? event.data : event;
-                    if (!envelope) { 
-                        ConsoleLogger.w(`VehicleEventsProcessor: No envelope found in event: ${JSON.stringify(event)}`);
-                        return; 
-                    }
-                    
-                    // Verificar que tenga la estructura esperada
-                    if (!envelope.aid || !envelope.data) {
-                        ConsoleLogger.w(`VehicleEventsProcessor: Invalid envelope structure: ${JSON.stringify(envelope)}`);
-                        return;
-                    }
-                    
-                    ConsoleLogger.i(`VehicleEventsProcessor: Processing envelope: ${JSON.stringify(envelope)}`);
-                    this.events$.next(envelope);
+                    receivedEventsCounter.inc();
+                    this.ingestMessage(event);
                 },
-                error => ConsoleLogger.e('VehicleEventsProcessor: Error in MQTT message processing', error),
-                () => ConsoleLogger.i('VehicleEventsProcessor: MQTT message processing completed')
+                error => logger.e('Error in MQTT message processing', error),
+                () => logger.i('MQTT message processing completed')
             );
 
-        // Configurar pipeline de procesamiento por lotes
+        // Configurar pipeline de procesamiento por lotes:
+        // los lotes se encolan (concatMap) y se procesan uno a la vez, ningún evento se descarta
         this.events$
             .pipe(
-                bufferTime(1000), // Buffer de 1 segundo
+                bufferTime(BATCH_WINDOW_MS, null, BATCH_MAX_SIZE),
                 filter(batch => batch.length > 0),
-                tap(batch => ConsoleLogger.i(`VehicleEventsProcessor: Processing batch of ${batch.length} events`))
+                map(events => ({ events, bufferedAt: Date.now() })),
+                tap(batch => this.metrics.queuedBatches.push(batch)),
+                concatMap(batch => defer(() => this.runBatch(batch)))
             )
             .subscribe(
-                async (batch) => {
-                    if (this.isProcessing) {
-                        ConsoleLogger.w('VehicleEventsProcessor: Previous batch still processing, skipping...');
-                        return;
-                    }
-                    
-                    this.isProcessing = true;
-                    try {
-                        await this.processBatch$(batch);
-                    } catch (error) {
-                        ConsoleLogger.e('VehicleEventsProcessor: Error processing batch', error);
-                    } finally {
-                        this.isProcessing = false;
-                    }
-                },
-                error => ConsoleLogger.e('VehicleEventsProcessor: Error in batch processing', error)
+                () => { },
+                error => logger.e('Error in batch processing', error)
+            );
+
+        // Recuperar periódicamente los lotes reclamados que no alcanzaron a aplicarse
+        this.recoverySubscription = interval(RECOVERY_INTERVAL_MS)
+            .pipe(
+                exhaustMap(() => defer(() => this.recoverPendingBatches$()).pipe(
+                    catchError(error => {
+                        logger.e('Error recovering pending batches', error);
+                        return from([]);
+                    })
+                ))
+            )
+            .subscribe(
+                () => { },
+                error => logger.e('Error in pending batches recovery', error)
             );
 
         // Retornar Observable que se completa inmediatamente
@@ -125,97 +307,313 @@ class VehicleEventsProcessor {
     }
 
     /**
-     * Procesa un lote de eventos
-     * @param {Array} batch - Lote de eventos a procesar
+     * Procesa un lote encolado y actualiza las métricas del pipeline, nunca falla
+     * para no interrumpir el procesamiento de los siguientes lotes
+     * @param {{ events: Array, bufferedAt: number }} batch - lote encolado
      */
-    async processBatch$(batch) {
-        ConsoleLogger.i(`VehicleEventsProcessor: Processing batch of ${batch.length} events`);
+    async runBatch({ events, bufferedAt }) {
+        const startedAt = Date.now();
+        const batchId = uuidv4();
+        const batchLogger = logger.child({ correlationId: batchId });
+        batchLogger.d('Processing batch', { events: events.length, queuedBatches: this.metrics.queuedBatches.length, lagMs: startedAt - bufferedAt });
+        try {
+            await this.processBatch$(events, batchId);
+        } catch (error) {
+            batchLogger.e('Error processing batch', error, { events: events.length });
+            failedEventsCounter.inc({}, events.length);
+            await this.deadLetterEvents$(events, error);
+        } finally {
+            this.metrics.queuedBatches.shift();
+            this.metrics.pendingEvents -= events.length;
+            this.metrics.processedBatches++;
+            this.metrics.processedEvents += events.length;
+            this.metrics.lastBatchSize = events.length;
+            this.metrics.lastBatchLagMs = startedAt - bufferedAt;
+            this.metrics.lastBatchDurationMs = Date.now() - startedAt;
+            this.metrics.lastBatchProcessedAt = Date.now();
+            batchDurationHistogram.observe({}, this.metrics.lastBatchDurationMs / 1000);
+            batchLogger.i('Batch processed', { events: events.length, lagMs: this.metrics.lastBatchLagMs, durationMs: this.metrics.lastBatchDurationMs });
+        }
+    }
 
-        // 1. Extraer aids únicos del batch
-        const aids = batch.map(event => event.aid).filter(aid => aid);
+    /**
+     * Valida un mensaje MQTT y lo encola para procesamiento, los mensajes rechazados van a la dead-letter queue
+     * @param {Object} event - mensaje MQTT
+     * @returns {boolean} true si el evento fue encolado
+     */
+    ingestMessage(event) {
+        // El evento MQTT tiene esta estructura:
+        // { id, type: "VehicleGenerated", data: { at, et, aid, timestamp, data: {...} } }
+        const envelope = event && event.data ? event.data : event;
+        if (!envelope) { 
+            this.deadLetterMessage(event, 'MISSING_ENVELOPE');
+            return false; 
+        }
         
-        if (aids.length === 0) {
-            ConsoleLogger.w('VehicleEventsProcessor: No valid aids in batch, skipping...');
-            return;
+        // Verificar que tenga la estructura esperada
+        if (!envelope.aid || !envelope.data) {
+            this.deadLetterMessage(event, 'INVALID_ENVELOPE');
+            return false;
+        }
+        
+        // Resolver la organización dueña del vehículo
+        const organizationId = this.resolveOrganizationId(envelope, event.topic);
+        if (!organizationId) {
+            this.deadLetterMessage(event, 'UNRESOLVED_ORGANIZATION');
+            return false;
         }
 
-        // 2. Verificar idempotencia - obtener aids ya procesados
-        const processedAids = await VehicleStatsDA.getProcessedAids$(aids).toPromise();
-        const processedAidsSet = new Set(processedAids);
+        logger.sample(EVENT_LOG_SAMPLE_RATE).d('Vehicle event received', { aid: envelope.aid, organizationId, topic: event.topic });
+        this.enqueueEvent({ ...envelope, organizationId });
+        return true;
+    }
 
-        // 3. Filtrar eventos frescos (no procesados)
-        const freshEvents = batch.filter(event => 
-            event.aid && !processedAidsSet.has(event.aid)
+    /**
+     * Re-inyecta en el pipeline los eventos de la dead-letter queue
+     * @param {Array} deadLetters - dead letters a re-procesar
+     * @returns {number} cantidad de eventos encolados nuevamente
+     */
+    replayDeadLetters(deadLetters) {
+        return deadLetters.reduce((replayed, { stage, payload }) => {
+            if (stage === 'PROCESSING') {
+                this.enqueueEvent(payload);
+                return replayed + 1;
+            }
+            return this.ingestMessage(payload) ? replayed + 1 : replayed;
+        }, 0);
+    }
+
+    /**
+     * Persiste en la dead-letter queue un mensaje MQTT rechazado durante la ingesta
+     * @param {Object} event - mensaje MQTT original
+     * @param {string} reason - motivo del rechazo
+     */
+    deadLetterMessage(event, reason) {
+        invalidEventsCounter.inc({ reason });
+        const envelope = (event && event.data) || {};
+        // solo se registra una muestra de los rechazos, el mensaje completo queda en la dead-letter queue
+        const eventLogger = logger.sample(EVENT_LOG_SAMPLE_RATE).child({ aid: envelope.aid, topic: event && event.topic, reason });
+        VehicleEventsDeadLetterDA.insertDeadLetters$([{
+            _id: uuidv4(),
+            stage: 'INGESTION',
+            reason,
+            aid: envelope.aid,
+            organizationId: envelope.organizationId || (envelope.data && envelope.data.organizationId),
+            topic: event && event.topic,
+            payload: event === undefined ? null : event,
+            timestamp: Date.now()
+        }]).subscribe(
+            () => eventLogger.w('Vehicle event rejected, sent to dead-letter queue'),
+            error => logger.e('Error sending message to dead-letter queue', error, { aid: envelope.aid, reason })
         );
+    }
+
+    /**
+     * Persiste en la dead-letter queue los eventos cuyo procesamiento falló
+     * @param {Array} events - eventos fallidos
+     * @param {Error} error - error del procesamiento
+     * @param {string} reason - motivo, PROCESSING_FAILED por defecto
+     */
+    async deadLetterEvents$(events, error, reason = 'PROCESSING_FAILED') {
+        const timestamp = Date.now();
+        const deadLetters = events.map(event => ({
+            _id: uuidv4(),
+            stage: 'PROCESSING',
+            reason,
+            error: error && error.message,
+            aid: event.aid,
+            organizationId: event.organizationId,
+            payload: event,
+            timestamp
+        }));
+        try {
+            await VehicleEventsDeadLetterDA.insertDeadLetters$(deadLetters).toPromise();
+            logger.w('Events sent to dead-letter queue', { events: deadLetters.length, reason, error: error && error.message });
+        } catch (dlqError) {
+            logger.e('Error sending events to dead-letter queue', dlqError, { events: deadLetters.length });
+        }
+    }
+
+    /**
+     * Procesa un lote de eventos.
+     * Los aids se reclaman primero en el ledger processed_vehicles (índice único), por lo que cada vehículo
+     * es contado por un único lote aunque haya varias réplicas o el evento sea re-entregado
+     * @param {Array} batch - Lote de eventos a procesar
+     * @param {string} batchId - identificador del lote, correlaciona sus logs
+     */
+    async processBatch$(batch, batchId = uuidv4()) {
+        const batchLogger = logger.child({ correlationId: batchId });
+
+        // 1. Separar los eventos sin aid, son rechazados (no duplicados) y van a la dead-letter queue
+        const eventsWithAid = batch.filter(event => event.aid);
+        const eventsWithoutAid = batch.filter(event => !event.aid);
+        if (eventsWithoutAid.length > 0) {
+            invalidEventsCounter.inc({ reason: 'MISSING_AID' }, eventsWithoutAid.length);
+            await this.deadLetterEvents$(eventsWithoutAid, null, 'MISSING_AID');
+        }
+
+        // 1.1 Extraer eventos únicos por aid
+        const eventsByAid = new Map();
+        eventsWithAid
+            .filter(event => !eventsByAid.has(event.aid))
+            .forEach(event => eventsByAid.set(event.aid, event));
+
+        if (eventsByAid.size === 0) {
+            batchLogger.w('No valid aids in batch, skipping', { events: batch.length });
+            return;
+        }
+
+        // 1.2 Derivar los atributos con las reglas de clasificación de cada organización
+        const organizationIds = [...new Set([...eventsByAid.values()].map(event => event.organizationId))];
+        const rulesByOrganization = await this.loadClassificationRules$(organizationIds);
+        eventsByAid.forEach((event, aid) => eventsByAid.set(aid, {
+            ...event,
+            attributes: VehicleClassifier.deriveAttributes(event.data, rulesByOrganization[event.organizationId])
+        }));
+
+        // 2. Reclamar los aids - solo los insertados por este lote son frescos
+        const processedAt = Date.now();
+        const claimedAids = await VehicleStatsDA.claimProcessedAids$(batchId, processedAt, [...eventsByAid.values()]).toPromise();
+
+        // 3. Filtrar eventos frescos (reclamados por este lote)
+        const freshEvents = claimedAids.map(aid => eventsByAid.get(aid));
+        duplicateEventsCounter.inc({}, eventsWithAid.length - freshEvents.length);
 
         if (freshEvents.length === 0) {
-            ConsoleLogger.i('VehicleEventsProcessor: No fresh events to process, skipping...');
+            batchLogger.d('No fresh events to process, skipping', { events: batch.length });
             return;
         }
 
-        ConsoleLogger.i(`VehicleEventsProcessor: Processing ${freshEvents.length} fresh events out of ${batch.length} total`);
+        batchLogger.d('Processing fresh events', { freshEvents: freshEvents.length, events: batch.length });
 
         // 4. Procesar eventos frescos
-        ConsoleLogger.i(`VehicleEventsProcessor: About to process ${freshEvents.length} fresh events`);
+        // si falla, o alguna organización está en recálculo, los aids quedan reclamados como PENDING y el lote se re-aplica en la recuperación
         try {
-            await this.processFreshEvents$(freshEvents);
-            ConsoleLogger.i(`VehicleEventsProcessor: Successfully completed processFreshEvents$`);
+            if (await this.processFreshEvents$(freshEvents, batchId, processedAt)) {
+                processedEventsCounter.inc({}, freshEvents.length);
+            }
         } catch (error) {
-            ConsoleLogger.e(`VehicleEventsProcessor: Error in processFreshEvents$: ${error.message}`);
-            ConsoleLogger.e(`VehicleEventsProcessor: Error stack: ${error.stack}`);
+            batchLogger.e('Error processing fresh events, batch left pending for recovery', error, { freshEvents: freshEvents.length });
         }
     }
 
     /**
-     * Procesa eventos frescos y actualiza estadísticas
+     * Carga las reglas de clasificación de las organizaciones, completadas con las reglas por defecto
+     * @param {string[]} organizationIds
+     * @returns {Object} organizationId vs reglas
+     */
+    async loadClassificationRules$(organizationIds) {
+        const storedRules = await VehicleClassificationRulesDA.getRules$(organizationIds).toPromise();
+        return organizationIds.reduce((acc, organizationId) => ({
+            ...acc,
+            [organizationId]: VehicleClassifier.resolveRules(storedRules.filter(rule => rule.organizationId === organizationId))
+        }), {});
+    }
+
+    /**
+     * Procesa eventos frescos y actualiza estadísticas.
+     * Re-aplicar un lote no tiene efecto, cada documento de estadísticas registra los lotes que ya contiene
      * @param {Array} freshEvents - Eventos frescos a procesar
+     * @param {string} batchId - lote que reclamó los eventos
+     * @param {number} processedAt - timestamp del lote, determina los buckets históricos
+     * @returns {boolean} false si el lote quedó pendiente porque alguna de sus organizaciones está en recálculo
      */
-    async processFreshEvents$(freshEvents) {
-        ConsoleLogger.i(`VehicleEventsProcessor: Starting to process ${freshEvents.length} fresh events`);
-        
+    async processFreshEvents$(freshEvents, batchId, processedAt) {
+        const batchLogger = logger.child({ correlationId: batchId });
+        const startedAt = Date.now();
+
         try {
-            // 5. Derivar campos y construir acumuladores
-            ConsoleLogger.i(`VehicleEventsProcessor: Calculating batch stats...`);
-            const batchStats = this.calculateBatchStats(freshEvents);
-            ConsoleLogger.i(`VehicleEventsProcessor: Calculated batch stats: ${JSON.stringify(batchStats)}`);
-
-            // 6. Actualizar estadísticas en MongoDB
-            ConsoleLogger.i(`VehicleEventsProcessor: Updating fleet statistics in MongoDB...`);
-            ConsoleLogger.i(`VehicleEventsProcessor: Batch stats to update: ${JSON.stringify(batchStats)}`);
-            const updatedStats = await VehicleStatsDA.updateFleetStatistics$(batchStats).toPromise();
-            ConsoleLogger.i(`VehicleEventsProcessor: Fleet statistics updated in MongoDB: ${JSON.stringify(updatedStats)}`);
-
-            // 7. Insertar aids procesados
-            const freshAids = freshEvents.map(event => event.aid);
-            ConsoleLogger.i(`VehicleEventsProcessor: Inserting ${freshAids.length} processed aids...`);
-            await VehicleStatsDA.insertProcessedAids$(freshAids).toPromise();
-            ConsoleLogger.i(`VehicleEventsProcessor: Processed aids inserted successfully`);
+            const updatedStatsByOrganization = [];
+            const eventsByOrganization = this.groupEventsByOrganization(freshEvents);
+
+            // 4.1 Las estadísticas en recálculo no se actualizan, el lote queda PENDING hasta que termine el recálculo
+            const recomputingOrganizationIds = await VehicleStatsDA.getRecomputingOrganizationIds$(Object.keys(eventsByOrganization)).toPromise();
+            if (recomputingOrganizationIds.length > 0) {
+                batchLogger.i('Fleet statistics being recomputed, batch left pending', { organizationIds: recomputingOrganizationIds });
+                return false;
+            }
+
+            for (const organizationId of Object.keys(eventsByOrganization)) {
+                // 5. Derivar campos y construir acumuladores
+                const batchStats = this.calculateBatchStats(eventsByOrganization[organizationId]);
+
+                // 6. Actualizar estadísticas en MongoDB
+                const updatedStats = await VehicleStatsDA.updateFleetStatistics$(organizationId, batchStats, batchId).toPromise();
+                updatedStatsByOrganization.push(updatedStats);
+
+                // 6.1 Acumular en los buckets históricos (minuto, hora, día)
+                await VehicleStatsDA.updateFleetStatisticsHistory$(organizationId, batchStats, processedAt, batchId).toPromise();
+                batchLogger.d('Fleet statistics updated', { organizationId, vehicles: batchStats.totalVehicles, totalVehicles: updatedStats && updatedStats.totalVehicles });
+            }
+
+            // 7. Marcar los aids reclamados como aplicados
+            await VehicleStatsDA.markBatchApplied$(batchId).toPromise();
+            batchLogger.d('Batch marked as applied');
 
             // 8. Notificar por WebSocket
-            ConsoleLogger.i(`VehicleEventsProcessor: Sending WebSocket notification...`);
-            await this.notifyWebSocket$(updatedStats);
+            for (const updatedStats of updatedStatsByOrganization) {
+                await this.notifyWebSocket$(updatedStats);
+            }
 
-            ConsoleLogger.i(`VehicleEventsProcessor: Successfully processed ${freshEvents.length} events`);
+            // 9. Evaluar las reglas de alerta de cada organización actualizada
+            for (const updatedStats of updatedStatsByOrganization) {
+                await this.evaluateAlerts$(updatedStats);
+            }
+
+            batchLogger.d('Fresh events applied', { freshEvents: freshEvents.length, organizations: updatedStatsByOrganization.length, durationMs: Date.now() - startedAt });
+            return true;
         } catch (error) {
-            ConsoleLogger.e(`VehicleEventsProcessor: Error processing fresh events: ${error.message}`);
-            ConsoleLogger.e(`VehicleEventsProcessor: Error stack: ${error.stack}`);
+            batchLogger.e('Error applying fresh events', error, { freshEvents: freshEvents.length, durationMs: Date.now() - startedAt });
             throw error;
         }
     }
 
+    /**
+     * Re-aplica los lotes cuyos aids siguen reclamados como PENDING (ej: el proceso se detuvo a mitad de lote).
+     * Tras MAX_RECOVERY_ATTEMPTS el lote se libera y sus eventos van a la dead-letter queue
+     */
+    async recoverPendingBatches$() {
+        const pendingBatches = await VehicleStatsDA.getStalePendingBatches$(Date.now() - RECOVERY_STALE_MS).toPromise();
+        for (const { _id: batchId, processedAt, attempts, events } of pendingBatches) {
+            // los lotes de organizaciones en recálculo esperan a que termine, sin consumir intentos
+            const organizationIds = Object.keys(this.groupEventsByOrganization(events));
+            const recomputingOrganizationIds = await VehicleStatsDA.getRecomputingOrganizationIds$(organizationIds).toPromise();
+            if (recomputingOrganizationIds.length > 0) {
+                logger.d('Pending batch waiting for the fleet statistics recompute', { correlationId: batchId, organizationIds: recomputingOrganizationIds });
+                continue;
+            }
+
+            if (attempts >= MAX_RECOVERY_ATTEMPTS) {
+                logger.w('Batch could not be applied, sending its events to the dead-letter queue', { correlationId: batchId, attempts });
+                await this.deadLetterEvents$(events, new Error(`Batch could not be applied after ${attempts} recovery attempts`));
+                await VehicleStatsDA.releaseBatch$(batchId).toPromise();
+                continue;
+            }
+
+            logger.i('Recovering pending batch', { correlationId: batchId, events: events.length, attempts });
+            await VehicleStatsDA.incrementRecoveryAttempts$(batchId).toPromise();
+            try {
+                await this.processFreshEvents$(events, batchId, processedAt);
+            } catch (error) {
+                logger.e('Error recovering batch', error, { correlationId: batchId });
+            }
+        }
+    }
+
     /**
      * Calcula estadísticas del lote
      * @param {Array} events - Eventos a procesar
      * @returns {Object} Estadísticas del lote
      */
     calculateBatchStats(events) {
-        ConsoleLogger.i(`VehicleEventsProcessor: Calculating stats for ${events.length} events`);
-        
         const stats = {
             totalVehicles: events.length,
             vehiclesByType: {},
             vehiclesByDecade: {},
             vehiclesBySpeedClass: {},
+            vehiclesByPowerSource: {},
+            statsByType: {},
+            distributionValues: { hp: [], topSpeed: [] },
             hpStats: {
                 sum: 0,
                 count: events.length,
@@ -224,39 +622,61 @@ class VehicleEventsProcessor {
             }
         };
 
+        // Acumula un valor numérico en { sum, count, min, max }
+        const accumulate = (acc, value) => {
+            if (typeof value !== 'number') return;
+            acc.sum += value;
+            acc.count++;
+            acc.min = acc.min === null ? value : Math.min(acc.min, value);
+            acc.max = acc.max === null ? value : Math.max(acc.max, value);
+        };
+
         events.forEach(event => {
             const { data } = event;
             if (!data) {
-                ConsoleLogger.w(`VehicleEventsProcessor: Event without data: ${JSON.stringify(event)}`);
+                logger.sample(EVENT_LOG_SAMPLE_RATE).w('Vehicle event without data', { aid: event.aid, organizationId: event.organizationId });
                 return;
             }
 
-            const { type, powerSource, hp, year, topSpeed } = data;
-            ConsoleLogger.i(`VehicleEventsProcessor: Processing vehicle - type: ${type}, hp: ${hp}, year: ${year}, topSpeed: ${topSpeed}`);
+            const { type, powerSource, hp, topSpeed, decade, speedClass } = event.attributes || VehicleClassifier.deriveAttributes(data);
+            logger.sample(EVENT_LOG_SAMPLE_RATE).d('Vehicle classified', { aid: event.aid, type, hp, decade, speedClass });
 
             // Vehículos por tipo
             if (type) {
                 stats.vehiclesByType[type] = (stats.vehiclesByType[type] || 0) + 1;
             }
 
+            // Vehículos por fuente de poder
+            if (powerSource) {
+                stats.vehiclesByPowerSource[powerSource] = (stats.vehiclesByPowerSource[powerSource] || 0) + 1;
+            }
+
+            // HP y velocidad máxima por tipo
+            if (type) {
+                const typeStats = stats.statsByType[type] = stats.statsByType[type] || {
+                    hp: { sum: 0, count: 0, min: null, max: null },
+                    topSpeed: { sum: 0, count: 0, min: null, max: null }
+                };
+                accumulate(typeStats.hp, hp);
+                accumulate(typeStats.topSpeed, topSpeed || null);
+            }
+
+            // Valores para los histogramas de HP y velocidad máxima
+            if (hp !== null) stats.distributionValues.hp.push(hp);
+            if (topSpeed && typeof topSpeed === 'number') stats.distributionValues.topSpeed.push(topSpeed);
+
             // Vehículos por década
-            if (year) {
-                const decade = Math.floor(year / 10) * 10 + 's';
+            if (decade) {
                 stats.vehiclesByDecade[decade] = (stats.vehiclesByDecade[decade] || 0) + 1;
             }
 
             // Clasificación por velocidad
-            if (topSpeed) {
-                let speedClass;
-                if (topSpeed < 140) speedClass = 'Lento';
-                else if (topSpeed <= 240) speedClass = 'Normal';
-                else speedClass = 'Rapido';
-                
+            if (speedClass) {
                 stats.vehiclesBySpeedClass[speedClass] = (stats.vehiclesBySpeedClass[speedClass] || 0) + 1;
             }
 
             // Estadísticas de HP
-            if (hp && typeof hp === 'number') {
+            if (hp !== null) {
                 stats.hpStats.sum += hp;
                 stats.hpStats.min = Math.min(stats.hpStats.min, hp);
                 stats.hpStats.max = Math.max(stats.hpStats.max, hp);
@@ -282,9 +702,26 @@ class VehicleEventsProcessor {
                 'FleetStatisticsUpdated',
                 stats
             ).toPromise();
-            ConsoleLogger.i('VehicleEventsProcessor: WebSocket notification sent');
+            logger.d('WebSocket notification sent', { organizationId: stats.organizationId });
+            // Encolar la notificación para los webhooks suscritos (no falla, solo registra errores)
+            await WebhookDispatcher.publish$('FleetStatisticsUpdated', stats.organizationId, stats).toPromise();
         } catch (error) {
-            ConsoleLogger.e('VehicleEventsProcessor: Error sending WebSocket notification', error);
+            logger.e('Error sending WebSocket notification', error, { organizationId: stats.organizationId });
+        }
+    }
+
+    /**
+     * Evalúa las reglas de alerta sobre las estadísticas actualizadas, un fallo no afecta al lote ya aplicado
+     * @param {Object} stats - Estadísticas actualizadas
+     */
+    async evaluateAlerts$(stats) {
+        try {
+            const alerts = await FleetAlertEvaluator.evaluate$(stats).toPromise();
+            if (alerts.length > 0) {
+                logger.i('Fleet alerts changed state', { organizationId: stats.organizationId, alerts: alerts.length });
+            }
+        } catch (error) {
+            logger.e('Error evaluating the fleet alert rules', error, { organizationId: stats.organizationId });
         }
     }
 
@@ -292,8 +729,11 @@ class VehicleEventsProcessor {
      * Detiene el procesamiento
      */
     stop$() {
-        ConsoleLogger.i('VehicleEventsProcessor: Stopping...');
+        logger.i('Stopping');
         this.events$.complete();
+        if (this.recoverySubscription) {
+            this.recoverySubscription.unsubscribe();
+        }
         return from([{ message: 'VehicleEventsProcessor stopped' }]);
     }
 }
@@ -304,7 +744,7 @@ class VehicleEventsProcessor {
 module.exports = () => {
     if (!instance) {
         instance = new VehicleEventsProcessor();
-        ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+        logger.i(`${instance.constructor.name} Singleton created`);
     }
     return instance;
 };
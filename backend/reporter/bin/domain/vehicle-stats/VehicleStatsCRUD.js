@@ -1,26 +1,41 @@
 "use strict";
 
 const uuidv4 = require("uuid/v4");
-const { of, forkJoin, from, iif, throwError, Subject, interval, timer, Observable } = require("rxjs");
-const { mergeMap, catchError, map, toArray, pluck, takeUntil, tap, bufferTime, filter, switchMap } = require('rxjs/operators');
+const { of, forkJoin, from, iif, throwError, interval, timer, Observable } = require("rxjs");
+const { mergeMap, catchError, map, toArray, pluck, takeUntil, tap } = require('rxjs/operators');
 const crypto = require('crypto');
 
 const Event = require("@nebulae/event-store").Event;
 const { CqrsResponseHelper } = require('@nebulae/backend-node-tools').cqrs;
 const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
 const { CustomError, INTERNAL_SERVER_ERROR_CODE, PERMISSION_DENIED } = require("@nebulae/backend-node-tools").error;
-const { brokerFactory } = require("@nebulae/backend-node-tools").broker;
 
-const broker = brokerFactory();
 const eventSourcing = require("../../tools/event-sourcing").eventSourcing;
 const VehicleStatsDA = require("./data-access/VehicleStatsDA");
+const VehicleEventsDeadLetterDA = require("./data-access/VehicleEventsDeadLetterDA");
+const VehicleClassificationRulesDA = require("./data-access/VehicleClassificationRulesDA");
+const FleetAlertRulesDA = require("./data-access/FleetAlertRulesDA");
+const VehicleClassifier = require("./VehicleClassifier");
+const FleetAlertRules = require("./FleetAlertRules");
+const FleetAlertEvaluator = require("./FleetAlertEvaluator")();
+const VehicleEventsProcessor = require("./VehicleEventsProcessor")();
+const VehicleStatsRecomputer = require("./VehicleStatsRecomputer")();
 
 const READ_ROLES = ["REPORT_READ"];
 const WRITE_ROLES = ["REPORT_WRITE"];
 const REQUIRED_ATTRIBUTES = [];
+/**
+ * Fleet statistics are scoped to the organization carried in the JWT
+ */
+const ORGANIZATION_ATTRIBUTES = ["organizationId"];
+/**
+ * Platform operators, they handle the dead letters no organization could be attributed to
+ */
+const PLATFORM_ADMIN_ROLES = ["PLATFORM-ADMIN"];
 const MATERIALIZED_VIEW_TOPIC = "emi-gateway-materialized-view-updates";
-const MQTT_TOPIC = "fleet/vehicles/generated";
-const WEBSOCKET_TOPIC = "fleet-statistics-updated";
+const HISTORY_GRANULARITIES = ["MINUTE", "HOUR", "DAY"];
+const INVALID_ARGUMENTS_ERROR_CODE = 17001;
+const RECOMPUTE_IN_PROGRESS_ERROR_CODE = 17002;
 
 /**
  * Singleton instance
@@ -30,9 +45,8 @@ let instance;
 
 class VehicleStatsCRUD {
   constructor() {
-    this.events$ = new Subject();
-    this.isProcessing = false;
-    this.processingSubscription = null;
+    // recompute jobId vs subscription, cancelled on stop$
+    this.recomputeSubscriptions = new Map();
   }
 
   /**     
@@ -46,202 +60,434 @@ class VehicleStatsCRUD {
   generateRequestProcessorMap() {
     return {
       'VehicleStats': {
-        "emigateway.graphql.query.VehicleStatsFleetStatistics": { fn: instance.getFleetStatistics$, instance, jwtValidation: { roles: READ_ROLES, attributes: REQUIRED_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsFleetStatistics": { fn: instance.getFleetStatistics$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsFleetStatisticsHistory": { fn: instance.getFleetStatisticsHistory$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsDeadLetterListing": { fn: instance.getDeadLetterListing$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsProcessorMetrics": { fn: instance.getProcessorMetrics$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsDeadLetter": { fn: instance.getDeadLetter$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsReplayDeadLetters": { fn: instance.replayDeadLetters$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsVehicleListing": { fn: instance.getVehicleListing$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsClassificationRules": { fn: instance.getClassificationRules$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsUpdateClassificationRule": { fn: instance.updateClassificationRule$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsResetClassificationRule": { fn: instance.resetClassificationRule$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsRecompute": { fn: instance.recompute$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsPurgeDeadLetters": { fn: instance.purgeDeadLetters$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsUnattributedDeadLetterListing": { fn: instance.getUnattributedDeadLetterListing$, instance, jwtValidation: { roles: PLATFORM_ADMIN_ROLES, attributes: REQUIRED_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsReplayUnattributedDeadLetters": { fn: instance.replayUnattributedDeadLetters$, instance, jwtValidation: { roles: PLATFORM_ADMIN_ROLES, attributes: REQUIRED_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsPurgeUnattributedDeadLetters": { fn: instance.purgeUnattributedDeadLetters$, instance, jwtValidation: { roles: PLATFORM_ADMIN_ROLES, attributes: REQUIRED_ATTRIBUTES } },
+        "emigateway.graphql.query.VehicleStatsFleetAlertRules": { fn: instance.getFleetAlertRules$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsCreateFleetAlertRule": { fn: instance.createFleetAlertRule$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsUpdateFleetAlertRule": { fn: instance.updateFleetAlertRule$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.VehicleStatsDeleteFleetAlertRule": { fn: instance.deleteFleetAlertRule$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
       }
     }
   };
 
   /**  
-   * Gets fleet statistics
+   * Gets the fleet statistics of the caller's organization
    *
    * @param {*} args args
    */
   getFleetStatistics$({ args }, authToken) {
-    return VehicleStatsDA.getFleetStatistics$().pipe(
+    return VehicleStatsDA.getFleetStatistics$(authToken.organizationId).pipe(
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**  
+   * Gets the caller's organization fleet statistics time buckets of the given granularity within a time range
+   *
+   * @param {*} args args
+   */
+  getFleetStatisticsHistory$({ args }, authToken) {
+    const { granularity, from, to } = args;
+    return of({ granularity, from, to }).pipe(
+      tap(() => {
+        if (!HISTORY_GRANULARITIES.includes(granularity)) {
+          throw new CustomError('InvalidGranularity', 'VehicleStatsCRUD.getFleetStatisticsHistory$', INVALID_ARGUMENTS_ERROR_CODE, `granularity must be one of ${HISTORY_GRANULARITIES.join(', ')}`);
+        }
+        if (from > to) {
+          throw new CustomError('InvalidTimeRange', 'VehicleStatsCRUD.getFleetStatisticsHistory$', INVALID_ARGUMENTS_ERROR_CODE, 'from must be lower or equal than to');
+        }
+      }),
+      mergeMap(() => VehicleStatsDA.getFleetStatisticsHistory$(authToken.organizationId, granularity, from, to)),
+      map(bucket => ({ ...bucket, id: bucket._id })),
+      toArray(),
       mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
       catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
     );
   }
 
+  /**  
+   * Gets the vehicle events batch pipeline metrics (queue depth and lag) of the instance attending the request
+   */
+  getProcessorMetrics$({ args }, authToken) {
+    return of(VehicleEventsProcessor.getMetrics()).pipe(
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**  
+   * Gets the dead-letter queue listing of the caller's organization
+   *
+   * @param {*} args args
+   */
+  getDeadLetterListing$({ args }, authToken) {
+    return instance.buildDeadLetterListing$(args, authToken.organizationId);
+  }
+
+  /**  
+   * Gets the dead-letter queue listing of the events no organization could be attributed to
+   *
+   * @param {*} args args
+   */
+  getUnattributedDeadLetterListing$({ args }, authToken) {
+    return instance.buildDeadLetterListing$(args, null);
+  }
+
   /**
-   * Start processing vehicle events - DISABLED in favor of VehicleEventsProcessor
+   * Dead-letter queue listing response
+   * @param {*} args { filterInput, paginationInput }
+   * @param {string} organizationId dead letters organization, null for the unattributed ones
    */
-  startProcessing$() {
-    ConsoleLogger.i("VehicleStatsCRUD.startProcessing$ is disabled - using VehicleEventsProcessor instead");
-    return of("VehicleStatsCRUD processing disabled");
+  buildDeadLetterListing$({ filterInput, paginationInput }, organizationId) {
+    const { queryTotalResultCount = false } = paginationInput || {};
+
+    return forkJoin(
+      VehicleEventsDeadLetterDA.getDeadLetterList$(filterInput, paginationInput, organizationId).pipe(
+        map(deadLetter => instance.formatDeadLetter(deadLetter)),
+        toArray()
+      ),
+      queryTotalResultCount ? VehicleEventsDeadLetterDA.getDeadLetterSize$(filterInput, organizationId) : of(undefined),
+    ).pipe(
+      map(([listing, queryTotalResultCount]) => ({ listing, queryTotalResultCount })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**  
+   * Gets a dead letter by its id
+   *
+   * @param {*} args args
+   */
+  getDeadLetter$({ args }, authToken) {
+    return VehicleEventsDeadLetterDA.getDeadLetter$(args.id, authToken.organizationId).pipe(
+      map(deadLetter => deadLetter ? instance.formatDeadLetter(deadLetter) : null),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
   }
 
   /**
-   * Stop processing vehicle events
+   * Removes the given dead letters from the queue and feeds them back into the vehicle events pipeline.
+   * Events failing again are dead-lettered as new entries
    */
-  stopProcessing$() {
-    if (!this.isProcessing) {
-      ConsoleLogger.i("Vehicle stats processing is not running");
-      return of(null);
-    }
+  replayDeadLetters$({ root, args, jwt }, authToken) {
+    return instance.buildReplayDeadLetters$(args.ids, authToken.organizationId);
+  }
 
-    this.isProcessing = false;
-    ConsoleLogger.i("Stopping vehicle stats processing");
+  /**
+   * Replays dead letters no organization could be attributed to
+   */
+  replayUnattributedDeadLetters$({ root, args, jwt }, authToken) {
+    return instance.buildReplayDeadLetters$(args.ids, null);
+  }
 
-    if (this.processingSubscription) {
-      this.processingSubscription.unsubscribe();
-      this.processingSubscription = null;
-    }
+  /**
+   * Dead letters replay response
+   * @param {Array} ids dead letter IDs
+   * @param {string} organizationId dead letters organization, null for the unattributed ones
+   */
+  buildReplayDeadLetters$(ids, organizationId) {
+    return VehicleEventsDeadLetterDA.getDeadLetters$(ids, organizationId).pipe(
+      mergeMap(deadLetters => VehicleEventsDeadLetterDA.deleteDeadLetters$(deadLetters.map(({ _id }) => _id), organizationId).pipe(
+        map(() => VehicleEventsProcessor.replayDeadLetters(deadLetters)),
+        map(replayed => ({ code: 200, message: `${replayed} of ${deadLetters.length} dead letters have been replayed` }))
+      )),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
 
-    return of(null);
+  /**
+   * Permanently removes the given dead letters
+   */
+  purgeDeadLetters$({ root, args, jwt }, authToken) {
+    return instance.buildPurgeDeadLetters$(args.ids, authToken.organizationId);
   }
 
   /**
-   * Subscribe to MQTT events
+   * Permanently removes dead letters no organization could be attributed to
    */
-  subscribeToMQTTEvents$() {
-    try {
-      // Try different broker methods for MQTT subscription
-      if (broker.getMessages$) {
-        broker.getMessages$(MQTT_TOPIC, "MQTT").subscribe({
-          next: (event) => {
-            ConsoleLogger.i(`Received MQTT event: ${event.et} for aid: ${event.aid}`);
-            this.events$.next(event);
-          },
-          error: (err) => {
-            ConsoleLogger.e("Error receiving MQTT events:", err);
-          }
-        });
-      } else if (broker.subscribe$) {
-        broker.subscribe$(MQTT_TOPIC).subscribe({
-          next: (event) => {
-            ConsoleLogger.i(`Received MQTT event: ${event.et} for aid: ${event.aid}`);
-            this.events$.next(event);
-          },
-          error: (err) => {
-            ConsoleLogger.e("Error receiving MQTT events:", err);
-          }
-        });
-      } else {
-        ConsoleLogger.w("MQTT broker methods not available, using mock data for testing");
-        // For testing purposes, generate mock events
-        this.startMockDataGeneration();
-      }
-    } catch (error) {
-      ConsoleLogger.e("Error setting up MQTT subscription:", error);
-      // Fallback to mock data for testing
-      this.startMockDataGeneration();
-    }
+  purgeUnattributedDeadLetters$({ root, args, jwt }, authToken) {
+    return instance.buildPurgeDeadLetters$(args.ids, null);
   }
 
   /**
-   * Start mock data generation for testing when MQTT is not available
+   * Dead letters purge response
+   * @param {Array} ids dead letter IDs
+   * @param {string} organizationId dead letters organization, null for the unattributed ones
    */
-  startMockDataGeneration() {
-    ConsoleLogger.i("Starting mock vehicle data generation for testing");
-    const mockInterval = setInterval(() => {
-      if (!this.isProcessing) {
-        clearInterval(mockInterval);
-        return;
-      }
-      
-      const mockVehicle = {
-        aid: `mock-${Date.now()}-${Math.random()}`,
-        et: "Generated",
-        data: {
-          type: ['Sedan', 'SUV', 'Hatchback'][Math.floor(Math.random() * 3)],
-          powerSource: ['Gasoline', 'Electric', 'Hybrid'][Math.floor(Math.random() * 3)],
-          hp: Math.floor(Math.random() * 500) + 50,
-          year: Math.floor(Math.random() * 25) + 2000,
-          topSpeed: Math.floor(Math.random() * 200) + 100
+  buildPurgeDeadLetters$(ids, organizationId) {
+    return VehicleEventsDeadLetterDA.deleteDeadLetters$(ids, organizationId).pipe(
+      map(deletedCount => ({ code: deletedCount > 0 ? 200 : 400, message: `${deletedCount} dead letters have been purged` })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**  
+   * Gets the processed vehicles listing of the caller's organization
+   *
+   * @param {*} args args
+   */
+  getVehicleListing$({ args }, authToken) {
+    const { filterInput, paginationInput, sortInput } = args;
+    const { queryTotalResultCount = false } = paginationInput || {};
+
+    return forkJoin(
+      VehicleStatsDA.getVehicleList$(filterInput || {}, paginationInput, sortInput, authToken.organizationId).pipe(toArray()),
+      queryTotalResultCount ? VehicleStatsDA.getVehicleSize$(filterInput || {}, authToken.organizationId) : of(undefined),
+    ).pipe(
+      map(([listing, queryTotalResultCount]) => ({ listing, queryTotalResultCount })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**  
+   * Gets the classification rules of the caller's organization, default rules included
+   */
+  getClassificationRules$({ args }, authToken) {
+    return VehicleClassificationRulesDA.getRules$([authToken.organizationId]).pipe(
+      map(rules => VehicleClassifier.resolveRules(rules).map(rule => instance.formatClassificationRule(rule))),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Customizes a classification rule of the caller's organization.
+   * It applies to the vehicles processed from now on, VehicleStatsRecompute applies it to the already processed ones
+   */
+  updateClassificationRule$({ root, args, jwt }, authToken) {
+    const { dimension, input } = args;
+    const rule = {
+      field: input.field,
+      mode: input.mode,
+      buckets: (input.buckets || []).map(({ name, gt, gte, lt, lte }) => ({ name, gt, gte, lt, lte })),
+      interval: input.interval ? { size: input.interval.size, prefix: input.interval.prefix || '', suffix: input.interval.suffix || '' } : null
+    };
+    return of(VehicleClassifier.validateRule(dimension, rule)).pipe(
+      tap(errors => {
+        if (errors.length > 0) {
+          throw new CustomError('InvalidClassificationRule', 'VehicleStatsCRUD.updateClassificationRule$', INVALID_ARGUMENTS_ERROR_CODE, errors.join('; '));
         }
-      };
-      
-      this.events$.next(mockVehicle);
-    }, 1000); // Generate mock data every second
+      }),
+      mergeMap(() => VehicleClassificationRulesDA.updateRule$(authToken.organizationId, dimension, rule, authToken.preferred_username)),
+      map(storedRule => instance.formatClassificationRule(storedRule)),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
   }
 
   /**
-   * Start batch processing with bufferTime
+   * Removes the caller's organization customization of a classification rule, the default rule applies again
    */
-  startBatchProcessing$() {
-    this.processingSubscription = this.events$.pipe(
-      bufferTime(1000), // Buffer events for 1 second
-      filter(events => events.length > 0), // Only process if there are events
-      switchMap(eventBatch => this.processEventBatch$(eventBatch))
-    ).subscribe({
-      next: (result) => {
-        if (result) {
-          ConsoleLogger.i(`Processed batch of ${result.processedCount} vehicles`);
+  resetClassificationRule$({ root, args, jwt }, authToken) {
+    const { dimension } = args;
+    return of(dimension).pipe(
+      tap(() => {
+        if (!VehicleClassifier.DIMENSIONS.includes(dimension)) {
+          throw new CustomError('InvalidClassificationRule', 'VehicleStatsCRUD.resetClassificationRule$', INVALID_ARGUMENTS_ERROR_CODE, `dimension must be one of ${VehicleClassifier.DIMENSIONS.join(', ')}`);
         }
-      },
-      error: (err) => {
-        ConsoleLogger.e("Error in batch processing:", err);
-      }
-    });
+      }),
+      mergeMap(() => VehicleClassificationRulesDA.deleteRule$(authToken.organizationId, dimension)),
+      map(() => instance.formatClassificationRule(VehicleClassifier.resolveRules().find(rule => rule.dimension === dimension))),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Maps a classification rule to its GraphQL shape
+   * @param {*} rule classification rule
+   */
+  formatClassificationRule(rule) {
+    return { ...rule, id: rule.dimension, isDefault: !!rule.isDefault };
   }
 
   /**
-   * Process a batch of events
-   * @param {Array} eventBatch Array of events to process
+   * Gets the fleet alert rules of the caller's organization with their current state
    */
-  processEventBatch$(eventBatch) {
-    ConsoleLogger.i(`Processing batch of ${eventBatch.length} events`);
-
-    // Extract vehicle data and aids
-    const vehicles = eventBatch.map(event => ({
-      aid: event.aid,
-      type: event.data.type,
-      powerSource: event.data.powerSource,
-      hp: event.data.hp,
-      year: event.data.year,
-      topSpeed: event.data.topSpeed
-    }));
-
-    const aids = vehicles.map(v => v.aid);
-
-    return VehicleStatsDA.getProcessedVehicleIds$(aids).pipe(
-      mergeMap(processedIds => {
-        // Filter out already processed vehicles
-        const newVehicles = vehicles.filter(v => !processedIds.includes(v.aid));
-        
-        if (newVehicles.length === 0) {
-          ConsoleLogger.i("No new vehicles to process in this batch");
-          return of(null);
+  getFleetAlertRules$({ args }, authToken) {
+    return FleetAlertRulesDA.getRules$(authToken.organizationId).pipe(
+      map(rules => rules.map(rule => instance.formatFleetAlertRule(rule))),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Creates a fleet alert rule on the caller's organization, it is evaluated right away against the current statistics
+   */
+  createFleetAlertRule$({ root, args, jwt }, authToken) {
+    const rule = instance.buildFleetAlertRule(args.input);
+    return of(rule).pipe(
+      tap(() => instance.validateFleetAlertRule(rule, 'VehicleStatsCRUD.createFleetAlertRule$')),
+      mergeMap(() => FleetAlertRulesDA.createRule$(uuidv4(), authToken.organizationId, rule, authToken.preferred_username)),
+      mergeMap(storedRule => instance.evaluateFleetAlertRule$(storedRule)),
+      map(storedRule => instance.formatFleetAlertRule(storedRule)),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Modifies a fleet alert rule of the caller's organization, its state is evaluated again from OK
+   */
+  updateFleetAlertRule$({ root, args, jwt }, authToken) {
+    const { id, input } = args;
+    const rule = instance.buildFleetAlertRule(input);
+    return of(rule).pipe(
+      tap(() => instance.validateFleetAlertRule(rule, 'VehicleStatsCRUD.updateFleetAlertRule$')),
+      mergeMap(() => FleetAlertRulesDA.updateRule$(id, authToken.organizationId, rule, authToken.preferred_username)),
+      tap(storedRule => {
+        if (!storedRule) {
+          throw new CustomError('FleetAlertRuleNotFound', 'VehicleStatsCRUD.updateFleetAlertRule$', INVALID_ARGUMENTS_ERROR_CODE, `fleet alert rule ${id} not found`);
         }
+      }),
+      mergeMap(storedRule => instance.evaluateFleetAlertRule$(storedRule)),
+      map(storedRule => instance.formatFleetAlertRule(storedRule)),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
 
-        ConsoleLogger.i(`Processing ${newVehicles.length} new vehicles out of ${vehicles.length} total`);
-
-        // Update statistics
-        return VehicleStatsDA.updateFleetStatistics$(newVehicles).pipe(
-          mergeMap(updatedStats => {
-            if (updatedStats) {
-              // Send updated stats via WebSocket
-              this.sendStatsViaWebSocket$(updatedStats);
-              
-              // Mark vehicles as processed
-              return VehicleStatsDA.markVehiclesAsProcessed$(aids).pipe(
-                map(() => ({
-                  processedCount: newVehicles.length,
-                  totalCount: vehicles.length,
-                  stats: updatedStats
-                }))
-              );
-            }
-            return of(null);
-          })
+  /**
+   * Removes a fleet alert rule of the caller's organization
+   */
+  deleteFleetAlertRule$({ root, args, jwt }, authToken) {
+    return FleetAlertRulesDA.deleteRule$(args.id, authToken.organizationId).pipe(
+      map(deletedCount => ({ code: deletedCount > 0 ? 200 : 400, message: `${deletedCount} fleet alert rules have been removed` })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Picks the rule definition fields out of the GraphQL input
+   * @param {*} input FleetAlertRuleInput
+   */
+  buildFleetAlertRule(input) {
+    const bucketMetric = ['BUCKET_COUNT', 'BUCKET_SHARE'].includes(input.metric);
+    return {
+      name: (input.name || '').trim(),
+      metric: input.metric,
+      dimension: bucketMetric ? input.dimension : null,
+      bucket: bucketMetric ? input.bucket : null,
+      operator: input.operator,
+      threshold: input.threshold,
+      active: input.active !== false
+    };
+  }
+
+  /**
+   * Throws an InvalidFleetAlertRule error if the rule definition is not valid
+   * @param {*} rule rule definition
+   * @param {string} method method validating the rule
+   */
+  validateFleetAlertRule(rule, method) {
+    const errors = FleetAlertRules.validateRule(rule);
+    if (errors.length > 0) {
+      throw new CustomError('InvalidFleetAlertRule', method, INVALID_ARGUMENTS_ERROR_CODE, errors.join('; '));
+    }
+  }
+
+  /**
+   * Evaluates a just stored rule against the current statistics of its organization.
+   * A failing evaluation is logged, the rule is stored anyway and evaluated on the next statistics update
+   * @param {*} rule stored rule
+   * @returns {Observable} Observable with the rule on its current state
+   */
+  evaluateFleetAlertRule$(rule) {
+    if (!rule.active) {
+      return of(rule);
+    }
+    return VehicleStatsDA.getFleetStatistics$(rule.organizationId).pipe(
+      mergeMap(stats => FleetAlertEvaluator.evaluateRules$([rule], stats, Date.now())),
+      map(([alert]) => alert ? { ...rule, state: alert.state, lastValue: alert.value } : rule),
+      catchError(error => {
+        ConsoleLogger.e(`VehicleStatsCRUD.evaluateFleetAlertRule$: Error evaluating rule ${rule._id}`, error);
+        return of(rule);
+      })
+    );
+  }
+
+  /**
+   * Maps a fleet alert rule to its GraphQL shape
+   * @param {*} rule fleet alert rule
+   */
+  formatFleetAlertRule(rule) {
+    return { ...rule, id: rule._id, condition: FleetAlertRules.describe(rule) };
+  }
+
+  /**
+   * Starts rebuilding the caller's organization fleet statistics from the processed vehicles ledger.
+   * The organization is locked while it is rebuilt, its vehicle batches are applied once the rebuild ends.
+   * The progress is reported through the VehicleStatsRecomputeProgress subscription
+   */
+  recompute$({ root, args, jwt }, authToken) {
+    const jobId = uuidv4();
+    return VehicleStatsDA.getRecomputingOrganizationIds$([authToken.organizationId]).pipe(
+      tap(recomputingOrganizationIds => {
+        if (recomputingOrganizationIds.length > 0) {
+          throw new CustomError('RecomputeInProgress', 'VehicleStatsCRUD.recompute$', RECOMPUTE_IN_PROGRESS_ERROR_CODE, 'the fleet statistics are already being recomputed');
+        }
+      }),
+      tap(() => {
+        const subscription = VehicleStatsRecomputer.recompute$([authToken.organizationId], { jobId, notify: true }).subscribe(
+          progress => ConsoleLogger.i(`VehicleStatsCRUD.recompute$: ${JSON.stringify(progress)}`),
+          error => {
+            instance.recomputeSubscriptions.delete(jobId);
+            ConsoleLogger.e(`VehicleStatsCRUD.recompute$: job ${jobId} failed`, error);
+          },
+          () => {
+            instance.recomputeSubscriptions.delete(jobId);
+            ConsoleLogger.i(`VehicleStatsCRUD.recompute$: job ${jobId} completed`);
+          }
         );
+        if (!subscription.closed) {
+          instance.recomputeSubscriptions.set(jobId, subscription);
+        }
       }),
-      catchError(err => {
-        ConsoleLogger.e("Error processing event batch:", err);
-        return of(null);
-      })
+      map(() => ({ code: 200, message: jobId })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
     );
   }
 
   /**
-   * Send updated statistics via WebSocket
-   * @param {Object} stats Updated statistics
+   * Maps a dead letter document to its GraphQL shape, the raw payload is serialized as JSON
+   * @param {*} deadLetter dead letter document
+   */
+  formatDeadLetter(deadLetter) {
+    return { ...deadLetter, id: deadLetter._id, payload: JSON.stringify(deadLetter.payload) };
+  }
+
+  /**
+   * Cancels the running recompute jobs, their organization locks are released
+   * @returns {Observable} Observable with a string log
    */
-  sendStatsViaWebSocket$(stats) {
-    broker.send$(WEBSOCKET_TOPIC, "FleetStatisticsUpdated", stats).subscribe({
-      next: () => ConsoleLogger.i("Statistics sent via WebSocket"),
-      error: (err) => ConsoleLogger.e("Error sending statistics via WebSocket:", err)
+  stop$() {
+    return Observable.create(observer => {
+      this.recomputeSubscriptions.forEach(subscription => subscription.unsubscribe());
+      observer.next(`VehicleStatsCRUD: ${this.recomputeSubscriptions.size} recompute jobs cancelled`);
+      this.recomputeSubscriptions.clear();
+      observer.complete();
     });
   }
 
@@ -0,0 +1,166 @@
+'use strict'
+
+const { of, from, defer, concat, forkJoin, throwError } = require('rxjs');
+const { map, mergeMap, concatMap, catchError, finalize } = require('rxjs/operators');
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { brokerFactory } = require('@nebulae/backend-node-tools').broker;
+const uuidv4 = require('uuid/v4');
+
+const VehicleClassifier = require('./VehicleClassifier');
+const VehicleStatsDA = require('./data-access/VehicleStatsDA');
+const VehicleClassificationRulesDA = require('./data-access/VehicleClassificationRulesDA');
+const WebhookDispatcher = require('../webhook/WebhookDispatcher')();
+
+const ATTRIBUTES_STEP = 'ATTRIBUTES';
+const STATISTICS_STEP = 'STATISTICS';
+
+/**
+ * Singleton instance
+ * @type { VehicleStatsRecomputer }
+ */
+let instance;
+
+/**
+ * Rebuilds the fleet statistics and their history buckets from the processed vehicles ledger,
+ * re-deriving every vehicle attribute with the current classification rules
+ */
+class VehicleStatsRecomputer {
+    constructor() {
+        this.broker = brokerFactory();
+    }
+
+    /**
+     * Rebuilds the fleet statistics of the given organizations, one step (statistics or history granularity) at a time.
+     * Every organization is locked while it is rebuilt, so the vehicle events processor leaves its batches pending
+     * @param {string[]} organizationIds - organizations to rebuild, every organization in the ledger if not given
+     * @param {{ jobId: string, notify: boolean }} ops - job id and whether progress and rebuilt statistics are sent to the gateway
+     * @returns {Observable} stream of progress reports
+     */
+    recompute$(organizationIds, { jobId = uuidv4(), notify = false } = {}) {
+        const steps = [ATTRIBUTES_STEP, STATISTICS_STEP, ...VehicleStatsDA.getHistoryGranularities()];
+        const organizationIds$ = organizationIds ? of(organizationIds) : VehicleStatsDA.getLedgerOrganizationIds$();
+        return organizationIds$.pipe(
+            mergeMap(orgIds => {
+                const totalSteps = orgIds.length * steps.length;
+                return from(orgIds).pipe(
+                    concatMap((organizationId, orgIndex) => from(steps).pipe(
+                        concatMap((step, stepIndex) => this.lockedRecomputeStep$(organizationId, jobId, step, notify).pipe(
+                            map(() => this.buildProgress(jobId, organizationId, {
+                                status: stepIndex === steps.length - 1 ? 'COMPLETED' : 'RUNNING',
+                                step,
+                                completedSteps: orgIndex * steps.length + stepIndex + 1,
+                                totalSteps
+                            })),
+                            concatMap(progress => this.notifyProgress$(progress, notify))
+                        )),
+                        catchError(error => concat(
+                            of(this.buildProgress(jobId, organizationId, { status: 'FAILED', message: error.message, totalSteps })).pipe(
+                                concatMap(progress => this.notifyProgress$(progress, notify))
+                            ),
+                            throwError(error)
+                        )),
+                        finalize(() => this.releaseLock(organizationId, jobId))
+                    ))
+                );
+            })
+        );
+    }
+
+    /**
+     * Takes (or refreshes) the organization recompute lock and runs the step, fails if other job holds the lock
+     * @param {string} organizationId
+     * @param {string} jobId
+     * @param {string} step - ATTRIBUTES, STATISTICS or a history granularity
+     * @param {boolean} notify - whether the rebuilt statistics are sent to the gateway and the webhooks
+     */
+    lockedRecomputeStep$(organizationId, jobId, step, notify) {
+        return VehicleStatsDA.acquireRecomputeLock$(organizationId, jobId).pipe(
+            mergeMap(acquired => acquired
+                ? this.recomputeStep$(organizationId, step, notify)
+                : throwError(new Error(`Fleet statistics of organization ${organizationId} are being recomputed by other job`)))
+        );
+    }
+
+    /**
+     * Releases the organization recompute lock once its rebuild ends, fails or is cancelled
+     * @param {string} organizationId
+     * @param {string} jobId
+     */
+    releaseLock(organizationId, jobId) {
+        VehicleStatsDA.releaseRecomputeLock$(organizationId, jobId).subscribe(
+            () => { },
+            error => ConsoleLogger.e(`VehicleStatsRecomputer: Error releasing the recompute lock of organization ${organizationId}`, error)
+        );
+    }
+
+    /**
+     * Re-derives the ledger vehicle attributes, rebuilds the statistics document or the history buckets of a granularity of an organization
+     * @param {string} organizationId
+     * @param {string} step - ATTRIBUTES, STATISTICS or a history granularity
+     * @param {boolean} notify - whether the rebuilt statistics are sent to the gateway and the webhooks
+     */
+    recomputeStep$(organizationId, step, notify) {
+        ConsoleLogger.i(`VehicleStatsRecomputer: Recomputing ${step} of organization ${organizationId}`);
+        return VehicleClassificationRulesDA.getRules$([organizationId]).pipe(
+            map(rules => VehicleClassifier.derivedAttributesStage(VehicleClassifier.resolveRules(rules))),
+            mergeMap(derivedAttributesStage => {
+                switch (step) {
+                    case ATTRIBUTES_STEP:
+                        return VehicleStatsDA.reclassifyProcessedVehicles$(organizationId, derivedAttributesStage);
+                    case STATISTICS_STEP:
+                        return VehicleStatsDA.recomputeFleetStatistics$(organizationId, derivedAttributesStage).pipe(
+                            mergeMap(stats => notify
+                                ? forkJoin(
+                                    this.broker.send$('emi-gateway-materialized-view-updates', 'FleetStatisticsUpdated', stats),
+                                    WebhookDispatcher.publish$('FleetStatisticsUpdated', organizationId, stats)
+                                )
+                                : of(stats)
+                            )
+                        );
+                    default:
+                        return VehicleStatsDA.recomputeFleetStatisticsHistory$(organizationId, step, derivedAttributesStage);
+                }
+            })
+        );
+    }
+
+    /**
+     * Builds a progress report
+     * @param {string} jobId
+     * @param {string} organizationId
+     * @param {Object} progress - status, step, completedSteps, totalSteps and message
+     */
+    buildProgress(jobId, organizationId, { status, step = null, completedSteps = 0, totalSteps, message = null }) {
+        return { jobId, organizationId, status, step, completedSteps, totalSteps, message, timestamp: Date.now() };
+    }
+
+    /**
+     * Sends the progress report to the gateway when requested
+     * @param {Object} progress
+     * @param {boolean} notify
+     * @returns {Observable} the progress report
+     */
+    notifyProgress$(progress, notify) {
+        if (!notify) {
+            return of(progress);
+        }
+        return defer(() => this.broker.send$('emi-gateway-materialized-view-updates', 'VehicleStatsRecomputeProgress', progress)).pipe(
+            map(() => progress),
+            catchError(error => {
+                ConsoleLogger.e('VehicleStatsRecomputer: Error sending recompute progress', error);
+                return of(progress);
+            })
+        );
+    }
+}
+
+/**
+ * @returns {VehicleStatsRecomputer}
+ */
+module.exports = () => {
+    if (!instance) {
+        instance = new VehicleStatsRecomputer();
+        ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+    }
+    return instance;
+};
@@ -0,0 +1,126 @@
+"use strict";
+
+let mongoDB = undefined;
+const { map } = require("rxjs/operators");
+const { Observable, defer } = require("rxjs");
+
+const CollectionName = 'fleet_alert_rules';
+
+class FleetAlertRulesDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Gets the alert rules of an organization
+   * @param {string} organizationId
+   * @param {boolean} onlyActive - whether the inactive rules are left out
+   * @returns {Observable} Observable with an array of rules, by name
+   */
+  static getRules$(organizationId, onlyActive = false) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const query = { organizationId };
+    if (onlyActive) query.active = true;
+    return defer(() => collection.find(query).sort({ name: 1 }).toArray());
+  }
+
+  /**
+   * Gets the active rules of every organization measuring any of the given metrics
+   * @param {string[]} metrics
+   * @returns {Observable} Observable with an array of rules
+   */
+  static getActiveRulesByMetric$(metrics) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.find({ active: true, metric: { $in: metrics } }).toArray());
+  }
+
+  /**
+   * Creates an alert rule, it starts on OK state
+   * @param {string} _id
+   * @param {string} organizationId
+   * @param {Object} rule - { name, metric, dimension, bucket, operator, threshold, active }
+   * @param {string} createdBy
+   * @returns {Observable} Observable with the stored rule
+   */
+  static createRule$(_id, organizationId, rule, createdBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const now = Date.now();
+    const document = {
+      _id, organizationId, ...rule,
+      state: 'OK', lastValue: null, triggeredAt: null, resolvedAt: null,
+      metadata: { createdBy, createdAt: now, updatedBy: createdBy, updatedAt: now }
+    };
+    return defer(() => collection.insertOne(document)).pipe(
+      map(() => document)
+    );
+  }
+
+  /**
+   * Modifies an alert rule of an organization, its state is evaluated again from OK
+   * @param {string} _id
+   * @param {string} organizationId
+   * @param {Object} rule - { name, metric, dimension, bucket, operator, threshold, active }
+   * @param {string} updatedBy
+   * @returns {Observable} Observable with the modified rule, null if not found
+   */
+  static updateRule$(_id, organizationId, rule, updatedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOneAndUpdate(
+      { _id, organizationId },
+      { $set: { ...rule, state: 'OK', lastValue: null, "metadata.updatedBy": updatedBy, "metadata.updatedAt": Date.now() } },
+      { returnOriginal: false }
+    )).pipe(
+      map(result => result.value)
+    );
+  }
+
+  /**
+   * Removes an alert rule of an organization
+   * @param {string} _id
+   * @param {string} organizationId
+   * @returns {Observable} Observable with the number of removed rules
+   */
+  static deleteRule$(_id, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.deleteOne({ _id, organizationId })).pipe(
+      map(result => result.deletedCount)
+    );
+  }
+
+  /**
+   * Moves a rule from a state to other, as long as it is still on the given state.
+   * Several instances evaluating the same statistics notify every transition once
+   * @param {string} _id
+   * @param {string} fromState - OK | TRIGGERED
+   * @param {string} toState - OK | TRIGGERED
+   * @param {number} value - measured value
+   * @param {number} at - evaluation time (epoch millis)
+   * @returns {Observable} Observable with the rule on its new state, null if other instance moved it first
+   */
+  static transitionState$(_id, fromState, toState, value, at) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const $set = { state: toState, lastValue: value };
+    $set[toState === 'TRIGGERED' ? 'triggeredAt' : 'resolvedAt'] = at;
+    return defer(() => collection.findOneAndUpdate(
+      { _id, state: fromState },
+      { $set },
+      { returnOriginal: false }
+    )).pipe(
+      map(result => result.value)
+    );
+  }
+}
+/**
+ * @returns {FleetAlertRulesDA}
+ */
+module.exports = FleetAlertRulesDA;
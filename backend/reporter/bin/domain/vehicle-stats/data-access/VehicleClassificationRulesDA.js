@@ -0,0 +1,69 @@
+"use strict";
+
+let mongoDB = undefined;
+const { map } = require("rxjs/operators");
+const { Observable, defer } = require("rxjs");
+
+const CollectionName = 'vehicle_classification_rules';
+
+class VehicleClassificationRulesDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Gets the classification rules customized by the given organizations
+   * @param {string[]} organizationIds
+   * @returns {Observable} Observable with an array of rules
+   */
+  static getRules$(organizationIds) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.find({ organizationId: { $in: organizationIds } }).toArray());
+  }
+
+  /**
+   * Creates or replaces the classification rule of a dimension of an organization
+   * @param {string} organizationId
+   * @param {string} dimension - derived attribute the rule produces, eg: speedClass
+   * @param {Object} rule - { field, mode, buckets, interval }
+   * @param {string} updatedBy - user making the change
+   * @returns {Observable} Observable with the stored rule
+   */
+  static updateRule$(organizationId, dimension, rule, updatedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOneAndUpdate(
+      { _id: `${organizationId}_${dimension}` },
+      { $set: { ...rule, organizationId, dimension, updatedBy, updatedAt: Date.now() } },
+      { upsert: true, returnOriginal: false }
+    )).pipe(
+      map(result => result.value)
+    );
+  }
+
+  /**
+   * Removes the classification rule of a dimension of an organization, the default rule applies again
+   * @param {string} organizationId
+   * @param {string} dimension
+   * @returns {Observable} Observable with the number of removed rules
+   */
+  static deleteRule$(organizationId, dimension) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.deleteOne({ _id: `${organizationId}_${dimension}` })).pipe(
+      map(result => result.deletedCount)
+    );
+  }
+}
+/**
+ * @returns {VehicleClassificationRulesDA}
+ */
+module.exports = VehicleClassificationRulesDA;
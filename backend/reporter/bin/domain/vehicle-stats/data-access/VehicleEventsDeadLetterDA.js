@@ -0,0 +1,120 @@
+"use strict";
+
+let mongoDB = undefined;
+const { map } = require("rxjs/operators");
+const { of, Observable, defer } = require("rxjs");
+
+const CollectionName = 'vehicle_events_dead_letter';
+
+class VehicleEventsDeadLetterDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Persists rejected or failed vehicle events
+   * @param {Array} deadLetters - [{ _id, stage, reason, error, aid, organizationId, topic, payload, timestamp }]
+   * @returns {Observable} Observable with the number of inserted dead letters
+   */
+  static insertDeadLetters$(deadLetters) {
+    if (!deadLetters || deadLetters.length === 0) {
+      return of(0);
+    }
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.insertMany(deadLetters, { ordered: false })).pipe(
+      map(result => result.insertedCount)
+    );
+  }
+
+  /**
+   * Gets a dead letter by its id
+   * @param {string} _id dead letter ID
+   * @param {string} organizationId caller organization, null for the unattributed dead letters
+   */
+  static getDeadLetter$(_id, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOne({ _id, ...this.generateOrganizationQuery(organizationId) }));
+  }
+
+  /**
+   * Gets the dead letters with the given ids
+   * @param {Array} _ids dead letter IDs
+   * @param {string} organizationId caller organization, null for the unattributed dead letters
+   */
+  static getDeadLetters$(_ids, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.find({ _id: { $in: _ids }, ...this.generateOrganizationQuery(organizationId) }).toArray());
+  }
+
+  /**
+   * Dead letters are visible to its organization only, the unattributed ones (null organizationId) are listed apart
+   * @param {string} organizationId caller organization, null for the unattributed dead letters
+   */
+  static generateOrganizationQuery(organizationId) {
+    return { organizationId: organizationId || null };
+  }
+
+  static generateListingQuery(filter, organizationId) {
+    const query = this.generateOrganizationQuery(organizationId);
+    if (filter.stage) {
+      query["stage"] = filter.stage;
+    }
+    if (filter.reason) {
+      query["reason"] = filter.reason;
+    }
+    if (filter.aid) {
+      query["aid"] = filter.aid;
+    }
+    return query;
+  }
+
+  static getDeadLetterList$(filter = {}, pagination = {}, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const { page = 0, count = 10 } = pagination;
+
+    const query = this.generateListingQuery(filter, organizationId);
+    const cursor = collection
+      .find(query)
+      .sort({ timestamp: -1 })
+      .skip(count * page)
+      .limit(count);
+
+    return mongoDB.extractAllFromMongoCursor$(cursor);
+  }
+
+  static getDeadLetterSize$(filter = {}, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const query = this.generateListingQuery(filter, organizationId);
+    return defer(() => collection.countDocuments(query));
+  }
+
+  /**
+    * deletes multiple dead letters at once
+    * @param {Array} _ids  dead letter IDs array
+    * @param {string} organizationId caller organization, null for the unattributed dead letters
+    * @returns {Observable} Observable with the number of deleted dead letters
+  */
+  static deleteDeadLetters$(_ids, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() =>
+      collection.deleteMany({ _id: { $in: _ids }, ...this.generateOrganizationQuery(organizationId) })
+    ).pipe(
+      map(({ deletedCount }) => deletedCount)
+    );
+  }
+}
+
+/**
+ * @returns {VehicleEventsDeadLetterDA}
+ */
+module.exports = VehicleEventsDeadLetterDA;
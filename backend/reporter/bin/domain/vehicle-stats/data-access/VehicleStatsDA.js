@@ -1,13 +1,63 @@
 "use strict";
 
 let mongoDB = undefined;
-const { map, mapTo, catchError } = require("rxjs/operators");
+const { map, mapTo, mergeMap, concatMap, bufferCount, reduce, catchError } = require("rxjs/operators");
 const { of, Observable, defer, throwError } = require("rxjs");
 
 const { CustomError } = require("@nebulae/backend-node-tools").error;
 
 const CollectionName = 'fleet_statistics';
+/**
+ * Id of the single fleet statistics document kept before the statistics were scoped by organization
+ */
+const LEGACY_FLEET_STATISTICS_ID = 'real_time_fleet_stats';
 const ProcessedVehiclesCollection = 'processed_vehicles';
+const FleetStatisticsHistoryCollection = 'fleet_statistics_history';
+const RecomputeLocksCollection = 'fleet_statistics_recompute_locks';
+/**
+ * A recompute lock not refreshed within this time is considered abandoned (eg: the recomputing process died)
+ */
+const RECOMPUTE_LOCK_TTL_MS = parseInt(process.env.VEHICLE_STATS_RECOMPUTE_LOCK_TTL_MS || '1800000');
+
+/**
+ * Time buckets maintained in the fleet statistics history: bucket size and retention in millis
+ */
+const HISTORY_GRANULARITIES = {
+  MINUTE: { size: 60 * 1000, retention: 7 * 24 * 60 * 60 * 1000 },
+  HOUR: { size: 60 * 60 * 1000, retention: 400 * 24 * 60 * 60 * 1000 },
+  DAY: { size: 24 * 60 * 60 * 1000 },
+};
+const MAX_HISTORY_BUCKETS = 2000;
+/**
+ * Amount of the latest applied batch ids kept in every statistics document,
+ * used to make re-applying a batch (eg: on crash recovery) a no-op
+ */
+const APPLIED_BATCHES_WINDOW = 500;
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+const NUMERIC_TYPES = ['double', 'int', 'long', 'decimal'];
+/**
+ * Vehicle listing sortable fields vs ledger document path
+ */
+const VEHICLE_SORT_FIELDS = {
+  aid: 'aid',
+  processedAt: 'processedAt',
+  type: 'attributes.type',
+  powerSource: 'attributes.powerSource',
+  hp: 'attributes.hp',
+  year: 'attributes.year',
+  topSpeed: 'attributes.topSpeed',
+  decade: 'attributes.decade',
+  speedClass: 'attributes.speedClass',
+};
+const RECLASSIFY_BULK_SIZE = 1000;
+/**
+ * Histogram bin size of the vehicle numeric attributes whose distribution is maintained.
+ * The bins are persisted by index (floor(value / binSize)), changing a bin size requires recomputing the statistics
+ */
+const DISTRIBUTION_BIN_SIZES = {
+  hp: parseFloat(process.env.VEHICLE_STATS_HP_BIN_SIZE || '25'),
+  topSpeed: parseFloat(process.env.VEHICLE_STATS_TOP_SPEED_BIN_SIZE || '10'),
+};
 
 class VehicleStatsDA {
   static start$(mongoDbInstance) {
@@ -48,244 +98,611 @@ class VehicleStatsDA {
   }
 
   /**
-   * Gets fleet statistics
+   * Gets the fleet statistics of an organization
+   * @param {string} organizationId
    */
-  static getFleetStatistics$() {
+  static getFleetStatistics$(organizationId) {
     if (!mongoDB || !mongoDB.db) {
       return throwError(new Error('MongoDB not initialized. Please ensure the database connection is established.'));
     }
-    
+
     const collection = mongoDB.db.collection(CollectionName);
-    return defer(() => collection.findOne({})).pipe(
-      map((res) => {
-        return res !== null
-          ? { ...res, id: res._id }
-          : {
-              totalVehicles: 0,
-              vehiclesByType: {},
-              vehiclesByPowerSource: {},
-              vehiclesByDecade: {},
-              vehiclesBySpeedRange: {},
-              totalHpSum: 0,
-              totalHpCount: 0,
-              averageHp: 0
-            }
-      }),
-      catchError(err => {
-        console.error('Error getting fleet statistics:', err);
-        return of({
-          totalVehicles: 0,
-          vehiclesByType: {},
-          vehiclesByPowerSource: {},
-          vehiclesByDecade: {},
-          vehiclesBySpeedRange: {},
-          totalHpSum: 0,
-          totalHpCount: 0,
-          averageHp: 0
-        });
+    const _id = this.fleetStatisticsId(organizationId);
+    return defer(() => collection.findOne({ _id })).pipe(
+      map((stats) => {
+        if (!stats) {
+          return this.formatFleetStatistics({
+            _id,
+            organizationId,
+            totalVehicles: 0,
+            vehiclesByType: {},
+            vehiclesByDecade: {},
+            vehiclesBySpeedClass: {},
+            vehiclesByPowerSource: {},
+            statsByType: {},
+            hpStats: { min: 0, max: 0, sum: 0, count: 0, avg: 0 },
+            lastUpdated: new Date().toISOString()
+          });
+        }
+        return this.formatFleetStatistics(stats);
       })
     );
   }
 
   /**
-   * Updates fleet statistics with new vehicles
-   * @param {Array} vehicles Array of new vehicles to process
+   * Fleet statistics document id of an organization
+   * @param {string} organizationId
    */
-  static updateFleetStatistics$(vehicles) {
-    if (!vehicles || vehicles.length === 0) {
-      return of(null);
-    }
+  static fleetStatisticsId(organizationId) {
+    return `real_time_fleet_stats_${organizationId}`;
+  }
 
+  /**
+   * Moves the legacy fleet statistics document (real_time_fleet_stats) to the given organization,
+   * as long as the organization has no statistics yet. Without an organization the document is left in place
+   * @param {string} organizationId - organization the legacy vehicles belong to (VEHICLE_STATS_DEFAULT_ORGANIZATION_ID)
+   * @returns {Observable} Observable with a string log
+   */
+  static migrateLegacyFleetStatistics$(organizationId) {
     const collection = mongoDB.db.collection(CollectionName);
-    
-    // Calculate statistics for the new vehicles
-    const stats = this.calculateVehicleStats(vehicles);
-    
-    return defer(() => 
-      collection.findOneAndUpdate(
-        {},
-        {
-          $inc: {
-            totalVehicles: stats.totalVehicles,
-            totalHpSum: stats.totalHpSum,
-            totalHpCount: stats.totalHpCount,
-            ...stats.vehiclesByType,
-            ...stats.vehiclesByPowerSource,
-            ...stats.vehiclesByDecade,
-            ...stats.vehiclesBySpeedRange
-          }
-        },
+    return defer(() => collection.findOne({ _id: LEGACY_FLEET_STATISTICS_ID })).pipe(
+      mergeMap(legacyStats => {
+        if (!legacyStats) {
+          return of(`${this.name}: no legacy fleet statistics to migrate`);
+        }
+        if (!organizationId) {
+          return of(`${this.name}: legacy fleet statistics ${LEGACY_FLEET_STATISTICS_ID} left in place, set VEHICLE_STATS_DEFAULT_ORGANIZATION_ID to migrate them`);
+        }
+        const { _id, ...stats } = legacyStats;
+        const migratedStats = { ...stats, _id: this.fleetStatisticsId(organizationId), organizationId };
+        return defer(() => collection.insertOne(migratedStats)).pipe(
+          mergeMap(() => collection.deleteOne({ _id: LEGACY_FLEET_STATISTICS_ID })),
+          mapTo(`${this.name}: legacy fleet statistics migrated to ${migratedStats._id}`),
+          catchError(err => this.isDuplicateKeyError(err)
+            ? of(`${this.name}: legacy fleet statistics ${LEGACY_FLEET_STATISTICS_ID} left in place, organization ${organizationId} already has statistics`)
+            : throwError(err))
+        );
+      })
+    );
+  }
+
+  /**
+   * Update vehicle stats from recovery
+   * @param {String} _id Vehicle Stats ID
+   * @param {*} properties Properties to update
+   * @param {Number} av Aggregate version
+   */
+  static updateVehicleStatsFromRecovery$(_id, properties, av) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() =>
+      collection.updateOne(
+        { _id },
+        { $set: { ...properties } },
         {
-          upsert: true,
-          returnOriginal: false
+          returnOriginal: false,
+          upsert: true
         }
       )
     ).pipe(
-      map(result => {
-        if (result && result.value) {
-          const updatedStats = result.value;
-          // Recalculate average HP
-          updatedStats.averageHp = updatedStats.totalHpCount > 0 
-            ? Math.round(updatedStats.totalHpSum / updatedStats.totalHpCount * 100) / 100
-            : 0;
-          
-          // Update the document with the new average
-          return collection.findOneAndUpdate(
-            { _id: updatedStats._id },
-            { $set: { averageHp: updatedStats.averageHp } },
-            { returnOriginal: false }
-          );
-        }
-        return result;
-      }),
-      map(result => result && result.value ? { ...result.value, id: result.value._id } : null)
+      map(result => result && result.value ? { ...result.value, id: result.value._id } : undefined)
     );
   }
 
+  // ===== FLEET STATISTICS METHODS =====
+
   /**
-   * Calculate statistics for a batch of vehicles
-   * @param {Array} vehicles Array of vehicles
+   * Claims the vehicles of a batch in the processed_vehicles ledger. The ledger has a unique index on aid,
+   * so every vehicle is claimed by one batch only, even across reporter replicas.
+   * The claims are stored as PENDING along with the vehicle event, so the batch can be re-applied if the process crashes,
+   * and keep the vehicle derived attributes so the statistics can be recomputed
+   * @param {string} batchId - batch claiming the vehicles
+   * @param {number} processedAt - batch timestamp (epoch millis)
+   * @param {Array} events - vehicle events of the batch, unique by aid
+   * @returns {Observable} Observable with the aids actually claimed by this batch
    */
-  static calculateVehicleStats(vehicles) {
-    const stats = {
-      totalVehicles: vehicles.length,
-      totalHpSum: 0,
-      totalHpCount: vehicles.length,
-      vehiclesByType: {},
-      vehiclesByPowerSource: {},
-      vehiclesByDecade: {},
-      vehiclesBySpeedRange: {}
-    };
+  static claimProcessedAids$(batchId, processedAt, events) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    const documents = events.map(event => ({
+      aid: event.aid,
+      organizationId: event.organizationId,
+      batchId,
+      status: 'PENDING',
+      attempts: 0,
+      processedAt,
+      claimedAt: Date.now(),
+      attributes: event.attributes,
+      event
+    }));
+
+    return defer(() => collection.insertMany(documents, { ordered: false })).pipe(
+      catchError(err => this.isDuplicateKeyError(err) ? of(null) : throwError(err)),
+      mergeMap(() => collection.find({ batchId }, { projection: { aid: 1, _id: 0 } }).toArray()),
+      map(results => results.map(r => r.aid))
+    );
+  }
 
-    vehicles.forEach(vehicle => {
-      // Count by type
-      const type = vehicle.type || 'Unknown';
-      stats.vehiclesByType[`vehiclesByType.${type}`] = 1;
-
-      // Count by power source
-      const powerSource = vehicle.powerSource || 'Unknown';
-      stats.vehiclesByPowerSource[`vehiclesByPowerSource.${powerSource}`] = 1;
-
-      // Count by decade
-      const year = vehicle.year || 2000;
-      const decade = Math.floor(year / 10) * 10;
-      const decadeKey = `${decade}s`;
-      stats.vehiclesByDecade[`vehiclesByDecade.${decadeKey}`] = 1;
-
-      // Count by speed range
-      const topSpeed = vehicle.topSpeed || 0;
-      let speedRange = '0-100';
-      if (topSpeed > 200) speedRange = '201+';
-      else if (topSpeed > 100) speedRange = '101-200';
-      stats.vehiclesBySpeedRange[`vehiclesBySpeedRange.${speedRange}`] = 1;
-
-      // Sum HP
-      stats.totalHpSum += vehicle.hp || 0;
-    });
+  /**
+   * Marks the claims of a batch as APPLIED and removes the stored vehicle events
+   * @param {string} batchId
+   * @returns {Observable} Observable with the amount of updated claims
+   */
+  static markBatchApplied$(batchId) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    return defer(() => collection.updateMany(
+      { batchId, status: 'PENDING' },
+      { $set: { status: 'APPLIED', appliedAt: Date.now() }, $unset: { event: '' } }
+    )).pipe(
+      map(result => result.modifiedCount)
+    );
+  }
 
-    return stats;
+  /**
+   * Gets the batches whose claims have been PENDING since before the given timestamp
+   * @param {number} staleBefore - epoch millis
+   * @returns {Observable} Observable with an array of { _id: batchId, processedAt, attempts, events }
+   */
+  static getStalePendingBatches$(staleBefore) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    return defer(() => collection.aggregate([
+      { $match: { status: 'PENDING', claimedAt: { $lt: staleBefore } } },
+      { $group: { _id: '$batchId', processedAt: { $first: '$processedAt' }, attempts: { $max: '$attempts' }, events: { $push: '$event' } } }
+    ]).toArray());
   }
 
   /**
-   * Get processed vehicle IDs
-   * @param {Array} aids Array of vehicle aids to check
+   * Registers a recovery attempt of a pending batch and renews its claims
+   * so no other replica recovers it at the same time
+   * @param {string} batchId
    */
-  static getProcessedVehicleIds$(aids) {
+  static incrementRecoveryAttempts$(batchId) {
     const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
-    return defer(() => 
-      collection.find({ _id: { $in: aids } }).toArray()
-    ).pipe(
-      map(results => results.map(r => r._id))
+    return defer(() => collection.updateMany(
+      { batchId, status: 'PENDING' },
+      { $inc: { attempts: 1 }, $set: { claimedAt: Date.now() } }
+    )).pipe(
+      map(result => result.modifiedCount)
     );
   }
 
   /**
-   * Mark vehicles as processed
-   * @param {Array} aids Array of vehicle aids to mark as processed
+   * Releases the pending claims of a batch so its vehicles can be claimed again
+   * @param {string} batchId
+   * @returns {Observable} Observable with the amount of released claims
    */
-  static markVehiclesAsProcessed$(aids) {
-    if (!aids || aids.length === 0) {
-      return of(null);
+  static releaseBatch$(batchId) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    return defer(() => collection.deleteMany({ batchId, status: 'PENDING' })).pipe(
+      map(result => result.deletedCount)
+    );
+  }
+
+  static generateVehicleListingQuery(filter, organizationId) {
+    const query = { organizationId, attributes: { $exists: true } };
+    if (filter.aid) {
+      query["aid"] = filter.aid;
     }
+    ['type', 'powerSource', 'decade', 'speedClass'].forEach(attribute => {
+      if (filter[attribute]) {
+        query[`attributes.${attribute}`] = filter[attribute];
+      }
+    });
+    if (typeof filter.hpMin === 'number' || typeof filter.hpMax === 'number') {
+      query["attributes.hp"] = {
+        ...(typeof filter.hpMin === 'number' ? { $gte: filter.hpMin } : {}),
+        ...(typeof filter.hpMax === 'number' ? { $lte: filter.hpMax } : {})
+      };
+    }
+    return query;
+  }
 
+  /**
+   * Gets the processed vehicles of an organization
+   * @param {*} filter { aid, type, powerSource, decade, speedClass, hpMin, hpMax }
+   * @param {*} pagination { page, count }
+   * @param {*} sortInput { field, asc }, field must be one of VEHICLE_SORT_FIELDS
+   * @param {string} organizationId
+   */
+  static getVehicleList$(filter = {}, pagination = {}, sortInput, organizationId) {
     const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
-    const documents = aids.map(aid => ({ _id: aid, processedAt: Date.now() }));
-    
-    return defer(() => 
-      collection.insertMany(documents, { ordered: false })
-    ).pipe(
-      map(result => result)
+    const { page = 0, count = 10 } = pagination;
+
+    const query = this.generateVehicleListingQuery(filter, organizationId);
+    const projection = { aid: 1, organizationId: 1, attributes: 1, status: 1, processedAt: 1 };
+
+    let cursor = collection
+      .find(query, { projection })
+      .skip(count * page)
+      .limit(count);
+
+    const sort = {};
+    if (sortInput && VEHICLE_SORT_FIELDS[sortInput.field]) {
+      sort[VEHICLE_SORT_FIELDS[sortInput.field]] = sortInput.asc ? 1 : -1;
+    } else {
+      sort["processedAt"] = -1;
+    }
+    cursor = cursor.sort(sort);
+
+    return mongoDB.extractAllFromMongoCursor$(cursor).pipe(
+      map(({ aid, organizationId, attributes, status, processedAt }) => ({ ...attributes, id: aid, aid, organizationId, status, processedAt }))
+    );
+  }
+
+  static getVehicleSize$(filter = {}, organizationId) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    const query = this.generateVehicleListingQuery(filter, organizationId);
+    return defer(() => collection.countDocuments(query));
+  }
+
+  /**
+   * Re-derives and persists the attributes of the processed vehicles of an organization
+   * @param {string} organizationId
+   * @param {Object} derivedAttributesStage - aggregation stage that re-derives the vehicle attributes
+   * @returns {Observable} Observable with the number of modified vehicles
+   */
+  static reclassifyProcessedVehicles$(organizationId, derivedAttributesStage) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    const cursor = collection.aggregate([
+      { $match: { organizationId, attributes: { $exists: true } } },
+      derivedAttributesStage,
+      { $project: { attributes: 1 } }
+    ], { allowDiskUse: true });
+    return mongoDB.extractAllFromMongoCursor$(cursor).pipe(
+      bufferCount(RECLASSIFY_BULK_SIZE),
+      concatMap(vehicles => defer(() => collection.bulkWrite(
+        vehicles.map(({ _id, attributes }) => ({ updateOne: { filter: { _id }, update: { $set: { attributes } } } })),
+        { ordered: false }
+      ))),
+      reduce((modified, result) => modified + result.modifiedCount, 0)
     );
   }
 
   /**
-   * Update vehicle stats from recovery
-   * @param {String} _id Vehicle Stats ID
-   * @param {*} properties Properties to update
-   * @param {Number} av Aggregate version
+   * Gets the organizations having vehicles in the processed vehicles ledger
+   * @returns {Observable} Observable with an array of organizationIds
    */
-  static updateVehicleStatsFromRecovery$(_id, properties, av) {
-    const collection = mongoDB.db.collection(CollectionName);
-    return defer(() =>
-      collection.updateOne(
-        { _id },
-        { $set: { ...properties } },
-        {
-          returnOriginal: false,
-          upsert: true
+  static getLedgerOrganizationIds$() {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    return defer(() => collection.distinct('organizationId', { attributes: { $exists: true } }));
+  }
+
+  /**
+   * Granularities maintained in the fleet statistics history
+   * @returns {string[]}
+   */
+  static getHistoryGranularities() {
+    return Object.keys(HISTORY_GRANULARITIES);
+  }
+
+  /**
+   * Aggregates, from scratch, the processed vehicles ledger of an organization into fleet statistics
+   * @param {string} organizationId
+   * @param {Object} derivedAttributesStage - aggregation stage that re-derives the vehicle attributes
+   * @param {number} bucketSize - when given, the statistics are grouped in time buckets of this size (millis) by processedAt
+   * @param {number} from - when given, only the vehicles processed since this epoch millis are aggregated
+   * @returns {Observable} Observable with { statistics: [{ bucketStart, ...batchStats }], pendingBatchIds }
+   */
+  static aggregateProcessedVehicles$(organizationId, derivedAttributesStage, bucketSize, from) {
+    const collection = mongoDB.db.collection(ProcessedVehiclesCollection);
+    const countBy = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: { bucketStart: '$bucketStart', key: `$${field}` }, count: { $sum: 1 } } }
+    ];
+    // non-zero numeric value of the path, null otherwise
+    const numericOrNull = (path) => ({ $cond: [{ $and: [{ $in: [{ $type: path }, NUMERIC_TYPES] }, { $ne: [path, 0] }] }, path, null] });
+    const metricAccumulators = (metric) => ({
+      [`${metric}Sum`]: { $sum: `$${metric}Value` },
+      [`${metric}Count`]: { $sum: { $cond: [{ $eq: [`$${metric}Value`, null] }, 0, 1] } },
+      [`${metric}Min`]: { $min: `$${metric}Value` },
+      [`${metric}Max`]: { $max: `$${metric}Value` },
+    });
+    const pipeline = [
+      { $match: { organizationId, attributes: { $exists: true }, ...(from ? { processedAt: { $gte: from } } : {}) } },
+      derivedAttributesStage,
+      {
+        $project: {
+          attributes: 1, status: 1, batchId: 1,
+          bucketStart: bucketSize ? { $subtract: ['$processedAt', { $mod: ['$processedAt', bucketSize] }] } : { $literal: null }
         }
-      )
-    ).pipe(
-      map(result => result && result.value ? { ...result.value, id: result.value._id } : undefined)
+      },
+      {
+        $facet: {
+          totals: [{ $group: { _id: '$bucketStart', totalVehicles: { $sum: 1 }, hpSum: { $sum: '$attributes.hp' }, hpMin: { $min: '$attributes.hp' }, hpMax: { $max: '$attributes.hp' } } }],
+          vehiclesByType: countBy('attributes.type'),
+          vehiclesByDecade: countBy('attributes.decade'),
+          vehiclesBySpeedClass: countBy('attributes.speedClass'),
+          vehiclesByPowerSource: countBy('attributes.powerSource'),
+          ...Object.keys(DISTRIBUTION_BIN_SIZES).reduce((acc, metric) => ({
+            ...acc,
+            [`${metric}Distribution`]: [
+              { $project: { bucketStart: 1, value: numericOrNull(`$attributes.${metric}`) } },
+              { $match: { value: { $ne: null } } },
+              {
+                $group: {
+                  _id: { bucketStart: '$bucketStart', key: { $floor: { $divide: ['$value', DISTRIBUTION_BIN_SIZES[metric]] } } },
+                  count: { $sum: 1 }, sum: { $sum: '$value' }, min: { $min: '$value' }, max: { $max: '$value' }
+                }
+              }
+            ]
+          }), {}),
+          statsByType: [
+            { $match: { 'attributes.type': { $nin: [null, ''] } } },
+            { $project: { bucketStart: 1, type: '$attributes.type', hpValue: numericOrNull('$attributes.hp'), topSpeedValue: numericOrNull('$attributes.topSpeed') } },
+            { $group: { _id: { bucketStart: '$bucketStart', key: '$type' }, ...metricAccumulators('hp'), ...metricAccumulators('topSpeed') } }
+          ],
+          pendingBatches: [{ $match: { status: 'PENDING' } }, { $group: { _id: '$batchId' } }]
+        }
+      }
+    ];
+
+    return defer(() => collection.aggregate(pipeline, { allowDiskUse: true }).toArray()).pipe(
+      map(([result]) => {
+        const statsByBucket = {};
+        result.totals.forEach(({ _id, totalVehicles, hpSum, hpMin, hpMax }) => {
+          statsByBucket[_id] = {
+            bucketStart: _id,
+            totalVehicles,
+            vehiclesByType: {},
+            vehiclesByDecade: {},
+            vehiclesBySpeedClass: {},
+            vehiclesByPowerSource: {},
+            statsByType: {},
+            distributions: {},
+            hpStats: { sum: hpSum, count: totalVehicles, min: hpMin || 0, max: hpMax || 0 }
+          };
+        });
+        Object.keys(DISTRIBUTION_BIN_SIZES).forEach(metric =>
+          result[`${metric}Distribution`].forEach(({ _id, count, sum, min, max }) => {
+            const distributions = statsByBucket[_id.bucketStart].distributions;
+            const distribution = distributions[metric] = distributions[metric] || { binSize: DISTRIBUTION_BIN_SIZES[metric], bins: {}, sum: 0, count: 0, min, max };
+            distribution.bins[_id.key] = count;
+            distribution.sum += sum;
+            distribution.count += count;
+            distribution.min = Math.min(distribution.min, min);
+            distribution.max = Math.max(distribution.max, max);
+          })
+        );
+        ['vehiclesByType', 'vehiclesByDecade', 'vehiclesBySpeedClass', 'vehiclesByPowerSource'].forEach(dimension =>
+          result[dimension].forEach(({ _id, count }) => { statsByBucket[_id.bucketStart][dimension][_id.key] = count; })
+        );
+        result.statsByType.forEach(({ _id, ...metrics }) => {
+          statsByBucket[_id.bucketStart].statsByType[_id.key] = ['hp', 'topSpeed'].reduce((acc, metric) => ({
+            ...acc,
+            [metric]: { sum: metrics[`${metric}Sum`], count: metrics[`${metric}Count`], min: metrics[`${metric}Min`], max: metrics[`${metric}Max`] }
+          }), {});
+        });
+        return { statistics: Object.values(statsByBucket), pendingBatchIds: result.pendingBatches.map(({ _id }) => _id) };
+      })
     );
   }
 
-  // ===== FLEET STATISTICS METHODS =====
+  /**
+   * Takes or refreshes the recompute lock of an organization.
+   * While it is held the vehicle events processor leaves the organization batches pending
+   * @param {string} organizationId
+   * @param {string} jobId - recompute job
+   * @returns {Observable} Observable with true if the job holds the lock, false if other job does
+   */
+  static acquireRecomputeLock$(organizationId, jobId) {
+    const collection = mongoDB.db.collection(RecomputeLocksCollection);
+    const now = Date.now();
+    return defer(() => collection.updateOne(
+      { _id: organizationId, $or: [{ jobId }, { lockedAt: { $lt: now - RECOMPUTE_LOCK_TTL_MS } }] },
+      { $set: { jobId, lockedAt: now } },
+      { upsert: true }
+    )).pipe(
+      mapTo(true),
+      catchError(err => this.isDuplicateKeyError(err) ? of(false) : throwError(err))
+    );
+  }
 
   /**
-   * Gets processed aids from processed_vehicles collection
-   * @param {Array} aids - Array of aids to check
-   * @returns {Observable} Observable with array of processed aids
+   * Releases the recompute lock of an organization held by the given job
+   * @param {string} organizationId
+   * @param {string} jobId - recompute job
+   * @returns {Observable} Observable with true if the lock was released
    */
-  static getProcessedAids$(aids) {
-    const collection = mongoDB.db.collection('processed_vehicles');
+  static releaseRecomputeLock$(organizationId, jobId) {
+    const collection = mongoDB.db.collection(RecomputeLocksCollection);
+    return defer(() => collection.deleteOne({ _id: organizationId, jobId })).pipe(
+      map(({ deletedCount }) => deletedCount > 0)
+    );
+  }
+
+  /**
+   * Gets which of the given organizations have their fleet statistics being recomputed
+   * @param {string[]} organizationIds
+   * @returns {Observable} Observable with an array of organizationIds
+   */
+  static getRecomputingOrganizationIds$(organizationIds) {
+    const collection = mongoDB.db.collection(RecomputeLocksCollection);
     return defer(() => collection.find(
-      { aid: { $in: aids } },
-      { projection: { aid: 1, _id: 0 } }
-    ).toArray())
+      { _id: { $in: organizationIds }, lockedAt: { $gte: Date.now() - RECOMPUTE_LOCK_TTL_MS } },
+      { projection: { _id: 1 } }
+    ).toArray()).pipe(
+      map(locks => locks.map(({ _id }) => _id))
+    );
+  }
+
+  /**
+   * Rebuilds the fleet statistics of an organization from the processed vehicles ledger.
+   * Batches still pending are counted and registered as applied, so applying them afterwards is a no-op.
+   * The caller holds the organization recompute lock (acquireRecomputeLock$), otherwise batches applied while the aggregation runs may be lost
+   * @param {string} organizationId
+   * @param {Object} derivedAttributesStage - aggregation stage that re-derives the vehicle attributes
+   * @returns {Observable} Observable with the rebuilt statistics
+   */
+  static recomputeFleetStatistics$(organizationId, derivedAttributesStage) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const _id = this.fleetStatisticsId(organizationId);
+    return this.aggregateProcessedVehicles$(organizationId, derivedAttributesStage).pipe(
+      mergeMap(({ statistics: [stats], pendingBatchIds }) => {
+        const { bucketStart, ...batchStats } = stats || {
+          totalVehicles: 0, vehiclesByType: {}, vehiclesByDecade: {}, vehiclesBySpeedClass: {}, vehiclesByPowerSource: {}, statsByType: {},
+          hpStats: { min: 0, max: 0, sum: 0, count: 0 }
+        };
+        return defer(() => collection.replaceOne(
+          { _id },
+          { _id, organizationId, ...batchStats, appliedBatches: pendingBatchIds, lastUpdated: new Date().toISOString() },
+          { upsert: true }
+        ));
+      }),
+      mergeMap(() => this.getFleetStatistics$(organizationId))
+    );
+  }
+
+  /**
+   * Rebuilds the fleet statistics history buckets of the given granularity of an organization, within the retention period
+   * @param {string} organizationId
+   * @param {string} granularity - MINUTE | HOUR | DAY
+   * @param {Object} derivedAttributesStage - aggregation stage that re-derives the vehicle attributes
+   * @returns {Observable} Observable with the number of rebuilt buckets
+   */
+  static recomputeFleetStatisticsHistory$(organizationId, granularity, derivedAttributesStage) {
+    const collection = mongoDB.db.collection(FleetStatisticsHistoryCollection);
+    const { size, retention } = HISTORY_GRANULARITIES[granularity];
+    const now = Date.now();
+    const from = retention ? (now - retention) - ((now - retention) % size) : 0;
+    return this.aggregateProcessedVehicles$(organizationId, derivedAttributesStage, size, from).pipe(
+      mergeMap(({ statistics, pendingBatchIds }) => {
+        const ids = statistics.map(({ bucketStart }) => `${organizationId}_${granularity}_${bucketStart}`);
+        const operations = statistics.map(({ bucketStart, ...batchStats }, index) => ({
+          replaceOne: {
+            filter: { _id: ids[index] },
+            replacement: {
+              ...batchStats,
+              organizationId,
+              granularity,
+              bucketStart,
+              appliedBatches: pendingBatchIds,
+              lastUpdated: new Date().toISOString(),
+              ...(retention ? { expireAt: new Date(bucketStart + size + retention) } : {})
+            },
+            upsert: true
+          }
+        }));
+        return defer(() => operations.length > 0 ? collection.bulkWrite(operations, { ordered: false }) : Promise.resolve(null)).pipe(
+          // buckets without vehicles no longer exist
+          mergeMap(() => collection.deleteMany({ organizationId, granularity, bucketStart: { $gte: from }, _id: { $nin: ids } })),
+          mapTo(operations.length)
+        );
+      })
+    );
+  }
+
+  /**
+   * Tells whether the error is a duplicate key error, or a bulk write error made only of them
+   * @param {Error} err
+   */
+  static isDuplicateKeyError(err) {
+    if (err.code === DUPLICATE_KEY_ERROR_CODE) {
+      return true;
+    }
+    const writeErrors = err.writeErrors || (err.result && err.result.getWriteErrors && err.result.getWriteErrors());
+    return !!writeErrors && writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === DUPLICATE_KEY_ERROR_CODE);
+  }
+
+  /**
+   * Updates the fleet statistics of an organization with batch data.
+   * A batch already applied to the document is not applied again
+   * @param {string} organizationId - organization the batch belongs to
+   * @param {Object} batchStats - Statistics from the batch
+   * @param {string} batchId - batch being applied
+   * @returns {Observable} Observable with updated statistics
+   */
+  static updateFleetStatistics$(organizationId, batchStats, batchId) {
+    const collection = mongoDB.db.collection('fleet_statistics');
+    const update = this.buildFleetStatisticsUpdate(batchStats, batchId);
+    update.$set.organizationId = organizationId;
+
+    return defer(() => collection.findOneAndUpdate(
+      { _id: this.fleetStatisticsId(organizationId), appliedBatches: { $ne: batchId } },
+      update,
+      { 
+        returnOriginal: false,
+        upsert: true
+      }
+    ))
       .pipe(
-        map(results => results.map(r => r.aid))
+        map(result => this.formatFleetStatistics(result.value)),
+        // the document already contains the batch: the upsert collides with it
+        catchError(err => this.isDuplicateKeyError(err) ? this.getFleetStatistics$(organizationId) : throwError(err))
       );
   }
 
   /**
-   * Inserts processed aids in bulk
-   * @param {Array} aids - Array of aids to insert
-   * @returns {Observable} Observable with result
+   * Accumulates the batch statistics into the organization's minute, hour and day buckets that contain the given timestamp
+   * @param {string} organizationId - organization the batch belongs to
+   * @param {Object} batchStats - Statistics from the batch
+   * @param {number} timestamp - epoch millis used to resolve the buckets
+   * @param {string} batchId - batch being applied, buckets already containing it are skipped
+   * @returns {Observable} Observable with the number of upserted/modified buckets
    */
-  static insertProcessedAids$(aids) {
-    const collection = mongoDB.db.collection('processed_vehicles');
-    const documents = aids.map(aid => ({ aid, processedAt: new Date() }));
+  static updateFleetStatisticsHistory$(organizationId, batchStats, timestamp, batchId) {
+    const collection = mongoDB.db.collection(FleetStatisticsHistoryCollection);
+    const operations = Object.keys(HISTORY_GRANULARITIES).map(granularity => {
+      const { size, retention } = HISTORY_GRANULARITIES[granularity];
+      const bucketStart = timestamp - (timestamp % size);
+      const update = this.buildFleetStatisticsUpdate(batchStats, batchId);
+      update.$set = {
+        ...update.$set,
+        organizationId,
+        granularity,
+        bucketStart,
+        ...(retention ? { expireAt: new Date(bucketStart + size + retention) } : {})
+      };
+      return {
+        updateOne: {
+          filter: { _id: `${organizationId}_${granularity}_${bucketStart}`, appliedBatches: { $ne: batchId } },
+          update,
+          upsert: true
+        }
+      };
+    });
 
-    return defer(() => collection.insertMany(documents))
+    return defer(() => collection.bulkWrite(operations, { ordered: false }))
       .pipe(
-        map(result => result.insertedCount)
+        map(result => result.upsertedCount + result.modifiedCount),
+        // some buckets already contain the batch
+        catchError(err => this.isDuplicateKeyError(err) ? of(err.result ? err.result.nUpserted + err.result.nModified : 0) : throwError(err))
       );
   }
 
   /**
-   * Updates fleet statistics with batch data
+   * Gets the organization's fleet statistics buckets of the given granularity within the [from, to] time range
+   * @param {string} organizationId
+   * @param {string} granularity - MINUTE | HOUR | DAY
+   * @param {number} from - epoch millis (inclusive)
+   * @param {number} to - epoch millis (inclusive)
+   * @returns {Observable} Observable that emits every bucket ordered by bucketStart
+   */
+  static getFleetStatisticsHistory$(organizationId, granularity, from, to) {
+    const collection = mongoDB.db.collection(FleetStatisticsHistoryCollection);
+    const cursor = collection
+      .find({ organizationId, granularity, bucketStart: { $gte: from, $lte: to } })
+      .sort({ bucketStart: 1 })
+      .limit(MAX_HISTORY_BUCKETS);
+
+    return mongoDB.extractAllFromMongoCursor$(cursor).pipe(
+      map(bucket => this.formatFleetStatistics(bucket))
+    );
+  }
+
+  /**
+   * Builds the mongo update that accumulates the batch statistics into a fleet statistics document
    * @param {Object} batchStats - Statistics from the batch
-   * @returns {Observable} Observable with updated statistics
+   * @param {string} batchId - batch being applied, registered in the document's appliedBatches
+   * @returns {Object} mongo update document
    */
-  static updateFleetStatistics$(batchStats) {
-    const collection = mongoDB.db.collection('fleet_statistics');
+  static buildFleetStatisticsUpdate(batchStats, batchId) {
     const update = {
       $inc: {
         totalVehicles: batchStats.totalVehicles
       },
       $set: {
         lastUpdated: new Date().toISOString()
+      },
+      $push: {
+        appliedBatches: { $each: [batchId], $slice: -APPLIED_BATCHES_WINDOW }
       }
     };
 
@@ -304,89 +721,133 @@ class VehicleStatsDA {
       update.$inc[`vehiclesBySpeedClass.${speedClass}`] = batchStats.vehiclesBySpeedClass[speedClass];
     });
 
+    // Add power source increments
+    Object.keys(batchStats.vehiclesByPowerSource || {}).forEach(powerSource => {
+      update.$inc[`vehiclesByPowerSource.${powerSource}`] = batchStats.vehiclesByPowerSource[powerSource];
+    });
+
+    // Add per type hp/topSpeed stats
+    update.$min = {};
+    update.$max = {};
+    Object.keys(batchStats.statsByType || {}).forEach(type => {
+      ['hp', 'topSpeed'].forEach(metric => {
+        const { sum, count, min, max } = batchStats.statsByType[type][metric];
+        if (count > 0) {
+          update.$inc[`statsByType.${type}.${metric}.sum`] = sum;
+          update.$inc[`statsByType.${type}.${metric}.count`] = count;
+          update.$min[`statsByType.${type}.${metric}.min`] = min;
+          update.$max[`statsByType.${type}.${metric}.max`] = max;
+        }
+      });
+    });
+
     // Add HP stats increments
     update.$inc['hpStats.sum'] = batchStats.hpStats.sum;
     update.$inc['hpStats.count'] = batchStats.hpStats.count;
 
+    // Add distribution histogram bins
+    Object.keys(DISTRIBUTION_BIN_SIZES).forEach(metric => {
+      const values = (batchStats.distributionValues || {})[metric] || [];
+      if (values.length === 0) return;
+      const binSize = DISTRIBUTION_BIN_SIZES[metric];
+      values.forEach(value => {
+        const binPath = `distributions.${metric}.bins.${Math.floor(value / binSize)}`;
+        update.$inc[binPath] = (update.$inc[binPath] || 0) + 1;
+      });
+      update.$inc[`distributions.${metric}.sum`] = values.reduce((sum, value) => sum + value, 0);
+      update.$inc[`distributions.${metric}.count`] = values.length;
+      update.$min[`distributions.${metric}.min`] = Math.min(...values);
+      update.$max[`distributions.${metric}.max`] = Math.max(...values);
+      update.$set[`distributions.${metric}.binSize`] = binSize;
+    });
+
     // Add min/max operations
     if (batchStats.hpStats.min !== Infinity) {
-      update.$min = { 'hpStats.min': batchStats.hpStats.min };
+      update.$min['hpStats.min'] = batchStats.hpStats.min;
     }
     if (batchStats.hpStats.max !== -Infinity) {
-      update.$max = { 'hpStats.max': batchStats.hpStats.max };
+      update.$max['hpStats.max'] = batchStats.hpStats.max;
     }
+    if (Object.keys(update.$min).length === 0) delete update.$min;
+    if (Object.keys(update.$max).length === 0) delete update.$max;
+    return update;
+  }
 
-    return defer(() => collection.findOneAndUpdate(
-      { _id: 'real_time_fleet_stats' },
-      update,
-      { 
-        returnOriginal: false,
-        upsert: true
-      }
-    ))
-      .pipe(
-        map(result => {
-          const stats = result.value;
-          // Calculate average
-          if (stats.hpStats && stats.hpStats.count > 0) {
-            stats.hpStats.avg = stats.hpStats.sum / stats.hpStats.count;
-          }
-          
-          // Map decade keys to GraphQL-compatible names
-          if (stats.vehiclesByDecade) {
-            const mappedDecades = {};
-            Object.keys(stats.vehiclesByDecade).forEach(decade => {
-              const mappedKey = `decade${decade}`;
-              mappedDecades[mappedKey] = stats.vehiclesByDecade[decade];
-            });
-            stats.vehiclesByDecade = mappedDecades;
-          }
-          
-          return stats;
-        })
-      );
+  /**
+   * Calculates the derived values of a fleet statistics document and maps it to the GraphQL shape
+   * @param {Object} stats - fleet statistics document
+   * @returns {Object} formatted fleet statistics
+   */
+  static formatFleetStatistics(stats) {
+    // applied batches are an internal idempotency control
+    delete stats.appliedBatches;
+
+    // Calculate average
+    if (stats.hpStats && stats.hpStats.count > 0) {
+      stats.hpStats.avg = stats.hpStats.sum / stats.hpStats.count;
+    }
+
+    // Map the per type stats to a list, calculating their averages
+    const withAvg = (metric) => metric && metric.count > 0
+      ? { ...metric, avg: metric.sum / metric.count }
+      : { min: 0, max: 0, sum: 0, count: 0, avg: 0 };
+    const statsByType = stats.statsByType || {};
+    stats.statsByType = Object.keys(statsByType).sort().map(type => ({
+      type,
+      count: (stats.vehiclesByType || {})[type] || 0,
+      hp: withAvg(statsByType[type].hp),
+      topSpeed: withAvg(statsByType[type].topSpeed)
+    }));
+
+    // Calculate the percentiles and histograms of the distributions
+    const distributions = stats.distributions || {};
+    delete stats.distributions;
+    stats.hpDistribution = this.formatDistribution('hp', distributions.hp);
+    stats.topSpeedDistribution = this.formatDistribution('topSpeed', distributions.topSpeed);
+
+    // Map the bucket counters to dynamic [{ key, count }] lists
+    ['vehiclesByType', 'vehiclesByDecade', 'vehiclesBySpeedClass', 'vehiclesByPowerSource'].forEach(dimension => {
+      const buckets = stats[dimension] || {};
+      stats[dimension] = Object.keys(buckets).sort().map(key => ({ key, count: buckets[key] }));
+    });
+
+    return stats;
   }
 
   /**
-   * Gets current fleet statistics
-   * @returns {Observable} Observable with fleet statistics
+   * Maps a persisted distribution to its histogram and percentiles.
+   * Percentiles are interpolated within their histogram bin, so their precision is the bin size
+   * @param {string} metric - hp | topSpeed
+   * @param {Object} distribution - { binSize, bins: { binIndex: count }, sum, count, min, max }
+   * @returns {Object} { metric, binSize, count, sum, min, max, avg, p50, p90, p99, histogram: [{ from, to, count }] }
    */
-  static GetFleetStatistics$() {
-    const collection = mongoDB.db.collection('fleet_statistics');
-    
-    return defer(() => collection.findOne({ _id: 'real_time_fleet_stats' }))
-      .pipe(
-        map(stats => {
-          if (!stats) {
-            return {
-              _id: 'real_time_fleet_stats',
-              totalVehicles: 0,
-              vehiclesByType: {},
-              vehiclesByDecade: {},
-              vehiclesBySpeedClass: {},
-              hpStats: { min: 0, max: 0, sum: 0, count: 0, avg: 0 },
-              lastUpdated: new Date().toISOString()
-            };
-          }
-          
-          // Calculate average if not present
-          if (stats.hpStats && stats.hpStats.count > 0 && !stats.hpStats.avg) {
-            stats.hpStats.avg = stats.hpStats.sum / stats.hpStats.count;
-          }
-          
-          // Map decade keys to GraphQL-compatible names
-          if (stats.vehiclesByDecade) {
-            const mappedDecades = {};
-            Object.keys(stats.vehiclesByDecade).forEach(decade => {
-              const mappedKey = `decade${decade}`;
-              mappedDecades[mappedKey] = stats.vehiclesByDecade[decade];
-            });
-            stats.vehiclesByDecade = mappedDecades;
-          }
-          
-          return stats;
-        })
-      );
+  static formatDistribution(metric, distribution) {
+    const { bins = {}, sum = 0, count = 0, min = 0, max = 0, binSize = DISTRIBUTION_BIN_SIZES[metric] } = distribution || {};
+    const histogram = Object.keys(bins)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(index => ({ from: index * binSize, to: (index + 1) * binSize, count: bins[index] }));
+    const percentile = (p) => {
+      if (count === 0) return 0;
+      const rank = p / 100 * count;
+      let cumulative = 0;
+      for (const bin of histogram) {
+        if (cumulative + bin.count >= rank) {
+          const value = bin.from + ((rank - cumulative) / bin.count) * binSize;
+          return Math.min(Math.max(value, min), max);
+        }
+        cumulative += bin.count;
+      }
+      return max;
+    };
+    return {
+      metric, binSize, count, sum, min, max,
+      avg: count > 0 ? sum / count : 0,
+      p50: percentile(50),
+      p90: percentile(90),
+      p99: percentile(99),
+      histogram
+    };
   }
 }
 
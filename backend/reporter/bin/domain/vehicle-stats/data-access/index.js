@@ -1,5 +1,11 @@
 const VehicleStatsDA = require('./VehicleStatsDA');
+const VehicleEventsDeadLetterDA = require('./VehicleEventsDeadLetterDA');
+const VehicleClassificationRulesDA = require('./VehicleClassificationRulesDA');
+const FleetAlertRulesDA = require('./FleetAlertRulesDA');
 
 module.exports = {
-    VehicleStatsDA
+    VehicleStatsDA,
+    VehicleEventsDeadLetterDA,
+    VehicleClassificationRulesDA,
+    FleetAlertRulesDA
 };
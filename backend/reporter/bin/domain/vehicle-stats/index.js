@@ -1,35 +1,56 @@
 "use strict";
 
-const { empty, Observable } = require("rxjs");
-const { mergeMap } = require("rxjs/operators");
+const { empty, Observable, concat, defer } = require("rxjs");
 
 const VehicleStatsCRUD = require("./VehicleStatsCRUD")();
 const VehicleStatsES = require("./VehicleStatsES")();
 const VehicleEventsProcessor = require("./VehicleEventsProcessor")();
+const VehicleStatsRecomputer = require("./VehicleStatsRecomputer")();
+const FleetAlertEvaluator = require("./FleetAlertEvaluator")();
 const DataAcess = require("./data-access/");
 
 module.exports = {
   /**
    * domain start workflow
    */
-  start$: DataAcess.VehicleStatsDA.start$().pipe(
-    mergeMap(() => VehicleEventsProcessor.start$())
+  start$: concat(
+    DataAcess.VehicleStatsDA.start$(),
+    DataAcess.VehicleEventsDeadLetterDA.start$(),
+    DataAcess.VehicleClassificationRulesDA.start$(),
+    DataAcess.FleetAlertRulesDA.start$(),
+    defer(() => VehicleEventsProcessor.start$()),
+    defer(() => FleetAlertEvaluator.start$())
   ),
   /**
    * start for syncing workflow
    * @returns {Observable}
    */
-  startForSyncing$: DataAcess.VehicleStatsDA.start$(),
+  startForSyncing$: concat(
+    DataAcess.VehicleStatsDA.start$(),
+    DataAcess.VehicleEventsDeadLetterDA.start$(),
+    DataAcess.VehicleClassificationRulesDA.start$(),
+    DataAcess.FleetAlertRulesDA.start$(),
+    // rebuilds every organization fleet statistics when requested, eg: after changing the classification rules
+    defer(() => process.env.RECOMPUTE_FLEET_STATISTICS === 'true' ? VehicleStatsRecomputer.recompute$() : empty())
+  ),
   /**
    * start for getting ready workflow
    * @returns {Observable}
    */
-  startForGettingReady$: empty(),
+  startForGettingReady$: concat(
+    DataAcess.VehicleStatsDA.start$(),
+    // the fleet statistics used to be a single document, it is moved to the default organization
+    defer(() => DataAcess.VehicleStatsDA.migrateLegacyFleetStatistics$(process.env.VEHICLE_STATS_DEFAULT_ORGANIZATION_ID))
+  ),
   /**
    * Stop workflow
    * @returns {Observable}
    */
-  stop$: DataAcess.VehicleStatsDA.stop$(),
+  stop$: concat(
+    defer(() => FleetAlertEvaluator.stop$()),
+    defer(() => VehicleStatsCRUD.stop$()),
+    DataAcess.VehicleStatsDA.stop$()
+  ),
   /**
    * @returns {VehicleStatsCRUD}
    */
@@ -50,4 +71,12 @@ module.exports = {
    * @returns {VehicleEventsProcessor}
    */
   VehicleEventsProcessor,
+  /**
+   * @returns {VehicleStatsRecomputer}
+   */
+  VehicleStatsRecomputer,
+  /**
+   * @returns {FleetAlertEvaluator}
+   */
+  FleetAlertEvaluator,
 };
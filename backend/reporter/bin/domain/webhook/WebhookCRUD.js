@@ -0,0 +1,229 @@
+"use strict";
+
+const uuidv4 = require("uuid/v4");
+const { of, forkJoin, iif, throwError } = require("rxjs");
+const { mergeMap, catchError, map, toArray, tap } = require('rxjs/operators');
+
+const { CqrsResponseHelper } = require('@nebulae/backend-node-tools').cqrs;
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { CustomError } = require("@nebulae/backend-node-tools").error;
+
+const WebhookDA = require("./data-access/WebhookDA");
+const WebhookDeliveryDA = require("./data-access/WebhookDeliveryDA");
+const WebhookSignature = require("./WebhookSignature");
+const WebhookTarget = require("./WebhookTarget");
+const WebhookDispatcher = require("./WebhookDispatcher")();
+const { EVENT_TYPES } = require("./WebhookDispatcher");
+
+const READ_ROLES = ["REPORT_READ"];
+const WRITE_ROLES = ["REPORT_WRITE"];
+/**
+ * Webhooks are scoped to the organization carried in the JWT
+ */
+const ORGANIZATION_ATTRIBUTES = ["organizationId"];
+const INVALID_WEBHOOK_ERROR_CODE = 20001;
+const WEBHOOK_NOT_FOUND_ERROR_CODE = 20002;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Singleton instance
+ * @type { WebhookCRUD }
+ */
+let instance;
+
+class WebhookCRUD {
+  constructor() {
+  }
+
+  /**
+   * Generates and returns an object that defines the CQRS request handlers.
+   *
+   * The map is a relationship of: AGGREGATE_TYPE VS { MESSAGE_TYPE VS  { fn: rxjsFunction, instance: invoker_instance } }
+   *
+   * ## Example
+   *  { "CreateUser" : { "somegateway.someprotocol.mutation.CreateUser" : {fn: createUser$, instance: classInstance } } }
+   */
+  generateRequestProcessorMap() {
+    return {
+      'Webhook': {
+        "emigateway.graphql.query.ReporterWebhooks": { fn: instance.getWebhooks$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.query.ReporterWebhookDeliveries": { fn: instance.getWebhookDeliveries$, instance, jwtValidation: { roles: READ_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterCreateWebhook": { fn: instance.createWebhook$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterUpdateWebhook": { fn: instance.updateWebhook$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterDeleteWebhook": { fn: instance.deleteWebhook$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+        "emigateway.graphql.mutation.ReporterPingWebhook": { fn: instance.pingWebhook$, instance, jwtValidation: { roles: WRITE_ROLES, attributes: ORGANIZATION_ATTRIBUTES } },
+      }
+    }
+  };
+
+  /**
+   * Gets the webhooks of the caller's organization, their secrets are left out
+   */
+  getWebhooks$({ args }, authToken) {
+    return WebhookDA.getWebhooks$(authToken.organizationId).pipe(
+      map(webhooks => webhooks.map(webhook => instance.formatWebhook(webhook))),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Gets the delivery log of a webhook of the caller's organization, latest first
+   */
+  getWebhookDeliveries$({ args }, authToken) {
+    const { webhookId, filterInput, paginationInput } = args;
+    const { queryTotalResultCount = false } = paginationInput || {};
+
+    return forkJoin(
+      WebhookDeliveryDA.getDeliveryList$(webhookId, authToken.organizationId, filterInput || {}, paginationInput || {}).pipe(
+        map(delivery => instance.formatDelivery(delivery)),
+        toArray()
+      ),
+      queryTotalResultCount ? WebhookDeliveryDA.getDeliverySize$(webhookId, authToken.organizationId, filterInput || {}) : of(undefined),
+    ).pipe(
+      map(([listing, queryTotalResultCount]) => ({ listing, queryTotalResultCount })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Creates a webhook on the caller's organization.
+   * A secret is generated if none is given, the secret is only returned here so the receiver can verify the signatures
+   */
+  createWebhook$({ root, args, jwt }, authToken) {
+    const webhook = { ...instance.buildWebhook(args.input), secret: args.input.secret || WebhookSignature.generateSecret() };
+    return of(webhook).pipe(
+      tap(() => instance.validateWebhook(webhook, 'WebhookCRUD.createWebhook$')),
+      mergeMap(() => WebhookDA.createWebhook$(uuidv4(), authToken.organizationId, webhook, authToken.preferred_username)),
+      map(storedWebhook => ({ ...instance.formatWebhook(storedWebhook), secret: storedWebhook.secret })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Modifies a webhook of the caller's organization, the secret is rotated only if a new one is given.
+   * The pending deliveries are retried with the new URL and secret
+   */
+  updateWebhook$({ root, args, jwt }, authToken) {
+    const { id, input } = args;
+    const webhook = { ...instance.buildWebhook(input), secret: input.secret };
+    return of(webhook).pipe(
+      tap(() => instance.validateWebhook(webhook, 'WebhookCRUD.updateWebhook$')),
+      mergeMap(() => WebhookDA.updateWebhook$(id, authToken.organizationId, webhook, authToken.preferred_username)),
+      tap(storedWebhook => {
+        if (!storedWebhook) {
+          throw new CustomError('WebhookNotFound', 'WebhookCRUD.updateWebhook$', WEBHOOK_NOT_FOUND_ERROR_CODE, `webhook ${id} not found`);
+        }
+      }),
+      map(storedWebhook => instance.formatWebhook(storedWebhook)),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Removes a webhook of the caller's organization along with its deliveries
+   */
+  deleteWebhook$({ root, args, jwt }, authToken) {
+    const { id } = args;
+    return WebhookDA.deleteWebhook$(id, authToken.organizationId).pipe(
+      mergeMap(deletedCount => deletedCount > 0
+        ? WebhookDeliveryDA.deleteDeliveries$(id, authToken.organizationId).pipe(map(() => deletedCount))
+        : of(deletedCount)
+      ),
+      map(deletedCount => ({ code: deletedCount > 0 ? 200 : 400, message: `${deletedCount} webhooks have been removed` })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Queues a Ping delivery for a webhook of the caller's organization, the delivery ID is returned as message.
+   * Its outcome is found on the webhook delivery log
+   */
+  pingWebhook$({ root, args, jwt }, authToken) {
+    const { id } = args;
+    return WebhookDA.getWebhook$(id, authToken.organizationId).pipe(
+      tap(webhook => {
+        if (!webhook) {
+          throw new CustomError('WebhookNotFound', 'WebhookCRUD.pingWebhook$', WEBHOOK_NOT_FOUND_ERROR_CODE, `webhook ${id} not found`);
+        }
+      }),
+      mergeMap(webhook => WebhookDispatcher.ping$(webhook, authToken.preferred_username)),
+      tap(delivery => ConsoleLogger.i(`WebhookCRUD.pingWebhook$: ping ${delivery._id} queued for webhook ${id}`)),
+      map(delivery => ({ code: 200, message: delivery._id })),
+      mergeMap(rawResponse => CqrsResponseHelper.buildSuccessResponse$(rawResponse)),
+      catchError(err => iif(() => err.name === 'MongoTimeoutError', throwError(err), CqrsResponseHelper.handleError$(err)))
+    );
+  }
+
+  /**
+   * Picks the webhook fields out of the GraphQL input, the secret is handled apart
+   * @param {*} input ReporterWebhookInput
+   */
+  buildWebhook(input) {
+    return {
+      url: (input.url || '').trim(),
+      eventTypes: [...new Set(input.eventTypes || [])],
+      active: input.active !== false
+    };
+  }
+
+  /**
+   * Throws an InvalidWebhook error if the webhook is not valid
+   * @param {*} webhook { url, eventTypes, secret, active }
+   * @param {string} method method validating the webhook
+   */
+  validateWebhook({ url, eventTypes, secret }, method) {
+    const errors = [];
+    let target;
+    try {
+      target = new URL(url);
+    } catch (err) {
+      target = null;
+    }
+    if (!target || !['http:', 'https:'].includes(target.protocol)) {
+      errors.push('url must be an absolute http or https URL');
+    } else if (WebhookTarget.rejectionOf(target)) {
+      errors.push(WebhookTarget.rejectionOf(target));
+    }
+    if (eventTypes.length === 0 || eventTypes.some(eventType => !EVENT_TYPES.includes(eventType))) {
+      errors.push(`eventTypes must be some of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (secret && secret.length < MIN_SECRET_LENGTH) {
+      errors.push(`secret must have at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      throw new CustomError('InvalidWebhook', method, INVALID_WEBHOOK_ERROR_CODE, errors.join('; '));
+    }
+  }
+
+  /**
+   * Maps a webhook to its GraphQL shape, without its secret
+   * @param {*} webhook
+   */
+  formatWebhook({ secret, ...webhook }) {
+    return { ...webhook, id: webhook._id };
+  }
+
+  /**
+   * Maps a delivery to its GraphQL shape, the payload is serialized as JSON
+   * @param {*} delivery
+   */
+  formatDelivery(delivery) {
+    return { ...delivery, id: delivery._id, payload: JSON.stringify(delivery.payload) };
+  }
+}
+
+/**
+ * @returns {WebhookCRUD}
+ */
+module.exports = () => {
+  if (!instance) {
+    instance = new WebhookCRUD();
+    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+  }
+  return instance;
+};
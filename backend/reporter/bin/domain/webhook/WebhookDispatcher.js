@@ -0,0 +1,260 @@
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const uuidv4 = require("uuid/v4");
+const { of, empty, interval, Observable } = require("rxjs");
+const { map, mergeMap, concatMap, exhaustMap, catchError, filter, toArray } = require('rxjs/operators');
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+
+const WebhookDA = require("./data-access/WebhookDA");
+const WebhookDeliveryDA = require("./data-access/WebhookDeliveryDA");
+const WebhookSignature = require("./WebhookSignature");
+const WebhookTarget = require("./WebhookTarget");
+
+/**
+ * Events a webhook can subscribe to, named as the emi-gateway subscriptions they mirror
+ */
+const EVENT_TYPES = ['FleetStatisticsUpdated', 'ReporterReportModified'];
+/**
+ * Event sent on demand to check a webhook receiver, whatever its event types
+ */
+const PING_EVENT_TYPE = 'Ping';
+
+const DELIVERY_INTERVAL_MS = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS || '5000');
+const DELIVERY_BATCH_SIZE = parseInt(process.env.WEBHOOK_DELIVERY_BATCH_SIZE || '50');
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS || '10000');
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '10000');
+const BACKOFF_MAX_MS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '3600000');
+
+/**
+ * Singleton instance
+ * @type { WebhookDispatcher }
+ */
+let instance;
+
+/**
+ * Queues the events of an organization for its subscribed webhooks and delivers them as HMAC signed POST requests.
+ * Every WEBHOOK_DELIVERY_INTERVAL_MS the due deliveries are attempted, a failed attempt (network error, timeout or non 2xx)
+ * is retried with exponential backoff up to WEBHOOK_MAX_ATTEMPTS times. Every attempt is logged on its delivery
+ */
+class WebhookDispatcher {
+  constructor() {
+  }
+
+  /**
+   * Starts delivering the due deliveries every WEBHOOK_DELIVERY_INTERVAL_MS
+   * @returns {Observable}
+   */
+  start$() {
+    return Observable.create(observer => {
+      this.subscription = interval(DELIVERY_INTERVAL_MS).pipe(
+        exhaustMap(() => this.deliverDue$().pipe(
+          catchError(error => {
+            ConsoleLogger.e('WebhookDispatcher: Error delivering the due deliveries', error);
+            return empty();
+          })
+        ))
+      ).subscribe(
+        deliveries => deliveries.length > 0 && ConsoleLogger.i(`WebhookDispatcher: ${deliveries.length} webhook deliveries attempted`),
+        error => ConsoleLogger.e('WebhookDispatcher: dispatcher stopped', error)
+      );
+      observer.next(`WebhookDispatcher started, delivering due webhook deliveries every ${DELIVERY_INTERVAL_MS}ms`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Stops delivering
+   * @returns {Observable}
+   */
+  stop$() {
+    return Observable.create(observer => {
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+      }
+      observer.next('WebhookDispatcher stopped');
+      observer.complete();
+    });
+  }
+
+  /**
+   * Queues an event for every active webhook of the organization subscribed to its type.
+   * Publishing never fails, so it can go along the gateway notifications: errors are logged
+   * @param {string} eventType one of EVENT_TYPES
+   * @param {string} organizationId
+   * @param {*} data event data, as sent to the gateway
+   * @returns {Observable} Observable with the number of queued deliveries
+   */
+  publish$(eventType, organizationId, data) {
+    if (!organizationId) {
+      return of(0);
+    }
+    return WebhookDA.getSubscribedWebhooks$(organizationId, eventType).pipe(
+      map(webhooks => webhooks.map(webhook => this.buildDelivery(webhook, eventType, data))),
+      mergeMap(deliveries => WebhookDeliveryDA.insertDeliveries$(deliveries)),
+      catchError(error => {
+        ConsoleLogger.e(`WebhookDispatcher: Error publishing ${eventType} of organization ${organizationId}`, error);
+        return of(0);
+      })
+    );
+  }
+
+  /**
+   * Queues a Ping event for a webhook
+   * @param {*} webhook
+   * @param {string} requestedBy
+   * @returns {Observable} Observable with the queued delivery
+   */
+  ping$(webhook, requestedBy) {
+    const delivery = this.buildDelivery(webhook, PING_EVENT_TYPE, { webhookId: webhook._id, requestedBy });
+    return WebhookDeliveryDA.insertDeliveries$([delivery]).pipe(
+      map(() => delivery)
+    );
+  }
+
+  /**
+   * New delivery of an event for a webhook
+   * @param {*} webhook
+   * @param {string} eventType
+   * @param {*} data
+   */
+  buildDelivery(webhook, eventType, data) {
+    const _id = uuidv4();
+    return {
+      _id,
+      webhookId: webhook._id,
+      organizationId: webhook.organizationId,
+      eventType,
+      payload: { id: _id, event: eventType, organizationId: webhook.organizationId, timestamp: Date.now(), data }
+    };
+  }
+
+  /**
+   * Attempts every delivery due at the given time, one at a time
+   * @param {number} now epoch millis
+   * @returns {Observable} Observable with the array of attempted deliveries
+   */
+  deliverDue$(now = Date.now()) {
+    return WebhookDeliveryDA.getDueDeliveries$(now, DELIVERY_BATCH_SIZE).pipe(
+      mergeMap(deliveries => deliveries),
+      concatMap(delivery => WebhookDeliveryDA.claimDelivery$(delivery._id, delivery.nextAttemptAt, Date.now() + 2 * DELIVERY_TIMEOUT_MS).pipe(
+        filter(claimedDelivery => claimedDelivery),
+        mergeMap(claimedDelivery => this.attempt$(claimedDelivery)),
+        catchError(error => {
+          ConsoleLogger.e(`WebhookDispatcher: Error delivering ${delivery._id}`, error);
+          return empty();
+        })
+      )),
+      toArray()
+    );
+  }
+
+  /**
+   * Attempts a claimed delivery and logs the attempt.
+   * The webhook is read on every attempt so the retries use its current URL and secret
+   * @param {*} delivery
+   * @returns {Observable} Observable with the delivery after the attempt
+   */
+  attempt$(delivery) {
+    const attemptNumber = delivery.attemptCount + 1;
+    const startedAt = Date.now();
+    return WebhookDA.getWebhook$(delivery.webhookId, delivery.organizationId).pipe(
+      mergeMap(webhook => {
+        if (!webhook) {
+          return of({ statusCode: null, error: 'webhook removed', retry: false });
+        }
+        return this.post$(webhook.url, this.buildHeaders(webhook, delivery, startedAt), JSON.stringify(delivery.payload)).pipe(
+          map(statusCode => statusCode >= 200 && statusCode < 300
+            ? { statusCode, error: null }
+            : { statusCode, error: `receiver answered ${statusCode}`, retry: true }
+          ),
+          catchError(error => of({ statusCode: null, error: error.message, retry: true }))
+        );
+      }),
+      mergeMap(({ statusCode, error, retry }) => {
+        const at = Date.now();
+        const attempt = { attempt: attemptNumber, at, statusCode, error, durationMs: at - startedAt };
+        if (!error) {
+          return WebhookDeliveryDA.recordAttempt$(delivery._id, attempt, 'DELIVERED', null);
+        }
+        const retriable = retry && attemptNumber < MAX_ATTEMPTS;
+        ConsoleLogger.w(`WebhookDispatcher: delivery ${delivery._id} attempt ${attemptNumber} failed: ${error}${retriable ? '' : ', giving up'}`);
+        return retriable
+          ? WebhookDeliveryDA.recordAttempt$(delivery._id, attempt, 'PENDING', at + this.backoff(attemptNumber))
+          : WebhookDeliveryDA.recordAttempt$(delivery._id, attempt, 'FAILED', null);
+      })
+    );
+  }
+
+  /**
+   * Headers of a delivery attempt, the body is signed with the webhook secret
+   * @param {*} webhook
+   * @param {*} delivery
+   * @param {number} timestamp attempt time (epoch millis)
+   */
+  buildHeaders(webhook, delivery, timestamp) {
+    const { HEADERS } = WebhookSignature;
+    return {
+      [HEADERS.EVENT]: delivery.eventType,
+      [HEADERS.DELIVERY]: delivery._id,
+      [HEADERS.TIMESTAMP]: String(timestamp),
+      [HEADERS.SIGNATURE]: WebhookSignature.sign(webhook.secret, timestamp, JSON.stringify(delivery.payload)),
+    };
+  }
+
+  /**
+   * Time to wait before the next attempt: WEBHOOK_BACKOFF_BASE_MS doubled on every failed attempt, up to WEBHOOK_BACKOFF_MAX_MS
+   * @param {number} failedAttempts
+   * @returns {number} millis
+   */
+  backoff(failedAttempts) {
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, failedAttempts - 1), BACKOFF_MAX_MS);
+  }
+
+  /**
+   * POSTs a JSON body, the response body is discarded.
+   * Local and private targets are refused, the request is aborted when unsubscribed
+   * @param {string} url http or https URL
+   * @param {*} headers
+   * @param {string} body
+   * @returns {Observable} Observable with the response status code
+   */
+  post$(url, headers, body) {
+    return Observable.create(observer => {
+      const target = new URL(url);
+      const rejection = WebhookTarget.rejectionOf(target);
+      if (rejection) {
+        observer.error(new Error(rejection));
+        return;
+      }
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        timeout: DELIVERY_TIMEOUT_MS,
+        lookup: WebhookTarget.lookup
+      }, response => {
+        response.resume();
+        observer.next(response.statusCode);
+        observer.complete();
+      });
+      request.on('timeout', () => request.destroy(new Error(`no response within ${DELIVERY_TIMEOUT_MS}ms`)));
+      request.on('error', error => observer.error(error));
+      request.end(body);
+      return () => request.destroy();
+    });
+  }
+}
+
+/**
+ * @returns {WebhookDispatcher}
+ */
+module.exports = () => {
+  if (!instance) {
+    instance = new WebhookDispatcher();
+    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+  }
+  return instance;
+};
+module.exports.EVENT_TYPES = EVENT_TYPES;
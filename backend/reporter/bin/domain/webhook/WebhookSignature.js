@@ -0,0 +1,50 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Headers sent along every webhook delivery
+ */
+const HEADERS = {
+  EVENT: 'X-Reporter-Event',
+  DELIVERY: 'X-Reporter-Delivery',
+  TIMESTAMP: 'X-Reporter-Timestamp',
+  SIGNATURE: 'X-Reporter-Signature',
+};
+
+/**
+ * Signs a delivery body: HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret.
+ * The timestamp is signed too so receivers can reject replayed deliveries
+ * @param {string} secret webhook secret
+ * @param {number} timestamp delivery attempt time (epoch millis)
+ * @param {string} body serialized JSON body
+ * @returns {string} signature as sha256=<hex>
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Checks a received delivery signature, as receivers should do it
+ * @param {string} secret webhook secret
+ * @param {number} timestamp value of the X-Reporter-Timestamp header
+ * @param {string} body raw received body
+ * @param {string} signature value of the X-Reporter-Signature header
+ * @returns {boolean}
+ */
+const verify = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(signature || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Random secret for the webhooks created without one
+ */
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+module.exports = {
+  HEADERS,
+  sign,
+  verify,
+  generateSecret,
+};
@@ -0,0 +1,115 @@
+"use strict";
+
+const dns = require("dns");
+const net = require("net");
+
+/**
+ * Hosts trusted as webhook targets even if private, eg: a receiver within the cluster.
+ * WEBHOOK_ALLOWED_PRIVATE_HOSTS is a comma separated list of hostnames or IP addresses
+ */
+const ALLOWED_PRIVATE_HOSTS = (process.env.WEBHOOK_ALLOWED_PRIVATE_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(host => host.length > 0);
+
+/**
+ * IPv4 ranges a webhook can not target: unspecified, private, carrier-grade NAT, loopback, link-local (cloud metadata),
+ * benchmarking, multicast and reserved
+ */
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((acc, octet) => acc * 256 + parseInt(octet), 0);
+
+const inIpv4Range = (address, [base, bits]) => {
+  const size = Math.pow(2, 32 - bits);
+  return Math.floor(ipv4ToNumber(address) / size) === Math.floor(ipv4ToNumber(base) / size);
+};
+
+/**
+ * Whether an IP address is not publicly routable
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const normalized = address.toLowerCase();
+  const mappedIpv4 = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mappedIpv4) {
+    return isPrivateAddress(mappedIpv4[1]);
+  }
+  if (net.isIPv4(normalized)) {
+    return PRIVATE_IPV4_RANGES.some(range => inIpv4Range(normalized, range));
+  }
+  return normalized === '::'
+    || normalized === '::1'
+    // unique local fc00::/7, link-local fe80::/10 and multicast ff00::/8
+    || /^f[cd][0-9a-f]{2}:/.test(normalized)
+    || /^fe[89ab][0-9a-f]:/.test(normalized)
+    || /^ff[0-9a-f]{2}:/.test(normalized);
+};
+
+/**
+ * Hostname of an URL without the IPv6 brackets
+ * @param {URL} target
+ */
+const hostnameOf = (target) => target.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+const isAllowed = (hostname) => ALLOWED_PRIVATE_HOSTS.includes(hostname);
+
+/**
+ * Checks the host of a webhook URL as written: local, internal and private IP hosts are rejected unless allowed.
+ * Hostnames resolving to private addresses are rejected on delivery, see lookup
+ * @param {URL} target webhook URL
+ * @returns {string} why the host is rejected, null if it is not
+ */
+const rejectionOf = (target) => {
+  const hostname = hostnameOf(target);
+  if (isAllowed(hostname)) {
+    return null;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return `url host ${hostname} is local`;
+  }
+  // single label names and cluster domains are internal services, eg: mongo, nats.default.svc.cluster.local
+  if (!net.isIP(hostname) && (!hostname.includes('.') || /\.(local|internal|svc)$/.test(hostname))) {
+    return `url host ${hostname} is internal`;
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return `url host ${hostname} is a private address`;
+  }
+  return null;
+};
+
+/**
+ * dns.lookup for the delivery requests that fails when a host resolves to a private address unless allowed,
+ * so a public hostname can not be pointed later to an internal service
+ * @param {string} hostname
+ * @param {*} options dns.lookup options
+ * @param {Function} callback
+ */
+const lookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+  if (error || isAllowed(hostname.toLowerCase())) {
+    return callback(error, address, family);
+  }
+  const addresses = Array.isArray(address) ? address.map(({ address }) => address) : [address];
+  const privateAddress = addresses.find(isPrivateAddress);
+  return privateAddress
+    ? callback(new Error(`url host ${hostname} resolves to the private address ${privateAddress}`))
+    : callback(null, address, family);
+});
+
+module.exports = {
+  isPrivateAddress,
+  rejectionOf,
+  lookup,
+};
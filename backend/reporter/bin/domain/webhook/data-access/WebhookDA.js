@@ -0,0 +1,113 @@
+"use strict";
+
+let mongoDB = undefined;
+const { map } = require("rxjs/operators");
+const { Observable, defer } = require("rxjs");
+
+const CollectionName = 'webhooks';
+
+class WebhookDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Gets the webhooks of an organization, oldest first
+   * @param {string} organizationId
+   * @returns {Observable} Observable with an array of webhooks
+   */
+  static getWebhooks$(organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.find({ organizationId }).sort({ "metadata.createdAt": 1 }).toArray());
+  }
+
+  /**
+   * Gets a webhook of an organization
+   * @param {string} _id
+   * @param {string} organizationId
+   * @returns {Observable} Observable with the webhook, null if not found
+   */
+  static getWebhook$(_id, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOne({ _id, organizationId }));
+  }
+
+  /**
+   * Gets the active webhooks of an organization subscribed to an event type
+   * @param {string} organizationId
+   * @param {string} eventType
+   * @returns {Observable} Observable with an array of webhooks
+   */
+  static getSubscribedWebhooks$(organizationId, eventType) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.find({ organizationId, active: true, eventTypes: eventType }).toArray());
+  }
+
+  /**
+   * Creates a webhook
+   * @param {string} _id
+   * @param {string} organizationId
+   * @param {Object} webhook - { url, eventTypes, secret, active }
+   * @param {string} createdBy
+   * @returns {Observable} Observable with the stored webhook
+   */
+  static createWebhook$(_id, organizationId, webhook, createdBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const now = Date.now();
+    const document = {
+      _id, organizationId, ...webhook,
+      metadata: { createdBy, createdAt: now, updatedBy: createdBy, updatedAt: now }
+    };
+    return defer(() => collection.insertOne(document)).pipe(
+      map(() => document)
+    );
+  }
+
+  /**
+   * Modifies a webhook of an organization, the secret is kept if not given
+   * @param {string} _id
+   * @param {string} organizationId
+   * @param {Object} webhook - { url, eventTypes, secret, active }
+   * @param {string} updatedBy
+   * @returns {Observable} Observable with the modified webhook, null if not found
+   */
+  static updateWebhook$(_id, organizationId, { secret, ...webhook }, updatedBy) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const $set = { ...webhook, "metadata.updatedBy": updatedBy, "metadata.updatedAt": Date.now() };
+    if (secret) $set.secret = secret;
+    return defer(() => collection.findOneAndUpdate(
+      { _id, organizationId },
+      { $set },
+      { returnOriginal: false }
+    )).pipe(
+      map(result => result.value)
+    );
+  }
+
+  /**
+   * Removes a webhook of an organization
+   * @param {string} _id
+   * @param {string} organizationId
+   * @returns {Observable} Observable with the number of removed webhooks
+   */
+  static deleteWebhook$(_id, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.deleteOne({ _id, organizationId })).pipe(
+      map(result => result.deletedCount)
+    );
+  }
+}
+/**
+ * @returns {WebhookDA}
+ */
+module.exports = WebhookDA;
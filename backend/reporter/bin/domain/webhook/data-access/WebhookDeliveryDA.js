@@ -0,0 +1,168 @@
+"use strict";
+
+let mongoDB = undefined;
+const { map } = require("rxjs/operators");
+const { Observable, defer, of } = require("rxjs");
+
+/**
+ * Deliveries are the delivery log of the webhooks too, they expire after WEBHOOK_DELIVERY_LOG_RETENTION_DAYS
+ */
+const CollectionName = 'webhook_deliveries';
+const RETENTION_MS = parseInt(process.env.WEBHOOK_DELIVERY_LOG_RETENTION_DAYS || '7') * 24 * 60 * 60 * 1000;
+
+class WebhookDeliveryDA {
+  static start$(mongoDbInstance) {
+    return Observable.create(observer => {
+      if (mongoDbInstance) {
+        mongoDB = mongoDbInstance;
+        observer.next(`${this.name} using given mongo instance`);
+      } else {
+        mongoDB = require("../../../tools/mongo-db/MongoDB").singleton();
+        observer.next(`${this.name} using singleton system-wide mongo instance`);
+      }
+      observer.next(`${this.name} started`);
+      observer.complete();
+    });
+  }
+
+  /**
+   * Queues deliveries to be attempted right away
+   * @param {Array} deliveries [{ _id, webhookId, organizationId, eventType, payload }]
+   * @returns {Observable} Observable with the number of queued deliveries
+   */
+  static insertDeliveries$(deliveries) {
+    if (deliveries.length === 0) {
+      return of(0);
+    }
+    const collection = mongoDB.db.collection(CollectionName);
+    const now = Date.now();
+    const documents = deliveries.map(delivery => ({
+      ...delivery,
+      status: 'PENDING',
+      attemptCount: 0,
+      attempts: [],
+      nextAttemptAt: now,
+      createdAt: now,
+      deliveredAt: null,
+      expireAt: new Date(now + RETENTION_MS)
+    }));
+    return defer(() => collection.insertMany(documents)).pipe(
+      map(result => result.insertedCount)
+    );
+  }
+
+  /**
+   * Gets the pending deliveries due at the given time, the oldest first
+   * @param {number} now epoch millis
+   * @param {number} limit
+   * @returns {Observable} Observable with an array of deliveries
+   */
+  static getDueDeliveries$(now, limit) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection
+      .find({ status: 'PENDING', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .toArray()
+    );
+  }
+
+  /**
+   * Claims a due delivery postponing it until the lease expires.
+   * Only the instance that finds the delivery still due claims it, if the instance dies the delivery is due again once the lease expires
+   * @param {string} _id
+   * @param {number} nextAttemptAt attempt time being claimed
+   * @param {number} leaseUntil epoch millis
+   * @returns {Observable} Observable with the claimed delivery, null if it was already claimed
+   */
+  static claimDelivery$(_id, nextAttemptAt, leaseUntil) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOneAndUpdate(
+      { _id, status: 'PENDING', nextAttemptAt },
+      { $set: { nextAttemptAt: leaseUntil } },
+      { returnOriginal: false }
+    )).pipe(
+      map(result => result.value)
+    );
+  }
+
+  /**
+   * Logs a delivery attempt along with the resulting delivery state
+   * @param {string} _id
+   * @param {Object} attempt { attempt, at, statusCode, error, durationMs }
+   * @param {string} status PENDING | DELIVERED | FAILED
+   * @param {number} nextAttemptAt next retry time, null if there are no more retries
+   * @returns {Observable} Observable with the updated delivery
+   */
+  static recordAttempt$(_id, attempt, status, nextAttemptAt) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.findOneAndUpdate(
+      { _id },
+      {
+        $push: { attempts: attempt },
+        $set: { status, nextAttemptAt, attemptCount: attempt.attempt, deliveredAt: status === 'DELIVERED' ? attempt.at : null }
+      },
+      { returnOriginal: false }
+    )).pipe(
+      map(result => result.value)
+    );
+  }
+
+  /**
+   * Gets the deliveries of a webhook, latest first
+   * @param {string} webhookId
+   * @param {string} organizationId
+   * @param {*} filter { status }
+   * @param {*} pagination { page, count }
+   */
+  static getDeliveryList$(webhookId, organizationId, filter = {}, pagination = {}) {
+    const collection = mongoDB.db.collection(CollectionName);
+    const { page = 0, count = 10 } = pagination;
+    const cursor = collection
+      .find(this.generateListingQuery(webhookId, organizationId, filter))
+      .sort({ createdAt: -1 })
+      .skip(count * page)
+      .limit(count);
+    return mongoDB.extractAllFromMongoCursor$(cursor);
+  }
+
+  /**
+   * Counts the deliveries of a webhook
+   * @param {string} webhookId
+   * @param {string} organizationId
+   * @param {*} filter { status }
+   */
+  static getDeliverySize$(webhookId, organizationId, filter = {}) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.countDocuments(this.generateListingQuery(webhookId, organizationId, filter)));
+  }
+
+  /**
+   * Removes every delivery of a webhook
+   * @param {string} webhookId
+   * @param {string} organizationId
+   * @returns {Observable} Observable with the number of removed deliveries
+   */
+  static deleteDeliveries$(webhookId, organizationId) {
+    const collection = mongoDB.db.collection(CollectionName);
+    return defer(() => collection.deleteMany({ webhookId, organizationId })).pipe(
+      map(result => result.deletedCount)
+    );
+  }
+
+  /**
+   * Generate a filter for the delivery listing
+   * @param {string} webhookId
+   * @param {string} organizationId
+   * @param {*} filter { status }
+   */
+  static generateListingQuery(webhookId, organizationId, { status } = {}) {
+    const query = { webhookId, organizationId };
+    if (status) query.status = status;
+    return query;
+  }
+}
+/**
+ * @returns {WebhookDeliveryDA}
+ */
+module.exports = WebhookDeliveryDA;
@@ -0,0 +1,21 @@
+"use strict";
+
+const Rx = require('rxjs');
+
+const WebhookDA = require("./WebhookDA");
+const WebhookDeliveryDA = require("./WebhookDeliveryDA");
+
+module.exports = {
+  /**
+   * Data-Access start workflow
+   */
+  start$: Rx.concat(WebhookDA.start$(), WebhookDeliveryDA.start$()),
+  /**
+   * @returns {WebhookDA}
+   */
+  WebhookDA: WebhookDA,
+  /**
+   * @returns {WebhookDeliveryDA}
+   */
+  WebhookDeliveryDA: WebhookDeliveryDA,
+};
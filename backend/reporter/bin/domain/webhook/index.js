@@ -0,0 +1,44 @@
+"use strict";
+
+const { empty, concat, defer, Observable } = require("rxjs");
+
+const WebhookCRUD = require("./WebhookCRUD")();
+const WebhookDispatcher = require("./WebhookDispatcher")();
+const DataAcess = require("./data-access/");
+
+module.exports = {
+  /**
+   * domain start workflow
+   */
+  start$: concat(
+    DataAcess.start$,
+    defer(() => WebhookDispatcher.start$())
+  ),
+  /**
+   * start for syncing workflow
+   * @returns {Observable}
+   */
+  startForSyncing$: DataAcess.start$,
+  /**
+   * start for getting ready workflow
+   * @returns {Observable}
+   */
+  startForGettingReady$: empty(),
+  /**
+   * Stop workflow
+   * @returns {Observable}
+   */
+  stop$: defer(() => WebhookDispatcher.stop$()),
+  /**
+   * @returns {WebhookCRUD}
+   */
+  WebhookCRUD: WebhookCRUD,
+  /**
+   * CRUD request processors Map
+   */
+  cqrsRequestProcessorMap: WebhookCRUD.generateRequestProcessorMap(),
+  /**
+   * @returns {WebhookDispatcher}
+   */
+  WebhookDispatcher,
+};
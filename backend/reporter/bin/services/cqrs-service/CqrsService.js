@@ -5,24 +5,49 @@ const { of, from } = require("rxjs");
 const { map, mergeMap, catchError, tap, mapTo } = require('rxjs/operators');
 const jsonwebtoken = require("jsonwebtoken");
 const { brokerFactory } = require('@nebulae/backend-node-tools').broker;
-const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
 const { CqrsResponseHelper } = require('@nebulae/backend-node-tools').cqrs;
 const { CustomError, PERMISSION_DENIED } = require("@nebulae/backend-node-tools").error;
 const { RoleValidator } = require("@nebulae/backend-node-tools").auth;
 
 const { cqrsRequestProcessorMaps } = require('../../domain');
+const { metricsRegistry } = require('../../tools/metrics');
+const { healthChecker, UP, DOWN, STARTING } = require('../../tools/health');
+const logger = require('../../tools/logger').loggerFactory('CqrsService');
 
 const AVAILABLE_JWT_LIST = (process.env.AVAILABLE_JWT_LIST || "JWT_PUBLIC_KEY").split(",")
 const broker = brokerFactory();
 const permissionDeniedError = new CustomError('PermissionDenied', 'CqrsService.verifyRequest$', PERMISSION_DENIED, 'the user does not have the needed roles to execute this command/query');
 let instance;
 
+/**
+ * Time from receiving a CQRS request until its response is sent back
+ */
+const requestDurationHistogram = metricsRegistry.histogram({
+  name: 'reporter_cqrs_request_duration_seconds',
+  help: 'CQRS request latency, from its reception until its response is sent back',
+  labelNames: ['aggregate_type', 'message_type', 'result']
+});
+
 class CqrsService {
 
   constructor() {
     this.broker = brokerFactory();
     this.requestProcessMap = this.joinCqrsRequestProcessMap();
     this.subscriptions = [];
+    healthChecker.register('cqrsService', () => of(this.getHealth()), { liveness: true });
+  }
+
+  /**
+   * Broker subscription state, a subscription per aggregate type is expected
+   * @returns {*} { status, aggregateTypes, subscriptions, closedAggregateTypes }
+   */
+  getHealth() {
+    const aggregateTypes = Object.keys(this.requestProcessMap);
+    const closedAggregateTypes = this.subscriptions
+      .filter(({ subscription }) => subscription.closed)
+      .map(({ aggregateType }) => aggregateType);
+    const status = closedAggregateTypes.length > 0 ? DOWN : this.subscriptions.length < aggregateTypes.length ? STARTING : UP;
+    return { status, aggregateTypes: aggregateTypes.length, subscriptions: this.subscriptions.length, closedAggregateTypes };
   }
 
   /**
@@ -31,13 +56,13 @@ class CqrsService {
   start$() {
     //default on error handler
     const onErrorHandler = (error) => {
-      ConsoleLogger.e("Error handling  CQRS incoming event", error);
+      logger.e("Error handling CQRS incoming event", error);
       process.exit(1);
     };
 
     //default onComplete handler
     const onCompleteHandler = () => {
-      () => ConsoleLogger.e("CqrsService incoming action subscription completed");
+      () => logger.e("CqrsService incoming action subscription completed");
     };
 
     return from(Object.keys(this.requestProcessMap)).pipe(
@@ -55,8 +80,10 @@ class CqrsService {
     const messageTypes = Object.keys(this.requestProcessMap[aggregateType]);
     const subscription = broker
       .getMessageListener$([aggregateType], messageTypes).pipe(
-        mergeMap(request =>
-          this.verifyRequest$(aggregateType, request).pipe(
+        mergeMap(request => {
+          const receivedAt = Date.now();
+          const endTimer = requestDurationHistogram.startTimer({ aggregate_type: aggregateType, message_type: request.type });
+          return this.verifyRequest$(aggregateType, request).pipe(
             mergeMap(request => (request.failedValidations.length > 0)
               ? of(request.errorResponse)
               : of(request).pipe(
@@ -71,19 +98,31 @@ class CqrsService {
               )
             ),
             mergeMap(msg => this.sendResponseBack$(msg).pipe(
-              map(repsonseMessageId => ({ repsonseMessageId, response: msg, request }))
+              map(repsonseMessageId => ({ repsonseMessageId, response: msg, request, durationMs: Date.now() - receivedAt }))
             )),
-          )
-        ),
+            tap({
+              next: ({ response }) => endTimer({ result: response.response.result.error ? 'error' : 'success' }),
+              error: () => endTimer({ result: 'error' })
+            }),
+          );
+        }),
 
 
 
       ).subscribe(
-        ({ response, request }) => {
+        ({ response, request, durationMs }) => {
+          const fields = {
+            correlationId: response.correlationId,
+            aggregateType: request.topic,
+            messageType: request.type,
+            replyTo: response.replyTo,
+            resultCode: response.response.result.code,
+            durationMs
+          };
           if (response.response.result.error) {
-            ConsoleLogger.e(`CqrsService.subscribeRequestHandler: aggregateType: ${request.topic}, messageType: ${request.type}, replyTo:${response.replyTo}, resultCode:${response.response.result.code}, resultError:${JSON.stringify(response.response.result.error)}`);
+            logger.e('CQRS request failed', response.response.result.error, fields);
           } else {
-            ConsoleLogger.d(`CqrsService.subscribeRequestHandler: aggregateType: ${request.topic}, messageType: ${request.type}, replyTo:${response.replyTo}, resultCode:${response.response.result.code}`);
+            logger.d('CQRS request handled', fields);
           }
         },
         onErrorHandler,
@@ -202,7 +241,7 @@ class CqrsService {
 module.exports = () => {
   if (!instance) {
     instance = new CqrsService();
-    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+    logger.i(`${instance.constructor.name} Singleton created`);
   }
   return instance;
 };
@@ -1,10 +1,12 @@
 "use strict";
 
-const { iif, from, concat, forkJoin } = require("rxjs");
+const { iif, of, from, concat, forkJoin } = require("rxjs");
 const { map, filter, mergeMap, concatMap, first, tap } = require('rxjs/operators');
 const { eventSourcing } = require("../../tools").EventSourcing;
 const { eventSourcingProcessorMaps } = require("../../domain");
-const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+const { metricsRegistry } = require("../../tools/metrics");
+const { healthChecker, UP, DOWN, STARTING } = require("../../tools/health");
+const logger = require("../../tools/logger").loggerFactory('EventStoreService');
 /**
  * Singleton instance
  */
@@ -13,12 +15,34 @@ let instance;
  * Micro-BackEnd key
  */
 const mbeKey = process.env.MICROBACKEND_KEY;
+/**
+ * Event handlers failing, by aggregate and event type
+ */
+const handlerErrorsCounter = metricsRegistry.counter({
+  name: 'reporter_event_store_handler_errors_total',
+  help: 'Event-store event handlers that failed',
+  labelNames: ['aggregate_type', 'event_type']
+});
 
 class EventStoreService {
   constructor() {
     this.eventsProcessMap = this.joinEventsProcessMap();
     this.aggregateTypeVsEventsVsConfig = this.joinAggregateTypeVsEventsVsConfigMap();
     this.subscriptions = [];
+    healthChecker.register('eventStoreService', () => of(this.getHealth()), { liveness: true });
+  }
+
+  /**
+   * Event-store subscription state, a subscription per aggregate type is expected
+   * @returns {*} { status, aggregateTypes, subscriptions, closedAggregateTypes }
+   */
+  getHealth() {
+    const aggregateTypes = Object.keys(this.eventsProcessMap);
+    const closedAggregateTypes = this.subscriptions
+      .filter(({ subscription }) => subscription.closed)
+      .map(({ aggregateType }) => aggregateType);
+    const status = closedAggregateTypes.length > 0 ? DOWN : this.subscriptions.length < aggregateTypes.length ? STARTING : UP;
+    return { status, aggregateTypes: aggregateTypes.length, subscriptions: this.subscriptions.length, closedAggregateTypes };
   }
 
   /**
@@ -29,14 +53,14 @@ class EventStoreService {
   start$() {
     //default error handler
     const onErrorHandler = error => {
-      ConsoleLogger.e("Error handling EventStore incoming event", error);
+      logger.e("Error handling EventStore incoming event", error);
       process.exit(1);
     };
     //default onComplete handler
     const onCompleteHandler = () => {
-      () => ConsoleLogger.e("EventStore incoming event subscription completed");
+      () => logger.e("EventStore incoming event subscription completed");
     };
-    ConsoleLogger.i("EventStoreService starting ...");
+    logger.i("EventStoreService starting ...");
 
     eventSourcing.configAggregateEventMap(this.aggregateTypeVsEventsVsConfig);
 
@@ -70,17 +94,18 @@ class EventStoreService {
       eventSourcing.ensureAcknowledgeRegistry$(aggregateType, mbeKey).pipe(
         mergeMap(() => eventSourcing.getEventListener$(aggregateType, mbeKey, false)),
 
-        map(event => ({ event, handlers: this.eventsProcessMap[aggregateType][event.et] })),
+        map(event => ({ event, receivedAt: Date.now(), handlers: this.eventsProcessMap[aggregateType][event.et] })),
         //map(event => ({ event: event.data, acknowledgeMsg: event.acknowledgeMsg, handlers: this.eventsProcessMap[aggregateType][event.data.et] })),
-        map(({ event, handlers }) => ({
+        map(({ event, receivedAt, handlers }) => ({
           handlerObservables: handlers ? handlers
           //Check if the event should be processed only on sync
           .filter(({processOnlyOnSync}) => !processOnlyOnSync)
-          .map(({ fn, instance }) => fn.call(instance, event)): null,
-          event
+          .map(({ fn, instance }) => this.countHandlerErrors(aggregateType, event, fn.call(instance, event))): null,
+          event,
+          receivedAt
         })),
         filter(({event, handlerObservables}) => handlerObservables),          
-        mergeMap(({ event, handlerObservables }) =>   
+        mergeMap(({ event, receivedAt, handlerObservables }) =>   
           // if there are not handlers for this event, we have to acknowledge the event on event store         
           iif(() => handlerObservables.length == 0, 
             eventSourcing.acknowledgeEvent$(event, mbeKey),       
@@ -99,11 +124,13 @@ class EventStoreService {
                 }
               })
             )
+          ).pipe(
+            map(() => ({ event, durationMs: Date.now() - receivedAt }))
           )
         ),
       ).subscribe(
-        ({ at, aid, et, av }) => {
-          ConsoleLogger.d(`EventStoreService.subscribeEventHandler: at:${at}, et:${et}, aid:${aid}, av:${av}`);
+        ({ event, durationMs }) => {
+          logger.d('Event processed', { aggregateType: event.at, eventType: event.et, aid: event.aid, av: event.av, durationMs });
         },
         onErrorHandler,
         onCompleteHandler
@@ -136,7 +163,7 @@ class EventStoreService {
       filter(event => this.eventsProcessMap[aggregateType][event.et]),
       map(event => ({ event, handlers: this.eventsProcessMap[aggregateType][event.et] })),
       map(({ event, handlers }) => ({
-        handlerObservables: handlers.map(({ fn, instance }) => fn.call(instance, { onSync: true, ...event })),
+        handlerObservables: handlers.map(({ fn, instance }) => this.countHandlerErrors(aggregateType, event, fn.call(instance, { onSync: true, ...event }))),
         event
       })),
       concatMap(({ event, handlerObservables }) =>
@@ -151,6 +178,23 @@ class EventStoreService {
   }
 
 
+  /**
+   * Counts the handler observable errors on reporter_event_store_handler_errors_total and logs them, the errors are rethrown
+   * @param {string} aggregateType
+   * @param {*} event
+   * @param {Observable} handlerObservable
+   */
+  countHandlerErrors(aggregateType, event, handlerObservable) {
+    return handlerObservable.pipe(
+      tap({
+        error: error => {
+          handlerErrorsCounter.inc({ aggregate_type: aggregateType, event_type: event.et });
+          logger.e('Event handler failed', error, { aggregateType, eventType: event.et, aid: event.aid, av: event.av });
+        }
+      })
+    );
+  }
+
   /**
    * Joins all the event processors maps in the domain
    * @return {*} joined map -> { AGGREGATE_TYPE vs { EVENT_TYPE vs [ {fn: HANDLER_FN, instance: HANDLER_INSTANCE} ] } }
@@ -209,7 +253,7 @@ class EventStoreService {
 module.exports = () => {
   if (!instance) {
     instance = new EventStoreService();
-    ConsoleLogger.i(`${instance.constructor.name} Singleton created`);
+    logger.i(`${instance.constructor.name} Singleton created`);
   }
   return instance;
 };
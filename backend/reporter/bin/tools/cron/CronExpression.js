@@ -0,0 +1,130 @@
+"use strict";
+
+/**
+ * Minimal five fields cron expression (minute hour day-of-month month day-of-week) evaluated in UTC.
+ * Every field supports the * wildcard, single values, ranges (a-b), steps (a-b/n or the wildcard followed by /n) and lists (a,b-c).
+ * When both day-of-month and day-of-week are restricted a day matches any of them, as in the classic cron
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+// list item: wildcard, value or range, optionally followed by a step
+const ITEM_REGEX = /^(\*|\d+(-\d+)?)(\/\d+)?$/;
+const MINUTE_MS = 60 * 1000;
+// upper bound of the day by day search, an expression like 0 0 30 2 * never matches
+const MAX_SEARCHED_DAYS = 366 * 5;
+
+class CronExpression {
+  /**
+   * Parses a cron expression
+   * @param {string} expression eg: '0 6 * * 1-5' or '@daily'
+   * @returns {Object} one Set of allowed values per field plus the day restriction flags
+   * @throws {Error} when the expression is not valid
+   */
+  static parse(expression) {
+    const source = MACROS[String(expression).trim()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`cron expression must have ${FIELDS.length} fields: minute hour day-of-month month day-of-week`);
+    }
+    const parsed = FIELDS.reduce((acc, field, index) => ({ ...acc, [field.name]: this.parseField(parts[index], field) }), {});
+    // 7 is an alias of sunday
+    if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+    return parsed;
+  }
+
+  /**
+   * Validates a cron expression
+   * @param {string} expression
+   * @returns {string[]} validation errors, empty if the expression is valid
+   */
+  static validate(expression) {
+    try {
+      this.parse(expression);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  }
+
+  /**
+   * Parses a field of a cron expression
+   * @param {string} value field text
+   * @param {{ name, min, max }} field
+   * @returns {Set} allowed values
+   */
+  static parseField(value, { name, min, max }) {
+    const allowed = new Set();
+    value.split(',').forEach(item => {
+      // empty items or bounds (eg: '1,', '-5', '1-') are rejected, Number('') would read them as 0
+      if (!ITEM_REGEX.test(item)) {
+        throw new Error(`invalid ${name} field: ${value}`);
+      }
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+      if (to === undefined) to = stepText === undefined ? from : max;
+      if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+        throw new Error(`invalid ${name} field: ${value}`);
+      }
+      for (let current = from; current <= to; current += step) allowed.add(current);
+    });
+    return allowed;
+  }
+
+  /**
+   * Calculates the next time matching the expression
+   * @param {string} expression
+   * @param {number} from timestamp (epoch millis), the result is strictly after it
+   * @returns {number} next matching timestamp (epoch millis) or null if the expression never matches
+   */
+  static next(expression, from = Date.now()) {
+    const cron = this.parse(expression);
+    const date = new Date(Math.floor(from / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const dayMatches = () => {
+      const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+      const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+      return cron.dayOfMonthRestricted && cron.dayOfWeekRestricted ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+    };
+    const limit = from + MAX_SEARCHED_DAYS * 24 * 60 * MINUTE_MS;
+    while (date.getTime() <= limit) {
+      if (!cron.month.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0, 0, 0);
+      } else if (!dayMatches()) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0, 0, 0);
+      } else if (!cron.hour.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      } else if (!cron.minute.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      } else {
+        return date.getTime();
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * @returns {CronExpression}
+ */
+module.exports = CronExpression;
@@ -0,0 +1,10 @@
+"use strict";
+
+const CronExpression = require("./CronExpression");
+
+module.exports = {
+  /**
+   * @returns {CronExpression}
+   */
+  CronExpression,
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+const SEPARATOR = ",";
+const LINE_BREAK = "\r\n";
+// lets spreadsheet applications detect the utf-8 encoding
+const BOM = "\uFEFF";
+
+// spreadsheet applications evaluate the cells starting with these characters as formulas
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+/**
+ * Escapes a CSV cell value (RFC 4180).
+ * Texts that would be evaluated as formulas are prefixed with ' (CSV injection), numbers are kept as they are
+ * @param {*} value
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value !== "number" && FORMULA_PREFIX_REGEX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class CsvWriter {
+  /**
+   * Renders an export document as CSV.
+   * A single sheet document renders as a plain table, every sheet of a multi sheet document is
+   * preceded by its name and followed by an empty line
+   * @param {{ title, sheets: [{ name, columns, rows }] }} document
+   * @returns {Buffer}
+   */
+  static write({ sheets }) {
+    const renderRows = ({ columns, rows }) => [columns, ...rows].map(row => row.map(escapeCell).join(SEPARATOR));
+    const lines = sheets.length === 1
+      ? renderRows(sheets[0])
+      : sheets.reduce((acc, sheet) => [...acc, escapeCell(sheet.name), ...renderRows(sheet), ""], []);
+    return Buffer.from(BOM + lines.join(LINE_BREAK) + LINE_BREAK, "utf8");
+  }
+}
+
+/**
+ * @returns {CsvWriter}
+ */
+module.exports = CsvWriter;
@@ -0,0 +1,25 @@
+"use strict";
+
+class JsonWriter {
+  /**
+   * Renders an export document as JSON, every row as an object keyed by column name
+   * @param {{ title, generatedAt, sheets: [{ name, columns, rows }] }} document
+   * @returns {Buffer}
+   */
+  static write({ title, generatedAt, sheets }) {
+    return Buffer.from(JSON.stringify({
+      title,
+      generatedAt: new Date(generatedAt).toISOString(),
+      sheets: sheets.map(({ name, columns, rows }) => ({
+        name,
+        columns,
+        rows: rows.map(row => columns.reduce((acc, column, index) => ({ ...acc, [column]: row[index] === undefined ? null : row[index] }), {}))
+      }))
+    }, null, 2), "utf8");
+  }
+}
+
+/**
+ * @returns {JsonWriter}
+ */
+module.exports = JsonWriter;
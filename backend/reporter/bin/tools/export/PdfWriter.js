@@ -0,0 +1,205 @@
+"use strict";
+
+const zlib = require("zlib");
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const HEADER_HEIGHT = 56;
+const FOOTER_Y = 24;
+const ROW_HEIGHT = 14;
+const BAR_COLUMN_WIDTH = 160;
+// Helvetica average glyph width, relative to the font size, used to truncate the cells
+const AVG_GLYPH_WIDTH = 0.52;
+
+const BRAND_NAME = process.env.EXPORT_PDF_BRAND_NAME || "Fleet Reporter";
+const BRAND_COLOR = process.env.EXPORT_PDF_BRAND_COLOR || "#1E88E5";
+
+/**
+ * PDF color operands of an hex color
+ * @param {string} hex eg: #1E88E5
+ */
+const rgb = (hex) => {
+  const value = /^#?([0-9a-f]{6})$/i.test(hex) ? parseInt(hex.replace("#", ""), 16) : 0x1E88E5;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => (channel / 255).toFixed(3)).join(" ");
+};
+
+/**
+ * Escapes a text for a PDF literal string, characters out of the WinAnsi (latin-1) range are replaced by ?
+ * @param {*} value
+ */
+const pdfText = (value) => String(value)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+  .replace(/([\\()])/g, "\\$1");
+
+/**
+ * Truncates a text to the given width
+ * @param {*} value
+ * @param {number} width available points
+ * @param {number} size font size
+ */
+const fit = (value, width, size) => {
+  const text = value === null || value === undefined ? "" : String(typeof value === "number" ? Math.round(value * 100) / 100 : value);
+  const maxChars = Math.floor(width / (size * AVG_GLYPH_WIDTH));
+  return text.length > maxChars ? `${text.substring(0, Math.max(maxChars - 1, 0))}~` : text;
+};
+
+/**
+ * Collects the drawing operators of the pages, breaking the page when the content reaches the footer
+ */
+class PageComposer {
+  constructor(title, generatedAt) {
+    this.title = title;
+    this.generatedAt = generatedAt;
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.operators = [];
+    this.pages.push(this.operators);
+    this.y = PAGE_HEIGHT - HEADER_HEIGHT - 24;
+    // branded header band
+    this.operators.push(`${rgb(BRAND_COLOR)} rg 0 ${PAGE_HEIGHT - HEADER_HEIGHT} ${PAGE_WIDTH} ${HEADER_HEIGHT} re f`);
+    this.text(BRAND_NAME, MARGIN, PAGE_HEIGHT - 24, 10, true, "1 1 1");
+    this.text(fit(this.title, CONTENT_WIDTH, 16), MARGIN, PAGE_HEIGHT - 44, 16, true, "1 1 1");
+  }
+
+  /**
+   * Makes room for the given height, breaking the page if needed
+   * @param {number} height
+   * @returns {boolean} true if a new page was started
+   */
+  ensure(height) {
+    if (this.y - height < FOOTER_Y + 24) {
+      this.newPage();
+      return true;
+    }
+    return false;
+  }
+
+  text(value, x, y, size = 9, bold = false, color = "0.2 0.2 0.2") {
+    this.operators.push(`BT ${color} rg /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${pdfText(value)}) Tj ET`);
+  }
+
+  rect(x, y, width, height, color) {
+    this.operators.push(`${color} rg ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+  }
+
+  /**
+   * Draws a sheet as a section: heading plus table, the chart column draws proportional bars
+   * @param {{ name, columns, rows, chart }} sheet
+   */
+  section({ name, columns, rows, chart }) {
+    this.ensure(40 + ROW_HEIGHT * Math.min(rows.length, 2));
+    this.y -= 8;
+    this.text(name, MARGIN, this.y, 12, true, rgb(BRAND_COLOR));
+    this.y -= 18;
+
+    const size = columns.length > 8 ? 6.5 : 8;
+    const barWidth = chart ? BAR_COLUMN_WIDTH : 0;
+    const columnWidth = (CONTENT_WIDTH - barWidth) / columns.length;
+    const maxValue = chart ? Math.max(...rows.map(row => Number(row[chart.valueColumn]) || 0), 0) : 0;
+
+    const header = () => {
+      this.rect(MARGIN, this.y - 4, CONTENT_WIDTH, ROW_HEIGHT, "0.93 0.93 0.93");
+      columns.forEach((column, index) => this.text(fit(column, columnWidth - 4, size), MARGIN + 2 + index * columnWidth, this.y, size, true));
+      this.y -= ROW_HEIGHT;
+    };
+    header();
+    if (rows.length === 0) {
+      this.text("No data", MARGIN + 2, this.y, size, false, "0.5 0.5 0.5");
+      this.y -= ROW_HEIGHT;
+    }
+    rows.forEach((row, rowIndex) => {
+      if (this.ensure(ROW_HEIGHT)) header();
+      if (rowIndex % 2 === 1) this.rect(MARGIN, this.y - 4, CONTENT_WIDTH, ROW_HEIGHT, "0.98 0.98 0.98");
+      row.forEach((value, index) => this.text(fit(value, columnWidth - 4, size), MARGIN + 2 + index * columnWidth, this.y, size));
+      if (chart && maxValue > 0) {
+        const width = (Number(row[chart.valueColumn]) || 0) / maxValue * (barWidth - 8);
+        this.rect(MARGIN + CONTENT_WIDTH - barWidth + 4, this.y - 2, width, ROW_HEIGHT - 6, rgb(BRAND_COLOR));
+      }
+      this.y -= ROW_HEIGHT;
+    });
+    this.y -= 10;
+  }
+
+  /**
+   * Page contents including the footer, once the total of pages is known
+   * @returns {string[]}
+   */
+  contents() {
+    const generatedAt = new Date(this.generatedAt).toISOString().replace("T", " ").substring(0, 19);
+    return this.pages.map((operators, index) => [
+      ...operators,
+      `0.8 0.8 0.8 RG 0.5 w ${MARGIN} ${FOOTER_Y + 12} m ${PAGE_WIDTH - MARGIN} ${FOOTER_Y + 12} l S`,
+      `BT 0.5 0.5 0.5 rg /F1 7 Tf ${MARGIN} ${FOOTER_Y} Td (${pdfText(`Generated ${generatedAt} UTC`)}) Tj ET`,
+      `BT 0.5 0.5 0.5 rg /F1 7 Tf ${PAGE_WIDTH - MARGIN - 40} ${FOOTER_Y} Td (${pdfText(`Page ${index + 1} of ${this.pages.length}`)}) Tj ET`,
+    ].join("\n"));
+  }
+}
+
+class PdfWriter {
+  /**
+   * Renders an export document as a branded A4 PDF, one section per sheet.
+   * Sheets with a chart spec ({ type: 'BAR', valueColumn }) draw a bar next to every row
+   * @param {{ title, generatedAt, sheets: [{ name, columns, rows, chart }] }} document
+   * @returns {Buffer}
+   */
+  static write({ title, generatedAt, sheets }) {
+    const composer = new PageComposer(title || "Report", generatedAt || Date.now());
+    sheets.forEach(sheet => composer.section(sheet));
+    const contents = composer.contents();
+
+    // 1 catalog, 2 pages, 3-4 fonts, then a page and a content stream per page
+    const pageIds = contents.map((_, index) => 5 + index * 2);
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    ];
+    contents.forEach((content, index) => {
+      const stream = zlib.deflateSync(Buffer.from(content, "latin1"));
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+      objects.push(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+        stream,
+        Buffer.from("\nendstream", "latin1"),
+      ]));
+    });
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = objects.map((object, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+        Buffer.isBuffer(object) ? object : Buffer.from(object, "latin1"),
+        Buffer.from("\nendobj\n", "latin1"),
+      ]);
+      chunks.push(chunk);
+      const objectOffset = offset;
+      offset += chunk.length;
+      return objectOffset;
+    });
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map(objectOffset => `${String(objectOffset).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+      "startxref",
+      String(offset),
+      "%%EOF",
+    ].join("\n");
+    chunks.push(Buffer.from(`${xref}\n`, "latin1"));
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * @returns {PdfWriter}
+ */
+module.exports = PdfWriter;
@@ -0,0 +1,126 @@
+"use strict";
+
+const ZipWriter = require("./ZipWriter");
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Escapes a text for xml content and attributes, dropping the characters xml does not allow
+ * @param {*} value
+ */
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/**
+ * Spreadsheet column letters of a zero based index, eg: 0 => A, 27 => AB
+ * @param {number} index
+ */
+const columnLetters = (index) => {
+  let letters = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Sheet names are limited to 31 characters, can not contain []:*?/\ and must be unique
+ * @param {string[]} names
+ */
+const sheetNames = (names) => names.reduce((acc, name, index) => {
+  const base = String(name || `Sheet${index + 1}`).replace(/[\[\]:*?\/\\]/g, " ").substring(0, MAX_SHEET_NAME_LENGTH);
+  let unique = base;
+  for (let n = 2; acc.includes(unique); n++) {
+    unique = `${base.substring(0, MAX_SHEET_NAME_LENGTH - String(n).length - 1)}_${n}`;
+  }
+  return [...acc, unique];
+}, []);
+
+/**
+ * Worksheet cell, numbers and booleans keep their type and everything else is an inline string.
+ * Inline strings are never evaluated as formulas (cells carry no <f> element), so texts like =1+1 are safe
+ * and kept verbatim, unlike the CSV cells
+ * @param {*} value
+ * @param {string} reference eg: B3
+ */
+const cell = (value, reference) => {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const worksheet = ({ columns, rows }) => {
+  const xmlRows = [columns, ...rows].map((row, rowIndex) =>
+    `<row r="${rowIndex + 1}">${row.map((value, columnIndex) => cell(value, `${columnLetters(columnIndex)}${rowIndex + 1}`)).join("")}</row>`
+  );
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${xmlRows.join("")}</sheetData>`
+    + '</worksheet>';
+};
+
+class XlsxWriter {
+  /**
+   * Renders an export document as an office open xml workbook, one worksheet per sheet with the columns as frozen header row
+   * @param {{ title, sheets: [{ name, columns, rows }] }} document
+   * @returns {Buffer}
+   */
+  static write({ title, sheets }) {
+    const names = sheetNames(sheets.map(({ name }) => name));
+    const entries = [
+      {
+        name: "[Content_Types].xml",
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+          + sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+          + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+          + '</Types>'
+      },
+      {
+        name: "_rels/.rels",
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+          + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+          + '</Relationships>'
+      },
+      {
+        name: "docProps/core.xml",
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+          + `<dc:title>${escapeXml(title || "")}</dc:title>`
+          + '</cp:coreProperties>'
+      },
+      {
+        name: "xl/workbook.xml",
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+          + `<sheets>${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join("")}</sheets>`
+          + '</workbook>'
+      },
+      {
+        name: "xl/_rels/workbook.xml.rels",
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join("")
+          + '</Relationships>'
+      },
+      ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: worksheet(sheet) }))
+    ];
+    return ZipWriter.write(entries);
+  }
+}
+
+/**
+ * @returns {XlsxWriter}
+ */
+module.exports = XlsxWriter;
@@ -0,0 +1,102 @@
+"use strict";
+
+const zlib = require("zlib");
+
+/**
+ * CRC-32 lookup table (IEEE polynomial) used by the zip entries checksums
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * MS-DOS time and date of the zip entries
+ * @param {Date} date
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Minimal in-memory zip archive writer (deflate, no zip64), enough for the office open xml packages
+ */
+class ZipWriter {
+  /**
+   * Builds a zip archive
+   * @param {Array} entries [{ name, content: Buffer|string }]
+   * @param {Date} date modification date of every entry
+   * @returns {Buffer} zip archive
+   */
+  static write(entries, date = new Date()) {
+    const { time, date: dosDate } = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, content }) => {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+      const compressed = zlib.deflateRawSync(data);
+      const fileName = Buffer.from(name, "utf8");
+      const checksum = crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // version needed
+      local.writeUInt16LE(0x0800, 6); // utf-8 names
+      local.writeUInt16LE(8, 8); // deflate
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(dosDate, 12);
+      local.writeUInt32LE(checksum, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(fileName.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6); // version needed
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(dosDate, 14);
+      central.writeUInt32LE(checksum, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(fileName.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, fileName, compressed);
+      centralParts.push(central, fileName);
+      offset += local.length + fileName.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+/**
+ * @returns {ZipWriter}
+ */
+module.exports = ZipWriter;
@@ -0,0 +1,32 @@
+"use strict";
+
+const CsvWriter = require("./CsvWriter");
+const XlsxWriter = require("./XlsxWriter");
+const JsonWriter = require("./JsonWriter");
+const PdfWriter = require("./PdfWriter");
+
+/**
+ * Available export formats.
+ * Every writer renders an export document: { title, generatedAt, sheets: [{ name, columns: [string], rows: [[value]], chart }] },
+ * the optional chart ({ type: 'BAR', valueColumn }) is only drawn by the PDF writer
+ */
+const FORMATS = {
+  CSV: { writer: CsvWriter, contentType: "text/csv; charset=utf-8", extension: "csv" },
+  XLSX: { writer: XlsxWriter, contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  JSON: { writer: JsonWriter, contentType: "application/json", extension: "json" },
+  PDF: { writer: PdfWriter, contentType: "application/pdf", extension: "pdf" },
+};
+
+module.exports = {
+  FORMATS,
+  /**
+   * Renders an export document
+   * @param {*} document export document
+   * @param {string} format CSV | XLSX | JSON | PDF
+   * @returns {{ content: Buffer, contentType: string, extension: string }}
+   */
+  render(document, format) {
+    const { writer, contentType, extension } = FORMATS[format];
+    return { content: writer.write(document), contentType, extension };
+  },
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+const { of, from, defer } = require("rxjs");
+const { map, mergeMap, timeout, catchError, toArray } = require("rxjs/operators");
+
+const UP = 'UP';
+const DOWN = 'DOWN';
+/**
+ * The component is not running yet, the instance is alive but not ready
+ */
+const STARTING = 'STARTING';
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '3000');
+
+/**
+ * Runs the health checks registered by every layer and reduces them to the liveness and readiness probes.
+ * The instance is ready when every check is UP, it is alive while none of the liveness checks is DOWN
+ */
+class HealthChecker {
+  constructor() {
+    // check name vs { check$, liveness }
+    this.checks = {};
+  }
+
+  /**
+   * Registers a health check
+   * @param {string} name eg: mongoDB
+   * @param {function} check$ returns an Observable with the component state: { status: UP | DOWN | STARTING, ...details }
+   * @param { { liveness: boolean } } options liveness: whether the check being DOWN means the instance must be restarted
+   */
+  register(name, check$, { liveness = false } = {}) {
+    this.checks[name] = { check$, liveness };
+  }
+
+  /**
+   * Runs every check, a check failing or taking more than HEALTH_CHECK_TIMEOUT_MS is DOWN
+   * @param {string} probe liveness | readiness
+   * @returns {Observable} Observable with the report: { status, probe, timestamp, uptimeSeconds, checks }
+   */
+  check$(probe) {
+    return from(Object.keys(this.checks)).pipe(
+      mergeMap(name => defer(() => this.checks[name].check$()).pipe(
+        timeout(CHECK_TIMEOUT_MS),
+        catchError(error => of({ status: DOWN, error: error.message || error.name })),
+        map(result => ({ name, result }))
+      )),
+      toArray(),
+      map(results => {
+        const checks = results
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .reduce((acc, { name, result }) => ({ ...acc, [name]: result }), {});
+        const healthy = probe === 'liveness'
+          ? Object.keys(checks).every(name => !this.checks[name].liveness || checks[name].status !== DOWN)
+          : Object.keys(checks).every(name => checks[name].status === UP);
+        return { status: healthy ? UP : DOWN, probe, timestamp: Date.now(), uptimeSeconds: Math.round(process.uptime()), checks };
+      })
+    );
+  }
+
+  /**
+   * Probe response, 200 if healthy and 503 otherwise
+   * @param {string} probe liveness | readiness
+   * @returns {Observable} Observable with the HttpServer response
+   */
+  probe$(probe) {
+    return this.check$(probe).pipe(
+      map(report => ({
+        statusCode: report.status === UP ? 200 : 503,
+        contentType: 'application/json; charset=utf-8',
+        body: JSON.stringify(report)
+      }))
+    );
+  }
+}
+
+module.exports = {
+  HealthChecker,
+  UP,
+  DOWN,
+  STARTING,
+};
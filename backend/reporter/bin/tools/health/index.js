@@ -0,0 +1,34 @@
+"use strict";
+
+const { of, defer } = require("rxjs");
+const { map } = require("rxjs/operators");
+const { HealthChecker, UP, DOWN, STARTING } = require("./HealthChecker");
+const httpServer = require("../http-server/HttpServer").singleton();
+const mongoDB = require("../mongo-db/MongoDB").singleton();
+
+const healthChecker = new HealthChecker();
+
+// MongoDB connectivity, answered by a ping round trip
+healthChecker.register('mongoDB', () => {
+  if (!mongoDB.db) {
+    return of({ status: STARTING });
+  }
+  const startedAt = Date.now();
+  return defer(() => mongoDB.db.command({ ping: 1 })).pipe(
+    map(({ ok }) => ({ status: ok === 1 ? UP : DOWN, dbName: mongoDB.dbName, latencyMs: Date.now() - startedAt }))
+  );
+});
+
+// probes for the kubernetes kubelet
+httpServer.route('/health/live', () => healthChecker.probe$('liveness'));
+httpServer.route('/health/ready', () => healthChecker.probe$('readiness'));
+
+module.exports = {
+  /**
+   * @returns {HealthChecker}
+   */
+  healthChecker,
+  UP,
+  DOWN,
+  STARTING,
+};
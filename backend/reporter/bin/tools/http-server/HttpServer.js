@@ -0,0 +1,103 @@
+"use strict";
+
+const http = require("http");
+const { of, defer, Observable } = require("rxjs");
+const { first, catchError } = require("rxjs/operators");
+const { ConsoleLogger } = require('@nebulae/backend-node-tools').log;
+
+let instance = null;
+
+/**
+ * Plain HTTP server for the operational endpoints (metrics, probes), the business API goes through the emi-gateway.
+ * Only GET and HEAD requests are routed
+ */
+class HttpServer {
+  /**
+   * @param { { port: number } } ops
+   */
+  constructor({ port }) {
+    this.port = port;
+    // path vs handler
+    this.routes = {};
+  }
+
+  /**
+   * Routes a path to a handler
+   * @param {string} path eg: /metrics
+   * @param {function} handler$ receives the request and returns an Observable with the response: { statusCode, contentType, body }
+   */
+  route(path, handler$) {
+    this.routes[path] = handler$;
+  }
+
+  /**
+   * Starts listening on the configured port
+   * @returns {Observable} Observable that resolves to a string log
+   */
+  start$() {
+    return Observable.create(observer => {
+      this.server = http.createServer((request, response) => this.handleRequest(request, response));
+      this.server.once('error', error => observer.error(error));
+      this.server.listen(this.port, () => {
+        observer.next(`HttpServer listening on port ${this.port}, routes: ${Object.keys(this.routes).join(', ')}`);
+        observer.complete();
+      });
+    });
+  }
+
+  /**
+   * Stops listening, the open connections are let finish
+   * @returns {Observable} Observable that resolves to a string log
+   */
+  stop$() {
+    return Observable.create(observer => {
+      if (this.server) {
+        this.server.close();
+      }
+      observer.next('HttpServer stopped');
+      observer.complete();
+    });
+  }
+
+  /**
+   * Answers a request with its route handler response
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const handler$ = this.routes[pathname];
+    const reply = ({ statusCode = 200, contentType = 'text/plain; charset=utf-8', body = '' }) => {
+      response.writeHead(statusCode, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) });
+      response.end(request.method === 'HEAD' ? undefined : body);
+    };
+    if (!['GET', 'HEAD'].includes(request.method)) {
+      reply({ statusCode: 405, body: 'Method Not Allowed' });
+      return;
+    }
+    if (!handler$) {
+      reply({ statusCode: 404, body: 'Not Found' });
+      return;
+    }
+    defer(() => handler$(request)).pipe(
+      first(),
+      catchError(error => {
+        ConsoleLogger.e(`HttpServer: Error handling ${pathname}`, error);
+        return of({ statusCode: 500, body: 'Internal Server Error' });
+      })
+    ).subscribe(reply);
+  }
+}
+
+module.exports = {
+  HttpServer,
+  singleton() {
+    if (!instance) {
+      instance = new HttpServer({
+        port: parseInt(process.env.HTTP_SERVER_PORT || '9091')
+      });
+      ConsoleLogger.i(`HttpServer instance created: port ${instance.port}`);
+    }
+    return instance;
+  }
+};
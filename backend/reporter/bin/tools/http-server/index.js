@@ -0,0 +1,31 @@
+"use strict";
+
+const { empty } = require("rxjs");
+const httpServer = require("./HttpServer").singleton();
+
+module.exports = {
+  /**
+   * start workflow
+   * @returns {Observable}
+   */
+  start$: httpServer.start$(),
+  /**
+   * start for syncing workflow
+   * @returns {Observable}
+   */
+  startForSyncing$: empty(),
+  /**
+   * start for getting ready workflow
+   * @returns {Observable}
+   */
+  startForGettingReady$: empty(),
+  /**
+   * Stop workflow
+   * @returns {Observable}
+   */
+  stop$: httpServer.stop$(),
+  /**
+   * @returns {HttpServer}
+   */
+  httpServer,
+};
@@ -9,6 +9,11 @@ const { concat, Observable } = require("rxjs");
 const tools = {
     MongoDB: require("./mongo-db"),
     EventSourcing: require("./event-sourcing"),
+    Cron: require("./cron"),
+    Export: require("./export"),
+    Metrics: require("./metrics"),
+    Health: require("./health"),
+    HttpServer: require("./http-server"),
 };
 
 module.exports = {
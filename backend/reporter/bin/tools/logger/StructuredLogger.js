@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Structured logger: every entry is written as a single JSON line, eg:
+ * {"timestamp":"2024-01-01T00:00:00.000Z","level":"info","component":"CqrsService","message":"request handled","correlationId":"...","durationMs":12}
+ *
+ * The level is LOG_LEVEL (0: debug, 1: info, 2: warn, 3: error; or their names, warn when unset), it is overridden per component
+ * with LOG_LEVELS, eg: LOG_LEVELS=VehicleEventsProcessor=warn,CqrsService=debug
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Level index of a LOG_LEVEL like value, numbers and names are accepted
+ * @param {string} value
+ * @param {number} defaultLevel
+ */
+const parseLevel = (value, defaultLevel) => {
+  const level = String(value === undefined ? '' : value).trim().toLowerCase();
+  if (/^\d+$/.test(level)) {
+    return Math.min(parseInt(level), LEVELS.length - 1);
+  }
+  return LEVELS.includes(level) ? LEVELS.indexOf(level) : defaultLevel;
+};
+
+/**
+ * Component vs level index, as configured on LOG_LEVELS
+ * @param {string} value eg: VehicleEventsProcessor=warn,CqrsService=debug
+ */
+const parseComponentLevels = (value = '') => value.split(',')
+  .map(entry => entry.split('='))
+  .filter(([component, level]) => component && level !== undefined && parseLevel(level, -1) >= 0)
+  .reduce((acc, [component, level]) => ({ ...acc, [component.trim()]: parseLevel(level) }), {});
+
+const DEFAULT_LEVEL = parseLevel(process.env.LOG_LEVEL, 2);
+const COMPONENT_LEVELS = parseComponentLevels(process.env.LOG_LEVELS);
+
+/**
+ * Serializable form of an error, CustomError codes included
+ * @param {*} error
+ */
+const serializeError = (error) => error instanceof Error
+  ? { name: error.name, message: error.message, code: error.code, stack: error.stack }
+  : error;
+
+class StructuredLogger {
+  /**
+   * @param {string} component eg: VehicleEventsProcessor
+   * @param {Object} context fields added to every entry, eg: { correlationId }
+   * @param {number} level minimum level index to write
+   */
+  constructor(component, context = {}, level = component in COMPONENT_LEVELS ? COMPONENT_LEVELS[component] : DEFAULT_LEVEL) {
+    this.component = component;
+    this.context = context;
+    this.level = level;
+  }
+
+  /**
+   * Logger of the same component adding the given fields to every entry
+   * @param {Object} context eg: { correlationId: batchId }
+   * @returns {StructuredLogger}
+   */
+  child(context) {
+    return new StructuredLogger(this.component, { ...this.context, ...context }, this.level);
+  }
+
+  /**
+   * Logger for high volume entries (eg: one per vehicle event): it writes on a fraction of the calls
+   * @param {number} rate from 0 (never) to 1 (always)
+   * @returns {StructuredLogger} this logger or one writing nothing
+   */
+  sample(rate) {
+    return Math.random() < rate ? this : new StructuredLogger(this.component, this.context, LEVELS.length);
+  }
+
+  /**
+   * Whether entries of the given level are written, to skip building expensive fields
+   * @param {string} level debug | info | warn | error
+   */
+  isEnabled(level) {
+    return LEVELS.indexOf(level) >= this.level;
+  }
+
+  d(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  i(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  w(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Error} error
+   * @param {Object} fields
+   */
+  e(message, error, fields) {
+    this.write('error', message, error ? { ...fields, error: serializeError(error) } : fields);
+  }
+
+  /**
+   * Writes an entry as a JSON line, warnings and errors go to stderr
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} fields
+   */
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      component: this.component,
+      message,
+      ...this.context,
+      ...fields,
+    });
+    if (LEVELS.indexOf(level) >= LEVELS.indexOf('warn')) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+module.exports = {
+  StructuredLogger,
+  parseLevel,
+  parseComponentLevels,
+};
@@ -0,0 +1,20 @@
+"use strict";
+
+const { StructuredLogger } = require("./StructuredLogger");
+
+// component vs logger
+const loggers = {};
+
+module.exports = {
+  /**
+   * Structured logger of a component, its level is configured with LOG_LEVEL and LOG_LEVELS
+   * @param {string} component eg: CqrsService
+   * @returns {StructuredLogger}
+   */
+  loggerFactory(component) {
+    if (!loggers[component]) {
+      loggers[component] = new StructuredLogger(component);
+    }
+    return loggers[component];
+  },
+};
@@ -0,0 +1,215 @@
+"use strict";
+
+/**
+ * Minimal Prometheus metrics: labelled counters, gauges and histograms rendered in the text exposition format 0.0.4.
+ * Metrics are declared once, usually at module load, and updated from anywhere in the process
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value as the exposition format requires
+ * @param {*} value
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Renders a label set, eg: {type="a",result="ok"}
+ * @param {Object} labels label name vs value
+ */
+const formatLabels = (labels) => {
+  const names = Object.keys(labels);
+  return names.length === 0 ? '' : `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+};
+
+/**
+ * Renders a sample value, Prometheus spells the infinities as +Inf and -Inf
+ * @param {number} value
+ */
+const formatValue = (value) => value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value);
+
+class Metric {
+  /**
+   * @param {{ name: string, help: string, labelNames: string[] }} definition
+   * @param {string} type counter | gauge | histogram
+   */
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    // serialized label values vs { labels, ...series state }
+    this.series = new Map();
+  }
+
+  /**
+   * Series of the given labels, created on first use
+   * @param {Object} labels
+   * @param {function} init initial series state
+   */
+  getSeries(labels = {}, init) {
+    const picked = this.labelNames.reduce((acc, name) => ({ ...acc, [name]: labels[name] === undefined ? '' : labels[name] }), {});
+    const key = this.labelNames.map(name => picked[name]).join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...init() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * HELP and TYPE lines followed by the samples
+   * @returns {string}
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples()
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(definition) {
+    super(definition, 'counter');
+  }
+
+  /**
+   * Increases the counter
+   * @param {Object} labels
+   * @param {number} value non negative increment, 1 by default
+   */
+  inc(labels, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {{ name, help, labelNames, collect }} definition collect, if given, is called on every scrape to set the gauge
+   */
+  constructor(definition) {
+    super(definition, 'gauge');
+    this.collect = definition.collect;
+  }
+
+  /**
+   * Sets the gauge
+   * @param {Object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  samples() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {{ name, help, labelNames, buckets }} definition buckets are the upper bounds, in seconds for durations
+   */
+  constructor(definition) {
+    super(definition, 'histogram');
+    this.buckets = [...(definition.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Records an observation
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts timing an observation
+   * @param {Object} labels labels known beforehand
+   * @returns {function} stops the timer and records the elapsed seconds, it takes the labels known afterwards
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime();
+    return (endLabels = {}) => {
+      const [seconds, nanoseconds] = process.hrtime(startedAt);
+      this.observe({ ...labels, ...endLabels }, seconds + nanoseconds / 1e9);
+    };
+  }
+
+  samples() {
+    return [...this.series.values()].reduce((lines, { labels, counts, sum, count }) => [
+      ...lines,
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ], []);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Declares a counter, the already declared one is returned if the name is taken
+   * @param {{ name: string, help: string, labelNames: string[] }} definition
+   * @returns {Counter}
+   */
+  counter(definition) {
+    return this.register(definition, () => new Counter(definition));
+  }
+
+  /**
+   * Declares a gauge, the already declared one is returned if the name is taken
+   * @param {{ name: string, help: string, labelNames: string[], collect: function }} definition
+   * @returns {Gauge}
+   */
+  gauge(definition) {
+    return this.register(definition, () => new Gauge(definition));
+  }
+
+  /**
+   * Declares a histogram, the already declared one is returned if the name is taken
+   * @param {{ name: string, help: string, labelNames: string[], buckets: number[] }} definition
+   * @returns {Histogram}
+   */
+  histogram(definition) {
+    return this.register(definition, () => new Histogram(definition));
+  }
+
+  register({ name }, create) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, create());
+    }
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Every metric in the text exposition format
+   * @returns {string}
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+const { of } = require("rxjs");
+const { MetricsRegistry, CONTENT_TYPE } = require("./MetricsRegistry");
+const httpServer = require("../http-server/HttpServer").singleton();
+
+const metricsRegistry = new MetricsRegistry();
+
+// process wide metrics, read on every scrape
+metricsRegistry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().rss)
+});
+metricsRegistry.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'Used V8 heap size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+});
+metricsRegistry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Time since the process started in seconds',
+  collect: gauge => gauge.set({}, process.uptime())
+});
+
+// exposes every declared metric for Prometheus to scrape
+httpServer.route('/metrics', () => of({ contentType: CONTENT_TYPE, body: metricsRegistry.render() }));
+
+module.exports = {
+  /**
+   * @returns {MetricsRegistry}
+   */
+  metricsRegistry,
+};
@@ -57,14 +57,127 @@ class MongoDB {
    */
   createIndexes$() {
     return Observable.create(async observer => {
-      //observer.next('Creating index for DB_NAME.COLLECTION_NAME => ({ xxxx: 1 })  ');
-      //await this.db.collection('COLLECTION_NAME').createIndex( { xxxx: 1});
+      try {
+        //observer.next('Creating index for DB_NAME.COLLECTION_NAME => ({ xxxx: 1 })  ');
+        //await this.db.collection('COLLECTION_NAME').createIndex( { xxxx: 1});
 
-      observer.next("All indexes created");
-      observer.complete();
+        observer.next('Creating index for fleet_statistics_history => ({ organizationId: 1, granularity: 1, bucketStart: 1 })  ');
+        await this.db.collection('fleet_statistics_history').createIndex({ organizationId: 1, granularity: 1, bucketStart: 1 });
+        observer.next('Creating TTL index for fleet_statistics_history => ({ expireAt: 1 })  ');
+        await this.db.collection('fleet_statistics_history').createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+        // the legacy processed_vehicles documents must be unique by aid before the unique index is built
+        await this.migrateLegacyProcessedVehicles(log => observer.next(log));
+        observer.next('Creating unique index for processed_vehicles => ({ aid: 1 })  ');
+        await this.db.collection('processed_vehicles').createIndex({ aid: 1 }, { unique: true });
+        observer.next('Creating index for processed_vehicles => ({ batchId: 1 })  ');
+        await this.db.collection('processed_vehicles').createIndex({ batchId: 1 });
+        observer.next('Creating index for processed_vehicles => ({ status: 1, claimedAt: 1 })  ');
+        await this.db.collection('processed_vehicles').createIndex({ status: 1, claimedAt: 1 });
+        observer.next('Creating index for processed_vehicles => ({ organizationId: 1, processedAt: 1 })  ');
+        await this.db.collection('processed_vehicles').createIndex({ organizationId: 1, processedAt: 1 });
+        observer.next("Creating index for processed_vehicles => ({ organizationId: 1, 'attributes.type': 1, 'attributes.hp': 1 })  ");
+        await this.db.collection('processed_vehicles').createIndex({ organizationId: 1, 'attributes.type': 1, 'attributes.hp': 1 });
+        observer.next('Creating index for vehicle_classification_rules => ({ organizationId: 1 })  ');
+        await this.db.collection('vehicle_classification_rules').createIndex({ organizationId: 1 });
+        observer.next('Creating index for vehicle_events_dead_letter => ({ organizationId: 1, timestamp: -1 })  ');
+        await this.db.collection('vehicle_events_dead_letter').createIndex({ organizationId: 1, timestamp: -1 });
+        observer.next('Creating index for fleet_alert_rules => ({ organizationId: 1, name: 1 })  ');
+        await this.db.collection('fleet_alert_rules').createIndex({ organizationId: 1, name: 1 });
+        observer.next('Creating index for fleet_alert_rules => ({ active: 1, metric: 1 })  ');
+        await this.db.collection('fleet_alert_rules').createIndex({ active: 1, metric: 1 });
+        observer.next('Creating index for webhooks => ({ organizationId: 1, active: 1, eventTypes: 1 })  ');
+        await this.db.collection('webhooks').createIndex({ organizationId: 1, active: 1, eventTypes: 1 });
+        observer.next('Creating index for webhook_deliveries => ({ status: 1, nextAttemptAt: 1 })  ');
+        await this.db.collection('webhook_deliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+        observer.next('Creating index for webhook_deliveries => ({ webhookId: 1, organizationId: 1, createdAt: -1 })  ');
+        await this.db.collection('webhook_deliveries').createIndex({ webhookId: 1, organizationId: 1, createdAt: -1 });
+        observer.next('Creating TTL index for webhook_deliveries => ({ expireAt: 1 })  ');
+        await this.db.collection('webhook_deliveries').createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+        observer.next("Creating index for Report => ({ active: 1, 'schedule.nextRunAt': 1 })  ");
+        await this.db.collection('Report').createIndex({ active: 1, 'schedule.nextRunAt': 1 });
+        observer.next('Creating index for Report => ({ organizationId: 1, deletedAt: 1 })  ');
+        await this.db.collection('Report').createIndex({ organizationId: 1, deletedAt: 1 });
+        observer.next("Creating index for Report => ({ name: 'text', description: 'text' })  ");
+        await this.db.collection('Report').createIndex({ name: 'text', description: 'text' });
+        observer.next('Creating index for Report => ({ organizationId: 1, tags: 1 })  ');
+        await this.db.collection('Report').createIndex({ organizationId: 1, tags: 1 });
+        observer.next('Creating index for Report => ({ organizationId: 1, folder: 1 })  ');
+        await this.db.collection('Report').createIndex({ organizationId: 1, folder: 1 });
+        observer.next("Creating index for Report => ({ 'sharing.owner': 1, 'sharing.editors': 1 }), ({ 'sharing.viewers': 1 })  ");
+        await this.db.collection('Report').createIndex({ 'sharing.owner': 1, 'sharing.editors': 1 });
+        await this.db.collection('Report').createIndex({ 'sharing.viewers': 1 });
+        observer.next('Creating index for report_runs => ({ reportId: 1, organizationId: 1, startedAt: -1 })  ');
+        await this.db.collection('report_runs').createIndex({ reportId: 1, organizationId: 1, startedAt: -1 });
+
+        observer.next("All indexes created");
+        observer.complete();
+      } catch (err) {
+        observer.error(err);
+      }
     });
   }
 
+  /**
+   * Brings the processed_vehicles documents written before the vehicles were scoped by organization
+   * ({ _id: aid, processedAt } or { aid, processedAt: Date }) to the current shape:
+   * the aid is copied from the _id, duplicated aids are removed keeping a single document,
+   * and the documents are marked as APPLIED with a numeric processedAt and the default organization (VEHICLE_STATS_DEFAULT_ORGANIZATION_ID).
+   * Nothing is done once the unique aid index exists
+   * @param {function} log receives a string log per step
+   */
+  async migrateLegacyProcessedVehicles(log) {
+    const collection = this.db.collection('processed_vehicles');
+    const collectionExists = (await this.db.listCollections({ name: 'processed_vehicles' }).toArray()).length > 0;
+    // once the unique index is built every document has been written in the current shape
+    if (!collectionExists || await collection.indexExists('aid_1')) {
+      return;
+    }
+    const flush = async (operations) => {
+      if (operations.length > 0) {
+        await collection.bulkWrite(operations.splice(0), { ordered: false });
+      }
+    };
+
+    log('Migrating legacy processed_vehicles => copying _id to aid');
+    const operations = [];
+    const withoutAid = collection.find({ aid: { $exists: false } }, { projection: { _id: 1 } });
+    while (await withoutAid.hasNext()) {
+      const { _id } = await withoutAid.next();
+      operations.push({ updateOne: { filter: { _id }, update: { $set: { aid: String(_id) } } } });
+      if (operations.length >= 1000) await flush(operations);
+    }
+    await flush(operations);
+
+    log('Migrating legacy processed_vehicles => removing duplicated aids');
+    const duplicates = collection.aggregate([
+      { $group: { _id: '$aid', docs: { $push: { _id: '$_id', current: { $cond: [{ $ifNull: ['$attributes', false] }, 1, 0] } } }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ], { allowDiskUse: true });
+    while (await duplicates.hasNext()) {
+      const { docs } = await duplicates.next();
+      // the document in the current shape is kept, it holds the vehicle attributes
+      const kept = docs.find(doc => doc.current) || docs[0];
+      operations.push({ deleteMany: { filter: { _id: { $in: docs.filter(doc => doc !== kept).map(doc => doc._id) } } } });
+      if (operations.length >= 1000) await flush(operations);
+    }
+    await flush(operations);
+
+    log('Migrating legacy processed_vehicles => converting processedAt dates to timestamps');
+    const withDate = collection.find({ processedAt: { $type: 'date' } }, { projection: { processedAt: 1 } });
+    while (await withDate.hasNext()) {
+      const { _id, processedAt } = await withDate.next();
+      operations.push({ updateOne: { filter: { _id }, update: { $set: { processedAt: processedAt.getTime() } } } });
+      if (operations.length >= 1000) await flush(operations);
+    }
+    await flush(operations);
+
+    log('Migrating legacy processed_vehicles => setting status and organizationId');
+    await collection.updateMany({ status: { $exists: false } }, { $set: { status: 'APPLIED', attempts: 0 } });
+    if (process.env.VEHICLE_STATS_DEFAULT_ORGANIZATION_ID) {
+      await collection.updateMany({ organizationId: { $exists: false } }, { $set: { organizationId: process.env.VEHICLE_STATS_DEFAULT_ORGANIZATION_ID } });
+    }
+  }
+
   /**
    * extracts every item in the mongo cursor, one by one
    * @param {*} cursor
@@ -0,0 +1,130 @@
+'use strict'
+
+const { expect } = require('chai');
+const ReportDefinition = require('../../../bin/domain/report/ReportDefinition');
+
+describe('ReportDefinition', () => {
+  const definitionOf = (definition) => ReportDefinition.normalize({
+    dimensions: ['type'],
+    metrics: [{ field: 'vehicles', aggregation: 'COUNT' }, { field: 'hp', aggregation: 'AVG' }],
+    ...definition
+  });
+
+  describe('normalize', () => {
+    it('fills the defaults and drops unknown properties', () => {
+      const definition = ReportDefinition.normalize({ metrics: [{ field: 'hp', aggregation: 'MAX', other: 1 }], other: true });
+      expect(definition).to.deep.equal({
+        dimensions: [],
+        metrics: [{ name: null, field: 'hp', aggregation: 'MAX' }],
+        filters: [],
+        timeRange: null,
+        sortBy: null,
+        sortAsc: true,
+        limit: 1000
+      });
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts a valid definition', () => {
+      expect(ReportDefinition.validate(definitionOf({
+        filters: [{ field: 'hp', operator: 'GT', values: ['100'] }],
+        timeRange: { lastMinutes: 60 },
+        sortBy: 'avg_hp'
+      }))).to.deep.equal([]);
+    });
+
+    it('requires at least one metric', () => {
+      expect(ReportDefinition.validate(definitionOf({ metrics: [] }))).to.include('at least one metric is required');
+    });
+
+    it('rejects unknown and repeated dimensions', () => {
+      const errors = ReportDefinition.validate(definitionOf({ dimensions: ['color', 'type', 'type'] }));
+      expect(errors.some(error => error.startsWith('dimension color must be one of'))).to.equal(true);
+      expect(errors).to.include('dimensions must be unique');
+    });
+
+    it('only counts vehicles', () => {
+      expect(ReportDefinition.validate(definitionOf({ metrics: [{ field: 'vehicles', aggregation: 'SUM' }] })))
+        .to.include('metric #1 vehicles can only be counted');
+    });
+
+    it('rejects colliding column names', () => {
+      expect(ReportDefinition.validate(definitionOf({ metrics: [{ name: 'type', field: 'hp', aggregation: 'MAX' }] })))
+        .to.include('column names must be unique');
+    });
+
+    it('rejects filters without values, with several values on single value operators or non numeric values', () => {
+      const errors = ReportDefinition.validate(definitionOf({
+        filters: [
+          { field: 'type', operator: 'IN', values: [] },
+          { field: 'type', operator: 'EQ', values: ['SUV', 'Van'] },
+          { field: 'hp', operator: 'GT', values: ['fast'] }
+        ]
+      }));
+      expect(errors).to.deep.equal([
+        'filter #1 requires at least one value',
+        'filter #2 operator EQ takes a single value',
+        'filter #3 values must be numbers'
+      ]);
+    });
+
+    it('rejects mixed and inverted time ranges', () => {
+      expect(ReportDefinition.validate(definitionOf({ timeRange: { from: 10, lastMinutes: 5 } })))
+        .to.include('time range is either absolute (from, to) or relative (lastMinutes)');
+      expect(ReportDefinition.validate(definitionOf({ timeRange: { from: 20, to: 10 } })))
+        .to.include('time range from must be lower or equal than to');
+    });
+
+    it('rejects sorting by a column out of the report', () => {
+      expect(ReportDefinition.validate(definitionOf({ sortBy: 'year' }))[0]).to.match(/^sortBy must be one of the report columns/);
+    });
+  });
+
+  describe('buildPipeline', () => {
+    it('reads the applied vehicles of the organization only, grouped by the dimensions', () => {
+      const pipeline = ReportDefinition.buildPipeline(definitionOf({}), 'org-1', 0);
+      expect(pipeline).to.deep.equal([
+        { $match: { organizationId: 'org-1', status: 'APPLIED', attributes: { $exists: true } } },
+        { $group: { _id: { type: '$attributes.type' }, count_vehicles: { $sum: 1 }, avg_hp: { $avg: '$attributes.hp' } } },
+        { $sort: { '_id.type': 1 } },
+        { $limit: 1001 }
+      ]);
+    });
+
+    it('translates the filters with typed values and the relative time range', () => {
+      const now = 10 * 60 * 1000;
+      const [{ $match }] = ReportDefinition.buildPipeline(definitionOf({
+        filters: [{ field: 'hp', operator: 'GTE', values: ['100'] }, { field: 'hp', operator: 'LT', values: ['300'] }, { field: 'type', operator: 'NIN', values: ['Van'] }],
+        timeRange: { lastMinutes: 5 }
+      }), 'org-1', now);
+      expect($match['attributes.hp']).to.deep.equal({ $gte: 100, $lt: 300 });
+      expect($match['attributes.type']).to.deep.equal({ $nin: ['Van'] });
+      expect($match.processedAt).to.deep.equal({ $gte: 5 * 60 * 1000, $lte: now });
+    });
+
+    it('groups everything in a single row without dimensions and sorts by a metric', () => {
+      const pipeline = ReportDefinition.buildPipeline(definitionOf({ dimensions: [], sortBy: 'avg_hp', sortAsc: false }), 'org-1', 0);
+      expect(pipeline[1].$group._id).to.equal(null);
+      expect(pipeline[2]).to.deep.equal({ $sort: { avg_hp: -1 } });
+    });
+
+    it('buckets the processing time dimensions', () => {
+      const pipeline = ReportDefinition.buildPipeline(definitionOf({ dimensions: ['processedHour'] }), 'org-1', 0);
+      expect(pipeline[1].$group._id.processedHour).to.deep.equal({ $subtract: ['$processedAt', { $mod: ['$processedAt', 60 * 60 * 1000] }] });
+    });
+  });
+
+  describe('formatResult', () => {
+    it('maps the groups to rows and flags the truncated results', () => {
+      const definition = definitionOf({ limit: 1 });
+      const result = ReportDefinition.formatResult(definition, [
+        { _id: { type: 'SUV' }, count_vehicles: 2, avg_hp: 150 },
+        { _id: { type: 'Van' }, count_vehicles: 1 }
+      ]);
+      expect(result.columns.map(({ name }) => name)).to.deep.equal(['type', 'count_vehicles', 'avg_hp']);
+      expect(result.rows).to.deep.equal([['SUV', 2, 150]]);
+      expect(result.truncated).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+'use strict'
+
+const { expect } = require('chai');
+const ReportHistory = require('../../../bin/domain/report/ReportHistory');
+
+describe('ReportHistory', () => {
+  describe('applyEvent', () => {
+    it('keeps the restorable properties and the organization of a whole report', () => {
+      const state = ReportHistory.applyEvent(null, { data: { modType: 'CREATE', name: 'A', organizationId: 'org-1', metadata: { createdBy: 'u' }, lastRunAt: 1 } });
+      expect(state).to.deep.equal({ name: 'A', organizationId: 'org-1' });
+    });
+
+    it('merges the modified properties of UPDATE_MERGE events', () => {
+      const state = ReportHistory.applyEvent({ name: 'A', active: true }, { data: { modType: 'UPDATE_MERGE', name: 'B' } });
+      expect(state).to.deep.equal({ name: 'B', active: true });
+    });
+
+    it('replaces the state on UPDATE_REPLACE events', () => {
+      const state = ReportHistory.applyEvent({ name: 'A', active: true }, { data: { modType: 'UPDATE_REPLACE', name: 'B' } });
+      expect(state).to.deep.equal({ name: 'B' });
+    });
+
+    it('clears the state once deleted', () => {
+      expect(ReportHistory.applyEvent({ name: 'A' }, { data: { modType: 'DELETE' } })).to.equal(null);
+    });
+  });
+
+  describe('diff', () => {
+    it('lists the changed paths sorted, with JSON values', () => {
+      const changes = ReportHistory.diff(
+        { name: 'A', tags: ['x'], definition: { limit: 10, sortBy: 'hp' } },
+        { name: 'B', tags: ['x', 'y'], definition: { limit: 10 }, folder: 'f' }
+      );
+      expect(changes).to.deep.equal([
+        { path: 'definition.sortBy', before: '"hp"', after: null },
+        { path: 'folder', before: null, after: '"f"' },
+        { path: 'name', before: '"A"', after: '"B"' },
+        { path: 'tags', before: '["x"]', after: '["x","y"]' }
+      ]);
+    });
+
+    it('ignores the recalculated next run', () => {
+      expect(ReportHistory.diff({ schedule: { cron: '@daily', nextRunAt: 1 } }, { schedule: { cron: '@daily', nextRunAt: 2 } })).to.deep.equal([]);
+    });
+
+    it('diffs against nothing when there is no previous state', () => {
+      expect(ReportHistory.diff(null, { active: false })).to.deep.equal([{ path: 'active', before: null, after: 'false' }]);
+    });
+  });
+
+  describe('buildVersions', () => {
+    it('replays the events in version order', () => {
+      const versions = ReportHistory.buildVersions([
+        { av: 2, user: 'bob', timestamp: 20, data: { modType: 'UPDATE_MERGE', name: 'B' } },
+        { av: 1, user: 'ann', timestamp: 10, data: { modType: 'CREATE', name: 'A', active: true } },
+        { av: 3, user: 'ann', timestamp: 30, data: { modType: 'UPDATE_REPLACE', name: 'A', active: true, restoredVersion: 1 } }
+      ]);
+      expect(versions.map(({ version, modType, user, restoredVersion }) => ({ version, modType, user, restoredVersion }))).to.deep.equal([
+        { version: 1, modType: 'CREATE', user: 'ann', restoredVersion: null },
+        { version: 2, modType: 'UPDATE_MERGE', user: 'bob', restoredVersion: null },
+        { version: 3, modType: 'UPDATE_REPLACE', user: 'ann', restoredVersion: 1 }
+      ]);
+      expect(versions[1].state).to.deep.equal({ name: 'B', active: true });
+      expect(versions[1].changes).to.deep.equal([{ path: 'name', before: '"A"', after: '"B"' }]);
+      expect(versions[2].changes).to.deep.equal([{ path: 'name', before: '"B"', after: '"A"' }]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+'use strict'
+
+const { expect } = require('chai');
+const ReportSharing = require('../../../bin/domain/report/ReportSharing');
+const { ACCESS } = ReportSharing;
+
+describe('ReportSharing', () => {
+  const report = { id: 'r-1', sharing: { owner: 'ann', editors: ['bob'], viewers: ['carl'] } };
+
+  describe('accessOf', () => {
+    it('resolves the access of the owner, editors, viewers and everyone else', () => {
+      expect(ReportSharing.accessOf(report, 'ann')).to.equal(ACCESS.OWN);
+      expect(ReportSharing.accessOf(report, 'bob')).to.equal(ACCESS.EDIT);
+      expect(ReportSharing.accessOf(report, 'carl')).to.equal(ACCESS.VIEW);
+      expect(ReportSharing.accessOf(report, 'dan')).to.equal(ACCESS.NONE);
+    });
+
+    it('lets everyone edit but nobody own the reports without owner', () => {
+      expect(ReportSharing.accessOf({ id: 'r-2' }, 'ann')).to.equal(ACCESS.EDIT);
+      expect(ReportSharing.accessOf({ id: 'r-2', sharing: { owner: null } }, 'ann')).to.equal(ACCESS.EDIT);
+    });
+  });
+
+  describe('checkAccess$', () => {
+    it('lets the report through with enough access', (done) => {
+      ReportSharing.checkAccess$(report, 'bob', ACCESS.EDIT, 'test').subscribe(
+        checked => { expect(checked).to.equal(report); done(); },
+        done
+      );
+    });
+
+    it('fails with a permission error otherwise', (done) => {
+      ReportSharing.checkAccess$(report, 'bob', ACCESS.OWN, 'test').subscribe(
+        () => done(new Error('access granted')),
+        error => {
+          expect(error.name).to.equal('PermissionDenied');
+          expect(error.message).to.equal('the user bob is not allowed to share, delete or purge the report r-1');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('normalize', () => {
+    it('trims and dedupes the usernames, an editor or the owner is not listed again', () => {
+      expect(ReportSharing.normalize({ owner: ' bob ', editors: ['carl', 'bob', ' carl'], viewers: ['carl', 'ann', '', 'ann'] }, 'ann')).to.deep.equal({
+        owner: 'bob',
+        editors: ['carl'],
+        viewers: ['ann']
+      });
+    });
+
+    it('keeps the current owner when not transferred', () => {
+      expect(ReportSharing.normalize({ viewers: ['bob'] }, 'ann')).to.deep.equal({ owner: 'ann', editors: [], viewers: ['bob'] });
+    });
+  });
+
+  describe('accessibleQuery', () => {
+    it('matches the reports without owner and the ones shared with the user', () => {
+      expect(ReportSharing.accessibleQuery('ann')).to.deep.equal({
+        $or: [
+          { 'sharing.owner': null },
+          { 'sharing.owner': 'ann' },
+          { 'sharing.editors': 'ann' },
+          { 'sharing.viewers': 'ann' }
+        ]
+      });
+    });
+  });
+});
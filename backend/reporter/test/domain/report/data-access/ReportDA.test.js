@@ -0,0 +1,65 @@
+'use strict'
+
+const { expect } = require('chai');
+const ReportDA = require('../../../../bin/domain/report/data-access/ReportDA');
+
+/**
+ * In memory Report collection matching the equality queries of ReportDA, null matches a missing field
+ */
+const fakeMongoDB = (reports) => {
+  const matches = (query) => (report) => Object.keys(query)
+    .every(field => query[field] === null ? report[field] === undefined || report[field] === null : report[field] === query[field]);
+  const collection = {
+    findOne: (query) => Promise.resolve(reports.find(matches(query)) || null),
+    findOneAndUpdate: (query, update) => {
+      const report = reports.find(matches(query));
+      if (report) Object.assign(report, update.$set);
+      return Promise.resolve({ value: report || null });
+    }
+  };
+  return { db: { collection: () => collection } };
+};
+
+describe('ReportDA', () => {
+  const ownerless = () => ({ _id: 'r-1', organizationId: 'org-a', name: 'A', version: 1 });
+
+  const start = (reports) => new Promise((resolve, reject) => ReportDA.start$(fakeMongoDB(reports)).subscribe(() => { }, reject, resolve));
+
+  describe('with a foreign organizationId', () => {
+    it('does not find the report nor its access', () => {
+      return start([ownerless()])
+        .then(() => ReportDA.getReport$('r-1', 'org-b').toPromise())
+        .then(report => expect(report).to.deep.equal({}))
+        .then(() => ReportDA.getReportAccess$('r-1', 'org-b').toPromise())
+        .then(access => expect(access).to.equal(null));
+    });
+
+    it('does not share nor restore the report', () => {
+      const reports = [ownerless()];
+      return start(reports)
+        .then(() => ReportDA.shareReport$('r-1', 'org-b', { owner: 'mallory', viewers: [], editors: [] }, 'mallory').toPromise())
+        .then(report => expect(report).to.equal(undefined))
+        .then(() => ReportDA.restoreReport$('r-1', 'org-b', { name: 'B' }, ['name'], 'mallory').toPromise())
+        .then(report => expect(report).to.equal(undefined))
+        .then(() => expect(reports[0]).to.deep.equal(ownerless()));
+    });
+
+    it('lists the reports of the given organization only', () => {
+      expect(ReportDA.generateListingQuery({ organizationId: 'org-b' })).to.include({ organizationId: 'org-b' });
+    });
+  });
+
+  describe('with the report organizationId', () => {
+    it('finds the report', () => {
+      return start([ownerless()])
+        .then(() => ReportDA.getReport$('r-1', 'org-a').toPromise())
+        .then(report => expect(report).to.include({ id: 'r-1', name: 'A' }));
+    });
+
+    it('does not restore a report in the trash bin', () => {
+      return start([{ ...ownerless(), deletedAt: 1 }])
+        .then(() => ReportDA.restoreReport$('r-1', 'org-a', { name: 'B' }, ['name'], 'ann').toPromise())
+        .then(report => expect(report).to.equal(undefined));
+    });
+  });
+});
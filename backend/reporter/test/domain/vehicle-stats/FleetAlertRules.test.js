@@ -0,0 +1,68 @@
+'use strict'
+
+const { expect } = require('chai');
+const FleetAlertRules = require('../../../bin/domain/vehicle-stats/FleetAlertRules');
+
+describe('FleetAlertRules', () => {
+  const stats = {
+    totalVehicles: 10,
+    vehiclesBySpeedClass: [{ key: 'Rapido', count: 4 }, { key: 'Lento', count: 6 }],
+    hpDistribution: { count: 10, avg: 180, p90: 300 },
+    topSpeedDistribution: { count: 0 },
+    lastUpdated: '2024-01-01T10:00:00Z'
+  };
+  const rapidoShare = { name: 'Rapido share', metric: 'BUCKET_SHARE', dimension: 'speedClass', bucket: 'Rapido', operator: 'GT', threshold: 30 };
+
+  describe('evaluate', () => {
+    it('triggers while the condition holds', () => {
+      expect(FleetAlertRules.evaluate(rapidoShare, stats)).to.deep.equal({ value: 40, state: FleetAlertRules.TRIGGERED });
+      expect(FleetAlertRules.evaluate({ ...rapidoShare, threshold: 40 }, stats)).to.deep.equal({ value: 40, state: FleetAlertRules.OK });
+    });
+
+    it('applies every operator', () => {
+      const rule = { metric: 'AVG_HP', threshold: 180 };
+      expect(FleetAlertRules.evaluate({ ...rule, operator: 'GTE' }, stats).state).to.equal(FleetAlertRules.TRIGGERED);
+      expect(FleetAlertRules.evaluate({ ...rule, operator: 'LTE' }, stats).state).to.equal(FleetAlertRules.TRIGGERED);
+      expect(FleetAlertRules.evaluate({ ...rule, operator: 'LT' }, stats).state).to.equal(FleetAlertRules.OK);
+    });
+
+    it('counts missing buckets as zero', () => {
+      const rule = { metric: 'BUCKET_COUNT', dimension: 'type', bucket: 'SUV', operator: 'LT', threshold: 1 };
+      expect(FleetAlertRules.evaluate(rule, stats)).to.deep.equal({ value: 0, state: FleetAlertRules.TRIGGERED });
+    });
+
+    it('never triggers metrics that can not be measured', () => {
+      expect(FleetAlertRules.evaluate({ metric: 'AVG_TOP_SPEED', operator: 'LT', threshold: 100 }, stats)).to.deep.equal({ value: null, state: FleetAlertRules.OK });
+      expect(FleetAlertRules.evaluate({ ...rapidoShare, operator: 'LT' }, { totalVehicles: 0 })).to.deep.equal({ value: null, state: FleetAlertRules.OK });
+    });
+
+    it('measures the minutes without vehicles up to now', () => {
+      const rule = { metric: 'MINUTES_WITHOUT_VEHICLES', operator: 'GTE', threshold: 5 };
+      const lastUpdated = Date.parse(stats.lastUpdated);
+      expect(FleetAlertRules.evaluate(rule, stats, lastUpdated + 6 * 60000)).to.deep.equal({ value: 6, state: FleetAlertRules.TRIGGERED });
+      expect(FleetAlertRules.evaluate(rule, stats, lastUpdated - 60000).value).to.equal(0);
+    });
+  });
+
+  describe('validateRule', () => {
+    it('accepts a valid rule', () => {
+      expect(FleetAlertRules.validateRule(rapidoShare)).to.deep.equal([]);
+    });
+
+    it('requires the dimension and bucket of the bucket metrics', () => {
+      expect(FleetAlertRules.validateRule({ ...rapidoShare, dimension: 'color', bucket: '' })).to.have.length(2);
+    });
+
+    it('rejects shares out of percentage and non numeric thresholds', () => {
+      expect(FleetAlertRules.validateRule({ ...rapidoShare, threshold: 120 })).to.deep.equal(['threshold of a share must be a percentage between 0 and 100']);
+      expect(FleetAlertRules.validateRule({ ...rapidoShare, metric: 'AVG_HP', threshold: NaN })).to.deep.equal(['threshold must be a number']);
+    });
+  });
+
+  describe('describe', () => {
+    it('describes the rule condition', () => {
+      expect(FleetAlertRules.describe(rapidoShare)).to.equal('speedClass Rapido BUCKET_SHARE > 30');
+      expect(FleetAlertRules.describe({ metric: 'AVG_HP', operator: 'LTE', threshold: 150 })).to.equal('AVG_HP <= 150');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+'use strict'
+
+const { expect } = require('chai');
+const VehicleClassifier = require('../../../bin/domain/vehicle-stats/VehicleClassifier');
+
+describe('VehicleClassifier', () => {
+  const [decadeRule, speedClassRule] = VehicleClassifier.resolveRules();
+
+  describe('resolveRules', () => {
+    it('completes the stored rules with the default ones', () => {
+      const customDecade = { dimension: 'decade', field: 'year', mode: 'INTERVAL', interval: { size: 5 } };
+      const rules = VehicleClassifier.resolveRules([customDecade]);
+      expect(rules).to.have.length(VehicleClassifier.DIMENSIONS.length);
+      expect(rules[0]).to.equal(customDecade);
+      expect(rules[1]).to.include({ dimension: 'speedClass', isDefault: true });
+    });
+  });
+
+  describe('classify', () => {
+    it('labels INTERVAL values by their lower boundary', () => {
+      expect(VehicleClassifier.classify(1994, decadeRule)).to.equal('1990s');
+      expect(VehicleClassifier.classify(2000, decadeRule)).to.equal('2000s');
+    });
+
+    it('picks the first RANGES bucket containing the value', () => {
+      expect(VehicleClassifier.classify(139, speedClassRule)).to.equal('Lento');
+      expect(VehicleClassifier.classify(140, speedClassRule)).to.equal('Normal');
+      expect(VehicleClassifier.classify(240, speedClassRule)).to.equal('Normal');
+      expect(VehicleClassifier.classify(241, speedClassRule)).to.equal('Rapido');
+    });
+
+    it('does not classify missing, zero or non numeric values', () => {
+      expect(VehicleClassifier.classify(undefined, decadeRule)).to.equal(null);
+      expect(VehicleClassifier.classify(0, speedClassRule)).to.equal(null);
+      expect(VehicleClassifier.classify('200', speedClassRule)).to.equal(null);
+    });
+
+    it('does not classify values outside every bucket', () => {
+      const rule = { dimension: 'speedClass', field: 'topSpeed', mode: 'RANGES', buckets: [{ name: 'Slow', lt: 100 }] };
+      expect(VehicleClassifier.classify(150, rule)).to.equal(null);
+    });
+  });
+
+  describe('validateRule', () => {
+    it('accepts the default rules', () => {
+      expect(VehicleClassifier.validateRule('decade', decadeRule)).to.deep.equal([]);
+      expect(VehicleClassifier.validateRule('speedClass', speedClassRule)).to.deep.equal([]);
+    });
+
+    it('rejects unknown dimensions, invalid fields and modes', () => {
+      const errors = VehicleClassifier.validateRule('color', { field: '1year', mode: 'OTHER' });
+      expect(errors).to.have.length(3);
+    });
+
+    it('rejects buckets without name or boundary and duplicated names', () => {
+      const errors = VehicleClassifier.validateRule('speedClass', {
+        field: 'topSpeed', mode: 'RANGES', buckets: [{ name: 'Slow' }, { lt: 10 }, { name: 'Slow', gt: 10 }]
+      });
+      expect(errors).to.deep.equal([
+        'bucket #1 requires at least one boundary',
+        'bucket #2 requires a name',
+        'bucket names must be unique'
+      ]);
+    });
+
+    it('requires a positive interval size', () => {
+      expect(VehicleClassifier.validateRule('decade', { field: 'year', mode: 'INTERVAL', interval: { size: 0 } }))
+        .to.deep.equal(['interval size must be greater than zero']);
+    });
+  });
+
+  describe('deriveAttributes', () => {
+    it('keeps the scalar vehicle data and adds a derived attribute per dimension', () => {
+      const attributes = VehicleClassifier.deriveAttributes({ type: 'SUV', powerSource: 'Electric', hp: 300, year: 2015, topSpeed: 250, extra: { a: 1 } });
+      expect(attributes).to.deep.equal({
+        type: 'SUV', powerSource: 'Electric', hp: 300, year: 2015, topSpeed: 250, decade: '2010s', speedClass: 'Rapido'
+      });
+    });
+
+    it('nulls the missing attributes', () => {
+      expect(VehicleClassifier.deriveAttributes(undefined)).to.deep.equal({
+        type: null, powerSource: null, hp: null, decade: null, speedClass: null
+      });
+    });
+  });
+
+  describe('derivedAttributesStage', () => {
+    it('builds an $addFields stage with an expression per dimension', () => {
+      const stage = VehicleClassifier.derivedAttributesStage();
+      expect(stage.$addFields).to.have.all.keys('attributes.decade', 'attributes.speedClass');
+      expect(stage.$addFields['attributes.speedClass'].$cond[1].$switch.branches.map(({ then }) => then))
+        .to.deep.equal(['Lento', 'Normal', 'Rapido']);
+    });
+  });
+});
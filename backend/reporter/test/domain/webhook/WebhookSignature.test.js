@@ -0,0 +1,44 @@
+'use strict'
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+const WebhookSignature = require('../../../bin/domain/webhook/WebhookSignature');
+
+describe('WebhookSignature', () => {
+  const secret = 'a-secret-of-the-webhook';
+  const body = JSON.stringify({ id: 'r-1' });
+
+  describe('sign', () => {
+    it('signs the timestamp and the body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', secret).update(`1700000000000.${body}`).digest('hex');
+      expect(WebhookSignature.sign(secret, 1700000000000, body)).to.equal(`sha256=${expected}`);
+    });
+  });
+
+  describe('verify', () => {
+    const signature = WebhookSignature.sign(secret, 1700000000000, body);
+
+    it('accepts the delivery signature', () => {
+      expect(WebhookSignature.verify(secret, 1700000000000, body, signature)).to.equal(true);
+    });
+
+    it('rejects another secret, timestamp or body', () => {
+      expect(WebhookSignature.verify('another-secret-of-it', 1700000000000, body, signature)).to.equal(false);
+      expect(WebhookSignature.verify(secret, 1700000000001, body, signature)).to.equal(false);
+      expect(WebhookSignature.verify(secret, 1700000000000, '{}', signature)).to.equal(false);
+    });
+
+    it('rejects missing and malformed signatures', () => {
+      expect(WebhookSignature.verify(secret, 1700000000000, body, undefined)).to.equal(false);
+      expect(WebhookSignature.verify(secret, 1700000000000, body, 'sha256=00')).to.equal(false);
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('generates different hex secrets', () => {
+      const generated = WebhookSignature.generateSecret();
+      expect(generated).to.match(/^[0-9a-f]{48}$/);
+      expect(WebhookSignature.generateSecret()).to.not.equal(generated);
+    });
+  });
+});
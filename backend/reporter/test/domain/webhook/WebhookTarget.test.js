@@ -0,0 +1,39 @@
+'use strict'
+
+const { expect } = require('chai');
+const WebhookTarget = require('../../../bin/domain/webhook/WebhookTarget');
+
+describe('WebhookTarget', () => {
+  describe('isPrivateAddress', () => {
+    it('flags the loopback, private, link-local and unspecified addresses', () => {
+      ['127.0.0.1', '10.0.0.5', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1']
+        .forEach(address => expect(WebhookTarget.isPrivateAddress(address), address).to.equal(true));
+    });
+
+    it('lets the public addresses through', () => {
+      ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888']
+        .forEach(address => expect(WebhookTarget.isPrivateAddress(address), address).to.equal(false));
+    });
+  });
+
+  describe('rejectionOf', () => {
+    it('rejects local, internal and private hosts', () => {
+      ['http://localhost:3000', 'http://[::1]/hook', 'http://169.254.169.254/latest/meta-data', 'http://mongo:27017', 'http://nats.default.svc.cluster.local']
+        .forEach(url => expect(WebhookTarget.rejectionOf(new URL(url)), url).to.be.a('string'));
+    });
+
+    it('accepts public hosts', () => {
+      expect(WebhookTarget.rejectionOf(new URL('https://hooks.example.com/reporter'))).to.equal(null);
+      expect(WebhookTarget.rejectionOf(new URL('http://8.8.8.8/'))).to.equal(null);
+    });
+  });
+
+  describe('lookup', () => {
+    it('fails when the host resolves to a private address', (done) => {
+      WebhookTarget.lookup('localhost', {}, (error) => {
+        expect(error.message).to.match(/^url host localhost resolves to the private address/);
+        done();
+      });
+    });
+  });
+});
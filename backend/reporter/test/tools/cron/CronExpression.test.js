@@ -0,0 +1,67 @@
+'use strict'
+
+const { expect } = require('chai');
+const CronExpression = require('../../../bin/tools/cron/CronExpression');
+
+describe('CronExpression', () => {
+  const at = (iso) => Date.parse(iso);
+
+  describe('next', () => {
+    it('is strictly after the given time', () => {
+      expect(CronExpression.next('0 * * * *', at('2024-01-01T10:00:00Z'))).to.equal(at('2024-01-01T11:00:00Z'));
+      expect(CronExpression.next('* * * * *', at('2024-01-01T10:00:30Z'))).to.equal(at('2024-01-01T10:01:00Z'));
+    });
+
+    it('resolves the macros', () => {
+      expect(CronExpression.next('@daily', at('2024-01-01T10:00:00Z'))).to.equal(at('2024-01-02T00:00:00Z'));
+      expect(CronExpression.next('@monthly', at('2024-01-15T00:00:00Z'))).to.equal(at('2024-02-01T00:00:00Z'));
+    });
+
+    it('supports ranges, steps and lists', () => {
+      expect(CronExpression.next('*/15 * * * *', at('2024-01-01T10:16:00Z'))).to.equal(at('2024-01-01T10:30:00Z'));
+      expect(CronExpression.next('0 6 * * 1-5', at('2024-01-05T07:00:00Z'))).to.equal(at('2024-01-08T06:00:00Z'));
+      expect(CronExpression.next('0 8,20 * * *', at('2024-01-01T09:00:00Z'))).to.equal(at('2024-01-01T20:00:00Z'));
+    });
+
+    it('matches either day when both day-of-month and day-of-week are restricted', () => {
+      // 2024-01-07 is a sunday, before the 15th
+      expect(CronExpression.next('0 0 15 * 0', at('2024-01-02T00:00:00Z'))).to.equal(at('2024-01-07T00:00:00Z'));
+    });
+
+    it('takes 7 as sunday', () => {
+      expect(CronExpression.next('0 0 * * 7', at('2024-01-02T00:00:00Z'))).to.equal(at('2024-01-07T00:00:00Z'));
+    });
+
+    it('skips months without the day', () => {
+      expect(CronExpression.next('0 0 31 * *', at('2024-02-01T00:00:00Z'))).to.equal(at('2024-03-31T00:00:00Z'));
+    });
+
+    it('returns null when the expression never matches', () => {
+      expect(CronExpression.next('0 0 30 2 *', at('2024-01-01T00:00:00Z'))).to.equal(null);
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts valid expressions', () => {
+      ['* * * * *', '@hourly', '1-5/2,7 * * * *', '5/10 0 1 1 0'].forEach(expression => {
+        expect(CronExpression.validate(expression), expression).to.deep.equal([]);
+      });
+    });
+
+    it('requires five fields', () => {
+      expect(CronExpression.validate('* * * *')).to.have.length(1);
+    });
+
+    it('rejects values out of the field boundaries', () => {
+      expect(CronExpression.validate('60 * * * *')).to.deep.equal(['invalid minute field: 60']);
+      expect(CronExpression.validate('* * 0 * *')).to.deep.equal(['invalid dayOfMonth field: 0']);
+      expect(CronExpression.validate('* * * * 5-1')).to.deep.equal(['invalid dayOfWeek field: 5-1']);
+    });
+
+    it('rejects empty list items, range bounds and steps', () => {
+      ['-5 * * * *', '1- * * * *', '1, * * * *', ',1 * * * *', '*/ * * * *', '*/0 * * * *', 'a * * * *'].forEach(expression => {
+        expect(CronExpression.validate(expression), expression).to.have.length(1);
+      });
+    });
+  });
+});
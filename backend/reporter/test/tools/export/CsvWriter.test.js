@@ -0,0 +1,38 @@
+'use strict'
+
+const { expect } = require('chai');
+const CsvWriter = require('../../../bin/tools/export/CsvWriter');
+
+describe('CsvWriter', () => {
+  const lines = (buffer) => buffer.toString('utf8').replace(/^﻿/, '').split('\r\n');
+
+  it('starts with the utf-8 BOM', () => {
+    const csv = CsvWriter.write({ sheets: [{ name: 'a', columns: ['x'], rows: [] }] });
+    expect(csv.toString('utf8').charAt(0)).to.equal('﻿');
+  });
+
+  it('renders a single sheet as a plain table', () => {
+    const csv = CsvWriter.write({ sheets: [{ name: 'Fleet', columns: ['type', 'vehicles'], rows: [['SUV', 3], ['Van', null]] }] });
+    expect(lines(csv)).to.deep.equal(['type,vehicles', 'SUV,3', 'Van,', '']);
+  });
+
+  it('renders every sheet of a multi sheet document preceded by its name', () => {
+    const csv = CsvWriter.write({ sheets: [{ name: 'A', columns: ['x'], rows: [[1]] }, { name: 'B', columns: ['y'], rows: [[2]] }] });
+    expect(lines(csv)).to.deep.equal(['A', 'x', '1', '', 'B', 'y', '2', '', '']);
+  });
+
+  it('quotes cells with separators, quotes or line breaks', () => {
+    const csv = CsvWriter.write({ sheets: [{ name: 'a', columns: ['x'], rows: [['a,b'], ['say "hi"']] }] });
+    expect(lines(csv).slice(1, 3)).to.deep.equal(['"a,b"', '"say ""hi"""']);
+  });
+
+  it('prefixes the texts spreadsheets would evaluate as formulas', () => {
+    const csv = CsvWriter.write({ sheets: [{ name: 'a', columns: ['=SUM(A1)'], rows: [['+1'], ['-1'], ['@cmd'], ['\tx'], ['=1,2']] }] });
+    expect(lines(csv).slice(0, 6)).to.deep.equal(["'=SUM(A1)", "'+1", "'-1", "'@cmd", "'\tx", `"'=1,2"`]);
+  });
+
+  it('keeps negative numbers as numbers', () => {
+    const csv = CsvWriter.write({ sheets: [{ name: 'a', columns: ['x'], rows: [[-5]] }] });
+    expect(lines(csv)[1]).to.equal('-5');
+  });
+});
@@ -0,0 +1,45 @@
+'use strict'
+
+const { expect } = require('chai');
+const XlsxWriter = require('../../../bin/tools/export/XlsxWriter');
+const unzip = require('./unzip');
+
+describe('XlsxWriter', () => {
+  const write = (document) => {
+    const entries = unzip(XlsxWriter.write(document));
+    return Object.keys(entries).reduce((acc, name) => ({ ...acc, [name]: entries[name].content.toString('utf8') }), {});
+  };
+
+  it('packages a workbook with one worksheet per sheet', () => {
+    const entries = write({ title: 'Fleet', sheets: [{ name: 'A', columns: ['x'], rows: [] }, { name: 'B', columns: ['y'], rows: [] }] });
+    expect(entries).to.have.all.keys(
+      '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+    );
+    expect(entries['docProps/core.xml']).to.contain('<dc:title>Fleet</dc:title>');
+  });
+
+  it('makes the sheet names valid and unique', () => {
+    const entries = write({ sheets: [{ name: 'a/b', columns: [], rows: [] }, { name: 'a/b', columns: [], rows: [] }, { columns: [], rows: [] }] });
+    expect(entries['xl/workbook.xml']).to.contain('name="a b"').and.to.contain('name="a b_2"').and.to.contain('name="Sheet3"');
+  });
+
+  it('keeps the numbers and booleans typed and the rest as escaped inline strings', () => {
+    const sheet = write({ sheets: [{ name: 'A', columns: ['n', 'b', 's'], rows: [[1.5, true, '<a & b>']] }] })['xl/worksheets/sheet1.xml'];
+    expect(sheet).to.contain('<c r="A2"><v>1.5</v></c>');
+    expect(sheet).to.contain('<c r="B2" t="b"><v>1</v></c>');
+    expect(sheet).to.contain('<c r="C2" t="inlineStr"><is><t xml:space="preserve">&lt;a &amp; b&gt;</t></is></c>');
+  });
+
+  it('never writes formulas, texts starting with = are inline strings', () => {
+    const sheet = write({ sheets: [{ name: 'A', columns: ['x'], rows: [['=HYPERLINK("http://x")']] }] })['xl/worksheets/sheet1.xml'];
+    expect(sheet).to.not.contain('<f>');
+    expect(sheet).to.contain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK(&quot;http://x&quot;)</t></is></c>');
+  });
+
+  it('names the columns past Z with several letters', () => {
+    const columns = Array.from({ length: 28 }, (_, index) => `c${index}`);
+    const sheet = write({ sheets: [{ name: 'A', columns, rows: [] }] })['xl/worksheets/sheet1.xml'];
+    expect(sheet).to.contain('<c r="AB1"');
+  });
+});
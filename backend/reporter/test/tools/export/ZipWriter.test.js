@@ -0,0 +1,33 @@
+'use strict'
+
+const { expect } = require('chai');
+const ZipWriter = require('../../../bin/tools/export/ZipWriter');
+const unzip = require('./unzip');
+
+describe('ZipWriter', () => {
+  const archive = ZipWriter.write([
+    { name: 'hello.txt', content: 'hello world' },
+    { name: 'dir/ñandú.bin', content: Buffer.from([0, 1, 2, 255]) }
+  ], new Date(2024, 0, 2, 3, 4, 6));
+
+  it('writes every entry deflated along with its utf-8 name', () => {
+    const entries = unzip(archive);
+    expect(Object.keys(entries)).to.deep.equal(['hello.txt', 'dir/ñandú.bin']);
+    expect(entries['hello.txt'].content.toString('utf8')).to.equal('hello world');
+    expect([...entries['dir/ñandú.bin'].content]).to.deep.equal([0, 1, 2, 255]);
+  });
+
+  it('checksums the entries with CRC-32', () => {
+    // CRC-32 of 'hello world'
+    expect(unzip(archive)['hello.txt'].crc32).to.equal(0x0d4a1185);
+  });
+
+  it('ends with the central directory record of every entry', () => {
+    const end = archive.slice(archive.length - 22);
+    expect(end.readUInt32LE(0)).to.equal(0x06054b50);
+    expect(end.readUInt16LE(10)).to.equal(2);
+    const centralDirectoryOffset = end.readUInt32LE(16);
+    expect(archive.readUInt32LE(centralDirectoryOffset)).to.equal(0x02014b50);
+    expect(centralDirectoryOffset + end.readUInt32LE(12)).to.equal(archive.length - 22);
+  });
+});
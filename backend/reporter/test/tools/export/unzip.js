@@ -0,0 +1,23 @@
+'use strict'
+
+const zlib = require('zlib');
+
+/**
+ * Reads the entries of a zip archive written by ZipWriter (deflated entries, local headers only)
+ * @param {Buffer} archive
+ * @returns {Object} entry name vs { content: Buffer, crc32 }
+ */
+module.exports = (archive) => {
+  const entries = {};
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const crc32 = archive.readUInt32LE(offset + 14);
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength;
+    entries[name] = { content: zlib.inflateRawSync(archive.slice(dataStart, dataStart + compressedSize)), crc32 };
+    offset = dataStart + compressedSize;
+  }
+  return entries;
+};
@@ -0,0 +1,81 @@
+'use strict'
+
+const { expect } = require('chai');
+const { StructuredLogger, parseLevel, parseComponentLevels } = require('../../../bin/tools/logger/StructuredLogger');
+
+describe('StructuredLogger', () => {
+  describe('parseLevel', () => {
+    it('accepts level indexes and names', () => {
+      expect(parseLevel('0', 1)).to.equal(0);
+      expect(parseLevel(' WARN ', 1)).to.equal(2);
+      expect(parseLevel('9', 1)).to.equal(3);
+    });
+
+    it('falls back to the default level', () => {
+      expect(parseLevel(undefined, 1)).to.equal(1);
+      expect(parseLevel('verbose', 1)).to.equal(1);
+    });
+  });
+
+  describe('parseComponentLevels', () => {
+    it('maps every component to its level, skipping the invalid entries', () => {
+      expect(parseComponentLevels('VehicleEventsProcessor=warn, CqrsService=0,Other=loud,Broken'))
+        .to.deep.equal({ VehicleEventsProcessor: 2, CqrsService: 0 });
+      expect(parseComponentLevels('')).to.deep.equal({});
+    });
+  });
+
+  describe('write', () => {
+    /**
+     * Runs fn capturing the entries written to stdout and stderr
+     */
+    const capture = (fn) => {
+      const { log, error } = console;
+      const written = { stdout: [], stderr: [] };
+      console.log = (line) => written.stdout.push(JSON.parse(line));
+      console.error = (line) => written.stderr.push(JSON.parse(line));
+      try {
+        fn();
+      } finally {
+        console.log = log;
+        console.error = error;
+      }
+      return written;
+    };
+
+    it('writes JSON lines with the component, context and fields, warnings and errors to stderr', () => {
+      const logger = new StructuredLogger('Test', {}, 0).child({ correlationId: 'c-1' });
+      const { stdout, stderr } = capture(() => {
+        logger.i('handled', { durationMs: 5 });
+        logger.e('failed', new Error('boom'));
+      });
+      expect(stdout).to.have.length(1);
+      expect(stdout[0]).to.include({ level: 'info', component: 'Test', message: 'handled', correlationId: 'c-1', durationMs: 5 });
+      expect(stdout[0].timestamp).to.be.a('string');
+      expect(stderr).to.have.length(1);
+      expect(stderr[0]).to.include({ level: 'error', message: 'failed', correlationId: 'c-1' });
+      expect(stderr[0].error).to.include({ name: 'Error', message: 'boom' });
+    });
+
+    it('skips the entries below the logger level', () => {
+      const logger = new StructuredLogger('Test', {}, 2);
+      const { stdout, stderr } = capture(() => {
+        logger.d('debug');
+        logger.i('info');
+        logger.w('warn');
+      });
+      expect(stdout).to.deep.equal([]);
+      expect(stderr.map(({ message }) => message)).to.deep.equal(['warn']);
+    });
+
+    it('samples the entries by rate', () => {
+      const logger = new StructuredLogger('Test', {}, 0);
+      const { stdout, stderr } = capture(() => {
+        logger.sample(0).e('never');
+        logger.sample(1).i('always');
+      });
+      expect(stderr).to.deep.equal([]);
+      expect(stdout.map(({ message }) => message)).to.deep.equal(['always']);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+'use strict'
+
+const { expect } = require('chai');
+const { MetricsRegistry } = require('../../../bin/tools/metrics/MetricsRegistry');
+
+describe('MetricsRegistry', () => {
+  let registry;
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  describe('counter', () => {
+    it('renders a series per label set, missing labels as empty values', () => {
+      const counter = registry.counter({ name: 'events_total', help: 'Received events', labelNames: ['type', 'result'] });
+      counter.inc({ type: 'a', result: 'ok' });
+      counter.inc({ type: 'a', result: 'ok' }, 2);
+      counter.inc({ type: 'b' });
+      expect(registry.render()).to.equal([
+        '# HELP events_total Received events',
+        '# TYPE events_total counter',
+        'events_total{type="a",result="ok"} 3',
+        'events_total{type="b",result=""} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('escapes the label values and the help', () => {
+      registry.counter({ name: 'c', help: 'a\nb', labelNames: ['l'] }).inc({ l: 'x"y\\z\n' });
+      expect(registry.render()).to.equal('# HELP c a\\nb\n# TYPE c counter\nc{l="x\\"y\\\\z\\n"} 1\n');
+    });
+
+    it('returns the declared metric when the name is taken', () => {
+      const counter = registry.counter({ name: 'c', help: 'h' });
+      expect(registry.counter({ name: 'c', help: 'other' })).to.equal(counter);
+    });
+  });
+
+  describe('gauge', () => {
+    it('is set on every scrape by its collect function', () => {
+      let value = 1;
+      registry.gauge({ name: 'g', help: 'h', collect: gauge => gauge.set({}, value) });
+      expect(registry.render()).to.equal('# HELP g h\n# TYPE g gauge\ng 1\n');
+      value = 5;
+      expect(registry.render()).to.equal('# HELP g h\n# TYPE g gauge\ng 5\n');
+    });
+  });
+
+  describe('histogram', () => {
+    it('renders the cumulative buckets, sum and count', () => {
+      const histogram = registry.histogram({ name: 'h', help: 'h', labelNames: ['op'], buckets: [1, 0.1] });
+      histogram.observe({ op: 'x' }, 0.05);
+      histogram.observe({ op: 'x' }, 0.5);
+      histogram.observe({ op: 'x' }, 2);
+      expect(registry.render().split('\n').slice(2)).to.deep.equal([
+        'h_bucket{op="x",le="0.1"} 1',
+        'h_bucket{op="x",le="1"} 2',
+        'h_bucket{op="x",le="+Inf"} 3',
+        'h_sum{op="x"} 2.55',
+        'h_count{op="x"} 3',
+        ''
+      ]);
+    });
+
+    it('times observations with the labels known afterwards', () => {
+      const histogram = registry.histogram({ name: 'h', help: 'h', labelNames: ['op', 'result'] });
+      histogram.startTimer({ op: 'x' })({ result: 'ok' });
+      const [series] = histogram.series.values();
+      expect(series.labels).to.deep.equal({ op: 'x', result: 'ok' });
+      expect(series.count).to.equal(1);
+      expect(series.sum).to.be.at.least(0);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, Icon } from '@material-ui/core';
+import { useMutation } from "@apollo/react-hooks";
+import { useDispatch } from 'react-redux';
+import * as AppActions from 'app/store/actions';
+import { ReporterExport } from "../gql/Export";
+
+const FORMATS = ['CSV', 'XLSX', 'JSON', 'PDF'];
+
+/**
+ * Saves an exported artifact as a file in the browser
+ * @param {{ fileName, contentType, content }} artifact base64 encoded artifact
+ */
+function download({ fileName, contentType, content }) {
+    const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Button that exports the given source in the format picked from its menu and downloads the result,
+ * with a single format the export starts right away
+ * @param {{ label, input, disabled, variant, formats }} props input: ReporterExportInput without format
+ */
+function ExportButton(props) {
+    const { label, input, disabled, variant = 'contained', className, formats = FORMATS } = props;
+    const dispatch = useDispatch();
+    const [anchorEl, setAnchorEl] = useState(null);
+    const [exportData, exportResult] = useMutation(ReporterExport({}).mutation);
+
+    function handleExport(format) {
+        setAnchorEl(null);
+        exportData({ variables: { input: { ...input, format } } })
+            .then(({ data }) => download(data.ReporterExport))
+            .catch(error => dispatch(AppActions.showMessage({ message: error.message, variant: 'error' })));
+    }
+
+    return (
+        <React.Fragment>
+            <Button
+                className={className}
+                variant={variant}
+                disabled={disabled || exportResult.loading}
+                onClick={event => formats.length === 1 ? handleExport(formats[0]) : setAnchorEl(event.currentTarget)}
+            >
+                <Icon className="mr-4">cloud_download</Icon>
+                {label}
+            </Button>
+            <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+                {formats.map(format => <MenuItem key={format} onClick={() => handleExport(format)}>{format}</MenuItem>)}
+            </Menu>
+        </React.Fragment>
+    );
+}
+
+export default ExportButton;
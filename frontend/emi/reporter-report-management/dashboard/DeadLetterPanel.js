@@ -0,0 +1,117 @@
+/* React core */
+import React, { useState, useEffect } from 'react';
+import {
+    Card, CardContent, Typography, Button, Table, TableBody, TableCell, TableHead, TableRow,
+    Dialog, DialogTitle, DialogContent, DialogActions
+} from '@material-ui/core';
+/* GraphQL Client hooks */
+import { useQuery, useMutation } from "@apollo/react-hooks";
+/* Redux */
+import { useDispatch, useSelector } from 'react-redux';
+import * as AppActions from 'app/store/actions';
+/* GQL queries to use */
+import {
+    VehicleStatsDeadLetterListing,
+    VehicleStatsReplayDeadLetters,
+    VehicleStatsPurgeDeadLetters
+} from "../gql/VehicleEventsDeadLetter";
+
+const PAGE_SIZE = 10;
+
+/**
+ * Lists the rejected/failed vehicle events and allows to inspect, replay or purge them
+ */
+function DeadLetterPanel() {
+    //Redux dispatcher
+    const dispatch = useDispatch();
+    // current logged user
+    const loggedUser = useSelector(({ auth }) => auth.user);
+    const canWrite = loggedUser.role.includes('REPORT_WRITE');
+
+    // dead letter being inspected
+    const [inspected, setInspected] = useState(null);
+
+    const { data, error, refetch } = useQuery(VehicleStatsDeadLetterListing().query, {
+        variables: { paginationInput: { page: 0, count: PAGE_SIZE, queryTotalResultCount: true } },
+        fetchPolicy: "network-only"
+    });
+    const [replayDeadLetters, replayResult] = useMutation(VehicleStatsReplayDeadLetters({}).mutation);
+    const [purgeDeadLetters, purgeResult] = useMutation(VehicleStatsPurgeDeadLetters({}).mutation);
+
+    useEffect(() => {
+        const err = error || replayResult.error || purgeResult.error;
+        if (err) {
+            dispatch(AppActions.showMessage({ message: err.message, variant: 'error' }));
+        }
+    }, [error, replayResult.error, purgeResult.error, dispatch]);
+
+    const listing = (data && data.VehicleStatsDeadLetterListing && data.VehicleStatsDeadLetterListing.listing) || [];
+    const total = (data && data.VehicleStatsDeadLetterListing && data.VehicleStatsDeadLetterListing.queryTotalResultCount) || 0;
+
+    const runCommand = (mutate, ids) => mutate({ variables: { ids } })
+        .then(() => refetch())
+        .catch(() => { /* reported through the mutation result */ });
+
+    const formatPayload = (payload) => {
+        try { return JSON.stringify(JSON.parse(payload), null, 2); }
+        catch (e) { return payload; }
+    };
+
+    return (
+        <Card>
+            <CardContent>
+                <Typography variant="h6" gutterBottom>
+                    Dead Letter Queue ({total})
+                </Typography>
+                {listing.length === 0 ? (
+                    <Typography variant="body2" color="textSecondary">
+                        No rejected events
+                    </Typography>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Timestamp</TableCell>
+                                <TableCell>Stage</TableCell>
+                                <TableCell>Reason</TableCell>
+                                <TableCell>Vehicle</TableCell>
+                                <TableCell />
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {listing.map(deadLetter => (
+                                <TableRow key={deadLetter.id}>
+                                    <TableCell>{new Date(deadLetter.timestamp).toLocaleString()}</TableCell>
+                                    <TableCell>{deadLetter.stage}</TableCell>
+                                    <TableCell>{deadLetter.reason}</TableCell>
+                                    <TableCell>{deadLetter.aid || 'N/A'}</TableCell>
+                                    <TableCell align="right">
+                                        <Button size="small" onClick={() => setInspected(deadLetter)}>Inspect</Button>
+                                        <Button size="small" color="primary" disabled={!canWrite}
+                                            onClick={() => runCommand(replayDeadLetters, [deadLetter.id])}>Replay</Button>
+                                        <Button size="small" color="secondary" disabled={!canWrite}
+                                            onClick={() => runCommand(purgeDeadLetters, [deadLetter.id])}>Purge</Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+            <Dialog open={!!inspected} onClose={() => setInspected(null)} maxWidth="md" fullWidth>
+                <DialogTitle>{inspected && `${inspected.stage} - ${inspected.reason}`}</DialogTitle>
+                <DialogContent>
+                    {inspected && inspected.error && (
+                        <Typography variant="body2" color="error" gutterBottom>{inspected.error}</Typography>
+                    )}
+                    <pre>{inspected && formatPayload(inspected.payload)}</pre>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setInspected(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+        </Card>
+    );
+}
+
+export default DeadLetterPanel;
@@ -0,0 +1,213 @@
+/* React core */
+import React, { useState, useEffect } from 'react';
+import {
+    Card, CardContent, Typography, Button, Chip, Table, TableBody, TableCell, TableHead, TableRow,
+    Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem, FormControlLabel, Switch
+} from '@material-ui/core';
+/* GraphQL Client hooks */
+import { useQuery, useMutation, useSubscription } from "@apollo/react-hooks";
+/* Redux */
+import { useDispatch, useSelector } from 'react-redux';
+import * as AppActions from 'app/store/actions';
+/* GQL queries to use */
+import {
+    VehicleStatsFleetAlertRules,
+    VehicleStatsCreateFleetAlertRule,
+    VehicleStatsUpdateFleetAlertRule,
+    VehicleStatsDeleteFleetAlertRule,
+    onFleetAlertTriggered
+} from "../gql/FleetAlerts";
+
+const METRICS = [
+    { value: 'TOTAL_VEHICLES', label: 'Total vehicles' },
+    { value: 'BUCKET_COUNT', label: 'Vehicles in bucket' },
+    { value: 'BUCKET_SHARE', label: 'Bucket share (%)' },
+    { value: 'AVG_HP', label: 'Average HP' },
+    { value: 'P90_HP', label: 'HP p90' },
+    { value: 'AVG_TOP_SPEED', label: 'Average top speed' },
+    { value: 'P90_TOP_SPEED', label: 'Top speed p90' },
+    { value: 'MINUTES_WITHOUT_VEHICLES', label: 'Minutes without vehicles' },
+];
+const BUCKET_METRICS = ['BUCKET_COUNT', 'BUCKET_SHARE'];
+const DIMENSIONS = ['type', 'decade', 'speedClass', 'powerSource'];
+const OPERATORS = [
+    { value: 'GT', label: '>' },
+    { value: 'GTE', label: '>=' },
+    { value: 'LT', label: '<' },
+    { value: 'LTE', label: '<=' },
+];
+const EMPTY_RULE = { name: '', metric: 'BUCKET_SHARE', dimension: 'speedClass', bucket: '', operator: 'GT', threshold: '', active: true };
+
+/**
+ * Lists the fleet alert rules of the organization with their state, allows to create, edit and remove them
+ * and notifies every rule triggered or resolved while the dashboard is open
+ */
+function FleetAlertsPanel() {
+    //Redux dispatcher
+    const dispatch = useDispatch();
+    // current logged user
+    const loggedUser = useSelector(({ auth }) => auth.user);
+    const canWrite = loggedUser.role.includes('REPORT_WRITE');
+
+    // rule being created (no id) or edited
+    const [editing, setEditing] = useState(null);
+
+    const { data, error, refetch } = useQuery(VehicleStatsFleetAlertRules().query, { fetchPolicy: "network-only" });
+    const [createRule, createResult] = useMutation(VehicleStatsCreateFleetAlertRule({}).mutation);
+    const [updateRule, updateResult] = useMutation(VehicleStatsUpdateFleetAlertRule({}).mutation);
+    const [deleteRule, deleteResult] = useMutation(VehicleStatsDeleteFleetAlertRule({}).mutation);
+    const onFleetAlertTriggeredResult = useSubscription(onFleetAlertTriggered().query);
+
+    useEffect(() => {
+        const err = error || createResult.error || updateResult.error || deleteResult.error;
+        if (err) {
+            dispatch(AppActions.showMessage({ message: err.message, variant: 'error' }));
+        }
+    }, [error, createResult.error, updateResult.error, deleteResult.error, dispatch]);
+
+    // Handle the rules changing state
+    useEffect(() => {
+        const alert = onFleetAlertTriggeredResult.data && onFleetAlertTriggeredResult.data.FleetAlertTriggered;
+        if (alert) {
+            const triggered = alert.state === 'TRIGGERED';
+            dispatch(AppActions.showMessage({
+                message: `${triggered ? 'Alert triggered' : 'Alert resolved'}: ${alert.name} (${alert.condition}, value ${formatValue(alert.value)})`,
+                variant: triggered ? 'warning' : 'success'
+            }));
+            refetch();
+        }
+    }, [onFleetAlertTriggeredResult.data, dispatch, refetch]);
+
+    const rules = (data && data.VehicleStatsFleetAlertRules) || [];
+    const triggeredCount = rules.filter(rule => rule.active && rule.state === 'TRIGGERED').length;
+
+    const saveRule = () => {
+        const { id, name, metric, dimension, bucket, operator, threshold, active } = editing;
+        const input = {
+            name, metric, operator, active,
+            threshold: parseFloat(threshold),
+            dimension: BUCKET_METRICS.includes(metric) ? dimension : null,
+            bucket: BUCKET_METRICS.includes(metric) ? bucket : null,
+        };
+        (id ? updateRule({ variables: { id, input } }) : createRule({ variables: { input } }))
+            .then(() => { setEditing(null); refetch(); })
+            .catch(() => { /* reported through the mutation result */ });
+    };
+
+    const removeRule = (id) => deleteRule({ variables: { id } })
+        .then(() => refetch())
+        .catch(() => { /* reported through the mutation result */ });
+
+    const setField = (field) => (event) => setEditing({ ...editing, [field]: event.target.value });
+
+    return (
+        <Card>
+            <CardContent>
+                <div className="flex items-center justify-between">
+                    <Typography variant="h6" gutterBottom>
+                        Alerts ({triggeredCount} triggered)
+                    </Typography>
+                    {canWrite && (
+                        <Button size="small" color="primary" onClick={() => setEditing({ ...EMPTY_RULE })}>New rule</Button>
+                    )}
+                </div>
+                {rules.length === 0 ? (
+                    <Typography variant="body2" color="textSecondary">
+                        No alert rules
+                    </Typography>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>State</TableCell>
+                                <TableCell>Name</TableCell>
+                                <TableCell>Condition</TableCell>
+                                <TableCell align="right">Last value</TableCell>
+                                <TableCell>Since</TableCell>
+                                <TableCell />
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {rules.map(rule => (
+                                <TableRow key={rule.id}>
+                                    <TableCell>
+                                        <Chip
+                                            size="small"
+                                            label={rule.active ? rule.state : 'INACTIVE'}
+                                            color={rule.active && rule.state === 'TRIGGERED' ? 'secondary' : 'default'}
+                                            variant={rule.active ? 'default' : 'outlined'}
+                                        />
+                                    </TableCell>
+                                    <TableCell>{rule.name}</TableCell>
+                                    <TableCell>{rule.condition}</TableCell>
+                                    <TableCell align="right">{formatValue(rule.lastValue)}</TableCell>
+                                    <TableCell>{formatSince(rule)}</TableCell>
+                                    <TableCell align="right">
+                                        <Button size="small" disabled={!canWrite} onClick={() => setEditing({ ...rule, threshold: String(rule.threshold) })}>Edit</Button>
+                                        <Button size="small" color="secondary" disabled={!canWrite} onClick={() => removeRule(rule.id)}>Remove</Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+            <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{editing && editing.id ? 'Edit alert rule' : 'New alert rule'}</DialogTitle>
+                {editing && (
+                    <DialogContent>
+                        <TextField className="mb-16" label="Name" value={editing.name} onChange={setField('name')} autoFocus fullWidth />
+                        <TextField className="mb-16" label="Metric" value={editing.metric} onChange={setField('metric')} select fullWidth>
+                            {METRICS.map(metric => <MenuItem key={metric.value} value={metric.value}>{metric.label}</MenuItem>)}
+                        </TextField>
+                        {BUCKET_METRICS.includes(editing.metric) && (
+                            <div className="flex">
+                                <TextField className="mb-16 mr-8" label="Dimension" value={editing.dimension || ''} onChange={setField('dimension')} select fullWidth>
+                                    {DIMENSIONS.map(dimension => <MenuItem key={dimension} value={dimension}>{dimension}</MenuItem>)}
+                                </TextField>
+                                <TextField className="mb-16" label="Bucket" helperText="eg: Rapido" value={editing.bucket || ''} onChange={setField('bucket')} fullWidth />
+                            </div>
+                        )}
+                        <div className="flex">
+                            <TextField className="mb-16 mr-8" label="Operator" value={editing.operator} onChange={setField('operator')} select fullWidth>
+                                {OPERATORS.map(operator => <MenuItem key={operator.value} value={operator.value}>{operator.label}</MenuItem>)}
+                            </TextField>
+                            <TextField className="mb-16" label="Threshold" type="number" value={editing.threshold} onChange={setField('threshold')} fullWidth />
+                        </div>
+                        <FormControlLabel
+                            label="Active"
+                            control={<Switch checked={editing.active} onChange={(event) => setEditing({ ...editing, active: event.target.checked })} />}
+                        />
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setEditing(null)}>Cancel</Button>
+                    <Button
+                        color="primary"
+                        disabled={!editing || !editing.name || editing.threshold === '' || createResult.loading || updateResult.loading}
+                        onClick={saveRule}
+                    >
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Card>
+    );
+}
+
+/**
+ * Measured value rounded to one decimal, N/A when it could not be measured
+ * @param {number} value
+ */
+const formatValue = (value) => value === null || value === undefined ? 'N/A' : (Math.round(value * 10) / 10).toLocaleString();
+
+/**
+ * Time the rule entered its current state
+ * @param {*} rule
+ */
+const formatSince = ({ state, triggeredAt, resolvedAt }) => {
+    const since = state === 'TRIGGERED' ? triggeredAt : resolvedAt;
+    return since ? new Date(since).toLocaleString() : 'N/A';
+};
+
+export default FleetAlertsPanel;
@@ -1,9 +1,9 @@
 /* React core */
 import React, { useEffect, useState, useCallback } from 'react';
-import { Card, CardContent, Typography, Grid, Box, Paper, Chip } from '@material-ui/core';
+import { Card, CardContent, Typography, Grid, Box, Paper, Chip, Button, Table, TableBody, TableCell, TableHead, TableRow } from '@material-ui/core';
 import { FuseAnimate, FusePageCarded, FuseLoading } from '@fuse';
 /* GraphQL Client hooks */
-import { useQuery, useSubscription } from "@apollo/react-hooks";
+import { useQuery, useSubscription, useMutation } from "@apollo/react-hooks";
 /* Redux */
 import { useDispatch, useSelector } from 'react-redux';
 import withReducer from 'app/store/withReducer';
@@ -16,8 +16,14 @@ import i18n from "../i18n";
 /* GQL queries to use */
 import {
     FleetStatistics,
-    onFleetStatisticsUpdated
+    onFleetStatisticsUpdated,
+    VehicleStatsRecompute,
+    onVehicleStatsRecomputeProgress
 } from "../gql/FleetStatistics";
+/* Components */
+import DeadLetterPanel from './DeadLetterPanel';
+import FleetAlertsPanel from './FleetAlertsPanel';
+import ExportButton from '../common/ExportButton';
 
 /**
  * Statistic Card Component - Memoized for performance
@@ -40,11 +46,20 @@ const StatisticCard = React.memo(({ title, value, color = "primary", subtitle })
     </Card>
 ));
 
+/**
+ * Name of the bucket with most vehicles
+ * @param {Array} buckets [{ key, count }]
+ */
+const mostCommon = (buckets) => {
+    const sorted = [...(buckets || [])].sort((a, b) => b.count - a.count);
+    return sorted.length > 0 ? sorted[0].key : 'N/A';
+};
+
 /**
  * Category Breakdown Component - Memoized for performance
  */
 const CategoryBreakdown = React.memo(({ title, data, color = "primary" }) => {
-    if (!data || Object.keys(data).length === 0) {
+    if (!data || data.length === 0) {
         return (
             <Card>
                 <CardContent>
@@ -59,8 +74,8 @@ const CategoryBreakdown = React.memo(({ title, data, color = "primary" }) => {
         );
     }
 
-    const sortedEntries = Object.entries(data)
-        .sort(([,a], [,b]) => b - a)
+    const sortedEntries = [...data]
+        .sort((a, b) => b.count - a.count)
         .slice(0, 10); // Show top 10
 
     return (
@@ -70,10 +85,10 @@ const CategoryBreakdown = React.memo(({ title, data, color = "primary" }) => {
                     {title}
                 </Typography>
                 <Box display="flex" flexWrap="wrap" gap={1}>
-                    {sortedEntries.map(([key, value]) => (
+                    {sortedEntries.map(({ key, count }) => (
                         <Chip
                             key={key}
-                            label={`${key}: ${value}`}
+                            label={`${key}: ${count}`}
                             color={color}
                             variant="outlined"
                             size="small"
@@ -85,6 +100,91 @@ const CategoryBreakdown = React.memo(({ title, data, color = "primary" }) => {
     );
 });
 
+/**
+ * Horsepower and top speed per vehicle type - Memoized for performance
+ */
+const TypePerformance = React.memo(({ title, data }) => (
+    <Card>
+        <CardContent>
+            <Typography variant="h6" gutterBottom>
+                {title}
+            </Typography>
+            {(!data || data.length === 0) ? (
+                <Typography variant="body2" color="textSecondary">
+                    No data available
+                </Typography>
+            ) : (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Type</TableCell>
+                            <TableCell align="right">Vehicles</TableCell>
+                            <TableCell align="right">Avg HP</TableCell>
+                            <TableCell align="right">HP (min - max)</TableCell>
+                            <TableCell align="right">Avg Top Speed</TableCell>
+                            <TableCell align="right">Top Speed (min - max)</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {data.map(({ type, count, hp, topSpeed }) => (
+                            <TableRow key={type}>
+                                <TableCell>{type}</TableCell>
+                                <TableCell align="right">{count.toLocaleString()}</TableCell>
+                                <TableCell align="right">{hp.avg.toFixed(1)}</TableCell>
+                                <TableCell align="right">{`${hp.min} - ${hp.max}`}</TableCell>
+                                <TableCell align="right">{topSpeed.avg.toFixed(1)}</TableCell>
+                                <TableCell align="right">{`${topSpeed.min} - ${topSpeed.max}`}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </CardContent>
+    </Card>
+));
+
+/**
+ * Percentiles and histogram of a numeric attribute - Memoized for performance
+ */
+const NumericDistribution = React.memo(({ title, distribution }) => (
+    <Card>
+        <CardContent>
+            <Typography variant="h6" gutterBottom>
+                {title}
+            </Typography>
+            {(!distribution || distribution.count === 0) ? (
+                <Typography variant="body2" color="textSecondary">
+                    No data available
+                </Typography>
+            ) : (
+                <>
+                    <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+                        {['p50', 'p90', 'p99'].map(percentile => (
+                            <Chip key={percentile} label={`${percentile}: ${distribution[percentile].toFixed(1)}`} color="primary" size="small" />
+                        ))}
+                        <Chip label={`min: ${distribution.min}`} variant="outlined" size="small" />
+                        <Chip label={`max: ${distribution.max}`} variant="outlined" size="small" />
+                    </Box>
+                    {distribution.histogram.map(bin => (
+                        <Box key={bin.from} display="flex" alignItems="center">
+                            <Typography variant="caption" style={{ width: 96 }}>
+                                {`${bin.from} - ${bin.to}`}
+                            </Typography>
+                            <Box
+                                height={8}
+                                bgcolor="primary.main"
+                                width={`${(bin.count / distribution.count) * 100}%`}
+                                mr={1}
+                            />
+                            <Typography variant="caption">{bin.count}</Typography>
+                        </Box>
+                    ))}
+                </>
+            )}
+        </CardContent>
+    </Card>
+));
+
 function FleetDashboard(props) {
     //Redux dispatcher
     const dispatch = useDispatch();
@@ -96,9 +196,11 @@ function FleetDashboard(props) {
     const [statistics, setStatistics] = useState({
         _id: null,
         totalVehicles: 0,
-        vehiclesByType: {},
-        vehiclesByDecade: {},
-        vehiclesBySpeedClass: {},
+        vehiclesByType: [],
+        vehiclesByDecade: [],
+        vehiclesBySpeedClass: [],
+        vehiclesByPowerSource: [],
+        statsByType: [],
         hpStats: { min: 0, max: 0, sum: 0, count: 0, avg: 0 },
         lastUpdated: null
     });
@@ -113,6 +215,11 @@ function FleetDashboard(props) {
     });
 
     const onFleetStatsUpdatedResult = useSubscription(onFleetStatisticsUpdated().query);
+    const onRecomputeProgressResult = useSubscription(onVehicleStatsRecomputeProgress().query);
+    const [recompute, recomputeResult] = useMutation(VehicleStatsRecompute().mutation);
+    const canWrite = loggedUser.role.includes('REPORT_WRITE');
+    const recomputeProgress = onRecomputeProgressResult.data && onRecomputeProgressResult.data.VehicleStatsRecomputeProgress;
+    const recomputing = recomputeResult.loading || (recomputeProgress && recomputeProgress.status === 'RUNNING');
 
     // Handle initial data load
     useEffect(() => {
@@ -129,6 +236,18 @@ function FleetDashboard(props) {
         }
     }, [onFleetStatsUpdatedResult.data]);
 
+    // Handle recompute job outcome
+    useEffect(() => {
+        if (recomputeProgress && recomputeProgress.status !== 'RUNNING') {
+            dispatch(AppActions.showMessage({
+                message: recomputeProgress.status === 'COMPLETED'
+                    ? "Fleet statistics recomputed"
+                    : `Fleet statistics recompute failed: ${recomputeProgress.message}`,
+                variant: recomputeProgress.status === 'COMPLETED' ? 'success' : 'error'
+            }));
+        }
+    }, [recomputeProgress, dispatch]);
+
     // Handle errors
     useEffect(() => {
         if (fleetError) {
@@ -167,11 +286,37 @@ function FleetDashboard(props) {
                             Real-time fleet analytics and insights
                         </Typography>
                     </div>
+                    <div className="flex items-center">
+                        <ExportButton className="mr-8" label="Export" input={{ source: 'FLEET_STATISTICS' }} />
+                        <ExportButton className="mr-8" label="PDF summary" variant="outlined" formats={['PDF']} input={{ source: 'FLEET_STATISTICS' }} />
+                        <ExportButton
+                            className="mr-8"
+                            label="Export last 24h"
+                            variant="outlined"
+                            input={{ source: 'FLEET_STATISTICS_HISTORY', granularity: 'HOUR', from: Date.now() - 24 * 60 * 60 * 1000, to: Date.now() }}
+                        />
+                        {canWrite && (
+                            <Button
+                                variant="contained"
+                                disabled={recomputing}
+                                onClick={() => recompute().catch(error => dispatch(AppActions.showMessage({ message: error.message, variant: 'error' })))}
+                            >
+                                {recomputing && recomputeProgress
+                                    ? `Recomputing ${recomputeProgress.completedSteps}/${recomputeProgress.totalSteps}`
+                                    : 'Recompute'}
+                            </Button>
+                        )}
+                    </div>
                 </div>
             }
             content={
                 <div className="p-16 sm:p-24">
                     <Grid container spacing={3}>
+                        {/* Alert rules */}
+                        <Grid item xs={12}>
+                            <FleetAlertsPanel />
+                        </Grid>
+
                         {/* Main Statistics */}
                         <Grid item xs={12}>
                             <Grid container spacing={2}>
@@ -231,6 +376,31 @@ function FleetDashboard(props) {
                                 color="textPrimary"
                             />
                         </Grid>
+                        <Grid item xs={12} md={6}>
+                            <CategoryBreakdown
+                                title="Vehicles by Power Source"
+                                data={statistics.vehiclesByPowerSource}
+                                color="primary"
+                            />
+                        </Grid>
+                        <Grid item xs={12} md={6}>
+                            <NumericDistribution
+                                title="Horsepower Distribution"
+                                distribution={statistics.hpDistribution}
+                            />
+                        </Grid>
+                        <Grid item xs={12} md={6}>
+                            <NumericDistribution
+                                title="Top Speed Distribution"
+                                distribution={statistics.topSpeedDistribution}
+                            />
+                        </Grid>
+                        <Grid item xs={12}>
+                            <TypePerformance
+                                title="Performance by Type"
+                                data={statistics.statsByType}
+                            />
+                        </Grid>
 
                         {/* Additional Insights */}
                         <Grid item xs={12}>
@@ -243,39 +413,21 @@ function FleetDashboard(props) {
                                         <Grid item xs={12} sm={6}>
                                             <Paper style={{ padding: '16px', backgroundColor: '#f5f5f5' }}>
                                                 <Typography variant="body1" color="textPrimary">
-                                                    <strong>Most Common Type:</strong> {
-                                                        (() => {
-                                                            const entries = Object.entries(statistics.vehiclesByType || {});
-                                                            const sorted = entries.sort(([,a], [,b]) => b - a);
-                                                            return sorted.length > 0 ? sorted[0][0] : 'N/A';
-                                                        })()
-                                                    }
+                                                    <strong>Most Common Type:</strong> {mostCommon(statistics.vehiclesByType)}
                                                 </Typography>
                                             </Paper>
                                         </Grid>
                                         <Grid item xs={12} sm={6}>
                                             <Paper style={{ padding: '16px', backgroundColor: '#f5f5f5' }}>
                                                 <Typography variant="body1" color="textPrimary">
-                                                    <strong>Most Common Speed Class:</strong> {
-                                                        (() => {
-                                                            const entries = Object.entries(statistics.vehiclesBySpeedClass || {});
-                                                            const sorted = entries.sort(([,a], [,b]) => b - a);
-                                                            return sorted.length > 0 ? sorted[0][0] : 'N/A';
-                                                        })()
-                                                    }
+                                                    <strong>Most Common Speed Class:</strong> {mostCommon(statistics.vehiclesBySpeedClass)}
                                                 </Typography>
                                             </Paper>
                                         </Grid>
                                         <Grid item xs={12} sm={6}>
                                             <Paper style={{ padding: '16px', backgroundColor: '#f5f5f5' }}>
                                                 <Typography variant="body1" color="textPrimary">
-                                                    <strong>Most Common Decade:</strong> {
-                                                        (() => {
-                                                            const entries = Object.entries(statistics.vehiclesByDecade || {});
-                                                            const sorted = entries.sort(([,a], [,b]) => b - a);
-                                                            return sorted.length > 0 ? sorted[0][0] : 'N/A';
-                                                        })()
-                                                    }
+                                                    <strong>Most Common Decade:</strong> {mostCommon(statistics.vehiclesByDecade)}
                                                 </Typography>
                                             </Paper>
                                         </Grid>
@@ -294,6 +446,11 @@ function FleetDashboard(props) {
                                 </CardContent>
                             </Card>
                         </Grid>
+
+                        {/* Rejected events */}
+                        <Grid item xs={12}>
+                            <DeadLetterPanel />
+                        </Grid>
                     </Grid>
                 </div>
             }
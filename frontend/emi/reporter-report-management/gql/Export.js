@@ -0,0 +1,11 @@
+import { gql } from 'apollo-boost';
+
+export const ReporterExport = (variables) => ({
+    mutation: gql`
+            mutation ReporterExport($input: ReporterExportInput!){
+                ReporterExport(input: $input){
+                    fileName,contentType,encoding,size,content
+                }
+            }`,
+    variables
+})
@@ -0,0 +1,59 @@
+import { gql } from "apollo-boost";
+
+export const VehicleStatsFleetAlertRules = (variables) => ({
+    query: gql`
+            query VehicleStatsFleetAlertRules{
+                VehicleStatsFleetAlertRules{
+                    id,name,metric,dimension,bucket,operator,threshold,active,condition,state,lastValue,triggeredAt,resolvedAt
+                }
+            }`,
+    variables,
+    fetchPolicy: "network-only",
+})
+
+export const VehicleStatsCreateFleetAlertRule = (variables) => ({
+    mutation: gql`
+            mutation VehicleStatsCreateFleetAlertRule($input: FleetAlertRuleInput!){
+                VehicleStatsCreateFleetAlertRule(input: $input){
+                    id,name,metric,dimension,bucket,operator,threshold,active,condition,state,lastValue,triggeredAt,resolvedAt
+                }
+            }`,
+    variables
+})
+
+export const VehicleStatsUpdateFleetAlertRule = (variables) => ({
+    mutation: gql`
+            mutation VehicleStatsUpdateFleetAlertRule($id: ID!, $input: FleetAlertRuleInput!){
+                VehicleStatsUpdateFleetAlertRule(id: $id, input: $input){
+                    id,name,metric,dimension,bucket,operator,threshold,active,condition,state,lastValue,triggeredAt,resolvedAt
+                }
+            }`,
+    variables
+})
+
+export const VehicleStatsDeleteFleetAlertRule = (variables) => ({
+    mutation: gql`
+            mutation VehicleStatsDeleteFleetAlertRule($id: ID!){
+                VehicleStatsDeleteFleetAlertRule(id: $id){
+                    code,message
+                }
+            }`,
+    variables
+})
+
+export const onFleetAlertTriggered = () => ({
+    query: gql`
+        subscription FleetAlertTriggered {
+            FleetAlertTriggered {
+                ruleId
+                organizationId
+                name
+                condition
+                state
+                value
+                threshold
+                timestamp
+            }
+        }
+    `,
+})
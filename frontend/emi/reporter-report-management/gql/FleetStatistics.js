@@ -5,28 +5,37 @@ export const FleetStatistics = () => ({
         query FleetStatistics {
             VehicleStatsFleetStatistics {
                 _id
+                organizationId
                 totalVehicles
                 vehiclesByType {
-                    SUV
-                    PickUp
-                    Sedan
-                    Coupe
-                    Convertible
-                    Truck
-                    Van
-                    Hatchback
+                    key
+                    count
                 }
                 vehiclesByDecade {
-                    decade1980s
-                    decade1990s
-                    decade2000s
-                    decade2010s
-                    decade2020s
+                    key
+                    count
                 }
                 vehiclesBySpeedClass {
-                    Lento
-                    Normal
-                    Rapido
+                    key
+                    count
+                }
+                vehiclesByPowerSource {
+                    key
+                    count
+                }
+                statsByType {
+                    type
+                    count
+                    hp { min max avg count }
+                    topSpeed { min max avg count }
+                }
+                hpDistribution {
+                    metric binSize count min max avg p50 p90 p99
+                    histogram { from to count }
+                }
+                topSpeedDistribution {
+                    metric binSize count min max avg p50 p90 p99
+                    histogram { from to count }
                 }
                 hpStats { 
                     min 
@@ -47,28 +56,37 @@ export const onFleetStatisticsUpdated = () => ({
         subscription FleetStatisticsUpdated {
             FleetStatisticsUpdated {
                 _id
+                organizationId
                 totalVehicles
                 vehiclesByType {
-                    SUV
-                    PickUp
-                    Sedan
-                    Coupe
-                    Convertible
-                    Truck
-                    Van
-                    Hatchback
+                    key
+                    count
                 }
                 vehiclesByDecade {
-                    decade1980s
-                    decade1990s
-                    decade2000s
-                    decade2010s
-                    decade2020s
+                    key
+                    count
                 }
                 vehiclesBySpeedClass {
-                    Lento
-                    Normal
-                    Rapido
+                    key
+                    count
+                }
+                vehiclesByPowerSource {
+                    key
+                    count
+                }
+                statsByType {
+                    type
+                    count
+                    hp { min max avg count }
+                    topSpeed { min max avg count }
+                }
+                hpDistribution {
+                    metric binSize count min max avg p50 p90 p99
+                    histogram { from to count }
+                }
+                topSpeedDistribution {
+                    metric binSize count min max avg p50 p90 p99
+                    histogram { from to count }
                 }
                 hpStats { 
                     min 
@@ -83,3 +101,166 @@ export const onFleetStatisticsUpdated = () => ({
     `,
     fetchPolicy: "no-cache"
 });
+
+export const FleetStatisticsHistory = (variables) => ({
+    query: gql`
+        query FleetStatisticsHistory($granularity: FleetStatisticsGranularity!, $from: BigInt!, $to: BigInt!) {
+            VehicleStatsFleetStatisticsHistory(granularity: $granularity, from: $from, to: $to) {
+                id
+                granularity
+                bucketStart
+                totalVehicles
+                vehiclesByType {
+                    key
+                    count
+                }
+                vehiclesByDecade {
+                    key
+                    count
+                }
+                vehiclesBySpeedClass {
+                    key
+                    count
+                }
+                vehiclesByPowerSource {
+                    key
+                    count
+                }
+                statsByType {
+                    type
+                    count
+                    hp { min max avg count }
+                    topSpeed { min max avg count }
+                }
+                hpDistribution {
+                    metric binSize count min max avg p50 p90 p99
+                    histogram { from to count }
+                }
+                topSpeedDistribution {
+                    metric binSize count min max avg p50 p90 p99
+                    histogram { from to count }
+                }
+                hpStats { 
+                    min 
+                    max 
+                    sum 
+                    count 
+                    avg 
+                }
+                lastUpdated
+            }
+        }
+    `,
+    variables,
+    fetchPolicy: "network-only"
+});
+
+export const VehicleStatsProcessorMetrics = () => ({
+    query: gql`
+        query VehicleStatsProcessorMetrics {
+            VehicleStatsProcessorMetrics {
+                pendingEvents
+                queuedBatches
+                lagMs
+                processedBatches
+                processedEvents
+                lastBatchSize
+                lastBatchLagMs
+                lastBatchDurationMs
+                lastBatchProcessedAt
+                batchWindowMs
+                batchMaxSize
+            }
+        }
+    `,
+    fetchPolicy: "network-only"
+});
+
+export const VehicleStatsRecompute = () => ({
+    mutation: gql`
+        mutation VehicleStatsRecompute {
+            VehicleStatsRecompute {
+                code
+                message
+            }
+        }
+    `
+});
+
+export const onVehicleStatsRecomputeProgress = () => ({
+    query: gql`
+        subscription VehicleStatsRecomputeProgress {
+            VehicleStatsRecomputeProgress {
+                jobId
+                organizationId
+                status
+                step
+                completedSteps
+                totalSteps
+                message
+                timestamp
+            }
+        }
+    `,
+    fetchPolicy: "no-cache"
+});
+
+const CLASSIFICATION_RULE_FIELDS = `
+    id
+    dimension
+    field
+    mode
+    buckets { name gt gte lt lte }
+    interval { size prefix suffix }
+    isDefault
+    updatedBy
+    updatedAt
+`;
+
+export const VehicleStatsClassificationRules = () => ({
+    query: gql`
+        query VehicleStatsClassificationRules {
+            VehicleStatsClassificationRules {
+                ${CLASSIFICATION_RULE_FIELDS}
+            }
+        }
+    `,
+    fetchPolicy: "network-only"
+});
+
+export const VehicleStatsUpdateClassificationRule = (variables) => ({
+    mutation: gql`
+        mutation VehicleStatsUpdateClassificationRule($dimension: String!, $input: VehicleClassificationRuleInput!) {
+            VehicleStatsUpdateClassificationRule(dimension: $dimension, input: $input) {
+                ${CLASSIFICATION_RULE_FIELDS}
+            }
+        }
+    `,
+    variables
+});
+
+export const VehicleStatsResetClassificationRule = (variables) => ({
+    mutation: gql`
+        mutation VehicleStatsResetClassificationRule($dimension: String!) {
+            VehicleStatsResetClassificationRule(dimension: $dimension) {
+                ${CLASSIFICATION_RULE_FIELDS}
+            }
+        }
+    `,
+    variables
+});
+
+export const VehicleStatsVehicleListing = (variables) => ({
+    query: gql`
+        query VehicleStatsVehicleListing($filterInput: VehicleStatsVehicleFilterInput, $paginationInput: VehicleStatsPaginationInput, $sortInput: VehicleStatsVehicleSortInput) {
+            VehicleStatsVehicleListing(filterInput: $filterInput, paginationInput: $paginationInput, sortInput: $sortInput) {
+                listing {
+                    id, aid, type, powerSource, hp, year, topSpeed, decade, speedClass, status, processedAt
+                }
+                queryTotalResultCount
+            }
+        }
+    `,
+    variables,
+    fetchPolicy: "network-only"
+});
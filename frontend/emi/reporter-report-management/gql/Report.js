@@ -5,7 +5,8 @@ export const ReporterReportListing = (variables) => ({
             query ReporterReportListing($filterInput:ReporterReportFilterInput ,$paginationInput:ReporterReportPaginationInput,$sortInput:ReporterReportSortInput){
                 ReporterReportListing(filterInput:$filterInput,paginationInput:$paginationInput,sortInput:$sortInput){
                     listing{
-                       id,name,active,
+                       id,name,description,active,tags,folder,deletedAt,deletedBy,
+                       metadata{ createdBy, createdAt, updatedBy, updatedAt }
                     },
                     queryTotalResultCount
                 }
@@ -18,7 +19,16 @@ export const ReporterReport = (variables) => ({
     query: gql`
             query ReporterReport($id: ID!, $organizationId: String!){
                 ReporterReport(id:$id, organizationId:$organizationId){
-                    id,name,description,active,organizationId,
+                    id,name,description,active,tags,folder,organizationId,
+                    sharing{ owner, viewers, editors },
+                    definition{
+                        dimensions,
+                        metrics{ name, field, aggregation },
+                        filters{ field, operator, values },
+                        timeRange{ from, to, lastMinutes },
+                        sortBy, sortAsc, limit
+                    },
+                    schedule{ cron, nextRunAt }, lastRunAt, version,
                     metadata{ createdBy, createdAt, updatedBy, updatedAt }
                 }
             }`,
@@ -26,12 +36,70 @@ export const ReporterReport = (variables) => ({
     fetchPolicy: 'network-only',
 })
 
+export const ReporterRunReport = (variables) => ({
+    query: gql`
+            query ReporterRunReport($id: ID!, $organizationId: String!){
+                ReporterRunReport(id:$id, organizationId:$organizationId){
+                    reportId,organizationId,
+                    columns{ name, kind, role },
+                    rows,truncated,from,to,generatedAt,durationMs
+                }
+            }`,
+    variables,
+    fetchPolicy: 'network-only',
+})
+
+export const ReporterReportRuns = (variables) => ({
+    query: gql`
+            query ReporterReportRuns($reportId: ID!, $organizationId: String!, $paginationInput: ReporterReportPaginationInput){
+                ReporterReportRuns(reportId:$reportId, organizationId:$organizationId, paginationInput:$paginationInput){
+                    listing{
+                        id,reportId,trigger,status,scheduledAt,startedAt,completedAt,error,
+                        fleetStatistics{ totalVehicles },
+                        result{ rows, truncated }
+                    },
+                    queryTotalResultCount
+                }
+            }`,
+    variables,
+    fetchPolicy: 'network-only',
+})
+
+export const ReporterReportHistory = (variables) => ({
+    query: gql`
+            query ReporterReportHistory($id: ID!, $organizationId: String!){
+                ReporterReportHistory(id:$id, organizationId:$organizationId){
+                    version,modType,user,timestamp,restoredVersion,
+                    changes{ path, before, after }
+                }
+            }`,
+    variables,
+    fetchPolicy: 'network-only',
+})
+
+export const ReporterReportFolders = (variables) => ({
+    query: gql`
+            query ReporterReportFolders($organizationId: String!){
+                ReporterReportFolders(organizationId:$organizationId)
+            }`,
+    variables,
+    fetchPolicy: 'network-only',
+})
 
 export const ReporterCreateReport = (variables) => ({
     mutation: gql`
             mutation  ReporterCreateReport($input: ReporterReportInput!){
                 ReporterCreateReport(input: $input){
-                    id,name,description,active,organizationId,
+                    id,name,description,active,tags,folder,organizationId,
+                    sharing{ owner, viewers, editors },
+                    definition{
+                        dimensions,
+                        metrics{ name, field, aggregation },
+                        filters{ field, operator, values },
+                        timeRange{ from, to, lastMinutes },
+                        sortBy, sortAsc, limit
+                    },
+                    schedule{ cron, nextRunAt }, lastRunAt, version,
                     metadata{ createdBy, createdAt, updatedBy, updatedAt }
                 }
             }`,
@@ -48,11 +116,116 @@ export const ReporterDeleteReport = (variables) => ({
     variables
 })
 
+export const ReporterRestoreDeletedReports = (variables) => ({
+    mutation: gql`
+            mutation ReporterRestoreDeletedReports($ids: [ID]!){
+                ReporterRestoreDeletedReports(ids: $ids){
+                    code,message
+                }
+            }`,
+    variables
+})
+
+export const ReporterPurgeReports = (variables) => ({
+    mutation: gql`
+            mutation ReporterPurgeReports($ids: [ID]!){
+                ReporterPurgeReports(ids: $ids){
+                    code,message
+                }
+            }`,
+    variables
+})
+
 export const ReporterUpdateReport = (variables) => ({
     mutation: gql`
-            ,mutation  ReporterUpdateReport($id: ID!,$input: ReporterReportInput!, $merge: Boolean!){
-                ReporterUpdateReport(id:$id, input: $input, merge:$merge ){
-                    id,organizationId,name,description,active
+            ,mutation  ReporterUpdateReport($id: ID!,$input: ReporterReportInput!, $merge: Boolean!, $expectedVersion: Int){
+                ReporterUpdateReport(id:$id, input: $input, merge:$merge, expectedVersion:$expectedVersion ){
+                    id,organizationId,name,description,active,tags,folder,
+                    sharing{ owner, viewers, editors },
+                    definition{
+                        dimensions,
+                        metrics{ name, field, aggregation },
+                        filters{ field, operator, values },
+                        timeRange{ from, to, lastMinutes },
+                        sortBy, sortAsc, limit
+                    },
+                    schedule{ cron, nextRunAt }, lastRunAt, version
+                }
+            }`,
+    variables
+})
+
+export const ReporterRestoreReportVersion = (variables) => ({
+    mutation: gql`
+            mutation ReporterRestoreReportVersion($id: ID!, $organizationId: String!, $version: Int!){
+                ReporterRestoreReportVersion(id:$id, organizationId:$organizationId, version:$version){
+                    id,organizationId,name,description,active,tags,folder,
+                    sharing{ owner, viewers, editors },
+                    definition{
+                        dimensions,
+                        metrics{ name, field, aggregation },
+                        filters{ field, operator, values },
+                        timeRange{ from, to, lastMinutes },
+                        sortBy, sortAsc, limit
+                    },
+                    schedule{ cron, nextRunAt }, lastRunAt, version,
+                    metadata{ createdBy, createdAt, updatedBy, updatedAt }
+                }
+            }`,
+    variables
+})
+
+export const ReporterShareReport = (variables) => ({
+    mutation: gql`
+            mutation ReporterShareReport($id: ID!, $organizationId: String!, $sharing: ReporterReportSharingInput!){
+                ReporterShareReport(id:$id, organizationId:$organizationId, sharing:$sharing){
+                    id,organizationId,version,
+                    sharing{ owner, viewers, editors },
+                    metadata{ createdBy, createdAt, updatedBy, updatedAt }
+                }
+            }`,
+    variables
+})
+
+export const ReporterSetReportsActive = (variables) => ({
+    mutation: gql`
+            mutation ReporterSetReportsActive($ids: [ID]!, $organizationId: String!, $active: Boolean!){
+                ReporterSetReportsActive(ids:$ids, organizationId:$organizationId, active:$active){
+                    succeeded,failed,
+                    results{ id, success, error, report{ id, name } }
+                }
+            }`,
+    variables
+})
+
+export const ReporterTagReports = (variables) => ({
+    mutation: gql`
+            mutation ReporterTagReports($ids: [ID]!, $organizationId: String!, $addTags: [String], $removeTags: [String]){
+                ReporterTagReports(ids:$ids, organizationId:$organizationId, addTags:$addTags, removeTags:$removeTags){
+                    succeeded,failed,
+                    results{ id, success, error, report{ id, name } }
+                }
+            }`,
+    variables
+})
+
+export const ReporterMoveReports = (variables) => ({
+    mutation: gql`
+            mutation ReporterMoveReports($ids: [ID]!, $organizationId: String!, $folder: String){
+                ReporterMoveReports(ids:$ids, organizationId:$organizationId, folder:$folder){
+                    succeeded,failed,
+                    results{ id, success, error, report{ id, name } }
+                }
+            }`,
+    variables
+})
+
+export const ReporterDuplicateReports = (variables) => ({
+    mutation: gql`
+            mutation ReporterDuplicateReports($ids: [ID]!, $organizationId: String!){
+                ReporterDuplicateReports(ids:$ids, organizationId:$organizationId){
+                    succeeded,failed,
+                    results{ id, success, error, report{ id, name } }
                 }
             }`,
     variables
@@ -61,9 +234,27 @@ export const ReporterUpdateReport = (variables) => ({
 export const onReporterReportModified = (variables) => ([
     gql`subscription onReporterReportModified($id:ID!){
             ReporterReportModified(id:$id){    
-                id,organizationId,name,description,active,
+                id,organizationId,name,description,active,tags,folder,
+                sharing{ owner, viewers, editors },
+                definition{
+                    dimensions,
+                    metrics{ name, field, aggregation },
+                    filters{ field, operator, values },
+                    timeRange{ from, to, lastMinutes },
+                    sortBy, sortAsc, limit
+                },
+                schedule{ cron, nextRunAt }, lastRunAt, version,
                 metadata{ createdBy, createdAt, updatedBy, updatedAt }
             }
     }`,
     { variables }
-])
\ No newline at end of file
+])
+
+export const onReporterReportRunCompleted = (variables) => ([
+    gql`subscription onReporterReportRunCompleted($reportId:ID!){
+            ReporterReportRunCompleted(reportId:$reportId){
+                id,reportId,status,startedAt
+            }
+    }`,
+    { variables }
+])
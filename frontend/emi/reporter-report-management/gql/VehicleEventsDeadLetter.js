@@ -0,0 +1,35 @@
+import { gql } from "apollo-boost";
+
+export const VehicleStatsDeadLetterListing = (variables) => ({
+    query: gql`
+            query VehicleStatsDeadLetterListing($filterInput: VehicleStatsDeadLetterFilterInput, $paginationInput: VehicleStatsPaginationInput){
+                VehicleStatsDeadLetterListing(filterInput: $filterInput, paginationInput: $paginationInput){
+                    listing{
+                        id,stage,reason,error,aid,organizationId,topic,payload,timestamp
+                    },
+                    queryTotalResultCount
+                }
+            }`,
+    variables,
+    fetchPolicy: "network-only",
+})
+
+export const VehicleStatsReplayDeadLetters = (variables) => ({
+    mutation: gql`
+            mutation VehicleStatsReplayDeadLetters($ids: [ID]!){
+                VehicleStatsReplayDeadLetters(ids: $ids){
+                    code,message
+                }
+            }`,
+    variables
+})
+
+export const VehicleStatsPurgeDeadLetters = (variables) => ({
+    mutation: gql`
+            mutation VehicleStatsPurgeDeadLetters($ids: [ID]!){
+                VehicleStatsPurgeDeadLetters(ids: $ids){
+                    code,message
+                }
+            }`,
+    variables
+})
@@ -7,21 +7,58 @@ export default {
     reports: 'Reports',
     search: 'Quick search by name',
     add_new_report: 'ADD NEW',
+    export: 'EXPORT',
     add_new_report_short: 'NEW',
     rows_per_page: 'Rows per page:',
     of: 'of',
     remove: 'Remove',
     table_colums: {
       name: 'Name',
-      active: 'Active'
+      active: 'Active',
+      updated_at: 'Modified'
     },
     remove_dialog_title: "Do you want to delete the selected Reports??",
-    remove_dialog_description: "This action can not be undone",
+    remove_dialog_description: "The Reports are moved to the trash bin, where they can be restored",
     remove_dialog_no: "No",
     remove_dialog_yes: "Yes",
+    restore: 'Restore',
+    purge: 'Delete permanently',
+    purge_dialog_title: "Do you want to permanently delete the selected Reports?",
+    purge_dialog_description: "The Reports and their runs are deleted. This action can not be undone",
+    deleted_by: 'Deleted by {deletedBy} on {deletedAt}',
+    bulk: {
+      selected: '{count} selected',
+      activate: 'Activate',
+      deactivate: 'Deactivate',
+      tag: 'Tag',
+      move: 'Move',
+      duplicate: 'Duplicate',
+      tag_title: 'Tag the selected Reports',
+      add_tags: 'Tags to add',
+      remove_tags: 'Tags to remove',
+      move_title: 'Move the selected Reports',
+      cancel: 'Cancel',
+      apply: 'Apply',
+      close: 'Close',
+      success: '{succeeded} Reports updated',
+      result_title: '{succeeded} Reports updated, {failed} failed',
+    },
     filters: {
       title: "Filters",
-      active: "Active"
+      active: "Active",
+      trash: "Trash bin",
+      text: "Search name and description",
+      tags: "Tags",
+      tags_help: "Comma separated, reports having all of them",
+      folders: "Folders",
+      all_folders: "All folders",
+      include_subfolders: "Include subfolders",
+      created_by: "Created by",
+      updated_by: "Modified by",
+      created_at: "Created",
+      updated_at: "Modified",
+      from: "From",
+      to: "To"
     }
   },
   report: {
@@ -32,6 +69,88 @@ export default {
     name: 'Name',
     description: 'Description',
     active: 'Active',
+    definition_tab: 'Definition',
+    definition: {
+      dimensions: 'Group by',
+      metrics: 'Metrics',
+      field: 'Field',
+      aggregation: 'Aggregation',
+      column_name: 'Column name',
+      add_metric: 'ADD METRIC',
+      filters: 'Filters',
+      operator: 'Operator',
+      values: 'Values',
+      values_help: 'Comma separated values',
+      add_filter: 'ADD FILTER',
+      time_range: 'Time range',
+      last_minutes: 'Last minutes (empty = all time)',
+      limit: 'Max rows',
+      sort_by: 'Sort by',
+      sort_asc: 'Ascending',
+    },
+    results_tab: 'Results',
+    results: {
+      run: 'RUN',
+      save_first: 'Save the definition changes before running the report',
+      summary: '{rows} rows in {duration} ms, generated at {generatedAt}',
+      export: 'EXPORT',
+      truncated: 'The result was cut at the max rows of the definition',
+    },
+    tags: 'Tags',
+    tags_help: 'Comma separated labels to organize the reports',
+    folder: 'Folder',
+    folder_help: 'Folder path, eg: /Sales/Europe. Empty for the root folder',
+    schedule: 'Schedule',
+    schedule_help: 'Cron expression in UTC, eg: 0 6 * * * runs every day at 06:00. Empty to not run it automatically',
+    runs_tab: 'Runs',
+    runs: {
+      next_run: 'Next scheduled run: {nextRunAt}',
+      not_scheduled: 'The report has no schedule',
+      empty: 'The report has not run yet',
+      started_at: 'Started at',
+      trigger: 'Trigger',
+      status: 'Status',
+      total_vehicles: 'Total vehicles',
+      rows: 'Rows',
+      export: 'Export',
+      error: 'Error',
+    },
+    history_tab: 'History',
+    history: {
+      empty: 'The report has no recorded changes',
+      version: 'Version',
+      modification: 'Change',
+      user: 'User',
+      date: 'Date',
+      changes: 'Changes',
+      no_changes: 'No changes',
+      restored_from: 'Restored from version {version}',
+      restore: 'Restore',
+      restore_success: 'Version {version} restored',
+      save_first: 'Save or discard the pending changes before restoring a version',
+      mod_types: {
+        CREATE: 'Created',
+        UPDATE_MERGE: 'Updated',
+        UPDATE_REPLACE: 'Replaced',
+        RESTORE: 'Restored',
+        SHARE: 'Shared',
+        SOFT_DELETE: 'Moved to the trash bin',
+        UNDELETE: 'Taken out of the trash bin',
+        DELETE: 'Deleted',
+      },
+    },
+    sharing_tab: 'Sharing',
+    sharing: {
+      owner: 'Owner',
+      owner_help: 'Only the owner shares, deletes and purges the report. Type other username to transfer the ownership',
+      editors: 'Editors',
+      editors_help: 'Comma separated usernames that view and modify the report',
+      viewers: 'Viewers',
+      viewers_help: 'Comma separated usernames that view the report, its results, runs and history',
+      no_owner: 'The report has no owner yet, every user of the organization has access to it until it is shared',
+      share: 'Share',
+      share_success: 'Report sharing saved',
+    },
     metadata_tab: 'Metadata',
     metadata: {
       createdBy: 'Created by',
@@ -43,6 +162,13 @@ export default {
     internal_server_error: 'Internal Server Error',
     update_success: 'Report has been updated',
     create_success: 'Report has been created',
+    modified_elsewhere: 'The Report was modified by someone else, saving your changes will ask how to merge them',
+    conflict_dialog: {
+      title: 'The Report was modified by someone else',
+      description: 'Your changes were made over an outdated version of the Report. Reload it discarding your changes, or merge your changes over the latest version to review and save them again',
+      reload: 'Reload',
+      merge: 'Merge my changes',
+    },
     form_validations: {
       name: {
         length: "Name must be at least {len} characters",
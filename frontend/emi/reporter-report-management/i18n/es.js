@@ -7,21 +7,58 @@ export default {
     reports: 'Reports',
     search: 'Búsqueda rápida por nombre',
     add_new_report: 'Agregar Nueva',
+    export: 'EXPORTAR',
     add_new_report_short: 'Agregar',
     rows_per_page: 'Filas por página:',
     of: 'de',
     remove: 'Eliminar',
     table_colums: {
       name: 'Nombre',
-      active: 'Activo'
+      active: 'Activo',
+      updated_at: 'Modificado'
     },
     remove_dialog_title: "¿Desea eliminar las reports seleccionadas?",
-    remove_dialog_description: "Esta acción no se puede deshacer",
+    remove_dialog_description: "Las reports se mueven a la papelera, desde donde pueden ser restauradas",
     remove_dialog_no: "No",
     remove_dialog_yes: "Si",
+    restore: 'Restaurar',
+    purge: 'Eliminar definitivamente',
+    purge_dialog_title: "¿Desea eliminar definitivamente las reports seleccionadas?",
+    purge_dialog_description: "Se eliminan las reports y sus ejecuciones. Esta acción no se puede deshacer",
+    bulk: {
+      selected: '{count} seleccionadas',
+      activate: 'Activar',
+      deactivate: 'Desactivar',
+      tag: 'Etiquetar',
+      move: 'Mover',
+      duplicate: 'Duplicar',
+      tag_title: 'Etiquetar las reports seleccionadas',
+      add_tags: 'Etiquetas a agregar',
+      remove_tags: 'Etiquetas a quitar',
+      move_title: 'Mover las reports seleccionadas',
+      cancel: 'Cancelar',
+      apply: 'Aplicar',
+      close: 'Cerrar',
+      success: '{succeeded} reports actualizadas',
+      result_title: '{succeeded} reports actualizadas, {failed} fallidas',
+    },
+    deleted_by: 'Eliminado por {deletedBy} el {deletedAt}',
     filters: {
       title: "Filtros",
-      active: "Activo"
+      active: "Activo",
+      trash: "Papelera",
+      text: "Buscar en nombre y descripción",
+      tags: "Etiquetas",
+      tags_help: "Separadas por comas, reports que las tengan todas",
+      folders: "Carpetas",
+      all_folders: "Todas las carpetas",
+      include_subfolders: "Incluir subcarpetas",
+      created_by: "Creado por",
+      updated_by: "Modificado por",
+      created_at: "Creado",
+      updated_at: "Modificado",
+      from: "Desde",
+      to: "Hasta"
     }
   },
   report: {
@@ -32,6 +69,88 @@ export default {
     name: 'Nombre',
     description: 'Descripción',
     active: 'Activo',
+    definition_tab: 'Definición',
+    definition: {
+      dimensions: 'Agrupar por',
+      metrics: 'Métricas',
+      field: 'Campo',
+      aggregation: 'Agregación',
+      column_name: 'Nombre de columna',
+      add_metric: 'AGREGAR MÉTRICA',
+      filters: 'Filtros',
+      operator: 'Operador',
+      values: 'Valores',
+      values_help: 'Valores separados por coma',
+      add_filter: 'AGREGAR FILTRO',
+      time_range: 'Rango de tiempo',
+      last_minutes: 'Últimos minutos (vacío = todo)',
+      limit: 'Máximo de filas',
+      sort_by: 'Ordenar por',
+      sort_asc: 'Ascendente',
+    },
+    results_tab: 'Resultados',
+    results: {
+      run: 'EJECUTAR',
+      save_first: 'Guarde los cambios de la definición antes de ejecutar el reporte',
+      summary: '{rows} filas en {duration} ms, generado el {generatedAt}',
+      export: 'EXPORTAR',
+      truncated: 'El resultado fue recortado al máximo de filas de la definición',
+    },
+    tags: 'Etiquetas',
+    tags_help: 'Etiquetas separadas por comas para organizar los reports',
+    folder: 'Carpeta',
+    folder_help: 'Ruta de la carpeta, ej: /Ventas/Europa. Vacío para la carpeta raíz',
+    schedule: 'Programación',
+    schedule_help: 'Expresión cron en UTC, ej: 0 6 * * * se ejecuta todos los días a las 06:00. Vacío para no ejecutarlo automáticamente',
+    runs_tab: 'Ejecuciones',
+    runs: {
+      next_run: 'Próxima ejecución programada: {nextRunAt}',
+      not_scheduled: 'El reporte no tiene programación',
+      empty: 'El reporte aún no se ha ejecutado',
+      started_at: 'Iniciado el',
+      trigger: 'Origen',
+      status: 'Estado',
+      total_vehicles: 'Total de vehículos',
+      rows: 'Filas',
+      export: 'Exportar',
+      error: 'Error',
+    },
+    history_tab: 'Historial',
+    history: {
+      empty: 'El reporte no tiene cambios registrados',
+      version: 'Versión',
+      modification: 'Cambio',
+      user: 'Usuario',
+      date: 'Fecha',
+      changes: 'Cambios',
+      no_changes: 'Sin cambios',
+      restored_from: 'Restaurado desde la versión {version}',
+      restore: 'Restaurar',
+      restore_success: 'Versión {version} restaurada',
+      save_first: 'Guarde o descarte los cambios pendientes antes de restaurar una versión',
+      mod_types: {
+        CREATE: 'Creado',
+        UPDATE_MERGE: 'Actualizado',
+        UPDATE_REPLACE: 'Reemplazado',
+        RESTORE: 'Restaurado',
+        SHARE: 'Compartido',
+        SOFT_DELETE: 'Enviado a la papelera',
+        UNDELETE: 'Recuperado de la papelera',
+        DELETE: 'Eliminado',
+      },
+    },
+    sharing_tab: 'Compartir',
+    sharing: {
+      owner: 'Propietario',
+      owner_help: 'Solo el propietario comparte, elimina y purga el report. Escriba otro usuario para transferir la propiedad',
+      editors: 'Editores',
+      editors_help: 'Usuarios separados por comas que ven y modifican el report',
+      viewers: 'Lectores',
+      viewers_help: 'Usuarios separados por comas que ven el report, sus resultados, ejecuciones e historial',
+      no_owner: 'El report aún no tiene propietario, todos los usuarios de la organización tienen acceso hasta que se comparta',
+      share: 'Compartir',
+      share_success: 'Permisos del report guardados',
+    },
     metadata_tab: 'Metadatos',
     metadata: {
       createdBy: 'Creado por',
@@ -43,6 +162,13 @@ export default {
     internal_server_error: 'Error Interno del Servidor',
     update_success: 'Report ha sido actualizado',
     create_success: 'Report ha sido creado',
+    modified_elsewhere: 'El Report fue modificado por alguien más, al guardar sus cambios se le preguntará cómo combinarlos',
+    conflict_dialog: {
+      title: 'El Report fue modificado por alguien más',
+      description: 'Sus cambios se hicieron sobre una versión desactualizada del Report. Recárguelo descartando sus cambios, o combine sus cambios sobre la última versión para revisarlos y guardarlos de nuevo',
+      reload: 'Recargar',
+      merge: 'Combinar mis cambios',
+    },
     form_validations: {
       name: {
         length: "El nombre debe tener al menos {len} caracteres",
@@ -2,7 +2,7 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 /* UI core */
-import { Button, Tab, Tabs, TextField, Icon, Typography, Switch, FormControlLabel } from '@material-ui/core';
+import { Button, Tab, Tabs, TextField, Icon, Typography, Switch, FormControlLabel, DialogTitle, DialogContent, DialogContentText, DialogActions } from '@material-ui/core';
 import { FuseAnimate, FusePageCarded, FuseLoading } from '@fuse';
 import { useForm } from '@fuse/hooks';
 /* GraphQL Client hooks */
@@ -30,9 +30,19 @@ import {
     ReporterUpdateReport
 } from "../gql/Report";
 import Metadata from './tabs/Metadata';
-import { BasicInfo, basicInfoFormValidationsGenerator } from './tabs/BasicInfo';
+import { BasicInfo, basicInfoFormValidationsGenerator, toScheduleInput } from './tabs/BasicInfo';
+import { Definition, defaultDefinition, toDefinitionInput } from './tabs/Definition';
+import Results from './tabs/Results';
+import Runs from './tabs/Runs';
+import History from './tabs/History';
+import Sharing from './tabs/Sharing';
 
 
+/**
+ * Error code of an update made over an outdated version of the Report
+ */
+const REPORT_VERSION_CONFLICT_ERROR_CODE = 18004;
+
 /**
  * Default Aggregate data when creating 
  */
@@ -40,6 +50,8 @@ const defaultData = {
     name: '',
     description: '',
     active: true,
+    tags: [],
+    definition: defaultDefinition,
 };
 
 function Report(props) {
@@ -114,11 +126,17 @@ function Report(props) {
             setReport(updateReportResult.data.ReporterUpdateReport);
         }
     }, [updateReportResult])
-    //Refresh Report state when GQL subscription notifies a change
+    //Refresh Report state when GQL subscription notifies a change, pending changes of the form are kept
     useEffect(() => {
         if (onReportModifiedResult.data) {
-            setForm(onReportModifiedResult.data.ReporterReportModified);
-            dispatch(AppActions.showMessage({ message: T.translate("report.update_success"), variant: 'success' }));
+            const modifiedReport = onReportModifiedResult.data.ReporterReportModified;
+            if (report && form && isDirty() && differs(modifiedReport, form)) {
+                dispatch(AppActions.showMessage({ message: T.translate("report.modified_elsewhere"), variant: 'warning' }));
+            } else {
+                setReport(modifiedReport);
+                setForm(modifiedReport);
+                dispatch(AppActions.showMessage({ message: T.translate("report.update_success"), variant: 'success' }));
+            }
         }
     }, [onReportModifiedResult.data]);
 
@@ -135,6 +153,10 @@ function Report(props) {
         const error = createReportResult.error || updateReportResult.error;
         if (error) {
             const { graphQLErrors, networkError, message } = error;
+            if (!networkError && graphQLErrors.length > 0 && graphQLErrors[0].message.code === REPORT_VERSION_CONFLICT_ERROR_CODE) {
+                openConflictDialog();
+                return;
+            }
             const errMessage = networkError
                 ? JSON.stringify(networkError)
                 : graphQLErrors.length === 0
@@ -162,9 +184,83 @@ function Report(props) {
 
     /**
      * Evaluates if the logged user has enought permissions to WRITE (Create/Update/Delete) data
+     * and, once the Report exists, if it is its owner or one of its editors
      */
     function canWrite() {
-        return loggedUser.role.includes('REPORT_WRITE');
+        const sharing = report && report.sharing;
+        return loggedUser.role.includes('REPORT_WRITE')
+            && (!sharing || !sharing.owner || isOwner() || (sharing.editors || []).includes(loggedUser.username));
+    }
+
+    /**
+     * Evaluates if the logged user owns the Report, reports without owner are owned by every user
+     */
+    function isOwner() {
+        const sharing = report && report.sharing;
+        return loggedUser.role.includes('REPORT_WRITE') && (!sharing || !sharing.owner || sharing.owner === loggedUser.username);
+    }
+
+    /**
+     * Evals if two Report states have different editable content
+     * @param {*} reportA
+     * @param {*} reportB
+     */
+    function differs(reportA, reportB) {
+        return !_.isEqual(
+            { ...reportA, metadata: undefined, version: undefined, sharing: undefined, tags: reportA.tags || [], folder: reportA.folder || null, definition: toDefinitionInput(reportA.definition), schedule: toScheduleInput(reportA.schedule) },
+            { ...reportB, metadata: undefined, version: undefined, sharing: undefined, tags: reportB.tags || [], folder: reportB.folder || null, definition: toDefinitionInput(reportB.definition), schedule: toScheduleInput(reportB.schedule) }
+        );
+    }
+
+    /**
+     * Evals if the form has changes not saved yet
+     */
+    function isDirty() {
+        return differs(report, form);
+    }
+
+    /**
+     * Properties of the form modified since the Report was read
+     */
+    function pendingChanges() {
+        return Object.keys(form)
+            .filter(key => !['id', 'metadata', 'version', 'sharing', '__typename'].includes(key))
+            .filter(key => differs({ [key]: report[key] }, { [key]: form[key] }))
+            .reduce((changes, key) => ({ ...changes, [key]: form[key] }), {});
+    }
+
+    /**
+     * Asks how to continue when the Report was modified by someone else since it was read:
+     * reload it discarding the pending changes or merge the pending changes over the latest version
+     */
+    function openConflictDialog() {
+        const resolve = (keepChanges) => {
+            dispatch(AppActions.closeDialog());
+            const changes = keepChanges ? pendingChanges() : {};
+            readReportResult.refetch().then(({ data }) => {
+                const latestReport = data.ReporterReport;
+                setReport(latestReport);
+                setForm({ ...latestReport, ...changes });
+            });
+        };
+        dispatch(AppActions.openDialog({
+            children: (
+                <React.Fragment>
+                    <DialogTitle>{T.translate("report.conflict_dialog.title")}</DialogTitle>
+                    <DialogContent>
+                        <DialogContentText>{T.translate("report.conflict_dialog.description")}</DialogContentText>
+                    </DialogContent>
+                    <DialogActions>
+                        <Button onClick={() => resolve(false)} color="primary">
+                            {T.translate("report.conflict_dialog.reload")}
+                        </Button>
+                        <Button onClick={() => resolve(true)} color="primary" autoFocus>
+                            {T.translate("report.conflict_dialog.merge")}
+                        </Button>
+                    </DialogActions>
+                </React.Fragment>
+            )
+        }));
     }
 
     /**
@@ -176,19 +272,53 @@ function Report(props) {
             && !updateReportResult.loading
             && !createReportResult.loading
             && _.isEmpty(errors)
-            && !_.isEqual({ ...report, metadata: undefined }, { ...form, metadata: undefined })
+            && isDirty()
         );
     }
 
+    /**
+     * Handles the tags changes
+     * @param {string[]} tags
+     */
+    function handleTagsChange(tags) {
+        setForm({ ...form, tags });
+    }
+
+    /**
+     * Handles the Definition tab changes
+     * @param {*} definition
+     */
+    function handleDefinitionChange(definition) {
+        setForm({ ...form, definition });
+    }
+
+    /**
+     * Handles a version restored from the History tab
+     * @param {*} restoredReport
+     */
+    function handleRestored(restoredReport) {
+        setReport(restoredReport);
+        setForm(restoredReport);
+    }
+
+    /**
+     * Handles a sharing saved from the Sharing tab, the pending changes of the form are kept
+     * @param {*} sharedReport
+     */
+    function handleShared({ sharing, version, metadata }) {
+        setReport({ ...report, sharing, version, metadata });
+        setForm({ ...form, sharing, version, metadata });
+    }
+
     /**
      * Handle the Save button action
      */
     function handleSave() {
         const { id } = form;
         if (id === undefined) {
-            createReport({ variables: { input: { ...form, organizationId: loggedUser.selectedOrganization.id } } });
+            createReport({ variables: { input: { ...form, sharing: undefined, definition: toDefinitionInput(form.definition), schedule: toScheduleInput(form.schedule), organizationId: loggedUser.selectedOrganization.id } } });
         } else {
-            updateReport({ variables: { id, input: { ...form, id: undefined, __typename: undefined, metadata: undefined }, merge: true } });
+            updateReport({ variables: { id, input: { ...form, definition: toDefinitionInput(form.definition), schedule: toScheduleInput(form.schedule), id: undefined, __typename: undefined, metadata: undefined, lastRunAt: undefined, version: undefined, sharing: undefined }, merge: true, expectedVersion: report.version } });
         }
     }
 
@@ -281,6 +411,11 @@ function Report(props) {
                     classes={{ root: "w-full h-64" }}
                 >
                     <Tab className="h-64 normal-case" label={T.translate("report.basic_info")} />
+                    <Tab className="h-64 normal-case" label={T.translate("report.definition_tab")} />
+                    {(form && form.id) && (<Tab className="h-64 normal-case" label={T.translate("report.results_tab")} />)}
+                    {(form && form.id) && (<Tab className="h-64 normal-case" label={T.translate("report.runs_tab")} />)}
+                    {(form && form.id) && (<Tab className="h-64 normal-case" label={T.translate("report.history_tab")} />)}
+                    {(form && form.id) && (<Tab className="h-64 normal-case" label={T.translate("report.sharing_tab")} />)}
 
                     {(form && form.metadata) && (<Tab className="h-64 normal-case" label={T.translate("report.metadata_tab")} />)}
                 </Tabs>
@@ -319,8 +454,13 @@ function Report(props) {
 
                                 return (
                                     <form noValidate onSubmit={handleSubmit}>
-                                        {tabValue === 0 && <BasicInfo dataSource={values} {...{ T, onChange, canWrite, errors, touched }} />}
-                                        {tabValue === 1 && <Metadata dataSource={values} T={T} />}
+                                        {tabValue === 0 && <BasicInfo dataSource={values} onTagsChange={handleTagsChange} {...{ T, onChange, canWrite, errors, touched }} />}
+                                        {tabValue === 1 && <Definition dataSource={values} onDefinitionChange={handleDefinitionChange} {...{ T, canWrite }} />}
+                                        {tabValue === 2 && <Results dataSource={values} organizationId={loggedUser.selectedOrganization.id} dirty={!_.isEqual(toDefinitionInput(report.definition), toDefinitionInput(form.definition))} T={T} />}
+                                        {tabValue === 3 && <Runs dataSource={values} organizationId={loggedUser.selectedOrganization.id} T={T} />}
+                                        {tabValue === 4 && <History dataSource={values} organizationId={loggedUser.selectedOrganization.id} canWrite={canWrite} dirty={isDirty()} onRestored={handleRestored} T={T} />}
+                                        {tabValue === 5 && <Sharing dataSource={values} organizationId={loggedUser.selectedOrganization.id} isOwner={isOwner} onShared={handleShared} T={T} />}
+                                        {tabValue === 6 && <Metadata dataSource={values} T={T} />}
                                     </form>
                                 );
                             }}
@@ -1,5 +1,5 @@
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { TextField, FormControlLabel, Switch } from '@material-ui/core';
 import * as Yup from "yup";
 import _ from '@lodash';
@@ -14,12 +14,45 @@ export function basicInfoFormValidationsGenerator(T) {
 }
 
 
+/**
+ * Maps a schedule, as read from the server or edited in the form, to the ReporterReportScheduleInput shape
+ * @param {*} schedule
+ * @returns {*} null when there is no cron expression
+ */
+export function toScheduleInput(schedule) {
+    return schedule && schedule.cron && schedule.cron.trim() ? { cron: schedule.cron.trim() } : null;
+}
+
+
+/**
+ * Parses the comma separated tags typed by the user
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+    return _.uniq(text.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0));
+}
+
+
 /**
  * Aggregate BasicInfo form
- * @param {{dataSource,T}} props 
+ * @param {{dataSource,T,onTagsChange}} props 
  */
 export function BasicInfo(props) {
-    const { dataSource: form, T, onChange, errors, touched, canWrite } = props;
+    const { dataSource: form, T, onChange, onTagsChange, errors, touched, canWrite } = props;
+    // the tags are typed as text, keeping it as is while typing the separators
+    const [tagsText, setTagsText] = useState((form.tags || []).join(', '));
+    useEffect(() => {
+        if (!_.isEqual(parseTags(tagsText), form.tags || [])) {
+            setTagsText((form.tags || []).join(', '));
+        }
+    }, [form.tags]);
+
+    function handleTagsChange(event) {
+        setTagsText(event.target.value);
+        onTagsChange(parseTags(event.target.value));
+    }
+
     return (
 
         <div>
@@ -62,6 +95,56 @@ export function BasicInfo(props) {
                 }}
             />
 
+            <TextField
+                className="mt-8 mb-16"
+                id="tags"
+                name="tags"
+                onChange={handleTagsChange}
+                label={T.translate("report.tags")}
+                helperText={T.translate("report.tags_help")}
+                type="text"
+                value={tagsText}
+                variant="outlined"
+                fullWidth
+                InputProps={{
+                    readOnly: !canWrite(),
+                }}
+            />
+
+            <TextField
+                className="mt-8 mb-16"
+                id="folder"
+                name="folder"
+                onChange={onChange("folder")}
+                onBlur={onChange("folder")}
+                label={T.translate("report.folder")}
+                helperText={T.translate("report.folder_help")}
+                type="text"
+                value={form.folder || ''}
+                variant="outlined"
+                fullWidth
+                InputProps={{
+                    readOnly: !canWrite(),
+                }}
+            />
+
+            <TextField
+                className="mt-8 mb-16"
+                id="schedule.cron"
+                name="schedule.cron"
+                onChange={onChange("schedule.cron")}
+                onBlur={onChange("schedule.cron")}
+                label={T.translate("report.schedule")}
+                helperText={T.translate("report.schedule_help")}
+                type="text"
+                value={(form.schedule && form.schedule.cron) || ''}
+                variant="outlined"
+                fullWidth
+                InputProps={{
+                    readOnly: !canWrite(),
+                }}
+            />
+
             <FormControlLabel
                 control={
                     <Switch
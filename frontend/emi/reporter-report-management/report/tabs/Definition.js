@@ -0,0 +1,158 @@
+import React from 'react';
+import { TextField, Button, IconButton, Icon, Typography, MenuItem, Switch, FormControlLabel } from '@material-ui/core';
+
+const DIMENSIONS = ['type', 'powerSource', 'decade', 'speedClass', 'hp', 'topSpeed', 'year', 'processedMinute', 'processedHour', 'processedDay'];
+const METRIC_FIELDS = ['vehicles', 'hp', 'topSpeed', 'year'];
+const AGGREGATIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+const FILTER_FIELDS = ['type', 'powerSource', 'decade', 'speedClass', 'hp', 'topSpeed', 'year'];
+const OPERATORS = ['EQ', 'NE', 'GT', 'GTE', 'LT', 'LTE', 'IN', 'NIN'];
+
+/**
+ * Definition used when the report has none
+ */
+export const defaultDefinition = {
+    dimensions: ['type'],
+    metrics: [{ name: null, field: 'vehicles', aggregation: 'COUNT' }],
+    filters: [],
+    timeRange: null,
+    sortBy: null,
+    sortAsc: true,
+    limit: 1000,
+};
+
+/**
+ * Maps a definition, as read from the server, to the ReporterReportDefinitionInput shape
+ * @param {*} definition
+ */
+export function toDefinitionInput(definition) {
+    if (!definition) return undefined;
+    const { dimensions, metrics, filters, timeRange, sortBy, sortAsc, limit } = definition;
+    return {
+        dimensions: dimensions || [],
+        metrics: (metrics || []).map(({ name, field, aggregation }) => ({ name: name || null, field, aggregation })),
+        filters: (filters || []).map(({ field, operator, values }) => ({ field, operator, values: values || [] })),
+        timeRange: timeRange ? { from: timeRange.from || null, to: timeRange.to || null, lastMinutes: timeRange.lastMinutes || null } : null,
+        sortBy: sortBy || null,
+        sortAsc: sortAsc !== false,
+        limit: limit || null,
+    };
+}
+
+/**
+ * Report definition form: dimensions, metrics, filters and time range
+ * @param {{dataSource,T,onDefinitionChange,canWrite}} props
+ */
+export function Definition(props) {
+    const { dataSource: form, T, onDefinitionChange, canWrite } = props;
+    const definition = toDefinitionInput(form.definition || defaultDefinition);
+    const readOnly = !canWrite();
+    //Responsive styles
+    const fullHalfStyle = "w-full p-2 sm:w-1/2";
+    const fullQuarterStyle = "w-full p-2 sm:w-1/4";
+
+    const update = (changes) => onDefinitionChange({ ...definition, ...changes });
+    const updateItem = (listName, index, changes) => update({
+        [listName]: definition[listName].map((item, i) => i === index ? { ...item, ...changes } : item)
+    });
+    const removeItem = (listName, index) => update({ [listName]: definition[listName].filter((item, i) => i !== index) });
+    const timeRange = definition.timeRange || {};
+
+    return (
+        <div>
+            <TextField
+                select
+                className="mt-8 mb-16"
+                label={T.translate("report.definition.dimensions")}
+                SelectProps={{ multiple: true }}
+                value={definition.dimensions}
+                onChange={event => update({ dimensions: event.target.value })}
+                variant="outlined"
+                fullWidth
+                disabled={readOnly}
+            >
+                {DIMENSIONS.map(dimension => <MenuItem key={dimension} value={dimension}>{dimension}</MenuItem>)}
+            </TextField>
+
+            <Typography className="mt-8 mb-8" variant="subtitle1">{T.translate("report.definition.metrics")}</Typography>
+            {definition.metrics.map((metric, index) => (
+                <div key={`metric_${index}`} className="flex items-center">
+                    <TextField select className={fullQuarterStyle} label={T.translate("report.definition.field")} value={metric.field}
+                        onChange={event => updateItem('metrics', index, { field: event.target.value })} variant="outlined" disabled={readOnly}>
+                        {METRIC_FIELDS.map(field => <MenuItem key={field} value={field}>{field}</MenuItem>)}
+                    </TextField>
+                    <TextField select className={fullQuarterStyle} label={T.translate("report.definition.aggregation")} value={metric.aggregation}
+                        onChange={event => updateItem('metrics', index, { aggregation: event.target.value })} variant="outlined" disabled={readOnly}>
+                        {AGGREGATIONS.map(aggregation => <MenuItem key={aggregation} value={aggregation}>{aggregation}</MenuItem>)}
+                    </TextField>
+                    <TextField className={fullQuarterStyle} label={T.translate("report.definition.column_name")} value={metric.name || ''}
+                        onChange={event => updateItem('metrics', index, { name: event.target.value || null })} variant="outlined" InputProps={{ readOnly }} />
+                    <IconButton disabled={readOnly || definition.metrics.length === 1} onClick={() => removeItem('metrics', index)}><Icon>delete</Icon></IconButton>
+                </div>
+            ))}
+            <Button className="mt-8 mb-16" disabled={readOnly}
+                onClick={() => update({ metrics: [...definition.metrics, { name: null, field: 'hp', aggregation: 'AVG' }] })}>
+                {T.translate("report.definition.add_metric")}
+            </Button>
+
+            <Typography className="mt-8 mb-8" variant="subtitle1">{T.translate("report.definition.filters")}</Typography>
+            {definition.filters.map((filter, index) => (
+                <div key={`filter_${index}`} className="flex items-center">
+                    <TextField select className={fullQuarterStyle} label={T.translate("report.definition.field")} value={filter.field}
+                        onChange={event => updateItem('filters', index, { field: event.target.value })} variant="outlined" disabled={readOnly}>
+                        {FILTER_FIELDS.map(field => <MenuItem key={field} value={field}>{field}</MenuItem>)}
+                    </TextField>
+                    <TextField select className={fullQuarterStyle} label={T.translate("report.definition.operator")} value={filter.operator}
+                        onChange={event => updateItem('filters', index, { operator: event.target.value })} variant="outlined" disabled={readOnly}>
+                        {OPERATORS.map(operator => <MenuItem key={operator} value={operator}>{operator}</MenuItem>)}
+                    </TextField>
+                    <TextField className={fullHalfStyle} label={T.translate("report.definition.values")} helperText={T.translate("report.definition.values_help")}
+                        value={filter.values.join(',')} variant="outlined" InputProps={{ readOnly }}
+                        onChange={event => updateItem('filters', index, { values: event.target.value.split(',').map(value => value.trim()).filter(value => value !== '') })} />
+                    <IconButton disabled={readOnly} onClick={() => removeItem('filters', index)}><Icon>delete</Icon></IconButton>
+                </div>
+            ))}
+            <Button className="mt-8 mb-16" disabled={readOnly}
+                onClick={() => update({ filters: [...definition.filters, { field: 'type', operator: 'EQ', values: [] }] })}>
+                {T.translate("report.definition.add_filter")}
+            </Button>
+
+            <Typography className="mt-8 mb-8" variant="subtitle1">{T.translate("report.definition.time_range")}</Typography>
+            <TextField
+                className={`mt-8 mb-16 ${fullHalfStyle}`}
+                label={T.translate("report.definition.last_minutes")}
+                type="number"
+                value={timeRange.lastMinutes || ''}
+                onChange={event => update({ timeRange: event.target.value ? { from: null, to: null, lastMinutes: parseInt(event.target.value) } : null })}
+                variant="outlined"
+                InputProps={{ readOnly }}
+            />
+            <TextField
+                className={`mt-8 mb-16 ${fullHalfStyle}`}
+                label={T.translate("report.definition.limit")}
+                type="number"
+                value={definition.limit || ''}
+                onChange={event => update({ limit: event.target.value ? parseInt(event.target.value) : null })}
+                variant="outlined"
+                InputProps={{ readOnly }}
+            />
+            <TextField
+                select
+                className={`mt-8 mb-16 ${fullHalfStyle}`}
+                label={T.translate("report.definition.sort_by")}
+                value={definition.sortBy || ''}
+                onChange={event => update({ sortBy: event.target.value || null })}
+                variant="outlined"
+                disabled={readOnly}
+            >
+                <MenuItem value="">-</MenuItem>
+                {[...definition.dimensions, ...definition.metrics.map(({ name, field, aggregation }) => name || `${aggregation.toLowerCase()}_${field}`)]
+                    .map(column => <MenuItem key={column} value={column}>{column}</MenuItem>)}
+            </TextField>
+            <FormControlLabel
+                className={`mt-8 mb-16 ${fullHalfStyle}`}
+                control={<Switch checked={definition.sortAsc} onChange={event => update({ sortAsc: event.target.checked })} disabled={readOnly} />}
+                label={T.translate("report.definition.sort_asc")}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect } from 'react';
+import { Button, Typography, Table, TableBody, TableCell, TableHead, TableRow, LinearProgress } from '@material-ui/core';
+import { useQuery, useMutation } from "@apollo/react-hooks";
+import { useDispatch } from 'react-redux';
+import * as AppActions from 'app/store/actions';
+import { ReporterReportHistory, ReporterRestoreReportVersion } from "../../gql/Report";
+
+
+/**
+ * Change history of the report, every version lists its differences against the previous one and can be restored
+ * @param {{dataSource,T,organizationId,canWrite,dirty,onRestored}} props
+ */
+function History(props) {
+    const { dataSource: form, T, organizationId, canWrite, dirty, onRestored } = props;
+    const dispatch = useDispatch();
+    const gqlHistory = ReporterReportHistory({ id: form.id, organizationId });
+    const historyResult = useQuery(gqlHistory.query, { variables: gqlHistory.variables, fetchPolicy: gqlHistory.fetchPolicy });
+    const [restoreVersion, restoreVersionResult] = useMutation(ReporterRestoreReportVersion({}).mutation);
+
+    //Refresh the history and the report once a version is restored
+    useEffect(() => {
+        if (restoreVersionResult.data && restoreVersionResult.data.ReporterRestoreReportVersion) {
+            onRestored(restoreVersionResult.data.ReporterRestoreReportVersion);
+            historyResult.refetch();
+        }
+    }, [restoreVersionResult.data]);
+
+    useEffect(() => {
+        const error = restoreVersionResult.error;
+        if (error) {
+            const message = error.graphQLErrors && error.graphQLErrors.length > 0 ? error.graphQLErrors[0].message.msg || error.graphQLErrors[0].message.name : error.message;
+            dispatch(AppActions.showMessage({ message, variant: 'error' }));
+        }
+    }, [restoreVersionResult.error]);
+
+    function handleRestore(version) {
+        restoreVersion({ variables: { id: form.id, organizationId, version } })
+            .then(() => dispatch(AppActions.showMessage({ message: T.translate("report.history.restore_success", { version }), variant: 'success' })))
+            .catch(() => { });
+    }
+
+    const versions = historyResult.data && historyResult.data.ReporterReportHistory;
+    const toValue = (json) => json === null ? '-' : json;
+
+    return (
+        <div>
+            {canWrite() && dirty && <Typography className="mb-16" variant="caption">{T.translate("report.history.save_first")}</Typography>}
+            {(historyResult.loading || restoreVersionResult.loading) && <LinearProgress color="secondary" />}
+            {versions && versions.length === 0 && <Typography>{T.translate("report.history.empty")}</Typography>}
+            {versions && versions.length > 0 && (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>{T.translate("report.history.version")}</TableCell>
+                            <TableCell>{T.translate("report.history.modification")}</TableCell>
+                            <TableCell>{T.translate("report.history.user")}</TableCell>
+                            <TableCell>{T.translate("report.history.date")}</TableCell>
+                            <TableCell>{T.translate("report.history.changes")}</TableCell>
+                            <TableCell />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {versions.map((version, index) => (
+                            <TableRow key={version.version}>
+                                <TableCell>{version.version}</TableCell>
+                                <TableCell>
+                                    {T.translate(`report.history.mod_types.${version.modType}`)}
+                                    {version.restoredVersion && (
+                                        <Typography variant="caption" display="block">
+                                            {T.translate("report.history.restored_from", { version: version.restoredVersion })}
+                                        </Typography>
+                                    )}
+                                </TableCell>
+                                <TableCell>{version.user}</TableCell>
+                                <TableCell>{version.timestamp ? new Date(version.timestamp).toLocaleString() : '-'}</TableCell>
+                                <TableCell>
+                                    {version.changes.length === 0 && T.translate("report.history.no_changes")}
+                                    {version.changes.map(change => (
+                                        <Typography key={change.path} variant="caption" display="block" className="break-all">
+                                            <strong>{change.path}</strong>: {toValue(change.before)} &rarr; {toValue(change.after)}
+                                        </Typography>
+                                    ))}
+                                </TableCell>
+                                <TableCell>
+                                    {canWrite() && index > 0 && version.modType !== 'DELETE' && (
+                                        <Button variant="text" color="secondary" disabled={dirty || restoreVersionResult.loading}
+                                            onClick={() => handleRestore(version.version)}>
+                                            {T.translate("report.history.restore")}
+                                        </Button>
+                                    )}
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </div>
+    );
+}
+
+export default History;
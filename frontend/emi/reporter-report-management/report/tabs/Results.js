@@ -0,0 +1,73 @@
+import React from 'react';
+import { Button, Typography, Table, TableBody, TableCell, TableHead, TableRow, LinearProgress } from '@material-ui/core';
+import { useLazyQuery } from "@apollo/react-hooks";
+import { ReporterRunReport } from "../../gql/Report";
+import ExportButton from '../../common/ExportButton';
+
+
+/**
+ * Runs the stored report definition and shows its tabular result
+ * @param {{dataSource,T,organizationId,dirty}} props
+ */
+function Results(props) {
+    const { dataSource: form, T, organizationId, dirty } = props;
+    const gqlRunReport = ReporterRunReport({ id: form.id, organizationId });
+    const [runReport, runReportResult] = useLazyQuery(gqlRunReport.query, { fetchPolicy: gqlRunReport.fetchPolicy });
+    const result = runReportResult.data && runReportResult.data.ReporterRunReport;
+    const error = runReportResult.error;
+
+    return (
+        <div>
+            <div className="flex items-center mb-16">
+                <Button variant="contained" color="secondary" disabled={dirty || runReportResult.loading}
+                    onClick={() => runReport({ variables: gqlRunReport.variables })}>
+                    {T.translate("report.results.run")}
+                </Button>
+                <ExportButton
+                    className="ml-8"
+                    variant="outlined"
+                    label={T.translate("report.results.export")}
+                    disabled={dirty}
+                    input={{ source: 'REPORT_RESULT', reportId: form.id, organizationId }}
+                />
+                {dirty && <Typography className="ml-16" variant="caption">{T.translate("report.results.save_first")}</Typography>}
+                {result && (
+                    <Typography className="ml-16" variant="caption">
+                        {T.translate("report.results.summary", { rows: result.rows.length, duration: result.durationMs, generatedAt: new Date(result.generatedAt).toLocaleString() })}
+                    </Typography>
+                )}
+            </div>
+            {runReportResult.loading && <LinearProgress color="secondary" />}
+            {error && (
+                <Typography color="error">
+                    {error.graphQLErrors && error.graphQLErrors.length > 0 ? error.graphQLErrors[0].message.msg || error.graphQLErrors[0].message.name : error.message}
+                </Typography>
+            )}
+            {result && (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            {result.columns.map(column => (
+                                <TableCell key={column.name} align={column.kind === 'NUMBER' ? 'right' : 'left'}>{column.name}</TableCell>
+                            ))}
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {result.rows.map((row, rowIndex) => (
+                            <TableRow key={`row_${rowIndex}`}>
+                                {row.map((value, index) => (
+                                    <TableCell key={result.columns[index].name} align={result.columns[index].kind === 'NUMBER' ? 'right' : 'left'}>
+                                        {value === null ? '-' : value}
+                                    </TableCell>
+                                ))}
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+            {result && result.truncated && <Typography className="mt-8" variant="caption">{T.translate("report.results.truncated")}</Typography>}
+        </div>
+    );
+}
+
+export default Results;
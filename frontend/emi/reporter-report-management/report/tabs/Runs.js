@@ -0,0 +1,73 @@
+import React, { useEffect } from 'react';
+import { Typography, Table, TableBody, TableCell, TableHead, TableRow, LinearProgress } from '@material-ui/core';
+import { useQuery, useSubscription } from "@apollo/react-hooks";
+import { ReporterReportRuns, onReporterReportRunCompleted } from "../../gql/Report";
+import ExportButton from '../../common/ExportButton';
+
+
+/**
+ * Latest stored runs of the report, refreshed when a new run completes
+ * @param {{dataSource,T,organizationId}} props
+ */
+function Runs(props) {
+    const { dataSource: form, T, organizationId } = props;
+    const gqlRuns = ReporterReportRuns({ reportId: form.id, organizationId, paginationInput: { page: 0, count: 20, queryTotalResultCount: true } });
+    const runsResult = useQuery(gqlRuns.query, { variables: gqlRuns.variables, fetchPolicy: gqlRuns.fetchPolicy });
+    const onRunCompletedResult = useSubscription(...onReporterReportRunCompleted({ reportId: form.id }));
+
+    //Refresh the runs when a new one completes
+    useEffect(() => {
+        if (onRunCompletedResult.data) {
+            runsResult.refetch();
+        }
+    }, [onRunCompletedResult.data]);
+
+    const runs = runsResult.data && runsResult.data.ReporterReportRuns;
+    const toDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '-';
+
+    return (
+        <div>
+            <Typography className="mb-16" variant="caption">
+                {form.schedule && form.schedule.cron
+                    ? T.translate("report.runs.next_run", { nextRunAt: toDate(form.schedule.nextRunAt) })
+                    : T.translate("report.runs.not_scheduled")}
+            </Typography>
+            {runsResult.loading && <LinearProgress color="secondary" />}
+            {runs && runs.listing.length === 0 && <Typography>{T.translate("report.runs.empty")}</Typography>}
+            {runs && runs.listing.length > 0 && (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>{T.translate("report.runs.started_at")}</TableCell>
+                            <TableCell>{T.translate("report.runs.trigger")}</TableCell>
+                            <TableCell>{T.translate("report.runs.status")}</TableCell>
+                            <TableCell align="right">{T.translate("report.runs.total_vehicles")}</TableCell>
+                            <TableCell align="right">{T.translate("report.runs.rows")}</TableCell>
+                            <TableCell>{T.translate("report.runs.error")}</TableCell>
+                            <TableCell />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {runs.listing.map(run => (
+                            <TableRow key={run.id}>
+                                <TableCell>{toDate(run.startedAt)}</TableCell>
+                                <TableCell>{run.trigger}</TableCell>
+                                <TableCell>{run.status}</TableCell>
+                                <TableCell align="right">{run.fleetStatistics ? run.fleetStatistics.totalVehicles : '-'}</TableCell>
+                                <TableCell align="right">{run.result ? run.result.rows.length : '-'}</TableCell>
+                                <TableCell>{run.error || ''}</TableCell>
+                                <TableCell>
+                                    {run.status === 'COMPLETED' && (
+                                        <ExportButton variant="text" label={T.translate("report.runs.export")} input={{ source: 'REPORT_RUN', runId: run.id, organizationId }} />
+                                    )}
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </div>
+    );
+}
+
+export default Runs;
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import { Button, TextField, Typography, LinearProgress } from '@material-ui/core';
+import { useMutation } from "@apollo/react-hooks";
+import { useDispatch } from 'react-redux';
+import _ from '@lodash';
+import * as AppActions from 'app/store/actions';
+import { ReporterShareReport } from "../../gql/Report";
+import { parseTags } from './BasicInfo';
+
+
+/**
+ * Who has access to the report: its owner, viewers and editors. Only the owner shares the report
+ * @param {{dataSource,T,organizationId,isOwner,onShared}} props
+ */
+function Sharing(props) {
+    const { dataSource: form, T, organizationId, isOwner, onShared } = props;
+    const dispatch = useDispatch();
+    const sharing = form.sharing || { owner: null, viewers: [], editors: [] };
+    // the usernames are typed as comma separated text, as the tags are
+    const [sharingText, setSharingText] = useState(toSharingText(sharing));
+    const [shareReport, shareReportResult] = useMutation(ReporterShareReport({}).mutation);
+
+    useEffect(() => {
+        setSharingText(toSharingText(sharing));
+    }, [form.sharing]);
+
+    //Refresh the report once shared
+    useEffect(() => {
+        if (shareReportResult.data && shareReportResult.data.ReporterShareReport) {
+            onShared(shareReportResult.data.ReporterShareReport);
+            dispatch(AppActions.showMessage({ message: T.translate("report.sharing.share_success"), variant: 'success' }));
+        }
+    }, [shareReportResult.data]);
+
+    useEffect(() => {
+        const error = shareReportResult.error;
+        if (error) {
+            const message = error.graphQLErrors && error.graphQLErrors.length > 0 ? error.graphQLErrors[0].message.msg || error.graphQLErrors[0].message.name : error.message;
+            dispatch(AppActions.showMessage({ message, variant: 'error' }));
+        }
+    }, [shareReportResult.error]);
+
+    function toSharingText({ owner, viewers, editors }) {
+        return { owner: owner || '', viewers: (viewers || []).join(', '), editors: (editors || []).join(', ') };
+    }
+
+    function toSharingInput({ owner, viewers, editors }) {
+        return { owner: owner.trim() || undefined, viewers: parseTags(viewers), editors: parseTags(editors) };
+    }
+
+    const onChange = (fieldName) => (event) => setSharingText({ ...sharingText, [fieldName]: event.target.value });
+    const changed = !_.isEqual(toSharingInput(sharingText), toSharingInput(toSharingText(sharing)));
+
+    function handleShare() {
+        shareReport({ variables: { id: form.id, organizationId, sharing: toSharingInput(sharingText) } }).catch(() => { });
+    }
+
+    return (
+        <div>
+            {!sharing.owner && <Typography className="mb-16" variant="caption" display="block">{T.translate("report.sharing.no_owner")}</Typography>}
+            {shareReportResult.loading && <LinearProgress color="secondary" />}
+            {['owner', 'editors', 'viewers'].map(fieldName => (
+                <TextField
+                    key={fieldName}
+                    className="mt-8 mb-16"
+                    id={`sharing.${fieldName}`}
+                    name={`sharing.${fieldName}`}
+                    onChange={onChange(fieldName)}
+                    label={T.translate(`report.sharing.${fieldName}`)}
+                    helperText={T.translate(`report.sharing.${fieldName}_help`)}
+                    type="text"
+                    value={sharingText[fieldName]}
+                    variant="outlined"
+                    fullWidth
+                    InputProps={{
+                        readOnly: !isOwner(),
+                    }}
+                />
+            ))}
+            {isOwner() && (
+                <Button variant="contained" color="secondary" disabled={!changed || shareReportResult.loading} onClick={handleShare}>
+                    {T.translate("report.sharing.share")}
+                </Button>
+            )}
+        </div>
+    );
+}
+
+export default Sharing;
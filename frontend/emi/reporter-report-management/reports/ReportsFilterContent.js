@@ -1,17 +1,78 @@
-import React, { useState } from 'react';
-import { Checkbox, FormGroup, FormControlLabel } from '@material-ui/core';
+import React, { useState, useEffect } from 'react';
+import { Checkbox, FormGroup, FormControlLabel, TextField, Typography, List, ListItem, ListItemText } from '@material-ui/core';
 import { FuseAnimate } from '@fuse';
 import { useDispatch, useSelector } from 'react-redux';
+import { useQuery } from "@apollo/react-hooks";
 import * as Actions from '../store/actions';
 import { MDText } from 'i18n-react';
 import i18n from "../i18n";
+import _ from '@lodash';
+import { useEventCallback } from 'rxjs-hooks'
+import { debounceTime } from "rxjs/operators";
+import { ReporterReportFolders } from "../gql/Report";
+
+/**
+ * Epoch millis of a date input value (yyyy-mm-dd), at the start or at the end of the day
+ * @param {string} value 
+ * @param {boolean} endOfDay 
+ */
+function toTimestamp(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(`${value}T00:00:00`);
+    return endOfDay ? date.getTime() + 24 * 60 * 60 * 1000 - 1 : date.getTime();
+}
+
+/**
+ * Date input value (yyyy-mm-dd) of an epoch millis
+ * @param {number} timestamp 
+ */
+function toDateValue(timestamp) {
+    if (timestamp === null || timestamp === undefined) return '';
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
 
 function TodoSidebarContent(props) {
     const dispatch = useDispatch();
     const user = useSelector(({ auth }) => auth.user);
-    const { filters: { active: activeChecked } } = useSelector(({ ReportManagement }) => ReportManagement.reports);
+    const { data: reports, filters: { organizationId, active: activeChecked, deleted: deletedChecked, text, tags, folder, includeSubfolders, createdBy, updatedBy, createdAt, updatedAt } } = useSelector(({ ReportManagement }) => ReportManagement.reports);
     const T = new MDText(i18n.get(user.locale));
+    const gqlFolders = ReporterReportFolders({ organizationId });
+    const foldersResult = useQuery(gqlFolders.query, { variables: gqlFolders.variables, fetchPolicy: gqlFolders.fetchPolicy, skip: !organizationId });
+    const folders = (foldersResult.data && foldersResult.data.ReporterReportFolders) || [];
+    // the listing changes when reports are created, moved or deleted, so may the folders
+    useEffect(() => {
+        if (organizationId) {
+            foldersResult.refetch();
+        }
+    }, [reports]);
+    // typed filters are kept locally and dispatched once the user stops typing
+    const [typedFilters, setTypedFilters] = useState({ text, tags: tags.join(', '), createdBy, updatedBy });
+    const [typedFilterCallBack, typedFilterAction] = useEventCallback(
+        (event$) => event$.pipe(debounceTime(500))
+    );
+    useEffect(() => {
+        if (typedFilterAction) {
+            dispatch(typedFilterAction);
+        }
+    }, [typedFilterAction]);
+
+    function handleTypedFilterChange(field, actionCreator) {
+        return (evt) => {
+            const value = evt.target.value;
+            setTypedFilters({ ...typedFilters, [field]: value });
+            typedFilterCallBack(actionCreator(value));
+        };
+    }
+
+    function handleTagsChange(value) {
+        return Actions.setReportsFilterTags(_.uniq(value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)));
+    }
+
+    function handleRangeChange(range, actionCreator, bound) {
+        return (evt) => dispatch(actionCreator({ ...range, [bound]: toTimestamp(evt.target.value, bound === 'to') }));
+    }
 
 
     function handleActiveChange(evt) {
@@ -24,6 +85,14 @@ function TodoSidebarContent(props) {
         }
     }
 
+    function handleDeletedChange(evt) {
+        dispatch(Actions.setReportsFilterDeleted(evt.target.checked));
+    }
+
+    function handleIncludeSubfoldersChange(evt) {
+        dispatch(Actions.setReportsFilterFolder(folder, evt.target.checked));
+    }
+
 
     return (
         <FuseAnimate animation="transition.slideUpIn" delay={400}>
@@ -46,7 +115,108 @@ function TodoSidebarContent(props) {
                             }
                             label={T.translate("reports.filters.active")}
                         />
+                        <FormControlLabel
+                            control={
+                                <Checkbox
+                                    checked={deletedChecked}
+                                    onChange={handleDeletedChange}
+                                    value="deleted"
+                                />
+                            }
+                            label={T.translate("reports.filters.trash")}
+                        />
                     </FormGroup>
+
+                    <TextField
+                        className="mt-16"
+                        label={T.translate("reports.filters.text")}
+                        value={typedFilters.text}
+                        onChange={handleTypedFilterChange('text', Actions.setReportsFilterText)}
+                        fullWidth
+                    />
+                    <TextField
+                        className="mt-16"
+                        label={T.translate("reports.filters.tags")}
+                        helperText={T.translate("reports.filters.tags_help")}
+                        value={typedFilters.tags}
+                        onChange={handleTypedFilterChange('tags', handleTagsChange)}
+                        fullWidth
+                    />
+                    <Typography className="mt-24" variant="subtitle2">{T.translate("reports.filters.folders")}</Typography>
+                    <List dense>
+                        <ListItem button selected={!folder} onClick={() => dispatch(Actions.setReportsFilterFolder(null, includeSubfolders))}>
+                            <ListItemText primary={T.translate("reports.filters.all_folders")} />
+                        </ListItem>
+                        {folders.map(path => (
+                            <ListItem key={path} button selected={folder === path} onClick={() => dispatch(Actions.setReportsFilterFolder(path, includeSubfolders))}
+                                style={{ paddingLeft: 16 * path.split('/').length }}>
+                                <ListItemText primary={path.substring(path.lastIndexOf('/') + 1)} />
+                            </ListItem>
+                        ))}
+                    </List>
+                    <FormControlLabel
+                        control={
+                            <Checkbox
+                                checked={includeSubfolders}
+                                onChange={handleIncludeSubfoldersChange}
+                                value="includeSubfolders"
+                            />
+                        }
+                        label={T.translate("reports.filters.include_subfolders")}
+                    />
+
+                    <TextField
+                        className="mt-16"
+                        label={T.translate("reports.filters.created_by")}
+                        value={typedFilters.createdBy}
+                        onChange={handleTypedFilterChange('createdBy', Actions.setReportsFilterCreatedBy)}
+                        fullWidth
+                    />
+                    <TextField
+                        className="mt-16"
+                        label={T.translate("reports.filters.updated_by")}
+                        value={typedFilters.updatedBy}
+                        onChange={handleTypedFilterChange('updatedBy', Actions.setReportsFilterUpdatedBy)}
+                        fullWidth
+                    />
+
+                    <Typography className="mt-24" variant="subtitle2">{T.translate("reports.filters.created_at")}</Typography>
+                    <div className="flex">
+                        <TextField
+                            className="mr-8"
+                            type="date"
+                            label={T.translate("reports.filters.from")}
+                            InputLabelProps={{ shrink: true }}
+                            value={toDateValue(createdAt.from)}
+                            onChange={handleRangeChange(createdAt, Actions.setReportsFilterCreatedAt, 'from')}
+                        />
+                        <TextField
+                            type="date"
+                            label={T.translate("reports.filters.to")}
+                            InputLabelProps={{ shrink: true }}
+                            value={toDateValue(createdAt.to)}
+                            onChange={handleRangeChange(createdAt, Actions.setReportsFilterCreatedAt, 'to')}
+                        />
+                    </div>
+
+                    <Typography className="mt-24" variant="subtitle2">{T.translate("reports.filters.updated_at")}</Typography>
+                    <div className="flex">
+                        <TextField
+                            className="mr-8"
+                            type="date"
+                            label={T.translate("reports.filters.from")}
+                            InputLabelProps={{ shrink: true }}
+                            value={toDateValue(updatedAt.from)}
+                            onChange={handleRangeChange(updatedAt, Actions.setReportsFilterUpdatedAt, 'from')}
+                        />
+                        <TextField
+                            type="date"
+                            label={T.translate("reports.filters.to")}
+                            InputLabelProps={{ shrink: true }}
+                            value={toDateValue(updatedAt.to)}
+                            onChange={handleRangeChange(updatedAt, Actions.setReportsFilterUpdatedAt, 'to')}
+                        />
+                    </div>
                 </div>
 
 
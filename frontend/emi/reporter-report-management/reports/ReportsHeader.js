@@ -10,12 +10,14 @@ import i18n from "../i18n";
 import _ from '@lodash';
 import { useEventCallback } from 'rxjs-hooks'
 import { debounceTime } from "rxjs/operators";
+import ExportButton from '../common/ExportButton';
 
 function ReportsHeader(props) {
     const dispatch = useDispatch();
     const user = useSelector(({ auth }) => auth.user);
     const mainTheme = useSelector(({ fuse }) => fuse.settings.mainTheme);
     const searchTextFilter = useSelector(({ ReportManagement }) => ReportManagement.reports.filters.name);
+    const filters = useSelector(({ ReportManagement }) => ReportManagement.reports.filters);
     const [searchText, setSearchText] = useState(searchTextFilter)
     const [keywordCallBack, keyword] = useEventCallback(
         (event$) => event$.pipe(debounceTime(500))
@@ -77,6 +79,14 @@ function ReportsHeader(props) {
                 </ThemeProvider>
 
             </div>
+            <FuseAnimate animation="transition.slideRightIn" delay={300}>
+                <ExportButton
+                    className="whitespace-no-wrap mr-8"
+                    label={<span className="hidden sm:flex">{T.translate("reports.export")}</span>}
+                    disabled={!filters.organizationId}
+                    input={{ source: 'REPORT_LISTING', filterInput: Actions.getListingFilterInput(filters) }}
+                />
+            </FuseAnimate>
             <FuseAnimate animation="transition.slideRightIn" delay={300}>
                 <Button component={Link} to="/report-mng/reports/new" className="whitespace-no-wrap" variant="contained">
                     <span className="hidden sm:flex">{T.translate("reports.add_new_report")}</span>
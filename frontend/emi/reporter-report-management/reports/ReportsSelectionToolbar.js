@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Toolbar, Typography, Button, TextField, DialogTitle, DialogContent, DialogContentText, DialogActions } from '@material-ui/core';
+import { useDispatch } from 'react-redux';
+import * as AppActions from 'app/store/actions';
+import * as Actions from '../store/actions';
+import { parseTags } from '../report/tabs/BasicInfo';
+
+
+/**
+ * Dialog asking the text fields a bulk operation needs
+ * @param {{T,title,fields,onConfirm}} props fields: [{ name, label, helperText }]
+ */
+function BulkInputDialog(props) {
+    const { T, title, fields, onConfirm } = props;
+    const dispatch = useDispatch();
+    const [values, setValues] = useState(fields.reduce((acc, field) => ({ ...acc, [field.name]: '' }), {}));
+
+    return (
+        <React.Fragment>
+            <DialogTitle>{T.translate(title)}</DialogTitle>
+            <DialogContent>
+                {fields.map((field, index) => (
+                    <TextField
+                        key={field.name}
+                        className="mt-8 mb-16"
+                        label={T.translate(field.label)}
+                        helperText={field.helperText && T.translate(field.helperText)}
+                        value={values[field.name]}
+                        onChange={(event) => setValues({ ...values, [field.name]: event.target.value })}
+                        autoFocus={index === 0}
+                        fullWidth
+                    />
+                ))}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={() => dispatch(AppActions.closeDialog())} color="primary">
+                    {T.translate("reports.bulk.cancel")}
+                </Button>
+                <Button onClick={() => { dispatch(AppActions.closeDialog()); onConfirm(values); }} color="primary">
+                    {T.translate("reports.bulk.apply")}
+                </Button>
+            </DialogActions>
+        </React.Fragment>
+    );
+}
+
+
+/**
+ * Actions applied to the selected reports at once: activate, deactivate, tag, move to a folder and duplicate.
+ * Every report succeeds or fails on its own, the failures are listed once the operation completes
+ * @param {{T,selected,reports,queryParams,onDone}} props
+ */
+function ReportsSelectionToolbar(props) {
+    const { T, selected, reports, queryParams, onDone } = props;
+    const dispatch = useDispatch();
+    const [running, setRunning] = useState(false);
+
+    function run(actionCreator) {
+        setRunning(true);
+        // the toolbar goes away with the selection once the result is shown
+        dispatch(actionCreator).then(
+            (bulkResult) => {
+                setRunning(false);
+                showResult(bulkResult);
+            },
+            (error) => {
+                setRunning(false);
+                dispatch(AppActions.showMessage({ message: error.message, variant: 'error' }));
+            }
+        );
+    }
+
+    /**
+     * Shows how many reports the operation was applied to, listing the ones it failed on
+     * @param {{succeeded, failed, results}} bulkResult
+     */
+    function showResult({ succeeded, failed, results }) {
+        onDone();
+        if (failed === 0) {
+            dispatch(AppActions.showMessage({ message: T.translate("reports.bulk.success", { succeeded }), variant: 'success' }));
+            return;
+        }
+        const nameOf = (id) => (reports.find(report => report.id === id) || { name: id }).name;
+        dispatch(AppActions.openDialog({
+            children: (
+                <React.Fragment>
+                    <DialogTitle>{T.translate("reports.bulk.result_title", { succeeded, failed })}</DialogTitle>
+                    <DialogContent>
+                        {results.filter(result => !result.success).map(result => (
+                            <DialogContentText key={result.id}>
+                                <strong>{nameOf(result.id)}</strong>: {result.error}
+                            </DialogContentText>
+                        ))}
+                    </DialogContent>
+                    <DialogActions>
+                        <Button onClick={() => dispatch(AppActions.closeDialog())} color="primary" autoFocus>
+                            {T.translate("reports.bulk.close")}
+                        </Button>
+                    </DialogActions>
+                </React.Fragment>
+            )
+        }));
+    }
+
+    function openTagDialog() {
+        dispatch(AppActions.openDialog({
+            children: (
+                <BulkInputDialog T={T} title="reports.bulk.tag_title"
+                    fields={[
+                        { name: 'addTags', label: 'reports.bulk.add_tags', helperText: 'reports.filters.tags_help' },
+                        { name: 'removeTags', label: 'reports.bulk.remove_tags' }
+                    ]}
+                    onConfirm={({ addTags, removeTags }) => run(Actions.tagSelectedReports(selected, { addTags: parseTags(addTags), removeTags: parseTags(removeTags) }, queryParams))}
+                />
+            )
+        }));
+    }
+
+    function openMoveDialog() {
+        dispatch(AppActions.openDialog({
+            children: (
+                <BulkInputDialog T={T} title="reports.bulk.move_title"
+                    fields={[{ name: 'folder', label: 'report.folder', helperText: 'report.folder_help' }]}
+                    onConfirm={({ folder }) => run(Actions.moveSelectedReports(selected, folder, queryParams))}
+                />
+            )
+        }));
+    }
+
+    return (
+        <Toolbar className="px-16 sm:px-24">
+            <Typography className="flex-1" variant="subtitle1">{T.translate("reports.bulk.selected", { count: selected.length })}</Typography>
+            <Button disabled={running} onClick={() => run(Actions.setSelectedReportsActive(selected, true, queryParams))}>{T.translate("reports.bulk.activate")}</Button>
+            <Button disabled={running} onClick={() => run(Actions.setSelectedReportsActive(selected, false, queryParams))}>{T.translate("reports.bulk.deactivate")}</Button>
+            <Button disabled={running} onClick={openTagDialog}>{T.translate("reports.bulk.tag")}</Button>
+            <Button disabled={running} onClick={openMoveDialog}>{T.translate("reports.bulk.move")}</Button>
+            <Button disabled={running} onClick={() => run(Actions.duplicateSelectedReports(selected, queryParams))}>{T.translate("reports.bulk.duplicate")}</Button>
+        </Toolbar>
+    );
+}
+
+export default ReportsSelectionToolbar;
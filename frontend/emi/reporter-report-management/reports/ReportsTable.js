@@ -1,8 +1,9 @@
 import React, { useEffect, useState } from 'react';
-import { Icon, Table, TableBody, TableCell, TablePagination, TableRow, Checkbox } from '@material-ui/core';
+import { Icon, Table, TableBody, TableCell, TablePagination, TableRow, Checkbox, Typography, Chip } from '@material-ui/core';
 import { FuseScrollbars } from '@fuse';
 import { withRouter } from 'react-router-dom';
 import ReportsTableHead from './ReportsTableHead';
+import ReportsSelectionToolbar from './ReportsSelectionToolbar';
 import * as Actions from '../store/actions';
 import { useDispatch, useSelector } from 'react-redux';
 import { useSubscription } from "@apollo/react-hooks";
@@ -44,8 +45,24 @@ function ReportsTable(props) {
 
     function handleRequestRemove(event, property) {
         dispatch(Actions.removeReports(selected, { filters, order, page, rowsPerPage }));
+        setSelected([]);
     }
 
+    function handleRequestRestore() {
+        dispatch(Actions.restoreDeletedReports(selected, { filters, order, page, rowsPerPage }));
+        setSelected([]);
+    }
+
+    function handleRequestPurge() {
+        dispatch(Actions.purgeReports(selected, { filters, order, page, rowsPerPage }));
+        setSelected([]);
+    }
+
+    //The selection does not survive switching between the reports and the trash bin
+    useEffect(() => {
+        setSelected([]);
+    }, [filters.deleted]);
+
     function handleSelectAllClick(event) {
         if (event.target.checked) {
             setSelected(reports.map(n => n.id));
@@ -55,6 +72,10 @@ function ReportsTable(props) {
     }
 
     function handleClick(item) {
+        // reports in the trash bin can only be restored or purged
+        if (item.deletedAt) {
+            return;
+        }
         props.history.push('/report-mng/reports/' + item.id + '/' + item.name.replace(/[\s_·!@#$%^&*(),.?":{}|<>]+/g, '-').toLowerCase());
     }
 
@@ -92,6 +113,16 @@ function ReportsTable(props) {
     return (
         <div className="w-full flex flex-col">
 
+            {selected.length > 0 && !filters.deleted && user.role.includes('REPORT_WRITE') && (
+                <ReportsSelectionToolbar
+                    selected={selected}
+                    reports={reports}
+                    queryParams={{ filters, order, page, rowsPerPage }}
+                    onDone={() => setSelected([])}
+                    T={T}
+                />
+            )}
+
             <FuseScrollbars className="flex-grow overflow-x-auto">
 
                 <Table className="min-w-xs" aria-labelledby="tableTitle">
@@ -102,6 +133,9 @@ function ReportsTable(props) {
                         onSelectAllClick={handleSelectAllClick}
                         onRequestSort={handleRequestSort}
                         onRequestRemove={handleRequestRemove}
+                        onRequestRestore={handleRequestRestore}
+                        onRequestPurge={handleRequestPurge}
+                        trash={filters.deleted}
                         rowCount={reports.length}
                     />
 
@@ -111,7 +145,7 @@ function ReportsTable(props) {
                                 const isSelected = selected.indexOf(n.id) !== -1;
                                 return (
                                     <TableRow
-                                        className="h-64 cursor-pointer"
+                                        className={n.deletedAt ? "h-64" : "h-64 cursor-pointer"}
                                         hover
                                         role="checkbox"
                                         aria-checked={isSelected}
@@ -130,7 +164,31 @@ function ReportsTable(props) {
 
 
                                         <TableCell component="th" scope="row">
+                                            {n.folder && (
+                                                <Typography variant="caption" display="block" color="textSecondary" noWrap>
+                                                    {n.folder}
+                                                </Typography>
+                                            )}
                                             {n.name}
+                                            {n.description && (
+                                                <Typography variant="caption" display="block" color="textSecondary" noWrap>
+                                                    {n.description}
+                                                </Typography>
+                                            )}
+                                            {(n.tags || []).map(tag => <Chip key={tag} className="mr-4 mt-4" size="small" label={tag} />)}
+                                            {n.deletedAt && (
+                                                <Typography variant="caption" display="block">
+                                                    {T.translate("reports.deleted_by", { deletedBy: n.deletedBy, deletedAt: new Date(n.deletedAt).toLocaleString() })}
+                                                </Typography>
+                                            )}
+                                        </TableCell>
+
+
+                                        <TableCell component="th" scope="row">
+                                            {n.metadata && n.metadata.updatedAt ? new Date(n.metadata.updatedAt).toLocaleString() : '-'}
+                                            {n.metadata && n.metadata.updatedBy && (
+                                                <Typography variant="caption" display="block">{n.metadata.updatedBy}</Typography>
+                                            )}
                                         </TableCell>
 
 
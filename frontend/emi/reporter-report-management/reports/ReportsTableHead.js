@@ -34,6 +34,13 @@ function ReportsTableHead(props) {
             label: T.translate("reports.table_colums.name"),
             sort: true
         },
+        {
+            id: 'metadata.updatedAt',
+            align: 'left',
+            disablePadding: false,
+            label: T.translate("reports.table_colums.updated_at"),
+            sort: true
+        },
         {
             id: 'active',
             align: 'right',
@@ -59,6 +66,35 @@ function ReportsTableHead(props) {
         setSelectedReportsMenu(null);
     }
 
+    /**
+     * Asks for confirmation before applying an action to the selected reports
+     * @param {string} title i18n key of the dialog title
+     * @param {string} description i18n key of the dialog description
+     * @param {function} onConfirm
+     */
+    function openConfirmDialog(title, description, onConfirm) {
+        dispatch(Actions.openDialog({
+            children: (
+                <React.Fragment>
+                    <DialogTitle id="alert-dialog-title">{T.translate(title)}</DialogTitle>
+                    <DialogContent>
+                        <DialogContentText id="alert-dialog-description">
+                            {T.translate(description)}
+                        </DialogContentText>
+                    </DialogContent>
+                    <DialogActions>
+                        <Button onClick={() => { dispatch(Actions.closeDialog()); closeSelectedReportsMenu() }} color="primary">
+                            {T.translate("reports.remove_dialog_no")}
+                        </Button>
+                        <Button onClick={() => { dispatch(Actions.closeDialog()); closeSelectedReportsMenu(); onConfirm() }} color="primary" autoFocus>
+                            {T.translate("reports.remove_dialog_yes")}
+                        </Button>
+                    </DialogActions>
+                </React.Fragment>
+            )
+        }));
+    }
+
     return (
         <TableHead>
             <TableRow className="h-64">
@@ -84,35 +120,30 @@ function ReportsTableHead(props) {
                                 onClose={closeSelectedReportsMenu}
                             >
                                 <MenuList>
-                                    <MenuItem
-                                        onClick={() => dispatch(Actions.openDialog({
-                                            children: (
-                                                <React.Fragment>
-                                                    <DialogTitle id="alert-dialog-title">{T.translate("reports.remove_dialog_title")}</DialogTitle>
-                                                    <DialogContent>
-                                                        <DialogContentText id="alert-dialog-description">
-                                                            {T.translate("reports.remove_dialog_description")}
-                                                        </DialogContentText>
-                                                    </DialogContent>
-                                                    <DialogActions>
-                                                        <Button onClick={() => { dispatch(Actions.closeDialog()); closeSelectedReportsMenu() }} color="primary">
-                                                            {T.translate("reports.remove_dialog_no")}
-                                                        </Button>
-                                                        <Button onClick={() => { dispatch(Actions.closeDialog()); closeSelectedReportsMenu(); removeHandler() }} color="primary" autoFocus>
-                                                            {T.translate("reports.remove_dialog_yes")}
-                                                        </Button>
-                                                    </DialogActions>
-                                                </React.Fragment>
-                                            )
-                                        }))}
-                                    >
-
-                                        <ListItemIcon className="min-w-40">
-                                            <Icon>delete</Icon>
-                                        </ListItemIcon>
-                                        <ListItemText primary={T.translate("reports.remove")} />
-
-                                    </MenuItem>
+                                    {!props.trash && (
+                                        <MenuItem onClick={() => openConfirmDialog("reports.remove_dialog_title", "reports.remove_dialog_description", removeHandler)}>
+                                            <ListItemIcon className="min-w-40">
+                                                <Icon>delete</Icon>
+                                            </ListItemIcon>
+                                            <ListItemText primary={T.translate("reports.remove")} />
+                                        </MenuItem>
+                                    )}
+                                    {props.trash && (
+                                        <MenuItem onClick={() => { closeSelectedReportsMenu(); props.onRequestRestore(); }}>
+                                            <ListItemIcon className="min-w-40">
+                                                <Icon>restore_from_trash</Icon>
+                                            </ListItemIcon>
+                                            <ListItemText primary={T.translate("reports.restore")} />
+                                        </MenuItem>
+                                    )}
+                                    {props.trash && (
+                                        <MenuItem onClick={() => openConfirmDialog("reports.purge_dialog_title", "reports.purge_dialog_description", () => props.onRequestPurge())}>
+                                            <ListItemIcon className="min-w-40">
+                                                <Icon>delete_forever</Icon>
+                                            </ListItemIcon>
+                                            <ListItemText primary={T.translate("reports.purge")} />
+                                        </MenuItem>
+                                    )}
                                 </MenuList>
                             </Menu>
                         </div>
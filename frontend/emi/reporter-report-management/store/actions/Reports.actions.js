@@ -2,7 +2,10 @@ import { defer } from 'rxjs';
 import { mergeMap, map } from 'rxjs/operators';
 
 import graphqlService from '../../../../services/graphqlService';
-import { ReporterReportListing, ReporterDeleteReport } from '../../gql/Report';
+import {
+    ReporterReportListing, ReporterDeleteReport, ReporterRestoreDeletedReports, ReporterPurgeReports,
+    ReporterSetReportsActive, ReporterTagReports, ReporterMoveReports, ReporterDuplicateReports
+} from '../../gql/Report';
 
 export const SET_REPORTS = '[REPORT_MNG] SET REPORTS';
 export const SET_REPORTS_PAGE = '[REPORT_MNG] SET REPORTS PAGE';
@@ -11,24 +14,65 @@ export const SET_REPORTS_ORDER = '[REPORT_MNG] SET REPORTS ORDER';
 export const SET_REPORTS_FILTERS_ORGANIZATION_ID = '[REPORT_MNG] SET REPORTS FILTERS ORGANIZATION_ID';
 export const SET_REPORTS_FILTERS_NAME = '[REPORT_MNG] SET REPORTS FILTERS NAME';
 export const SET_REPORTS_FILTERS_ACTIVE = '[REPORT_MNG] SET REPORTS FILTERS ACTIVE';
+export const SET_REPORTS_FILTERS_DELETED = '[REPORT_MNG] SET REPORTS FILTERS DELETED';
+export const SET_REPORTS_FILTERS_TEXT = '[REPORT_MNG] SET REPORTS FILTERS TEXT';
+export const SET_REPORTS_FILTERS_TAGS = '[REPORT_MNG] SET REPORTS FILTERS TAGS';
+export const SET_REPORTS_FILTERS_FOLDER = '[REPORT_MNG] SET REPORTS FILTERS FOLDER';
+export const SET_REPORTS_FILTERS_CREATED_BY = '[REPORT_MNG] SET REPORTS FILTERS CREATED BY';
+export const SET_REPORTS_FILTERS_UPDATED_BY = '[REPORT_MNG] SET REPORTS FILTERS UPDATED BY';
+export const SET_REPORTS_FILTERS_CREATED_AT = '[REPORT_MNG] SET REPORTS FILTERS CREATED AT';
+export const SET_REPORTS_FILTERS_UPDATED_AT = '[REPORT_MNG] SET REPORTS FILTERS UPDATED AT';
+
+/**
+ * Generates the ReporterReportFilterInput of the selected filters
+ * @param {Object} filters 
+ */
+export function getListingFilterInput({ name, organizationId, active, deleted, text, tags, folder, includeSubfolders, createdBy, updatedBy, createdAt, updatedAt }) {
+    const filterInput = { organizationId };
+    if (name.trim().length > 0) {
+        filterInput.name = name;
+    }
+    if (active !== null) {
+        filterInput.active = active;
+    }
+    if (deleted) {
+        filterInput.deleted = true;
+    }
+    if (text.trim().length > 0) {
+        filterInput.text = text.trim();
+    }
+    if (tags.length > 0) {
+        filterInput.tags = tags;
+    }
+    if (folder) {
+        filterInput.folder = folder;
+        filterInput.includeSubfolders = includeSubfolders;
+    }
+    if (createdBy.trim().length > 0) {
+        filterInput.createdBy = createdBy.trim();
+    }
+    if (updatedBy.trim().length > 0) {
+        filterInput.updatedBy = updatedBy.trim();
+    }
+    if (createdAt.from !== null || createdAt.to !== null) {
+        filterInput.createdAt = createdAt;
+    }
+    if (updatedAt.from !== null || updatedAt.to !== null) {
+        filterInput.updatedAt = updatedAt;
+    }
+    return filterInput;
+}
 
 /**
  * Common function to generate the arguments for the ReporterReportListing query based on the user input
  * @param {Object} queryParams 
  */
-function getListingQueryArguments({ filters: { name, organizationId, active }, order, page, rowsPerPage }) {
-    const args = {
-        "filterInput": { organizationId },
+function getListingQueryArguments({ filters, order, page, rowsPerPage }) {
+    return {
+        "filterInput": getListingFilterInput(filters),
         "paginationInput": { "page": page, "count": rowsPerPage, "queryTotalResultCount": (page === 0) },
         "sortInput": order.id ? { "field": order.id, "asc": order.direction === "asc" } : undefined
     };
-    if (name.trim().length > 0) {
-        args.filterInput.name = name;
-    }
-    if (active !== null) {
-        args.filterInput.active = active;
-    }
-    return args;
 }
 
 /**
@@ -51,9 +95,35 @@ export function getReports({ filters, order, page, rowsPerPage }) {
  * @param {*} param1 
  */
 export function removeReports(selectedForRemovalIds, { filters, order, page, rowsPerPage }) {
-    const deleteArgs = { ids: selectedForRemovalIds };
+    return mutateReports(ReporterDeleteReport({ ids: selectedForRemovalIds }), { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Executes the mutation to take the selected rows out of the trash bin
+ * @param {*} selectedIds 
+ * @param {*} param1 
+ */
+export function restoreDeletedReports(selectedIds, { filters, order, page, rowsPerPage }) {
+    return mutateReports(ReporterRestoreDeletedReports({ ids: selectedIds }), { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Executes the mutation to permanently delete the selected rows of the trash bin
+ * @param {*} selectedIds 
+ * @param {*} param1 
+ */
+export function purgeReports(selectedIds, { filters, order, page, rowsPerPage }) {
+    return mutateReports(ReporterPurgeReports({ ids: selectedIds }), { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Executes a mutation over the selected rows and then refreshes the listing
+ * @param {*} mutation 
+ * @param {*} param1 
+ */
+function mutateReports(mutation, { filters, order, page, rowsPerPage }) {
     const listingArgs = getListingQueryArguments({ filters, order, page, rowsPerPage });
-    return (dispatch) => defer(() => graphqlService.client.mutate(ReporterDeleteReport(deleteArgs))).pipe(
+    return (dispatch) => defer(() => graphqlService.client.mutate(mutation)).pipe(
         mergeMap(() => defer(() => graphqlService.client.query(ReporterReportListing(listingArgs)))),
         map((result) =>
             dispatch({
@@ -64,6 +134,70 @@ export function removeReports(selectedForRemovalIds, { filters, order, page, row
     ).toPromise();
 }
 
+/**
+ * Activates or deactivates the selected rows
+ * @param {string[]} selectedIds 
+ * @param {boolean} active 
+ * @param {*} param2 
+ * @returns {Promise} ReporterReportBulkResult
+ */
+export function setSelectedReportsActive(selectedIds, active, { filters, order, page, rowsPerPage }) {
+    return runBulkOperation(ReporterSetReportsActive({ ids: selectedIds, organizationId: filters.organizationId, active }), 'ReporterSetReportsActive', { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Adds and removes tags of the selected rows
+ * @param {string[]} selectedIds 
+ * @param {{addTags, removeTags}} tags 
+ * @param {*} param2 
+ * @returns {Promise} ReporterReportBulkResult
+ */
+export function tagSelectedReports(selectedIds, { addTags, removeTags }, { filters, order, page, rowsPerPage }) {
+    return runBulkOperation(ReporterTagReports({ ids: selectedIds, organizationId: filters.organizationId, addTags, removeTags }), 'ReporterTagReports', { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Moves the selected rows to a folder
+ * @param {string[]} selectedIds 
+ * @param {string} folder 
+ * @param {*} param2 
+ * @returns {Promise} ReporterReportBulkResult
+ */
+export function moveSelectedReports(selectedIds, folder, { filters, order, page, rowsPerPage }) {
+    return runBulkOperation(ReporterMoveReports({ ids: selectedIds, organizationId: filters.organizationId, folder }), 'ReporterMoveReports', { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Copies the selected rows into new reports
+ * @param {string[]} selectedIds 
+ * @param {*} param1 
+ * @returns {Promise} ReporterReportBulkResult
+ */
+export function duplicateSelectedReports(selectedIds, { filters, order, page, rowsPerPage }) {
+    return runBulkOperation(ReporterDuplicateReports({ ids: selectedIds, organizationId: filters.organizationId }), 'ReporterDuplicateReports', { filters, order, page, rowsPerPage });
+}
+
+/**
+ * Executes a bulk mutation over the selected rows, refreshes the listing and resolves the per report results
+ * @param {*} mutation 
+ * @param {string} mutationName 
+ * @param {*} param2 
+ */
+function runBulkOperation(mutation, mutationName, { filters, order, page, rowsPerPage }) {
+    const listingArgs = getListingQueryArguments({ filters, order, page, rowsPerPage });
+    return (dispatch) => defer(() => graphqlService.client.mutate(mutation)).pipe(
+        mergeMap(({ data }) => defer(() => graphqlService.client.query(ReporterReportListing(listingArgs))).pipe(
+            map((result) => {
+                dispatch({
+                    type: SET_REPORTS,
+                    payload: result.data.ReporterReportListing
+                });
+                return data[mutationName];
+            })
+        ))
+    ).toPromise();
+}
+
 /**
  * Set the listing page
  * @param {int} page 
@@ -119,6 +253,96 @@ export function setReportsFilterActive(active) {
     }
 }
 
+/**
+ * Switches the listing between the reports and the trash bin
+ * @param {boolean} deleted 
+ */
+export function setReportsFilterDeleted(deleted) {
+    return {
+        type: SET_REPORTS_FILTERS_DELETED,
+        deleted
+    }
+}
+
+/**
+ * Set the text searched on the name and description
+ * @param {string} text 
+ */
+export function setReportsFilterText(text) {
+    return {
+        type: SET_REPORTS_FILTERS_TEXT,
+        text
+    }
+}
+
+/**
+ * Set the tags every listed report must have
+ * @param {string[]} tags 
+ */
+export function setReportsFilterTags(tags) {
+    return {
+        type: SET_REPORTS_FILTERS_TAGS,
+        tags
+    }
+}
+
+/**
+ * Set the folder whose reports are listed
+ * @param {string} folder folder path, null for every folder
+ * @param {boolean} includeSubfolders whether the reports of its subfolders are listed too
+ */
+export function setReportsFilterFolder(folder, includeSubfolders) {
+    return {
+        type: SET_REPORTS_FILTERS_FOLDER,
+        folder,
+        includeSubfolders
+    }
+}
+
+/**
+ * Set the creator username filter
+ * @param {string} createdBy 
+ */
+export function setReportsFilterCreatedBy(createdBy) {
+    return {
+        type: SET_REPORTS_FILTERS_CREATED_BY,
+        createdBy
+    }
+}
+
+/**
+ * Set the last modifier username filter
+ * @param {string} updatedBy 
+ */
+export function setReportsFilterUpdatedBy(updatedBy) {
+    return {
+        type: SET_REPORTS_FILTERS_UPDATED_BY,
+        updatedBy
+    }
+}
+
+/**
+ * Set the creation time range (epoch millis)
+ * @param {{from, to}} createdAt 
+ */
+export function setReportsFilterCreatedAt(createdAt) {
+    return {
+        type: SET_REPORTS_FILTERS_CREATED_AT,
+        createdAt
+    }
+}
+
+/**
+ * Set the last modification time range (epoch millis)
+ * @param {{from, to}} updatedAt 
+ */
+export function setReportsFilterUpdatedAt(updatedAt) {
+    return {
+        type: SET_REPORTS_FILTERS_UPDATED_AT,
+        updatedAt
+    }
+}
+
 /**
  * set the organizationId filter
  * @param {string} organizationId 
@@ -12,6 +12,15 @@ const initialState = {
     filters: {
         name: '',
         active: null,
+        deleted: false,
+        text: '',
+        tags: [],
+        folder: null,
+        includeSubfolders: true,
+        createdBy: '',
+        updatedBy: '',
+        createdAt: { from: null, to: null },
+        updatedAt: { from: null, to: null },
         organizationId: undefined
     }
 };
@@ -69,6 +78,64 @@ const reportsReducer = function (state = initialState, action) {
                     filters: { ...state.filters, active: action.active }
                 };
             }
+        case Actions.SET_REPORTS_FILTERS_DELETED:
+            {
+                return {
+                    ...state,
+                    page: 0,
+                    filters: { ...state.filters, deleted: action.deleted }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_TEXT:
+            {
+                return {
+                    ...state,
+                    filters: { ...state.filters, text: action.text }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_TAGS:
+            {
+                return {
+                    ...state,
+                    filters: { ...state.filters, tags: action.tags }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_FOLDER:
+            {
+                return {
+                    ...state,
+                    page: 0,
+                    filters: { ...state.filters, folder: action.folder, includeSubfolders: action.includeSubfolders }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_CREATED_BY:
+            {
+                return {
+                    ...state,
+                    filters: { ...state.filters, createdBy: action.createdBy }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_UPDATED_BY:
+            {
+                return {
+                    ...state,
+                    filters: { ...state.filters, updatedBy: action.updatedBy }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_CREATED_AT:
+            {
+                return {
+                    ...state,
+                    filters: { ...state.filters, createdAt: action.createdAt }
+                };
+            }
+        case Actions.SET_REPORTS_FILTERS_UPDATED_AT:
+            {
+                return {
+                    ...state,
+                    filters: { ...state.filters, updatedAt: action.updatedAt }
+                };
+            }
         default:
             {
                 return state;
@@ -25,6 +25,9 @@ PORT=3000
 
 # Logging
 LOG_LEVEL=info
+
+# Webhooks (localhost allowed only for the playground webhook-stub)
+WEBHOOK_ALLOWED_PRIVATE_HOSTS=localhost
 EOF
     echo "✅ Archivo .env creado"
 else